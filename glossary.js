@@ -1,340 +1,1706 @@
 /**
  * Tech Glossary Application
- * Modular JavaScript for loading and displaying technical terms
+ * DOM renderer (cards, filters, breadcrumb, URL routing) on top of the
+ * headless GlossaryCore store
  * @module glossary
  */
 
+import { GlossaryCore, GlossaryEvent, SAVED_CATEGORY } from './src/glossary-core.js';
+import { FacetMode, getTermCategories } from './src/facets.js';
+import { tokenize } from './src/search-index.js';
+import { GraphView } from './src/graph-view.js';
+import { StudyView } from './src/study-view.js';
+import { StatsView } from './src/stats-view.js';
+import { UsageTracker, LocalUsageSink, HttpUsageSink } from './src/usage-stats.js';
+import { GlossaryDraft } from './src/glossary-draft.js';
+import { TermEditor } from './src/term-editor.js';
+import { CommandPalette } from './src/command-palette.js';
+import { matchShortcut, renderShortcutHelp } from './src/shortcuts.js';
+import { escapeHtml } from './src/html.js';
+import { exportTerms, EXPORT_FORMATS } from './src/exporters.js';
+import { downloadFile } from './src/download.js';
+import { categoryColor } from './src/category-colors.js';
+import { formatTermMarkdown, renderShareCard, shareCardFilename, shareTerm, ShareResult } from './src/share.js';
+import { STARRED_COLLECTION_ID } from './src/collections.js';
+import { VirtualGrid } from './src/virtual-grid.js';
+import { createTranslator, resolveLocale, SUPPORTED_LOCALES, LOCALE_STORAGE_KEY } from './src/i18n.js';
+import { ThemeManager, SYSTEM_THEME } from './src/themes.js';
+import { ChangeStatus, getChangelog, parseTimestamp } from './src/term-history.js';
+import { Severity } from './src/validator.js';
+
+/** @typedef {import('./src/glossary-core.js').GlossaryTerm} GlossaryTerm */
+
+/** Delay between the last keystroke and running the search, in ms */
+const SEARCH_DEBOUNCE_MS = 150;
+
+/** Result lists longer than this are rendered through a {@link VirtualGrid} */
+const VIRTUALIZE_THRESHOLD = 60;
+
 /**
- * @typedef {Object} GlossaryTerm
- * @property {string} id - Unique identifier
- * @property {string} term - The technical term
- * @property {string|null} fullForm - Full form/expansion of acronym
- * @property {string} definition - Detailed definition
- * @property {string} category - Category of the term
- * @property {string[]} relatedTerms - Related terms
- * @property {string[]} examples - Usage examples
+ * Core state exposed on the renderer for convenience
+ * Reads and writes go straight through to the core store.
  */
+const CORE_STATE_PROPERTIES = [
+  'dataUrl',
+  'data',
+  'filteredTerms',
+  'currentCategory',
+  'currentCollection',
+  'collections',
+  'searchQuery',
+  'locale',
+  'navigationHistory',
+  'activeTermId',
+  'validationReport',
+  'searchIndex'
+];
+
+/**
+ * Whether the user asked the system for less motion
+ * @returns {boolean}
+ */
+function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function' &&
+    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+class TechGlossary {
+  /**
+   * @param {string|Array<string|Object>|Object|GlossaryCore} dataUrl - URL to the glossary JSON file,
+   *   a list of sources to merge, GlossaryCore options, or an existing core store to render
+   * @param {Object} [options]
+   * @param {ThemeManager} [options.themes] - Color themes, e.g. with a brand theme registered
+   * @param {LocalUsageSink|null} [options.usageStats] - Usage counts shown in the Stats view;
+   *   null records nothing locally
+   * @param {string|null} [options.usageEndpoint] - Also POST usage events to this URL
+   * @param {Navigator} [options.navigator] - Web Share API and clipboard used to share terms
+   */
+  constructor(dataUrl = './data/glossary.json', {
+    themes = new ThemeManager(),
+    usageStats = new LocalUsageSink(),
+    usageEndpoint = null,
+    navigator: nav = globalThis.navigator
+  } = {}) {
+    if (dataUrl instanceof GlossaryCore) {
+      this.core = dataUrl;
+    } else if (typeof dataUrl === 'string' || Array.isArray(dataUrl)) {
+      this.core = new GlossaryCore({ sources: dataUrl });
+    } else {
+      this.core = new GlossaryCore(dataUrl);
+    }
+    /** @type {{results: Array, pattern: RegExp|null}|null} Highlight pattern for the last search */
+    this.highlightCache = null;
+    /** @type {'cards'|'graph'|'study'|'stats'|'editor'} */
+    this.view = 'cards';
+    /** @type {GraphView|null} */
+    this.graphView = null;
+    /** @type {StudyView|null} Created the first time study mode is opened */
+    this.studyView = null;
+    /** @type {LocalUsageSink|null} */
+    this.usageStats = usageStats;
+    /** @type {UsageTracker} Records term views, dead-end searches and paths */
+    this.usageTracker = new UsageTracker(this.core, {
+      sinks: [usageStats, usageEndpoint && new HttpUsageSink({ url: usageEndpoint })].filter(Boolean)
+    });
+    /** @type {StatsView|null} Created the first time the Stats view is opened */
+    this.statsView = null;
+    /** @type {TermEditor|null} Created the first time the editor is opened */
+    this.termEditor = null;
+    /** @type {Promise<TermEditor|null>|null} */
+    this.editorLoading = null;
+    /** @type {CommandPalette|null} */
+    this.commandPalette = null;
+    /** @type {string|null} Card last focused with j/k */
+    this.focusedTermId = null;
+    /** @type {HTMLElement|null} Focus to restore when the shortcut overview closes */
+    this.shortcutHelpReturnFocus = null;
+    /** @type {VirtualGrid|null} Active while the result list is long */
+    this.virtualGrid = null;
+    /** @type {ReturnType<typeof setTimeout>|null} Pending debounced search */
+    this.searchTimer = null;
+    /** @type {function(string, Object=): string} UI strings in the active language */
+    this.translate = createTranslator(this.core.locale);
+    /** @type {ThemeManager} */
+    this.themes = themes;
+    /** @type {Navigator} */
+    this.navigator = nav;
+    /** @type {Map<string, {promise: Promise<Blob|null>, image: Blob|null|undefined}>} Definition cards by locale and term id */
+    this.shareCards = new Map();
+    
+    // DOM element references
+    this.elements = {
+      container: null,
+      searchInput: null,
+      localeSelect: null,
+      themeSelect: null,
+      categoryFilter: null,
+      termCount: null,
+      loadingIndicator: null,
+      errorContainer: null,
+      breadcrumbNav: null,
+      breadcrumbItems: null,
+      clearHistoryBtn: null,
+      updateNotice: null,
+      viewToggle: null,
+      cardsSection: null,
+      graphSection: null,
+      editorSection: null,
+      editorContainer: null,
+      studySection: null,
+      studyContainer: null,
+      statsSection: null,
+      statsContainer: null,
+      graphContainer: null,
+      graphHops: null,
+      exportControls: null,
+      exportScope: null,
+      collectionBar: null,
+      collectionSelect: null,
+      collectionImport: null,
+      collectionStatus: null,
+      commandPalette: null,
+      paletteButton: null,
+      shortcutHelp: null,
+      announcer: null
+    };
+
+    this.bindCore();
+  }
+
+  /**
+   * Re-render in response to core store events
+   */
+  bindCore() {
+    // Definition cards show the loaded data
+    this.core.subscribe(GlossaryEvent.LOAD, () => {
+      this.shareCards.clear();
+    });
+
+    this.core.subscribe(GlossaryEvent.FILTER, () => {
+      this.renderTerms();
+      this.updateTermCount();
+      this.announce(this.filteredTerms.length === 0 ? this.t('empty.title') : this.getTermCountText());
+      // Facet counts follow the search
+      this.updateActiveFilterButton();
+      this.renderCollectionBar();
+    });
+
+    this.core.subscribe(GlossaryEvent.LOCALE, ({ locale }) => {
+      this.translate = createTranslator(locale);
+      this.applyTranslations();
+      this.renderThemeSwitcher();
+      this.renderCategoryFilters();
+      this.renderCollectionBar();
+      if (this.termEditor) {
+        this.termEditor.relabel();
+      }
+    });
+
+    this.themes.subscribe(() => {
+      this.renderThemeSwitcher();
+    });
+
+    this.collections.subscribe(() => {
+      this.updateSavedControls();
+      this.renderCollectionBar();
+    });
+
+    this.core.subscribe(GlossaryEvent.HISTORY, () => {
+      this.renderBreadcrumb();
+    });
+
+    this.core.subscribe(GlossaryEvent.NAVIGATE, ({ termId, term, trimmed }) => {
+      // Search and category were reset so the term is visible
+      this.syncControls();
+
+      // Reflect the term in the URL so it can be shared and revisited
+      this.updateUrl();
+
+      // The chip or link that was used is gone after re-rendering, so take focus to the term
+      if (this.scrollToTerm(termId)) {
+        this.focusCardHeading(termId);
+      }
+
+      // Replaces the result count announced for the reset filters
+      const name = this.core.localizeTerm(term).term;
+      this.announce(trimmed > 0
+        ? this.t('announce.trimmed', { term: name, count: trimmed })
+        : this.t('announce.navigate', { term: name }));
+    });
+  }
+
+  /**
+   * Initialize the glossary application
+   */
+  async init() {
+    try {
+      this.cacheElements();
+      this.themes.apply();
+      this.renderLocaleSwitcher();
+      this.core.setLocale(this.getInitialLocale());
+      this.applyTranslations();
+      this.renderThemeSwitcher();
+      this.core.initializeHistory();
+      this.attachEventListeners();
+      // Prerendered pages keep their content visible while the data loads
+      const prerendered = this.getPrerenderedState();
+      if (!prerendered) {
+        this.showLoading();
+      }
+      
+      await this.loadData();
+      this.renderCategoryFilters();
+      this.restoreFromUrl(prerendered);
+      
+      this.hideLoading();
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  /**
+   * Cache DOM element references
+   */
+  cacheElements() {
+    this.elements = {
+      container: document.getElementById('glossary-container'),
+      searchInput: document.getElementById('search-input'),
+      localeSelect: document.getElementById('locale-select'),
+      themeSelect: document.getElementById('theme-select'),
+      categoryFilter: document.getElementById('category-filter'),
+      termCount: document.getElementById('term-count'),
+      loadingIndicator: document.getElementById('loading'),
+      errorContainer: document.getElementById('error'),
+      breadcrumbNav: document.getElementById('breadcrumb-nav'),
+      breadcrumbItems: document.getElementById('breadcrumb-items'),
+      clearHistoryBtn: document.getElementById('clear-history'),
+      updateNotice: document.getElementById('update-notice'),
+      viewToggle: document.getElementById('view-toggle'),
+      cardsSection: document.getElementById('cards-section'),
+      graphSection: document.getElementById('graph-section'),
+      graphContainer: document.getElementById('graph-container'),
+      editorSection: document.getElementById('editor-section'),
+      editorContainer: document.getElementById('editor-container'),
+      studySection: document.getElementById('study-section'),
+      studyContainer: document.getElementById('study-container'),
+      statsSection: document.getElementById('stats-section'),
+      statsContainer: document.getElementById('stats-container'),
+      graphHops: document.getElementById('graph-hops'),
+      exportControls: document.getElementById('export-controls'),
+      exportScope: document.getElementById('export-scope'),
+      collectionBar: document.getElementById('collection-bar'),
+      collectionSelect: document.getElementById('collection-select'),
+      collectionImport: document.getElementById('collection-import'),
+      collectionStatus: document.getElementById('collection-status'),
+      commandPalette: document.getElementById('command-palette'),
+      paletteButton: document.getElementById('palette-button'),
+      shortcutHelp: document.getElementById('shortcut-help'),
+      announcer: document.getElementById('announcer')
+    };
+  }
+
+  /**
+   * Look up a UI string in the active language
+   * @param {string} key - Message key, e.g. "card.examples"
+   * @param {Object} [params] - Placeholder values; `count` selects the plural form
+   * @returns {string}
+   */
+  t(key, params) {
+    return this.translate(key, params);
+  }
+
+  /**
+   * Language to start in: the saved choice, else the browser's language
+   * @returns {string}
+   */
+  getInitialLocale() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Failed to read language preference:', error);
+    }
+
+    return resolveLocale(saved || (typeof navigator !== 'undefined' ? navigator.language : null));
+  }
+
+  /**
+   * Switch language and remember the choice
+   * @param {string} locale
+   */
+  setLocale(locale) {
+    const resolved = resolveLocale(locale);
+    this.core.setLocale(resolved);
+
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, resolved);
+    } catch (error) {
+      console.warn('Failed to save language preference:', error);
+    }
+  }
+
+  /**
+   * Fill the language switcher
+   */
+  renderLocaleSwitcher() {
+    if (!this.elements.localeSelect) return;
+
+    this.elements.localeSelect.innerHTML = SUPPORTED_LOCALES.map(({ code, name }) => `
+      <option value="${code}" lang="${code}">${this.escapeHtml(name)}</option>
+    `).join('');
+  }
+
+  /**
+   * Fill the theme switcher with System, the built-in themes and any brand themes
+   */
+  renderThemeSwitcher() {
+    if (!this.elements.themeSelect) return;
+
+    const options = [{ name: SYSTEM_THEME, label: this.t('theme.system') }]
+      .concat(this.themes.getThemes().map(theme => ({ name: theme.name, label: this.getThemeLabel(theme) })));
+
+    this.elements.themeSelect.innerHTML = options.map(({ name, label }) => `
+      <option value="${this.escapeHtml(name)}">${this.escapeHtml(label)}</option>
+    `).join('');
+    // A saved brand theme that isn't registered (yet) shows as System
+    this.elements.themeSelect.value = options.some(option => option.name === this.themes.preference)
+      ? this.themes.preference
+      : SYSTEM_THEME;
+  }
+
+  /**
+   * Display name of a theme: translated for built-in themes
+   * @param {import('./src/themes.js').Theme} theme
+   * @returns {string}
+   */
+  getThemeLabel(theme) {
+    return theme.label ?? this.t(`theme.${theme.name}`);
+  }
+
+  /**
+   * Switch color theme and remember the choice
+   * @param {string} name - Theme name or 'system'
+   */
+  setTheme(name) {
+    this.themes.setPreference(name);
+  }
+
+  /**
+   * Translate static page text marked with `data-i18n` attributes
+   */
+  applyTranslations() {
+    document.documentElement.lang = this.locale;
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      // Plural labels carry the count they are for, e.g. the graph's hop options
+      const params = element.dataset.i18nCount ? { count: Number(element.dataset.i18nCount) } : {};
+      element.textContent = this.t(element.dataset.i18n, params);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = this.t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+    });
+
+    if (this.elements.localeSelect) {
+      this.elements.localeSelect.value = this.locale;
+    }
+  }
+
+  /**
+   * Clear navigation history
+   */
+  clearHistory() {
+    this.core.clearHistory();
+    this.updateUrl(true);
+  }
+
+  /**
+   * Filter by category and reflect it in the filter buttons and URL
+   * @param {string} category - Category name, 'all' or the Saved filter
+   */
+  setCategory(category) {
+    this.core.setCategory(category);
+    this.updateActiveFilterButton();
+    this.updateUrl();
+  }
+
+  /**
+   * Select or deselect a category facet and reflect it in the URL
+   * @param {string} category
+   */
+  toggleFacet(category) {
+    this.core.toggleFacet(category);
+    this.updateUrl();
+  }
+
+  /**
+   * Change whether facets combine with OR ('any') or AND ('all')
+   * @param {string} mode - One of FacetMode
+   */
+  setFacetMode(mode) {
+    this.core.setFacetMode(mode);
+    this.updateUrl();
+  }
+
+  /**
+   * Deselect every facet
+   */
+  clearFacets() {
+    this.core.clearFacets();
+    this.updateUrl();
+  }
+
+  /**
+   * Show only new and recently updated terms, or every term, and reflect it in the URL
+   * @param {boolean} recent
+   */
+  setShowRecent(recent) {
+    this.core.setShowRecent(recent);
+    this.updateUrl();
+  }
+
+  /**
+   * Navigate to a specific term
+   * @param {string} termId - The ID of the term to navigate to
+   * @param {boolean} fromBreadcrumb - Whether navigation is from breadcrumb click
+   */
+  navigateToTerm(termId, fromBreadcrumb = false) {
+    this.core.navigateToTerm(termId, fromBreadcrumb);
+  }
+
+  /**
+   * State a prerendered page was built for (see scripts/build-static-site.js)
+   * @returns {{termId: string|null, category: string, facets: string[]}|null} Null on the plain app page
+   */
+  getPrerenderedState() {
+    const container = this.elements.container;
+    if (!container || !container.hasAttribute('data-prerendered')) return null;
+
+    const category = container.dataset.prerenderedCategory || 'all';
+    return {
+      termId: container.dataset.prerenderedTerm || null,
+      category,
+      facets: category === 'all' ? [] : [category]
+    };
+  }
+
+  /**
+   * Path of the app page that URLs are built on
+   * Prerendered pages point `<base>` at the site root, where the app lives.
+   * @returns {string}
+   */
+  getAppPath() {
+    const base = document.querySelector('base[href]');
+    return base ? new URL(base.href).pathname : window.location.pathname;
+  }
+
+  /**
+   * Parse glossary state from a URL
+   * Terms live in the hash (`#/term/rest`), filters in the query string
+   * (`?category=DevOps&q=container`, `?category=_saved&collection=onboarding`).
+   * Several facets repeat `category`; `match=all` combines them with AND
+   * (`?category=Security&category=Networking&match=all`). `recent=1` shows
+   * only new and recently updated terms.
+   * @param {string} [url] - Absolute or relative URL, defaults to the current location
+   * @returns {{termId: string|null, category: string, facets: string[], facetMode: string, collection: string|null, query: string, recent: boolean}}
+   */
+  parseUrl(url = window.location.href) {
+    const parsed = new URL(url, window.location.href);
+    const match = parsed.hash.match(/^#\/term\/([^/?#]+)/);
+    const categories = parsed.searchParams.getAll('category').filter(Boolean);
+
+    return {
+      termId: match ? decodeURIComponent(match[1]) : null,
+      category: categories.length === 1 ? categories[0] : 'all',
+      facets: categories.filter(category => category !== SAVED_CATEGORY),
+      facetMode: parsed.searchParams.get('match') === FacetMode.ALL ? FacetMode.ALL : FacetMode.ANY,
+      collection: parsed.searchParams.get('collection') || null,
+      query: parsed.searchParams.get('q') || '',
+      recent: parsed.searchParams.get('recent') === '1'
+    };
+  }
+
+  /**
+   * Build a URL describing the given glossary state
+   * @param {{termId?: string|null, category?: string, facets?: string[], facetMode?: string, collection?: string|null, query?: string, recent?: boolean}} state
+   * @returns {string} URL relative to the current origin
+   */
+  buildUrl({ termId = null, category = 'all', facets, facetMode = FacetMode.ANY, collection = null, query = '', recent = false } = {}) {
+    const params = new URLSearchParams();
+    if (category === SAVED_CATEGORY) {
+      params.set('category', category);
+      if (collection) {
+        params.set('collection', collection);
+      }
+    } else {
+      const selected = facets ?? (category && category !== 'all' ? [category] : []);
+      selected.forEach(facet => params.append('category', facet));
+      if (facetMode === FacetMode.ALL) {
+        params.set('match', facetMode);
+      }
+    }
+    if (query) {
+      params.set('q', query);
+    }
+    if (recent) {
+      params.set('recent', '1');
+    }
+
+    const search = params.toString();
+    const hash = termId ? `#/term/${encodeURIComponent(termId)}` : '';
+
+    return `${this.getAppPath()}${search ? `?${search}` : ''}${hash}`;
+  }
+
+  /**
+   * Push (or replace) a browser history entry for the current state
+   * The breadcrumb path is stored with the entry so back/forward restore it.
+   * @param {boolean} replace - Replace the current entry instead of adding one
+   */
+  updateUrl(replace = false) {
+    if (typeof history === 'undefined' || !history.pushState) return;
+
+    const state = this.core.getState();
+    const url = this.buildUrl(state);
+    const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+    if (replace || url === currentUrl) {
+      history.replaceState(state, '', url);
+    } else {
+      history.pushState(state, '', url);
+    }
+  }
+
+  /**
+   * Restore term, category and search from the URL on page load
+   * @param {{termId: string|null, category: string}|null} [prerendered] - State of a
+   *   prerendered page, used when the URL doesn't specify any
+   */
+  restoreFromUrl(prerendered = null) {
+    const urlState = this.parseUrl();
+    const hasUrlState = Boolean(urlState.termId || urlState.category !== 'all' || urlState.facets.length > 0 || urlState.query || urlState.recent);
+    const state = prerendered && !hasUrlState ? { ...urlState, ...prerendered } : urlState;
+
+    if (state.termId && this.core.getTerm(state.termId)) {
+      // Deep links extend the exploration path like a regular navigation
+      this.core.addToHistory(state.termId);
+    }
+
+    this.applyState(state);
+
+    if (state === urlState) {
+      this.updateUrl(true);
+    } else if (typeof history !== 'undefined' && history.replaceState) {
+      // Keep the prerendered page's address, which is the one worth sharing
+      history.replaceState(this.core.getState(), '');
+    }
+  }
+
+  /**
+   * Handle browser back/forward navigation
+   * @param {PopStateEvent} event
+   */
+  handlePopState(event) {
+    if (!this.data) return;
+
+    // Entries created by editing the hash by hand carry no state
+    const state = event.state || this.parseUrl();
+    this.applyState(state);
+
+    if (!event.state) {
+      if (this.activeTermId) {
+        this.core.addToHistory(this.activeTermId);
+      }
+      this.updateUrl(true);
+    }
+  }
+
+  /**
+   * Apply a URL/history state to the glossary and re-render
+   * @param {{termId?: string|null, category?: string, facets?: string[], facetMode?: string, collection?: string|null, query?: string, recent?: boolean, navigationHistory?: string[]}} state
+   */
+  applyState(state = {}) {
+    this.core.applyState(state);
+    this.syncControls(state.query || '');
+
+    if (this.activeTermId) {
+      this.scrollToTerm(this.activeTermId);
+    }
+  }
+
+  /**
+   * Bring the search input and filter buttons in line with the core state
+   * @param {string} query - Text to show in the search input
+   */
+  syncControls(query = this.searchQuery) {
+    if (this.elements.searchInput) {
+      this.elements.searchInput.value = query;
+    }
+    this.updateActiveFilterButton();
+  }
+
+  /**
+   * Scroll to a specific term and highlight it
+   * Jumps instead of animating when the user prefers reduced motion.
+   * @param {string} termId
+   * @returns {HTMLElement|null} The term's card, or null when it isn't shown
+   */
+  scrollToTerm(termId) {
+    if (this.view !== 'cards' || !this.elements.container) return null;
+
+    let targetCard = this.elements.container.querySelector(`article[data-term-id="${termId}"]`);
+
+    // Long lists only render cards near the viewport
+    if (!targetCard && this.virtualGrid) {
+      targetCard = this.virtualGrid.scrollToIndex(this.filteredTerms.findIndex(t => t.id === termId));
+    }
+    if (!targetCard) return null;
+
+    const reduceMotion = prefersReducedMotion();
+    if (typeof targetCard.scrollIntoView === 'function') {
+      targetCard.scrollIntoView({
+        behavior: reduceMotion ? 'auto' : 'smooth',
+        block: 'center'
+      });
+    }
+
+    if (!reduceMotion) {
+      // Pulse once; the class is removed when the animation ends
+      targetCard.classList.add('highlight-target');
+      targetCard.addEventListener('animationend', () => {
+        targetCard.classList.remove('highlight-target');
+      }, { once: true });
+    }
+    return targetCard;
+  }
+
+  /**
+   * Move keyboard focus to a term's card heading, so screen readers start reading there
+   * @param {string} termId
+   * @returns {HTMLElement|null} The focused heading
+   */
+  focusCardHeading(termId) {
+    const heading = this.elements.container &&
+      this.elements.container.querySelector(`article[data-term-id="${termId}"] h2`);
+    if (!heading) return null;
+
+    // Focusable by script only, so headings don't add tab stops
+    heading.setAttribute('tabindex', '-1');
+    // Already scrolled into place by scrollToTerm()
+    heading.focus({ preventScroll: true });
+    this.focusedTermId = termId;
+    return heading;
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    if (this.elements.searchInput) {
+      this.elements.searchInput.addEventListener('input', (e) => {
+        const query = e.target.value;
+
+        // Search once typing pauses rather than on every keystroke
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+          this.searchTimer = null;
+          this.core.setSearchQuery(query);
+          // Keystrokes update the current entry rather than flooding history
+          this.updateUrl(true);
+        }, SEARCH_DEBOUNCE_MS);
+      });
+    }
+
+    if (this.elements.localeSelect) {
+      this.elements.localeSelect.addEventListener('change', (e) => {
+        this.setLocale(e.target.value);
+      });
+    }
+
+    if (this.elements.themeSelect) {
+      this.elements.themeSelect.addEventListener('change', (e) => {
+        this.setTheme(e.target.value);
+      });
+    }
+
+    if (this.elements.categoryFilter) {
+      this.elements.categoryFilter.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button) return;
+
+        if (button.hasAttribute('data-recent')) {
+          this.setShowRecent(!this.core.showRecent);
+        } else if (button.dataset.facet) {
+          this.toggleFacet(button.dataset.facet);
+        } else if (button.dataset.facetMode) {
+          this.setFacetMode(button.dataset.facetMode);
+        } else if (button.dataset.facetAction === 'clear') {
+          this.clearFacets();
+        } else if (button.dataset.category) {
+          this.setCategory(button.dataset.category);
+        }
+      });
+    }
+
+    if (this.elements.clearHistoryBtn) {
+      this.elements.clearHistoryBtn.addEventListener('click', () => {
+        this.clearHistory();
+      });
+    }
+
+    if (this.elements.breadcrumbItems) {
+      this.elements.breadcrumbItems.addEventListener('click', (e) => {
+        const link = e.target.closest('.breadcrumb-link');
+        if (link) {
+          e.preventDefault();
+          this.navigateToTerm(link.dataset.termId, true);
+        }
+      });
+    }
+
+    window.addEventListener('popstate', (e) => {
+      this.handlePopState(e);
+    });
+
+    // Send buffered usage events before the page goes away
+    window.addEventListener('pagehide', () => {
+      this.usageTracker.flush();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      this.handleShortcut(e);
+    });
+
+    if (this.elements.paletteButton) {
+      this.elements.paletteButton.addEventListener('click', () => {
+        this.openCommandPalette();
+      });
+    }
+
+    if (this.elements.shortcutHelp) {
+      this.elements.shortcutHelp.addEventListener('click', (e) => {
+        if (e.target.closest('[data-overlay-close]')) {
+          this.toggleShortcutHelp(false);
+        }
+      });
+    }
+
+    if (this.elements.viewToggle) {
+      this.elements.viewToggle.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-view]');
+        if (button) {
+          this.setView(button.dataset.view);
+        }
+      });
+    }
+
+    if (this.elements.graphHops) {
+      this.elements.graphHops.addEventListener('change', (e) => {
+        if (this.graphView) {
+          this.graphView.setHops(Number(e.target.value));
+        }
+      });
+    }
+
+    // Cards are re-rendered often, so their controls use delegated listeners
+    if (this.elements.container) {
+      this.elements.container.addEventListener('click', (e) => {
+        const related = e.target.closest('.related-term-exists');
+        if (related) {
+          this.navigateToTerm(related.dataset.termId, false);
+          return;
+        }
+
+        const action = e.target.closest('[data-action]');
+        const card = e.target.closest('article[data-term-id]');
+        if (!action || !card) return;
+
+        if (action.dataset.action === 'toggle-star') {
+          this.collections.toggleStar(card.dataset.termId);
+        } else if (action.dataset.action === 'open-collections') {
+          this.renderCollectionMenu(action.closest('details'), card.dataset.termId);
+        } else if (action.dataset.action === 'new-collection') {
+          this.createCollection(card.dataset.termId);
+          this.renderCollectionMenu(action.closest('details'), card.dataset.termId);
+        } else if (action.dataset.action === 'open-share') {
+          this.prepareShareCard(card.dataset.termId);
+        } else if (action.dataset.action === 'share-term') {
+          this.shareTerm(card.dataset.termId);
+        } else if (action.dataset.action === 'copy-markdown') {
+          this.copyTermMarkdown(card.dataset.termId);
+        } else if (action.dataset.action === 'download-card') {
+          this.downloadShareCard(card.dataset.termId);
+        }
+      });
+
+      this.elements.container.addEventListener('keydown', (e) => {
+        const related = e.target.closest('.related-term-exists');
+        if (related && (e.key === 'Enter' || e.key === ' ')) {
+          e.preventDefault();
+          this.navigateToTerm(related.dataset.termId, false);
+        }
+      });
+
+      this.elements.container.addEventListener('change', (e) => {
+        const checkbox = e.target.closest('input[data-collection-id]');
+        const card = e.target.closest('article[data-term-id]');
+        if (checkbox && card) {
+          this.collections.toggleTerm(checkbox.dataset.collectionId, card.dataset.termId, checkbox.checked);
+        }
+      });
+    }
+
+    if (this.elements.collectionSelect) {
+      this.elements.collectionSelect.addEventListener('change', (e) => {
+        this.core.setCollection(e.target.value || null);
+        this.updateUrl();
+      });
+    }
+
+    if (this.elements.collectionBar) {
+      this.elements.collectionBar.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-collection-action]');
+        if (button) {
+          this.handleCollectionAction(button.dataset.collectionAction);
+        }
+      });
+    }
+
+    if (this.elements.collectionImport) {
+      this.elements.collectionImport.addEventListener('change', (e) => {
+        const [file] = e.target.files;
+        if (file) {
+          this.importCollections(file);
+        }
+        e.target.value = '';
+      });
+    }
+
+    if (this.elements.exportControls) {
+      this.elements.exportControls.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-export-format]');
+        if (button) {
+          const scope = this.elements.exportScope ? this.elements.exportScope.value : 'filtered';
+          this.exportGlossary(button.dataset.exportFormat, scope);
+        }
+      });
+    }
+  }
+
+  /**
+   * Run the command for a keyboard shortcut
+   * Single-key shortcuts are ignored while typing (see {@link matchShortcut}).
+   * @param {KeyboardEvent} event
+   */
+  handleShortcut(event) {
+    const command = matchShortcut(event);
+    if (!command) return;
+
+    const helpOpen = this.isShortcutHelpOpen();
+    if (command === 'close') {
+      if (this.commandPalette && this.commandPalette.isOpen) {
+        this.commandPalette.close();
+      } else if (helpOpen) {
+        this.toggleShortcutHelp(false);
+      }
+      return;
+    }
+    // The palette handles its own keys while open
+    if (command !== 'palette' && ((this.commandPalette && this.commandPalette.isOpen) || (helpOpen && command !== 'help'))) {
+      return;
+    }
+
+    event.preventDefault();
+    switch (command) {
+      case 'palette':
+        this.toggleShortcutHelp(false);
+        this.openCommandPalette(true);
+        break;
+      case 'focus-search':
+        if (this.elements.searchInput) {
+          this.setView('cards');
+          this.elements.searchInput.focus();
+          this.elements.searchInput.select();
+        }
+        break;
+      case 'next-card':
+        this.focusCard(1);
+        break;
+      case 'previous-card':
+        this.focusCard(-1);
+        break;
+      case 'help':
+        this.toggleShortcutHelp(!helpOpen);
+        break;
+    }
+  }
+
+  /**
+   * Open the command palette, creating it on first use
+   * @param {boolean} [toggle] - Close it instead if it is already open
+   */
+  openCommandPalette(toggle = false) {
+    if (!this.elements.commandPalette) return;
+
+    if (!this.commandPalette) {
+      this.commandPalette = new CommandPalette(this.elements.commandPalette, {
+        getCommands: () => this.getPaletteCommands(),
+        translate: (key, params) => this.t(key, params)
+      });
+    }
+
+    if (toggle) {
+      this.commandPalette.toggle();
+    } else {
+      this.commandPalette.open();
+    }
+  }
+
+  /**
+   * Commands offered by the palette: views and actions first, then
+   * categories, then every term
+   * @returns {import('./src/command-palette.js').PaletteCommand[]}
+   */
+  getPaletteCommands() {
+    const view = (id, label) => ({
+      id: `view:${id}`,
+      group: this.t('palette.groupView'),
+      label: this.t(label),
+      run: () => this.setView(id)
+    });
+    const category = (id, label) => ({
+      id: `category:${id}`,
+      group: this.t('palette.groupCategory'),
+      label,
+      run: () => {
+        this.setView('cards');
+        this.setCategory(id);
+      }
+    });
+
+    const commands = [
+      view('cards', 'palette.showCards'),
+      view('graph', 'palette.showGraph'),
+      view('study', 'palette.study'),
+      view('stats', 'palette.showStats'),
+      view('editor', 'palette.openEditor'),
+      {
+        id: 'action:clear-history',
+        group: this.t('palette.groupAction'),
+        label: this.t('breadcrumb.clear'),
+        run: () => this.clearHistory()
+      },
+      {
+        id: 'action:shortcuts',
+        group: this.t('palette.groupAction'),
+        label: this.t('palette.showShortcuts'),
+        run: () => this.toggleShortcutHelp(true)
+      },
+      ...this.themes.getThemes().map(theme => ({
+        id: `theme:${theme.name}`,
+        group: this.t('palette.groupAction'),
+        label: this.t('palette.theme', { theme: this.getThemeLabel(theme) }),
+        run: () => this.setTheme(theme.name)
+      }))
+    ];
+    if (!this.data) return commands;
+
+    return [
+      ...commands,
+      category('all', this.t('filters.all')),
+      ...this.data.categories.map(name => category(name, name)),
+      category(SAVED_CATEGORY, this.t('filters.saved')),
+      ...this.data.terms.map(term => {
+        const localized = this.core.localizeTerm(term);
+        return {
+          id: `term:${term.id}`,
+          group: this.t('palette.groupTerm'),
+          label: localized.term,
+          hint: localized.fullForm || '',
+          // Find terms by their English name too, as search does
+          keywords: [term.term, localized.fullForm, ...(term.aliases || []), term.id].filter(Boolean),
+          run: () => {
+            if (this.view === 'editor') {
+              this.setView('cards');
+            }
+            this.navigateToTerm(term.id);
+          }
+        };
+      })
+    ];
+  }
+
+  /**
+   * Whether the shortcut overview is showing
+   * @returns {boolean}
+   */
+  isShortcutHelpOpen() {
+    return Boolean(this.elements.shortcutHelp) && !this.elements.shortcutHelp.classList.contains('hidden');
+  }
+
+  /**
+   * Show or hide the shortcut overview
+   * @param {boolean} show
+   */
+  toggleShortcutHelp(show) {
+    const overlay = this.elements.shortcutHelp;
+    if (!overlay || show === this.isShortcutHelpOpen()) return;
+
+    if (show) {
+      this.shortcutHelpReturnFocus = document.activeElement;
+      overlay.innerHTML = renderShortcutHelp((key, params) => this.t(key, params));
+      overlay.classList.remove('hidden');
+      overlay.querySelector('.overlay-close').focus();
+    } else {
+      overlay.classList.add('hidden');
+      overlay.innerHTML = '';
+      if (this.shortcutHelpReturnFocus && typeof this.shortcutHelpReturnFocus.focus === 'function') {
+        this.shortcutHelpReturnFocus.focus();
+      }
+      this.shortcutHelpReturnFocus = null;
+    }
+  }
+
+  /**
+   * Move keyboard focus to the next or previous card
+   * Starts from the focused card, or the first card when none is.
+   * @param {number} offset - 1 for the next card, -1 for the previous one
+   * @returns {HTMLElement|null} The focused card
+   */
+  focusCard(offset) {
+    if (this.view !== 'cards' || this.filteredTerms.length === 0) return null;
+
+    const active = document.activeElement && document.activeElement.closest
+      ? document.activeElement.closest('article[data-term-id]')
+      : null;
+    const currentId = active ? active.dataset.termId : this.focusedTermId;
+    const current = this.filteredTerms.findIndex(term => term.id === currentId);
+    const index = current === -1
+      ? 0
+      : Math.min(this.filteredTerms.length - 1, Math.max(0, current + offset));
+    const termId = this.filteredTerms[index].id;
+
+    let card = document.querySelector(`article[data-term-id="${termId}"]`);
+    // Long lists only render cards near the viewport
+    if (!card && this.virtualGrid) {
+      card = this.virtualGrid.scrollToIndex(index);
+    }
+    if (!card) return null;
+
+    this.focusedTermId = termId;
+    // Focusable by script only, so cards don't add tab stops
+    card.setAttribute('tabindex', '-1');
+    card.focus();
+    if (typeof card.scrollIntoView === 'function') {
+      card.scrollIntoView({ block: 'nearest' });
+    }
+    return card;
+  }
+
+  /**
+   * Export the whole glossary or the current results
+   * Markdown, CSV and JSON are downloaded; `html` opens a print-optimised
+   * page so the browser can save it as PDF.
+   * @param {'markdown'|'csv'|'json'|'html'} format
+   * @param {'filtered'|'all'} scope - Current results (category + search) or every term
+   * @returns {string} The exported content
+   */
+  exportGlossary(format, scope = 'filtered') {
+    if (!this.data) return '';
+
+    const selected = scope === 'all' ? this.data.terms : this.filteredTerms;
+    // JSON stays in glossary format (with translations); the rest is written in the active language
+    const terms = format === 'json' ? selected : selected.map(term => this.core.localizeTerm(term));
+    const content = exportTerms(format, terms, {
+      locale: this.locale,
+      translate: (key, params) => this.t(key, params),
+      title: this.getExportTitle(scope),
+      categories: this.data.categories,
+      resolve: (name, term) => this.findTermIdByName(name, term.source)
+    });
+
+    if (format === 'html' && this.openPrintWindow(content)) {
+      return content;
+    }
+
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    downloadFile(`tech-glossary.${extension}`, content, mimeType);
+    return content;
+  }
+
+  /**
+   * Title describing what an export contains
+   * @param {'filtered'|'all'} scope
+   * @returns {string}
+   */
+  getExportTitle(scope) {
+    const parts = [];
+    if (scope !== 'all') {
+      if (this.currentCategory === SAVED_CATEGORY) {
+        parts.push(this.t('filters.saved'));
+      } else if (this.core.facets.length > 0) {
+        const type = this.core.facetMode === FacetMode.ALL ? 'conjunction' : 'disjunction';
+        parts.push(new Intl.ListFormat(this.locale, { type }).format(this.core.facets));
+      }
+      if (this.searchQuery) {
+        parts.push(this.t('export.matching', { query: this.searchQuery }));
+      }
+    }
+    return parts.length > 0 ? this.t('export.titleFiltered', { filters: parts.join(', ') }) : this.t('export.title');
+  }
+
+  /**
+   * Open HTML in a new window and show the print dialog
+   * @param {string} html
+   * @returns {boolean} False if the popup was blocked
+   */
+  openPrintWindow(html) {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return false;
+
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return true;
+  }
+
+  /**
+   * Switch between the card grid, the related-terms graph, study mode, usage statistics and the term editor
+   * @param {'cards'|'graph'|'study'|'stats'|'editor'} view
+   */
+  setView(view) {
+    this.view = ['graph', 'study', 'stats', 'editor'].includes(view) ? view : 'cards';
+    const showGraph = this.view === 'graph';
+
+    if (showGraph && !this.graphView && this.elements.graphContainer) {
+      this.graphView = new GraphView(this.core, this.elements.graphContainer, {
+        translate: (key, params) => this.t(key, params),
+        onSelect: termId => this.navigateToTerm(termId),
+        hops: this.elements.graphHops ? Number(this.elements.graphHops.value) : 1
+      });
+    }
+    if (this.view === 'study' && !this.studyView && this.elements.studyContainer) {
+      this.studyView = new StudyView(this.core, this.elements.studyContainer, {
+        translate: (key, params) => this.t(key, params),
+        // Missed terms open on their card
+        onSelect: termId => {
+          this.setView('cards');
+          this.navigateToTerm(termId);
+        }
+      });
+    }
+    if (this.view === 'stats' && !this.statsView && this.elements.statsContainer && this.usageStats) {
+      this.statsView = new StatsView(this.core, this.elements.statsContainer, {
+        stats: this.usageStats,
+        translate: (key, params) => this.t(key, params),
+        onSelect: termId => {
+          this.setView('cards');
+          this.navigateToTerm(termId);
+        }
+      });
+    }
+    if (this.view === 'editor') {
+      this.openEditor();
+    }
+
+    const sections = {
+      cards: this.elements.cardsSection,
+      graph: this.elements.graphSection,
+      study: this.elements.studySection,
+      stats: this.elements.statsSection,
+      editor: this.elements.editorSection
+    };
+    Object.entries(sections).forEach(([name, section]) => {
+      if (section) {
+        section.classList.toggle('hidden', name !== this.view);
+      }
+    });
+    if (this.elements.viewToggle) {
+      this.elements.viewToggle.querySelectorAll('[data-view]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.view === this.view));
+      });
+    }
+    if (this.graphView) {
+      this.graphView.setVisible(showGraph);
+    }
+    if (this.studyView) {
+      this.studyView.setVisible(this.view === 'study');
+    }
+    if (this.statsView) {
+      this.statsView.setVisible(this.view === 'stats');
+    }
+  }
+
+  /**
+   * Open the term editor, loading it on first use
+   * @returns {Promise<TermEditor|null>}
+   */
+  openEditor() {
+    if (!this.editorLoading) {
+      this.editorLoading = this.createTermEditor();
+    }
+    return this.editorLoading;
+  }
+
+  /**
+   * Load the primary data file into a draft and render the editor
+   * The file is fetched again rather than taken from the core, which sorts
+   * and merges terms; the downloaded file then keeps its original order.
+   * @returns {Promise<TermEditor|null>}
+   */
+  async createTermEditor() {
+    if (!this.elements.editorContainer) return null;
+
+    try {
+      const response = await this.core.fetch(this.core.dataUrl);
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      this.termEditor = new TermEditor(new GlossaryDraft(await response.json()), this.elements.editorContainer, {
+        translate: (key, params) => this.t(key, params)
+      });
+    } catch (error) {
+      // Let the next visit to the editor try again
+      this.editorLoading = null;
+      this.elements.editorContainer.innerHTML = `
+        <p class="editor-status editor-status-error">${escapeHtml(this.t('editor.openFailed', { error: error.message }))}</p>
+      `;
+    }
+    return this.termEditor;
+  }
+
+  /**
+   * Load glossary data from JSON file
+   * Validation warnings are logged once per load, for whoever maintains the data.
+   * @returns {Promise<void>}
+   */
+  async loadData() {
+    await this.core.loadData();
+
+    const warnings = this.validationReport.issues.filter(issue => issue.severity === Severity.WARNING);
+    if (warnings.length > 0) {
+      console.warn(`Glossary data has ${warnings.length} warning(s):`, warnings.map(issue => issue.message));
+    }
+  }
+
+  /**
+   * Render the filter bar: All, one facet per category, Saved, New & updated,
+   * the AND/OR toggle and Clear filters
+   */
+  renderCategoryFilters() {
+    if (!this.elements.categoryFilter || !this.data) return;
+
+    this.elements.categoryFilter.innerHTML = `
+      <button class="filter-button" data-category="all" aria-pressed="false">${this.t('filters.all')}</button>
+      ${this.data.categories.map(category => `
+        <button class="filter-button" data-facet="${this.escapeHtml(category)}" aria-pressed="false">
+          ${this.escapeHtml(category)} <span class="facet-count" aria-hidden="true"></span>
+        </button>
+      `).join('')}
+      <button class="filter-button" data-category="${SAVED_CATEGORY}" aria-pressed="false">
+        <span aria-hidden="true">★</span> ${this.t('filters.saved')}
+      </button>
+      <button class="filter-button" data-recent aria-pressed="false">${this.t('filters.recent')}</button>
+      <div class="facet-mode" role="group" aria-label="${this.escapeHtml(this.t('filters.modeLabel'))}">
+        <button type="button" data-facet-mode="${FacetMode.ANY}" aria-pressed="false">${this.t('filters.matchAny')}</button>
+        <button type="button" data-facet-mode="${FacetMode.ALL}" aria-pressed="false">${this.t('filters.matchAll')}</button>
+      </div>
+      <button type="button" class="facet-clear" data-facet-action="clear" hidden>${this.t('filters.clear')}</button>
+    `;
+
+    // Click handlers are delegated in attachEventListeners()
+    this.updateActiveFilterButton();
+  }
+
+  /**
+   * Update active state and counts of the filter buttons
+   */
+  updateActiveFilterButton() {
+    if (!this.elements.categoryFilter) return;
+
+    const { facets, facetMode, facetCounts, showSaved } = this.core;
+
+    this.elements.categoryFilter.querySelectorAll('[data-category], [data-facet]').forEach(btn => {
+      const { category, facet } = btn.dataset;
+      let isActive;
+      if (facet) {
+        isActive = facets.includes(facet);
+        const count = facetCounts[facet] ?? 0;
+        btn.setAttribute('aria-label', this.t('filters.facet', { category: facet, count }));
+        btn.querySelector('.facet-count').textContent = String(count);
+      } else {
+        isActive = category === SAVED_CATEGORY ? showSaved : !showSaved && facets.length === 0;
+      }
+      // Colors for the pressed state come from the theme (styles.css)
+      btn.setAttribute('aria-pressed', String(isActive));
+    });
+
+    const recent = this.elements.categoryFilter.querySelector('[data-recent]');
+    if (recent) {
+      recent.setAttribute('aria-pressed', String(this.core.showRecent));
+    }
+
+    this.elements.categoryFilter.querySelectorAll('[data-facet-mode]').forEach(btn => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.facetMode === facetMode));
+    });
+
+    const clear = this.elements.categoryFilter.querySelector('[data-facet-action="clear"]');
+    if (clear) {
+      clear.hidden = facets.length === 0;
+    }
+  }
+
+  /**
+   * Show the collection picker while the Saved filter is active
+   */
+  renderCollectionBar() {
+    if (!this.elements.collectionBar) return;
+
+    const isSaved = this.currentCategory === SAVED_CATEGORY;
+    this.elements.collectionBar.classList.toggle('hidden', !isSaved);
+    if (!isSaved || !this.elements.collectionSelect) return;
+
+    const options = [{ id: '', name: this.t('collection.allSaved'), count: this.collections.getTermIds().size }]
+      .concat(this.collections.getCollections().map(({ id, name, termIds }) => ({ id, name, count: termIds.length })));
+
+    this.elements.collectionSelect.innerHTML = options.map(({ id, name, count }) => `
+      <option value="${this.escapeHtml(id)}" ${id === (this.currentCollection || '') ? 'selected' : ''}>
+        ${this.escapeHtml(name)} (${count})
+      </option>
+    `).join('');
+
+    // The built-in Starred collection can't be renamed or deleted
+    const isCustom = Boolean(this.currentCollection) && this.currentCollection !== STARRED_COLLECTION_ID;
+    this.elements.collectionBar.querySelectorAll('[data-collection-action="rename"], [data-collection-action="delete"]')
+      .forEach(button => {
+        button.disabled = !isCustom;
+      });
+  }
 
-/**
- * @typedef {Object} GlossaryData
- * @property {GlossaryTerm[]} terms - Array of glossary terms
- * @property {string[]} categories - Available categories
- */
+  /**
+   * Fill a card's "Add to collection" menu
+   * Built when the menu is opened so it always lists current collections.
+   * @param {HTMLDetailsElement|null} menu
+   * @param {string} termId
+   */
+  renderCollectionMenu(menu, termId) {
+    const items = menu && menu.querySelector('.collection-menu-items');
+    if (!items) return;
+
+    const collections = this.collections.getCollections()
+      .filter(collection => collection.id !== STARRED_COLLECTION_ID);
+
+    items.innerHTML = collections.map(collection => `
+      <label class="collection-menu-item">
+        <input
+          type="checkbox"
+          data-collection-id="${this.escapeHtml(collection.id)}"
+          ${collection.termIds.includes(termId) ? 'checked' : ''}
+        >
+        ${this.escapeHtml(collection.name)}
+      </label>
+    `).join('') + `
+      <button type="button" class="collection-menu-new" data-action="new-collection">${this.t('card.newCollection')}</button>
+    `;
+  }
 
-class TechGlossary {
   /**
-   * @param {string} dataUrl - URL to the glossary JSON file
+   * Reflect starred state on the rendered cards without re-rendering them
    */
-  constructor(dataUrl = './data/glossary.json') {
-    this.dataUrl = dataUrl;
-    /** @type {GlossaryData|null} */
-    this.data = null;
-    this.filteredTerms = [];
-    this.currentCategory = 'all';
-    this.searchQuery = '';
-    this.navigationHistory = [];
-    
-    // DOM element references
-    this.elements = {
-      container: null,
-      searchInput: null,
-      categoryFilter: null,
-      termCount: null,
-      loadingIndicator: null,
-      errorContainer: null,
-      breadcrumbNav: null,
-      breadcrumbItems: null,
-      clearHistoryBtn: null
-    };
+  updateSavedControls() {
+    if (!this.elements.container) return;
+
+    this.elements.container.querySelectorAll('article[data-term-id]').forEach(card => {
+      const button = card.querySelector('[data-action="toggle-star"]');
+      if (!button) return;
+
+      const starred = this.collections.isStarred(card.dataset.termId);
+      button.setAttribute('aria-pressed', String(starred));
+      button.textContent = starred ? '★' : '☆';
+    });
   }
 
   /**
-   * Initialize the glossary application
+   * Ask for a name and create a collection
+   * @param {string} [termId] - Term to add to the new collection
+   * @returns {import('./src/collections.js').Collection|null} The collection, or null if cancelled
    */
-  async init() {
-    try {
-      this.cacheElements();
-      this.initializeHistory();
-      this.attachEventListeners();
-      this.showLoading();
-      
-      await this.loadData();
-      this.renderCategoryFilters();
-      this.filterAndRender();
-      this.renderBreadcrumb();
-      
-      this.hideLoading();
-    } catch (error) {
-      this.handleError(error);
+  createCollection(termId) {
+    const name = window.prompt(this.t('collection.namePrompt'));
+    if (!name || !name.trim()) return null;
+
+    const collection = this.collections.createCollection(name);
+    if (termId) {
+      this.collections.toggleTerm(collection.id, termId, true);
     }
+    return collection;
   }
 
   /**
-   * Cache DOM element references
+   * What a shared term consists of, in the active language
+   * @param {string} termId
+   * @returns {{term: import('./src/share.js').ShareTerm, url: string, linkText: string, footer: string, color: string}|null}
    */
-  cacheElements() {
-    this.elements = {
-      container: document.getElementById('glossary-container'),
-      searchInput: document.getElementById('search-input'),
-      categoryFilter: document.getElementById('category-filter'),
-      termCount: document.getElementById('term-count'),
-      loadingIndicator: document.getElementById('loading'),
-      errorContainer: document.getElementById('error'),
-      breadcrumbNav: document.getElementById('breadcrumb-nav'),
-      breadcrumbItems: document.getElementById('breadcrumb-items'),
-      clearHistoryBtn: document.getElementById('clear-history')
+  getShareContent(termId) {
+    const term = this.core.getTerm(termId);
+    if (!term) return null;
+
+    const { term: name, fullForm, definition } = this.core.localizeTerm(term);
+    return {
+      term: { term: name, fullForm, definition, category: term.category },
+      url: new URL(this.buildUrl({ termId }), window.location.href).href,
+      linkText: this.t('share.linkText', { term: name }),
+      footer: this.t('share.footer'),
+      color: categoryColor(term.category, this.data.categories)
     };
   }
 
   /**
-   * Initialize navigation history from sessionStorage
+   * Start drawing a term's definition card, e.g. when its Share menu opens
+   * Sharing must start while the click that asked for it still counts as a
+   * user action, so the card has to be ready before then.
+   * @param {string} termId
+   * @returns {Promise<Blob|null>} The image, or null where the browser can't draw one
    */
-  initializeHistory() {
-    try {
-      const stored = sessionStorage.getItem('glossary-navigation-history');
-      if (stored) {
-        this.navigationHistory = JSON.parse(stored);
-      }
-    } catch (error) {
-      console.warn('Failed to load navigation history:', error);
-      this.navigationHistory = [];
+  prepareShareCard(termId) {
+    const key = `${this.core.locale}:${termId}`;
+    if (this.shareCards.has(key)) {
+      return this.shareCards.get(key).promise;
     }
+
+    const content = this.getShareContent(termId);
+    const entry = { promise: null, image: undefined };
+    entry.promise = (content ? renderShareCard(content.term, { color: content.color, footer: content.footer }) : Promise.resolve(null))
+      .catch(error => {
+        console.warn('Failed to draw the definition card:', error);
+        return null;
+      })
+      .then(image => {
+        entry.image = image;
+        return image;
+      });
+    this.shareCards.set(key, entry);
+    return entry.promise;
   }
 
   /**
-   * Save navigation history to sessionStorage
+   * Share a term through the system share sheet, or copy its snippet and link
+   * The share sheet opens straight away; the definition card goes along
+   * when it was drawn beforehand (see {@link TechGlossary#prepareShareCard}).
+   * @param {string} termId
+   * @returns {Promise<string|null>} One of ShareResult, or null if nothing was shared
    */
-  saveHistory() {
+  async shareTerm(termId) {
+    const content = this.getShareContent(termId);
+    if (!content) return null;
+
     try {
-      sessionStorage.setItem('glossary-navigation-history', JSON.stringify(this.navigationHistory));
+      const prepared = this.shareCards.get(`${this.core.locale}:${termId}`);
+      const file = prepared && prepared.image && typeof File === 'function'
+        ? new File([prepared.image], shareCardFilename(termId), { type: 'image/png' })
+        : null;
+
+      const result = await shareTerm(content.term, { url: content.url, file, linkText: content.linkText }, { navigator: this.navigator });
+      if (result === ShareResult.COPIED) {
+        this.announce(this.t('share.copied', { term: content.term.term }));
+      }
+      return result;
     } catch (error) {
-      console.warn('Failed to save navigation history:', error);
+      console.warn('Failed to share term:', error);
+      this.announce(this.t('share.failed', { term: content.term.term }));
+      return null;
     }
   }
 
   /**
-   * Add term to navigation history
+   * Copy a term's Markdown snippet, with its link, to the clipboard
    * @param {string} termId
+   * @returns {Promise<string|null>} The snippet, or null if it couldn't be copied
    */
-  addToHistory(termId) {
-    // Avoid duplicate consecutive entries
-    if (this.navigationHistory.length > 0 && 
-        this.navigationHistory[this.navigationHistory.length - 1] === termId) {
-      return;
-    }
-    
-    this.navigationHistory.push(termId);
-    this.saveHistory();
-    this.renderBreadcrumb();
-  }
+  async copyTermMarkdown(termId) {
+    const content = this.getShareContent(termId);
+    if (!content) return null;
 
-  /**
-   * Clear navigation history
-   */
-  clearHistory() {
-    this.navigationHistory = [];
-    this.saveHistory();
-    this.renderBreadcrumb();
+    const markdown = formatTermMarkdown(content.term, content.url, content.linkText);
+    try {
+      await this.navigator.clipboard.writeText(markdown);
+      this.announce(this.t('share.markdownCopied', { term: content.term.term }));
+      return markdown;
+    } catch (error) {
+      console.warn('Failed to copy term:', error);
+      this.announce(this.t('share.failed', { term: content.term.term }));
+      return null;
+    }
   }
 
   /**
-   * Navigate to a specific term
-   * @param {string} termId - The ID of the term to navigate to
-   * @param {boolean} fromBreadcrumb - Whether navigation is from breadcrumb click
+   * Download a term's definition card as a PNG
+   * @param {string} termId
+   * @returns {Promise<Blob|null>} The image, or null where the browser can't draw one
    */
-  navigateToTerm(termId, fromBreadcrumb = false) {
-    if (!this.data) return;
-
-    const term = this.data.terms.find(t => t.id === termId);
-    if (!term) {
-      console.warn(`Term with ID "${termId}" not found`);
-      return;
-    }
+  async downloadShareCard(termId) {
+    const content = this.getShareContent(termId);
+    if (!content) return null;
 
-    // Handle breadcrumb navigation (remove terms after clicked item)
-    if (fromBreadcrumb) {
-      const index = this.navigationHistory.indexOf(termId);
-      if (index !== -1) {
-        this.navigationHistory = this.navigationHistory.slice(0, index + 1);
-        this.saveHistory();
-      }
-    } else {
-      // Add to history for regular navigation
-      this.addToHistory(termId);
+    const image = await this.prepareShareCard(termId);
+    if (!image) {
+      this.announce(this.t('share.imageUnavailable'));
+      return null;
     }
 
-    // Clear search and reset to 'all' category to ensure term is visible
-    this.searchQuery = '';
-    this.currentCategory = 'all';
-    if (this.elements.searchInput) {
-      this.elements.searchInput.value = '';
-    }
-    
-    // Update category filter buttons
-    this.updateActiveFilterButton();
-    
-    // Re-render the terms
-    this.filterAndRender();
-    
-    // Update breadcrumb
-    this.renderBreadcrumb();
-    
-    // Scroll to the term with highlight effect
-    this.scrollToTerm(termId);
+    downloadFile(shareCardFilename(termId), image);
+    this.announce(this.t('share.imageDownloaded', { term: content.term.term }));
+    return image;
   }
 
   /**
-   * Scroll to a specific term and highlight it
-   * @param {string} termId
+   * Run a collection bar action
+   * @param {'new'|'rename'|'delete'|'export'|'import'} action
    */
-  scrollToTerm(termId) {
-    // Wait for DOM to update
-    setTimeout(() => {
-      const targetCard = document.querySelector(`[data-term-id="${termId}"]`);
-      if (targetCard) {
-        // Smooth scroll to the card
-        targetCard.scrollIntoView({ 
-          behavior: 'smooth', 
-          block: 'center' 
-        });
-        
-        // Add highlight effect
-        targetCard.classList.add('highlight-target');
-        
-        // Remove highlight after animation
-        setTimeout(() => {
-          targetCard.classList.remove('highlight-target');
-        }, 1500);
+  handleCollectionAction(action) {
+    const current = this.currentCollection ? this.collections.getCollection(this.currentCollection) : null;
+
+    switch (action) {
+      case 'new': {
+        const collection = this.createCollection();
+        if (collection) {
+          this.core.setCollection(collection.id);
+          this.updateUrl();
+        }
+        break;
       }
-    }, 100);
+      case 'rename': {
+        if (!current) return;
+        const name = window.prompt(this.t('collection.renamePrompt'), current.name);
+        if (name && name.trim()) {
+          this.collections.renameCollection(current.id, name);
+        }
+        break;
+      }
+      case 'delete':
+        if (current && window.confirm(this.t('collection.confirmDelete', { name: current.name }))) {
+          this.collections.deleteCollection(current.id);
+          this.updateUrl(true);
+        }
+        break;
+      case 'export':
+        this.exportCollections();
+        break;
+      case 'import':
+        if (this.elements.collectionImport) {
+          this.elements.collectionImport.click();
+        }
+        break;
+    }
   }
 
   /**
-   * Attach event listeners
+   * Download the selected collection (or all of them) as JSON
+   * @returns {string} The exported JSON
    */
-  attachEventListeners() {
-    if (this.elements.searchInput) {
-      this.elements.searchInput.addEventListener('input', (e) => {
-        this.searchQuery = e.target.value.toLowerCase();
-        this.filterAndRender();
-      });
-    }
-
-    // Category filter click handlers are attached in renderCategoryFilters()
+  exportCollections() {
+    const json = this.collections.exportJson(this.currentCollection ? [this.currentCollection] : undefined);
+    const filename = `glossary-collections${this.currentCollection ? `-${this.currentCollection}` : ''}.json`;
 
-    if (this.elements.clearHistoryBtn) {
-      this.elements.clearHistoryBtn.addEventListener('click', () => {
-        this.clearHistory();
-      });
-    }
+    downloadFile(filename, json, 'application/json');
+    return json;
   }
 
   /**
-   * Load glossary data from JSON file
+   * Merge collections from a JSON file shared by a teammate
+   * @param {Blob} file
    * @returns {Promise<void>}
    */
-  async loadData() {
+  async importCollections(file) {
     try {
-      const response = await fetch(this.dataUrl);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      this.data = await response.json();
-      
-      if (!this.data.terms || !Array.isArray(this.data.terms)) {
-        throw new Error('Invalid data format: terms array not found');
-      }
-      
-      // Sort terms alphabetically
-      this.data.terms.sort((a, b) => a.term.localeCompare(b.term));
-      
+      const { collections, terms } = this.collections.importJson(await file.text());
+      this.showCollectionStatus(this.t('collection.imported', {
+        collections: this.t('collection.importedCollections', { count: collections }),
+        terms: this.t('collection.importedTerms', { count: terms })
+      }));
     } catch (error) {
-      throw new Error(`Failed to load glossary data: ${error.message}`);
+      this.showCollectionStatus(error.message);
     }
   }
 
   /**
-   * Render category filter buttons
+   * Show the outcome of a collection import
+   * @param {string} message
    */
-  renderCategoryFilters() {
-    if (!this.elements.categoryFilter || !this.data) return;
-
-    const categories = ['all', ...this.data.categories];
-    
-    this.elements.categoryFilter.innerHTML = categories.map(category => `
-      <button 
-        class="px-4 py-2 rounded-lg font-medium transition-all duration-200
-               ${category === 'all' 
-                 ? 'bg-blue-600 text-white shadow-md' 
-                 : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}"
-        data-category="${category}"
-      >
-        ${category === 'all' ? 'All' : category}
-      </button>
-    `).join('');
-
-    // Add click handlers to filter buttons
-    this.elements.categoryFilter.addEventListener('click', (e) => {
-      if (e.target.tagName === 'BUTTON') {
-        this.currentCategory = e.target.dataset.category;
-        this.updateActiveFilterButton();
-        this.filterAndRender();
-      }
-    });
+  showCollectionStatus(message) {
+    if (this.elements.collectionStatus) {
+      this.elements.collectionStatus.textContent = message;
+    }
   }
 
   /**
-   * Update active state of filter buttons
+   * Filter terms based on search query and category
+   * @returns {GlossaryTerm[]}
    */
-  updateActiveFilterButton() {
-    if (!this.elements.categoryFilter) return;
+  filterTerms() {
+    return this.core.filterTerms();
+  }
 
-    const buttons = this.elements.categoryFilter.querySelectorAll('button');
-    buttons.forEach(btn => {
-      const isActive = btn.dataset.category === this.currentCategory;
-      btn.className = `px-4 py-2 rounded-lg font-medium transition-all duration-200 ${
-        isActive 
-          ? 'bg-blue-600 text-white shadow-md' 
-          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-      }`;
-    });
+  /**
+   * Highlight pattern for the most recent search, rebuilt when results change
+   * @returns {RegExp|null}
+   */
+  getHighlightPattern() {
+    const results = this.core.searchResults;
+    if (!this.highlightCache || this.highlightCache.results !== results) {
+      this.highlightCache = { results, pattern: this.buildHighlightPattern(results) };
+    }
+    return this.highlightCache.pattern;
   }
 
   /**
-   * Filter terms based on search query and category
-   * @returns {GlossaryTerm[]}
+   * Build a pattern matching the query words and the index tokens they hit
+   * @param {import('./src/search-index.js').SearchResult[]} results
+   * @returns {RegExp|null}
    */
-  filterTerms() {
-    if (!this.data) return [];
+  buildHighlightPattern(results) {
+    if (results.length === 0) return null;
 
-    let filtered = this.data.terms;
+    const words = new Set(tokenize(this.searchQuery));
+    results.forEach(result => result.matches.forEach(token => words.add(token)));
+    if (words.size === 0) return null;
 
-    // Filter by category
-    if (this.currentCategory !== 'all') {
-      filtered = filtered.filter(term => term.category === this.currentCategory);
-    }
+    // Longest first so "kubernetes" wins over "kube"
+    const alternatives = [...words]
+      .sort((a, b) => b.length - a.length)
+      .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
 
-    // Filter by search query
-    if (this.searchQuery) {
-      filtered = filtered.filter(term => 
-        term.term.toLowerCase().includes(this.searchQuery) ||
-        term.definition.toLowerCase().includes(this.searchQuery) ||
-        (term.fullForm && term.fullForm.toLowerCase().includes(this.searchQuery))
-      );
-    }
+    return new RegExp(`(${alternatives.join('|')})`, 'giu');
+  }
+
+  /**
+   * Escape text and wrap search matches in <mark>
+   * @param {string} text
+   * @returns {string} HTML string
+   */
+  highlight(text) {
+    const pattern = this.getHighlightPattern();
+    if (!pattern) return this.escapeHtml(text);
 
-    return filtered;
+    return String(text)
+      .split(pattern)
+      .map((part, index) => index % 2 === 1
+        ? `<mark class="search-highlight">${this.escapeHtml(part)}</mark>`
+        : this.escapeHtml(part))
+      .join('');
   }
 
   /**
    * Filter and render glossary terms
    */
   filterAndRender() {
-    this.filteredTerms = this.filterTerms();
-    this.renderTerms();
-    this.updateTermCount();
+    // Rendering happens in the FILTER event handler
+    this.core.filter();
   }
 
   /**
@@ -343,67 +1709,60 @@ class TechGlossary {
   renderTerms() {
     if (!this.elements.container) return;
 
+    if (this.filteredTerms.length > VIRTUALIZE_THRESHOLD) {
+      if (!this.virtualGrid) {
+        this.virtualGrid = new VirtualGrid(this.elements.container, {
+          renderItem: term => this.renderTermCard(term)
+        });
+        this.elements.container.classList.add('virtualized');
+      }
+      this.virtualGrid.setItems(this.filteredTerms);
+      return;
+    }
+
+    if (this.virtualGrid) {
+      this.virtualGrid.destroy();
+      this.virtualGrid = null;
+      this.elements.container.classList.remove('virtualized');
+    }
+
+    if (this.filteredTerms.length === 0 && this.currentCategory === SAVED_CATEGORY && !this.searchQuery) {
+      this.elements.container.innerHTML = `
+        <div class="col-span-full text-center py-12">
+          <h3 class="text-xl font-semibold text-secondary mb-2">${this.t('saved.emptyTitle')}</h3>
+          <p class="text-muted">${this.t('saved.emptyHint')}</p>
+        </div>
+      `;
+      return;
+    }
+
     if (this.filteredTerms.length === 0) {
       this.elements.container.innerHTML = `
         <div class="col-span-full text-center py-12">
-          <svg class="mx-auto h-16 w-16 text-gray-400 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <svg class="mx-auto h-16 w-16 text-muted mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
           </svg>
-          <h3 class="text-xl font-semibold text-gray-700 mb-2">No terms found</h3>
-          <p class="text-gray-500">Try adjusting your search or filter criteria.</p>
+          <h3 class="text-xl font-semibold text-secondary mb-2">${this.t('empty.title')}</h3>
+          <p class="text-muted">${this.t('empty.hint')}</p>
         </div>
       `;
       return;
     }
 
+    // Related-term clicks are handled by a delegated listener (attachEventListeners)
     this.elements.container.innerHTML = this.filteredTerms.map(term => 
       this.renderTermCard(term)
     ).join('');
-
-    // Attach click handlers to related terms
-    this.attachRelatedTermHandlers();
-  }
-
-  /**
-   * Attach click handlers to related term links
-   */
-  attachRelatedTermHandlers() {
-    const relatedTermElements = document.querySelectorAll('.related-term-exists');
-    
-    relatedTermElements.forEach(element => {
-      // Handle click
-      element.addEventListener('click', () => {
-        const termId = element.dataset.termId;
-        if (termId) {
-          this.navigateToTerm(termId, false);
-        }
-      });
-
-      // Handle keyboard navigation (Enter/Space)
-      element.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          const termId = element.dataset.termId;
-          if (termId) {
-            this.navigateToTerm(termId, false);
-          }
-        }
-      });
-    });
   }
 
   /**
    * Check if a term exists in the glossary by name
    * @param {string} termName
+   * @param {string} [preferredSource] - Source namespace to prefer when several define the name
    * @returns {string|null} Term ID if found, null otherwise
    */
-  findTermIdByName(termName) {
-    if (!this.data) return null;
-    
-    const term = this.data.terms.find(t => 
-      t.term.toLowerCase() === termName.toLowerCase()
-    );
-    return term ? term.id : null;
+  findTermIdByName(termName, preferredSource) {
+    return this.core.findTermIdByName(termName, preferredSource);
   }
 
   /**
@@ -412,66 +1771,158 @@ class TechGlossary {
    * @returns {string} HTML string
    */
   renderTermCard(term) {
+    const starred = this.collections.isStarred(term.id);
+    // Fields in the active language, falling back to the default one
+    const localized = this.core.localizeTerm(term);
+    const changeStatus = this.core.getChangeStatus(term);
+    const changelog = getChangelog(term);
+
     return `
       <article 
-        class="bg-white rounded-xl shadow-md hover:shadow-xl transition-shadow duration-300 p-6 border border-gray-100"
+        class="term-card rounded-xl p-6"
         data-term-id="${term.id}"
       >
         <header class="mb-4">
           <div class="flex items-start justify-between mb-2">
-            <h2 class="text-2xl font-bold text-gray-900">${this.escapeHtml(term.term)}</h2>
-            <span class="px-3 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">
-              ${this.escapeHtml(term.category)}
-            </span>
+            <h2 class="text-2xl font-bold text-primary">${this.highlight(localized.term)}</h2>
+            <div class="flex flex-col items-end gap-1">
+              <div class="flex items-center gap-2">
+                ${changeStatus ? this.renderChangeBadge(term, changeStatus) : ''}
+                <span class="term-category px-3 py-1 text-xs font-semibold rounded-full">
+                  ${this.escapeHtml(term.category)}
+                </span>
+                ${getTermCategories(term).slice(1).map(tag => `
+                  <span class="term-tag px-3 py-1 text-xs font-semibold rounded-full">${this.escapeHtml(tag)}</span>
+                `).join('')}
+                <button
+                  type="button"
+                  class="star-button"
+                  data-action="toggle-star"
+                  aria-pressed="${starred}"
+                  aria-label="${this.escapeHtml(this.t('card.star', { term: localized.term }))}"
+                >${starred ? '★' : '☆'}</button>
+              </div>
+              ${term.source && this.core.hasMultipleSources() ? `
+                <span class="source-badge" title="${this.escapeHtml(this.t('card.source', { source: term.source }))}">
+                  ${this.escapeHtml(term.source)}
+                </span>
+              ` : ''}
+            </div>
           </div>
-          ${term.fullForm ? `
-            <p class="text-sm text-gray-600 italic">
-              ${this.escapeHtml(term.fullForm)}
+          ${localized.fullForm ? `
+            <p class="text-sm text-secondary italic">
+              ${this.highlight(localized.fullForm)}
+            </p>
+          ` : ''}
+          ${term.aliases && term.aliases.length > 0 ? `
+            <p class="term-aliases text-sm text-muted mt-1">
+              <span class="font-medium">${this.t('card.aliases')}</span>
+              ${term.aliases.map(alias => this.highlight(alias)).join(', ')}
             </p>
           ` : ''}
         </header>
 
         <div class="mb-4">
-          <p class="text-gray-700 leading-relaxed">
-            ${this.escapeHtml(term.definition)}
+          <p class="text-primary leading-relaxed">
+            ${this.highlight(localized.definition)}
           </p>
         </div>
 
-        ${term.examples && term.examples.length > 0 ? `
+        ${localized.examples && localized.examples.length > 0 ? `
           <div class="mb-4">
-            <h3 class="text-sm font-semibold text-gray-900 mb-2">Examples:</h3>
+            <h3 class="text-sm font-semibold text-primary mb-2">${this.t('card.examples')}</h3>
             <ul class="list-disc list-inside space-y-1">
-              ${term.examples.map(example => `
-                <li class="text-sm text-gray-600">${this.escapeHtml(example)}</li>
+              ${localized.examples.map(example => `
+                <li class="text-sm text-secondary">${this.highlight(example)}</li>
               `).join('')}
             </ul>
           </div>
         ` : ''}
 
         ${term.relatedTerms && term.relatedTerms.length > 0 ? `
-          <div class="pt-4 border-t border-gray-200">
-            <h3 class="text-sm font-semibold text-gray-900 mb-2">Related Terms:</h3>
+          <div class="term-related pt-4">
+            <h3 class="text-sm font-semibold text-primary mb-2">${this.t('card.relatedTerms')}</h3>
             <div class="flex flex-wrap gap-2">
               ${term.relatedTerms.map(related => {
-                const relatedTermId = this.findTermIdByName(related);
+                const relatedTermId = this.findTermIdByName(related, term.source);
                 const isClickable = relatedTermId !== null;
+                // Related terms are stored by their default-locale name
+                const label = isClickable ? this.core.localizeTerm(this.core.getTerm(relatedTermId)).term : related;
                 
                 return `
                   <span 
                     class="${isClickable ? 'related-term-exists' : 'related-term-missing'}"
-                    ${isClickable ? `data-term-id="${relatedTermId}" role="button" tabindex="0" aria-label="Navigate to ${this.escapeHtml(related)}"` : 'aria-label="External reference"'}
+                    ${isClickable
+                      ? `data-term-id="${relatedTermId}" role="button" tabindex="0" aria-label="${this.escapeHtml(this.t('card.navigateTo', { term: label }))}"`
+                      : `aria-label="${this.escapeHtml(this.t('card.externalReference'))}"`}
                   >
-                    ${this.escapeHtml(related)}
+                    ${this.highlight(label)}
                   </span>
                 `;
               }).join('')}
             </div>
           </div>
         ` : ''}
+
+        ${changelog.length > 0 ? `
+          <details class="term-history">
+            <summary>${this.t('card.history')}</summary>
+            <ul>
+              ${[...changelog].reverse().map(entry => `
+                <li><time datetime="${this.escapeHtml(entry.date)}">${this.formatHistoryDate(entry.date)}</time> ${this.escapeHtml(entry.summary)}</li>
+              `).join('')}
+            </ul>
+          </details>
+        ` : ''}
+
+        <div class="card-menus">
+          <details class="collection-menu">
+            <summary data-action="open-collections">${this.t('card.addToCollection')}</summary>
+            <div class="collection-menu-items"></div>
+          </details>
+          <details class="share-menu">
+            <summary data-action="open-share">${this.t('card.share')}</summary>
+            <div class="share-menu-items">
+              <button type="button" data-action="share-term">${this.t('share.link')}</button>
+              <button type="button" data-action="copy-markdown">${this.t('share.copyMarkdown')}</button>
+              <button type="button" data-action="download-card">${this.t('share.downloadImage')}</button>
+            </div>
+          </details>
+        </div>
       </article>
     `;
   }
 
+  /**
+   * "New" or "Updated" badge, with the date in its tooltip
+   * @param {GlossaryTerm} term
+   * @param {string} status - One of ChangeStatus
+   * @returns {string} HTML string
+   */
+  renderChangeBadge(term, status) {
+    const isNew = status === ChangeStatus.NEW;
+    const date = this.formatHistoryDate(isNew ? term.createdAt : term.updatedAt);
+
+    return `
+      <span class="change-badge change-badge-${status}" title="${this.escapeHtml(this.t(isNew ? 'card.addedOn' : 'card.updatedOn', { date }))}">
+        ${this.t(isNew ? 'card.new' : 'card.updated')}
+      </span>
+    `;
+  }
+
+  /**
+   * Format a history date for the active language
+   * @param {string} value - YYYY-MM-DD or ISO 8601 date-time
+   * @returns {string}
+   */
+  formatHistoryDate(value) {
+    const time = parseTimestamp(value);
+    if (time === null) return '';
+
+    // Dates without a time are midnight UTC; show them as the same day everywhere
+    return new Intl.DateTimeFormat(this.locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(time);
+  }
+
   /**
    * Render breadcrumb navigation
    */
@@ -489,20 +1940,18 @@ class TechGlossary {
 
     // Get term details for each ID in history
     const breadcrumbTerms = this.navigationHistory
-      .map(termId => {
-        if (!this.data) return null;
-        return this.data.terms.find(t => t.id === termId);
-      })
+      .map(termId => this.core.getTerm(termId))
       .filter(term => term !== null);
 
     // Render breadcrumb items
     this.elements.breadcrumbItems.innerHTML = breadcrumbTerms.map((term, index) => {
       const isLast = index === breadcrumbTerms.length - 1;
+      const name = this.core.localizeTerm(term).term;
       
       if (isLast) {
         return `
           <span class="breadcrumb-current">
-            ${this.escapeHtml(term.term)}
+            ${this.escapeHtml(name)}
           </span>
         `;
       } else {
@@ -512,27 +1961,15 @@ class TechGlossary {
               href="#" 
               class="breadcrumb-link" 
               data-term-id="${term.id}"
-              aria-label="Navigate back to ${this.escapeHtml(term.term)}"
+              aria-label="${this.escapeHtml(this.t('breadcrumb.back', { term: name }))}"
             >
-              ${this.escapeHtml(term.term)}
+              ${this.escapeHtml(name)}
             </a>
             <span class="breadcrumb-separator" aria-hidden="true">→</span>
           </span>
         `;
       }
     }).join('');
-
-    // Add click handlers to breadcrumb links
-    const breadcrumbLinks = this.elements.breadcrumbItems.querySelectorAll('.breadcrumb-link');
-    breadcrumbLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        const termId = link.dataset.termId;
-        if (termId) {
-          this.navigateToTerm(termId, true);
-        }
-      });
-    });
   }
 
   /**
@@ -541,13 +1978,32 @@ class TechGlossary {
   updateTermCount() {
     if (!this.elements.termCount) return;
 
+    this.elements.termCount.textContent = this.getTermCountText();
+  }
+
+  /**
+   * Number of shown terms, e.g. "2 of 4 terms"
+   * @returns {string}
+   */
+  getTermCountText() {
     const total = this.data ? this.data.terms.length : 0;
     const filtered = this.filteredTerms.length;
 
-    this.elements.termCount.textContent = 
-      filtered === total 
-        ? `${total} ${total === 1 ? 'term' : 'terms'}` 
-        : `${filtered} of ${total} ${total === 1 ? 'term' : 'terms'}`;
+    return filtered === total
+      ? this.t('count.total', { count: total })
+      : this.t('count.filtered', { count: total, filtered });
+  }
+
+  /**
+   * Announce a message to screen readers through the polite live region
+   * A repeated message gets a trailing no-break space, so it is read again.
+   * @param {string} message
+   */
+  announce(message) {
+    const region = this.elements.announcer;
+    if (!region) return;
+
+    region.textContent = region.textContent === message ? `${message}\u00A0` : message;
   }
 
   /**
@@ -568,6 +2024,57 @@ class TechGlossary {
     }
   }
 
+  /**
+   * Tell the user newer glossary data is available (sent by the service worker)
+   */
+  showUpdateNotice() {
+    if (!this.elements.updateNotice) return;
+
+    this.elements.updateNotice.innerHTML = `
+      <div class="notice flex items-center justify-between gap-4 p-4 rounded-lg">
+        <p class="text-sm font-medium" data-i18n="update.available">${this.t('update.available')}</p>
+        <button 
+          type="button"
+          class="notice-button px-4 py-2 text-sm rounded-lg"
+          data-action="refresh-data"
+          data-i18n="update.load"
+        >
+          ${this.t('update.load')}
+        </button>
+      </div>
+    `;
+    this.elements.updateNotice.classList.remove('hidden');
+
+    this.elements.updateNotice.querySelector('[data-action="refresh-data"]')
+      .addEventListener('click', () => this.refreshData());
+  }
+
+  /**
+   * Hide the new-data notice
+   */
+  hideUpdateNotice() {
+    if (!this.elements.updateNotice) return;
+
+    this.elements.updateNotice.classList.add('hidden');
+    this.elements.updateNotice.innerHTML = '';
+  }
+
+  /**
+   * Reload glossary data, keeping the current filters and term
+   * @returns {Promise<void>}
+   */
+  async refreshData() {
+    this.hideUpdateNotice();
+
+    try {
+      await this.loadData();
+      this.renderCategoryFilters();
+      this.applyState(this.core.getState());
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
   /**
    * Handle errors
    * @param {Error} error
@@ -579,19 +2086,23 @@ class TechGlossary {
     
     if (this.elements.errorContainer) {
       this.elements.errorContainer.innerHTML = `
-        <div class="bg-red-50 border-l-4 border-red-500 p-6 rounded-lg">
+        <div class="error-panel p-6 rounded-lg">
           <div class="flex items-start">
-            <svg class="h-6 w-6 text-red-500 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <svg class="h-6 w-6 mr-3" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
             <div>
-              <h3 class="text-lg font-semibold text-red-800 mb-1">Error Loading Glossary</h3>
-              <p class="text-sm text-red-700">${this.escapeHtml(error.message)}</p>
+              <h3 class="text-lg font-semibold mb-1" data-i18n="error.title">${this.t('error.title')}</h3>
+              <p class="text-sm">${this.escapeHtml(error.message)}</p>
+              ${typeof navigator !== 'undefined' && navigator.onLine === false ? `
+                <p class="text-sm mt-2" data-i18n="error.offline">${this.t('error.offline')}</p>
+              ` : ''}
               <button 
                 onclick="location.reload()" 
-                class="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                class="error-button mt-4 px-4 py-2 rounded-lg"
+                data-i18n="error.reload"
               >
-                Reload Page
+                ${this.t('error.reload')}
               </button>
             </div>
           </div>
@@ -607,20 +2118,21 @@ class TechGlossary {
    * @returns {string}
    */
   escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return escapeHtml(text);
   }
 }
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  const glossary = new TechGlossary();
-  glossary.init();
+CORE_STATE_PROPERTIES.forEach(property => {
+  Object.defineProperty(TechGlossary.prototype, property, {
+    get() {
+      return this.core[property];
+    },
+    set(value) {
+      this.core[property] = value;
+    }
+  });
 });
 
-// Export for potential module usage
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = TechGlossary;
-}
+export { GlossaryCore, GlossaryEvent, SEARCH_DEBOUNCE_MS, VIRTUALIZE_THRESHOLD };
+export default TechGlossary;
 
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * Serve a glossary JSON file as a REST API
+ *
+ * Usage:
+ *   GLOSSARY_API_TOKEN=secret node scripts/api-server.js [file] [--port 8787] [--host 127.0.0.1]
+ *
+ * Reads are open. Changes need `Authorization: Bearer <token>` and are only
+ * accepted when GLOSSARY_API_TOKEN is set; each accepted change is written
+ * back to the file. See the README for the endpoints.
+ */
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { GlossaryApi, API_BASE_PATH } from '../src/glossary-api.js';
+
+/** Largest request body accepted, in bytes */
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    port: { type: 'string', default: '8787' },
+    host: { type: 'string', default: '127.0.0.1' }
+  }
+});
+
+const file = positionals[0] || 'data/glossary.json';
+const port = Number(values.port);
+
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+  console.error(`Invalid --port "${values.port}".`);
+  process.exit(2);
+}
+
+let api;
+try {
+  api = new GlossaryApi(JSON.parse(await readFile(file, 'utf8')), {
+    token: process.env.GLOSSARY_API_TOKEN || null,
+    // Write a temporary file first, so a crash never leaves a half-written glossary
+    save: async json => {
+      const temporary = `${file}.tmp`;
+      await writeFile(temporary, json);
+      await rename(temporary, file);
+    }
+  });
+} catch (error) {
+  console.error(`Failed to load ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+/**
+ * Read a request body, up to {@link MAX_BODY_SIZE}
+ * @param {import('node:http').IncomingMessage} request
+ * @returns {Promise<string|null>} The body, or null when it is too large
+ */
+async function readBody(request) {
+  const chunks = [];
+  let size = 0;
+  // Keep reading past the limit, so the client still gets the 413 response
+  for await (const chunk of request) {
+    size += chunk.length;
+    if (size <= MAX_BODY_SIZE) chunks.push(chunk);
+  }
+  return size > MAX_BODY_SIZE ? null : Buffer.concat(chunks).toString('utf8');
+}
+
+const server = createServer(async (request, response) => {
+  let result;
+  try {
+    const body = await readBody(request);
+    result = body === null
+      ? { status: 413, headers: { 'Content-Type': 'application/json; charset=utf-8' }, body: JSON.stringify({ error: 'Request body too large' }) }
+      : await api.handle({ method: request.method, url: request.url, headers: request.headers, body });
+  } catch (error) {
+    // The client went away mid-upload (aborted, ECONNRESET): there is no one left to answer
+    response.destroy();
+    return;
+  }
+
+  response.writeHead(result.status, result.headers);
+  response.end(result.body);
+});
+
+server.listen(port, values.host, () => {
+  const { port: listening } = server.address();
+  console.log(`Serving ${file} at http://${values.host}:${listening}${API_BASE_PATH}`);
+  if (!api.token) {
+    console.log('Read-only: set GLOSSARY_API_TOKEN to allow changes.');
+  }
+});
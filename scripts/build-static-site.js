@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Build a prerendered static copy of the glossary
+ *
+ * Usage:
+ *   node scripts/build-static-site.js [--data file] [--out dir] [--site-url url]
+ *
+ * Copies the app into the output directory (dist/ by default) and adds a
+ * page per term and per category, a home page with every card, sitemap.xml
+ * and robots.txt. Cards use the app's own renderTermCard() markup, and the
+ * app hydrates on top of it in the browser.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFile, readdir, writeFile, mkdir, cp, rm } from 'node:fs/promises';
+import { dirname, join, relative, resolve, sep } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import TechGlossary from '../glossary.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { CollectionStore } from '../src/collections.js';
+import { buildStaticPages, buildSitemap, stampServiceWorker } from '../src/static-site.js';
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Paths of the files under a directory, sorted
+ * @param {string} dir
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true, recursive: true });
+  return entries.filter(entry => entry.isFile()).map(entry => join(entry.parentPath, entry.name)).sort();
+}
+
+/** Default output directory; the only one inside the project the build may empty */
+const DEFAULT_OUT = 'dist';
+
+/** File that marks a directory as build output, which later builds may empty */
+const BUILD_MARKER = '.glossary-build';
+
+/** Files the app needs at runtime, copied as they are */
+const APP_FILES = ['glossary.js', 'styles.css', 'sw.js', 'manifest.webmanifest', 'icons', 'src', 'data'];
+
+const { values } = parseArgs({
+  options: {
+    data: { type: 'string', default: 'data/glossary.json' },
+    out: { type: 'string', default: DEFAULT_OUT },
+    'site-url': { type: 'string', default: process.env.SITE_URL || '' }
+  }
+});
+
+const outDir = resolve(values.out);
+// The output directory is emptied first, so it must not hold the sources:
+// inside the project only dist/ is allowed, and elsewhere only an empty
+// directory or the output of an earlier build
+if (ROOT === outDir || ROOT.startsWith(outDir + sep)) {
+  console.error(`Refusing to write into ${outDir}: it contains the project itself.`);
+  process.exit(2);
+}
+if (outDir.startsWith(ROOT + sep) && outDir !== join(ROOT, DEFAULT_OUT)) {
+  console.error(`Refusing to write into ${outDir}: inside the project, only ${DEFAULT_OUT}/ may be used.`);
+  process.exit(2);
+}
+if (outDir !== join(ROOT, DEFAULT_OUT)) {
+  const entries = await readdir(outDir).catch(() => []);
+  if (entries.length > 0 && !entries.includes(BUILD_MARKER)) {
+    console.error(`Refusing to empty ${outDir}: it isn't empty and wasn't created by this build.`);
+    process.exit(2);
+  }
+}
+
+let siteUrl = values['site-url'];
+if (!siteUrl) {
+  siteUrl = 'http://localhost:3000/';
+  console.warn(`No --site-url given; using ${siteUrl} for canonical links and the sitemap.`);
+}
+
+const core = new GlossaryCore({ storage: null, collections: new CollectionStore({ storage: null }) });
+try {
+  core.setData(JSON.parse(await readFile(values.data, 'utf8')));
+} catch (error) {
+  console.error(`Failed to load ${values.data}: ${error.message}`);
+  process.exit(1);
+}
+
+const glossary = new TechGlossary(core);
+const pages = buildStaticPages(core.data, {
+  template: await readFile(join(ROOT, 'index.html'), 'utf8'),
+  siteUrl,
+  renderCard: term => glossary.renderTermCard(term),
+  formatCount: count => glossary.t('count.total', { count })
+});
+
+await rm(outDir, { recursive: true, force: true });
+await mkdir(outDir, { recursive: true });
+for (const file of APP_FILES) {
+  await cp(join(ROOT, file), join(outDir, file), { recursive: true });
+}
+// The app loads data/glossary.json, so a custom data file takes its place
+await cp(resolve(values.data), join(outDir, 'data', 'glossary.json'));
+
+for (const page of pages) {
+  const file = join(outDir, page.path);
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, page.content);
+}
+
+// Hash everything the worker may precache, so a changed file means a new cache;
+// the sitemap is left out, as its date changes every day
+const hash = createHash('sha256');
+for (const file of await listFiles(outDir)) {
+  if (file === join(outDir, 'sw.js')) continue;
+  hash.update(relative(outDir, file)).update('\0').update(await readFile(file)).update('\0');
+}
+const workerFile = join(outDir, 'sw.js');
+await writeFile(workerFile, stampServiceWorker(await readFile(workerFile, 'utf8'), hash.digest('hex').slice(0, 12)));
+
+const root = siteUrl.endsWith('/') ? siteUrl : `${siteUrl}/`;
+await writeFile(join(outDir, 'sitemap.xml'), buildSitemap(pages, new Date().toISOString().slice(0, 10)));
+await writeFile(join(outDir, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${root}sitemap.xml\n`);
+await writeFile(join(outDir, BUILD_MARKER), 'Output of scripts/build-static-site.js; the next build empties this directory.\n');
+
+console.log(`Built ${pages.length} pages into ${relative(process.cwd(), outDir) || '.'}`);
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Compare two versions of a glossary JSON file
+ *
+ * Usage:
+ *   node scripts/diff-glossary.js <old file> [new file] [--format markdown|json|atom|rss] [--site-url url] [--stamp]
+ *
+ * Reports added, removed and changed terms and the fields that changed.
+ * Atom and RSS output is a "what's new" feed of the changes. With --stamp,
+ * added and changed terms in the new file that lack dates get today's
+ * `createdAt`/`updatedAt`, and the file is rewritten.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { diffGlossaries, formatDiffMarkdown } from '../src/glossary-diff.js';
+import { buildFeed, FeedFormat } from '../src/feed.js';
+import { stampChanges, formatDate } from '../src/term-history.js';
+import { migrateGlossary } from '../src/schema.js';
+import { serializeGlossary } from '../src/glossary-json.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string', default: 'markdown' },
+    'site-url': { type: 'string', default: process.env.SITE_URL || 'http://localhost:3000/' },
+    stamp: { type: 'boolean', default: false }
+  }
+});
+
+const [oldFile, newFile = 'data/glossary.json'] = positionals;
+const formats = ['markdown', 'json', ...Object.values(FeedFormat)];
+
+if (!oldFile) {
+  console.error('Usage: node scripts/diff-glossary.js <old file> [new file] [--format markdown|json|atom|rss] [--site-url url] [--stamp]');
+  process.exit(2);
+}
+if (!formats.includes(values.format)) {
+  console.error(`Unknown format "${values.format}". Use ${formats.map(format => `"${format}"`).join(', ')}.`);
+  process.exit(2);
+}
+
+/**
+ * Read a glossary file at the current schema version
+ * @param {string} file
+ * @returns {Promise<import('../src/glossary-core.js').GlossaryData>}
+ */
+async function load(file) {
+  try {
+    const { data } = migrateGlossary(JSON.parse(await readFile(file, 'utf8')));
+    if (!Array.isArray(data.terms)) {
+      throw new Error('no terms array');
+    }
+    return data;
+  } catch (error) {
+    console.error(`Failed to read ${file}: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+const before = await load(oldFile);
+let after = await load(newFile);
+
+if (values.stamp) {
+  const { data, stamped } = stampChanges(before, after, formatDate(new Date()));
+  if (stamped.length > 0) {
+    await writeFile(newFile, serializeGlossary(data));
+    console.error(`Dated ${stamped.length} term(s) in ${newFile}: ${stamped.join(', ')}`);
+  }
+  after = data;
+}
+
+if (values.format === 'markdown') {
+  process.stdout.write(formatDiffMarkdown(diffGlossaries(before, after)));
+} else if (values.format === 'json') {
+  process.stdout.write(JSON.stringify(diffGlossaries(before, after), null, 2) + '\n');
+} else {
+  process.stdout.write(buildFeed(before, after, { siteUrl: values['site-url'], format: values.format }));
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Rewrite a glossary JSON file at the latest schema version
+ *
+ * Usage:
+ *   node scripts/migrate-glossary.js [file] [--out file] [--check]
+ *
+ * Runs the migrations in src/schema.js and writes the result back to the
+ * file (or to --out). With --check nothing is written; the exit status is 1
+ * when the file needs migrating, so CI jobs can catch outdated files.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { migrateGlossary } from '../src/schema.js';
+import { serializeGlossary } from '../src/glossary-json.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string' },
+    check: { type: 'boolean', default: false }
+  }
+});
+
+const file = positionals[0] || 'data/glossary.json';
+
+let result;
+try {
+  result = migrateGlossary(JSON.parse(await readFile(file, 'utf8')));
+} catch (error) {
+  console.error(`Failed to migrate ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const { data, fromVersion, toVersion, applied } = result;
+
+if (applied.length === 0) {
+  console.log(`${file} is already at schema version ${toVersion}.`);
+  if (values.out && !values.check) {
+    await writeFile(values.out, serializeGlossary(data));
+  }
+} else if (values.check) {
+  console.log(`${file} is at schema version ${fromVersion}; run \`npm run migrate\` to update it to ${toVersion}.`);
+  process.exitCode = 1;
+} else {
+  const target = values.out || file;
+  await writeFile(target, serializeGlossary(data));
+  console.log(`Migrated ${file} from schema version ${fromVersion} to ${toVersion}${target === file ? '' : ` into ${target}`}:`);
+  applied.forEach(description => console.log(`- ${description}`));
+}
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Validate a glossary JSON file from the command line
+ *
+ * Usage:
+ *   node scripts/validate-glossary.js [file] [--format markdown|json] [--fail-on error|warning]
+ *
+ * Exits with status 1 when issues at or above the --fail-on severity are found
+ * (errors by default), so CI jobs can gate on it.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { validateGlossary, formatMarkdown, formatJson } from '../src/validator.js';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    format: { type: 'string', default: 'markdown' },
+    'fail-on': { type: 'string', default: 'error' }
+  }
+});
+
+const file = positionals[0] || 'data/glossary.json';
+const formatters = { markdown: formatMarkdown, json: formatJson };
+
+if (!formatters[values.format]) {
+  console.error(`Unknown format "${values.format}". Use "markdown" or "json".`);
+  process.exit(2);
+}
+if (!['error', 'warning'].includes(values['fail-on'])) {
+  console.error(`Unknown --fail-on value "${values['fail-on']}". Use "error" or "warning".`);
+  process.exit(2);
+}
+
+let data;
+try {
+  data = JSON.parse(await readFile(file, 'utf8'));
+} catch (error) {
+  console.error(`Failed to read ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const report = validateGlossary(data);
+process.stdout.write(formatters[values.format](report));
+
+const failed = values['fail-on'] === 'warning'
+  ? report.stats.errors + report.stats.warnings > 0
+  : report.stats.errors > 0;
+process.exitCode = failed ? 1 : 0;
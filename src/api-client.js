@@ -0,0 +1,208 @@
+/**
+ * Glossary REST API client
+ * Talks to the local API server (scripts/api-server.js) with fetch.
+ * Remembers each term's ETag as it is read, so updates and deletes are
+ * refused with 412 when someone else changed the term in between.
+ * @module api-client
+ */
+
+/** Base URL of a locally started API server */
+export const DEFAULT_API_URL = 'http://localhost:8787/api';
+
+export class GlossaryApiClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - URL the endpoints are served under
+   * @param {string|null} [options.token] - Bearer token for changes
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+   */
+  constructor({ baseUrl = DEFAULT_API_URL, token = null, fetch = globalThis.fetch } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.token = token;
+    this.fetch = fetch;
+    /** @type {Map<string, string>} Last seen ETag by term id */
+    this.etags = new Map();
+  }
+
+  /**
+   * URL of the whole glossary file, as served by the API
+   * @type {string}
+   */
+  get glossaryUrl() {
+    return `${this.baseUrl}/glossary`;
+  }
+
+  /**
+   * Send a request and parse the JSON response
+   * @param {string} method
+   * @param {string} path - Path below the base URL, e.g. "/terms"
+   * @param {Object} [options]
+   * @param {Object} [options.body] - Sent as JSON
+   * @param {Object<string, string>} [options.headers]
+   * @returns {Promise<{data: *, etag: string|null}>} `data` is null for empty responses
+   * @throws {Error} With `status` and, for rejected changes, the validation `issues`
+   */
+  async request(method, path, { body, headers = {} } = {}) {
+    // Called unbound: browsers reject fetch called as a method of another object
+    const fetch = this.fetch;
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        Accept: 'application/json',
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(this.token ? { Authorization: `Bearer ${this.token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = response.status === 204 ? '' : await response.text();
+    const data = text ? JSON.parse(text) : null;
+
+    if (!response.ok) {
+      const error = new Error(`${(data && data.error) || 'Request failed'} (HTTP ${response.status})`);
+      error.status = response.status;
+      error.issues = (data && data.issues) || [];
+      throw error;
+    }
+
+    return { data, etag: response.headers.get('ETag') };
+  }
+
+  /**
+   * The whole glossary file
+   * @returns {Promise<import('./glossary-core.js').GlossaryData>}
+   */
+  async getGlossary() {
+    return (await this.request('GET', '/glossary')).data;
+  }
+
+  /**
+   * Terms matching a search and categories, with the app's filter semantics
+   * @param {Object} [query]
+   * @param {string} [query.q] - Search query
+   * @param {string[]} [query.categories] - Categories to filter by
+   * @param {string} [query.match] - How categories combine, "any" or "all"
+   * @param {string} [query.lang] - Language to return terms in
+   * @param {number} [query.limit]
+   * @param {number} [query.offset]
+   * @param {boolean} [query.recent] - Only new and recently updated terms
+   * @returns {Promise<{total: number, offset: number, limit: number|null, terms: import('./glossary-core.js').GlossaryTerm[]}>}
+   */
+  async listTerms({ q, categories = [], match, lang, limit, offset, recent = false } = {}) {
+    const params = new URLSearchParams();
+    if (q) params.set('q', q);
+    if (recent) params.set('recent', '1');
+    categories.forEach(category => params.append('category', category));
+    Object.entries({ match, lang, limit, offset }).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) params.set(key, String(value));
+    });
+
+    const search = params.toString();
+    return (await this.request('GET', `/terms${search ? `?${search}` : ''}`)).data;
+  }
+
+  /**
+   * A single term
+   * @param {string} termId
+   * @param {Object} [options]
+   * @param {string} [options.lang] - Language to return the term in
+   * @returns {Promise<import('./glossary-core.js').GlossaryTerm>}
+   */
+  async getTerm(termId, { lang } = {}) {
+    const { data, etag } = await this.request('GET', `${termPath(termId)}${lang ? `?lang=${encodeURIComponent(lang)}` : ''}`);
+    // Localized responses aren't the stored term, so their tags can't be used for If-Match
+    if (!lang && etag) this.etags.set(termId, etag);
+    return data;
+  }
+
+  /**
+   * Related terms of a term, and related names that match no term
+   * @param {string} termId
+   * @returns {Promise<{terms: import('./glossary-core.js').GlossaryTerm[], missing: string[]}>}
+   */
+  async getRelatedTerms(termId) {
+    return (await this.request('GET', `${termPath(termId)}/related`)).data;
+  }
+
+  /**
+   * Categories with their term counts
+   * @returns {Promise<Array<{name: string, count: number}>>}
+   */
+  async listCategories() {
+    return (await this.request('GET', '/categories')).data.categories;
+  }
+
+  /**
+   * Add a term
+   * @param {Object} fields - Term fields; the id is generated from the name when left out
+   * @returns {Promise<{term: import('./glossary-core.js').GlossaryTerm, warnings: import('./validator.js').ValidationIssue[]}>}
+   */
+  async createTerm(fields) {
+    return this.change('POST', '/terms', null, fields);
+  }
+
+  /**
+   * Replace a term's fields
+   * @param {string} termId
+   * @param {Object} fields
+   * @param {Object} [options]
+   * @param {string} [options.etag] - Version the change is based on, defaults to the last one read
+   * @returns {Promise<{term: import('./glossary-core.js').GlossaryTerm, warnings: import('./validator.js').ValidationIssue[]}>}
+   */
+  async updateTerm(termId, fields, { etag } = {}) {
+    return this.change('PUT', termPath(termId), etag || this.etags.get(termId), fields);
+  }
+
+  /**
+   * Change some of a term's fields
+   * @param {string} termId
+   * @param {Object} fields - Fields to change; others are kept
+   * @param {Object} [options]
+   * @param {string} [options.etag] - Version the change is based on, defaults to the last one read
+   * @returns {Promise<{term: import('./glossary-core.js').GlossaryTerm, warnings: import('./validator.js').ValidationIssue[]}>}
+   */
+  async patchTerm(termId, fields, { etag } = {}) {
+    return this.change('PATCH', termPath(termId), etag || this.etags.get(termId), fields);
+  }
+
+  /**
+   * Delete a term
+   * @param {string} termId
+   * @param {Object} [options]
+   * @param {string} [options.etag] - Version the deletion is based on, defaults to the last one read
+   * @returns {Promise<void>}
+   */
+  async deleteTerm(termId, { etag } = {}) {
+    await this.change('DELETE', termPath(termId), etag || this.etags.get(termId));
+    this.etags.delete(termId);
+  }
+
+  /**
+   * Send a change, remembering the changed term's new ETag
+   * @param {string} method
+   * @param {string} path
+   * @param {string|null|undefined} etag - Sent as If-Match when set
+   * @param {Object} [body]
+   * @returns {Promise<*>}
+   */
+  async change(method, path, etag, body) {
+    const { data, etag: newEtag } = await this.request(method, path, {
+      body,
+      headers: etag ? { 'If-Match': etag } : {}
+    });
+    if (data && data.term && newEtag) {
+      this.etags.set(data.term.id, newEtag);
+    }
+    return data;
+  }
+}
+
+/**
+ * Path of a term's endpoint
+ * @param {string} termId
+ * @returns {string}
+ */
+function termPath(termId) {
+  return `/terms/${encodeURIComponent(termId)}`;
+}
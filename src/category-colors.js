@@ -0,0 +1,37 @@
+/**
+ * Stable colors per category
+ * Shared by views that color-code terms (graph nodes, share cards)
+ * @module category-colors
+ */
+
+/** Distinguishable colors, assigned to categories in order */
+export const CATEGORY_PALETTE = [
+  '#2563eb',
+  '#16a34a',
+  '#dc2626',
+  '#9333ea',
+  '#ea580c',
+  '#0891b2',
+  '#ca8a04',
+  '#db2777',
+  '#4f46e5',
+  '#059669'
+];
+
+/**
+ * Color for a category
+ * Known categories get palette colors in their listed order; unknown ones
+ * get a color derived from their name so it is stable between renders.
+ * @param {string} category
+ * @param {string[]} [categories] - All categories, in display order
+ * @returns {string} Hex color
+ */
+export function categoryColor(category, categories = []) {
+  let index = categories.indexOf(category);
+
+  if (index === -1) {
+    index = [...String(category)].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+  }
+
+  return CATEGORY_PALETTE[index % CATEGORY_PALETTE.length];
+}
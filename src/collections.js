@@ -0,0 +1,342 @@
+/**
+ * Bookmarks and personal term collections
+ * Starred terms and named collections persisted in localStorage, with
+ * JSON import/export so collections can be shared.
+ * @module collections
+ */
+
+import { toKebabCase } from './validator.js';
+
+/** localStorage key for collections */
+export const COLLECTIONS_STORAGE_KEY = 'glossary-collections';
+
+/** Id of the built-in collection behind the star button */
+export const STARRED_COLLECTION_ID = 'starred';
+
+/** `type` marker written to exported files */
+export const COLLECTIONS_FILE_TYPE = 'tech-glossary-collections';
+
+/**
+ * @typedef {Object} Collection
+ * @property {string} id - Kebab-case identifier, unique per user
+ * @property {string} name - Display name, e.g. "Onboarding week 1"
+ * @property {string[]} termIds - Ids of the saved terms, in the order they were added
+ */
+
+/**
+ * A fresh Starred collection
+ * @returns {Collection}
+ */
+function starredCollection() {
+  return { id: STARRED_COLLECTION_ID, name: 'Starred', termIds: [] };
+}
+
+/**
+ * Check a parsed collection entry (from storage or an imported file)
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isCollectionLike(entry) {
+  return Boolean(entry) &&
+    typeof entry.name === 'string' && entry.name.trim() !== '' &&
+    Array.isArray(entry.termIds) && entry.termIds.every(id => typeof id === 'string');
+}
+
+export class CollectionStore {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Where collections are persisted,
+   *   defaults to localStorage when available
+   */
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    this.storage = storage;
+    /** @type {Collection[]} Starred first, then in creation order */
+    this.collections = [starredCollection()];
+    /** @type {Set<Function>} */
+    this.listeners = new Set();
+
+    this.load();
+  }
+
+  /**
+   * Subscribe to changes
+   * @param {Function} listener - Called with `{ collections }` after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Persist and notify subscribers
+   */
+  changed() {
+    this.save();
+    [...this.listeners].forEach(listener => listener({ collections: this.collections }));
+  }
+
+  /**
+   * Load collections from storage
+   */
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(COLLECTIONS_STORAGE_KEY) || 'null');
+      if (!stored || !Array.isArray(stored.collections)) return;
+
+      const collections = stored.collections
+        .filter(collection => isCollectionLike(collection) && typeof collection.id === 'string')
+        .map(({ id, name, termIds }) => ({ id, name, termIds: [...new Set(termIds)] }));
+
+      if (!collections.some(collection => collection.id === STARRED_COLLECTION_ID)) {
+        collections.unshift(starredCollection());
+      }
+      this.collections = collections;
+    } catch (error) {
+      console.warn('Failed to load collections:', error);
+    }
+  }
+
+  /**
+   * Save collections to storage
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(COLLECTIONS_STORAGE_KEY, JSON.stringify({
+        version: 1,
+        collections: this.collections
+      }));
+    } catch (error) {
+      console.warn('Failed to save collections:', error);
+    }
+  }
+
+  /**
+   * All collections, Starred first
+   * @returns {Collection[]}
+   */
+  getCollections() {
+    return this.collections;
+  }
+
+  /**
+   * Look up a collection by id
+   * @param {string} collectionId
+   * @returns {Collection|null}
+   */
+  getCollection(collectionId) {
+    return this.collections.find(collection => collection.id === collectionId) || null;
+  }
+
+  /**
+   * Create a named collection
+   * @param {string} name
+   * @returns {Collection}
+   * @throws {Error} If the name is empty
+   */
+  createCollection(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Collection name cannot be empty');
+    }
+
+    const collection = { id: this.uniqueId(trimmed), name: trimmed, termIds: [] };
+    this.collections.push(collection);
+    this.changed();
+    return collection;
+  }
+
+  /**
+   * Derive an unused collection id from a name
+   * @param {string} name
+   * @returns {string}
+   */
+  uniqueId(name) {
+    const base = toKebabCase(name) || 'collection';
+    let id = base;
+    for (let n = 2; this.getCollection(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * Rename a collection (its id stays the same so links keep working)
+   * @param {string} collectionId
+   * @param {string} name
+   * @throws {Error} If the collection doesn't exist or the name is empty
+   */
+  renameCollection(collectionId, name) {
+    const collection = this.requireCollection(collectionId);
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+      throw new Error('Collection name cannot be empty');
+    }
+
+    collection.name = trimmed;
+    this.changed();
+  }
+
+  /**
+   * Delete a collection
+   * @param {string} collectionId
+   * @throws {Error} For the Starred collection or an unknown id
+   */
+  deleteCollection(collectionId) {
+    if (collectionId === STARRED_COLLECTION_ID) {
+      throw new Error('The Starred collection cannot be deleted');
+    }
+    const collection = this.requireCollection(collectionId);
+
+    this.collections = this.collections.filter(c => c !== collection);
+    this.changed();
+  }
+
+  /**
+   * Look up a collection, failing if it doesn't exist
+   * @param {string} collectionId
+   * @returns {Collection}
+   * @throws {Error} If the collection doesn't exist
+   */
+  requireCollection(collectionId) {
+    const collection = this.getCollection(collectionId);
+    if (!collection) {
+      throw new Error(`Collection "${collectionId}" not found`);
+    }
+    return collection;
+  }
+
+  /**
+   * Whether a collection contains a term
+   * @param {string} collectionId
+   * @param {string} termId
+   * @returns {boolean}
+   */
+  hasTerm(collectionId, termId) {
+    const collection = this.getCollection(collectionId);
+    return Boolean(collection) && collection.termIds.includes(termId);
+  }
+
+  /**
+   * Add or remove a term from a collection
+   * @param {string} collectionId
+   * @param {string} termId
+   * @param {boolean} [saved] - Force adding (true) or removing (false) instead of toggling
+   * @returns {boolean} Whether the term is now in the collection
+   * @throws {Error} If the collection doesn't exist
+   */
+  toggleTerm(collectionId, termId, saved = !this.hasTerm(collectionId, termId)) {
+    const collection = this.requireCollection(collectionId);
+    const present = collection.termIds.includes(termId);
+
+    if (saved && !present) {
+      collection.termIds.push(termId);
+      this.changed();
+    } else if (!saved && present) {
+      collection.termIds = collection.termIds.filter(id => id !== termId);
+      this.changed();
+    }
+
+    return saved;
+  }
+
+  /**
+   * Whether a term is starred
+   * @param {string} termId
+   * @returns {boolean}
+   */
+  isStarred(termId) {
+    return this.hasTerm(STARRED_COLLECTION_ID, termId);
+  }
+
+  /**
+   * Star or unstar a term
+   * @param {string} termId
+   * @returns {boolean} Whether the term is now starred
+   */
+  toggleStar(termId) {
+    return this.toggleTerm(STARRED_COLLECTION_ID, termId);
+  }
+
+  /**
+   * Ids of saved terms
+   * @param {string|null} [collectionId] - One collection, or null for every collection
+   * @returns {Set<string>}
+   */
+  getTermIds(collectionId = null) {
+    const collections = collectionId === null
+      ? this.collections
+      : [this.getCollection(collectionId)].filter(Boolean);
+
+    return new Set(collections.flatMap(collection => collection.termIds));
+  }
+
+  /**
+   * Serialize collections for sharing
+   * @param {string[]} [collectionIds] - Collections to include, defaults to all
+   * @returns {string} JSON document
+   */
+  exportJson(collectionIds) {
+    const collections = collectionIds
+      ? this.collections.filter(collection => collectionIds.includes(collection.id))
+      : this.collections;
+
+    return JSON.stringify({
+      type: COLLECTIONS_FILE_TYPE,
+      version: 1,
+      collections: collections.map(({ id, name, termIds }) => ({ id, name, termIds }))
+    }, null, 2) + '\n';
+  }
+
+  /**
+   * Merge collections from an exported JSON document
+   * Collections are matched by name (or the Starred id); matches get the
+   * imported terms added, the rest are created.
+   * @param {string} json
+   * @returns {{collections: number, terms: number}} Collections touched and terms added
+   * @throws {Error} If the document is not a collections export
+   */
+  importJson(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Invalid collections file: ${error.message}`);
+    }
+
+    if (!parsed || parsed.type !== COLLECTIONS_FILE_TYPE || !Array.isArray(parsed.collections)) {
+      throw new Error('Invalid collections file: not a glossary collections export');
+    }
+    if (!parsed.collections.every(isCollectionLike)) {
+      throw new Error('Invalid collections file: every collection needs a name and a termIds array');
+    }
+
+    let termsAdded = 0;
+    parsed.collections.forEach(entry => {
+      const name = entry.name.trim();
+      let target = entry.id === STARRED_COLLECTION_ID
+        ? this.getCollection(STARRED_COLLECTION_ID)
+        : this.collections.find(collection =>
+          collection.id !== STARRED_COLLECTION_ID && collection.name.toLowerCase() === name.toLowerCase());
+
+      if (!target) {
+        target = { id: this.uniqueId(name), name, termIds: [] };
+        this.collections.push(target);
+      }
+
+      entry.termIds.forEach(termId => {
+        if (!target.termIds.includes(termId)) {
+          target.termIds.push(termId);
+          termsAdded++;
+        }
+      });
+    });
+
+    this.changed();
+    return { collections: parsed.collections.length, terms: termsAdded };
+  }
+}
@@ -0,0 +1,273 @@
+/**
+ * Command palette
+ * A searchable list of commands (jump to a term, switch category, change
+ * view, ...) opened with Ctrl/Cmd+K. The palette only ranks and runs
+ * commands; the renderer decides which commands exist.
+ * @module command-palette
+ */
+
+import { escapeHtml } from './html.js';
+import { createTranslator, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * @typedef {Object} PaletteCommand
+ * @property {string} id - Unique within the list
+ * @property {string} group - Shown next to the label, e.g. "Term"
+ * @property {string} label
+ * @property {string} [hint] - Secondary text, e.g. a term's full form
+ * @property {string[]} [keywords] - Other text the command can be found by
+ * @property {Function} run
+ */
+
+/** Most results shown at once */
+const MAX_RESULTS = 50;
+
+/**
+ * How well a text matches a query
+ * Whole text > prefix > word prefix > substring > letters in order.
+ * @param {string} text
+ * @param {string} query - Lower-case query
+ * @returns {number} 0 when it doesn't match
+ */
+function scoreText(text, query) {
+  const value = String(text || '').toLowerCase();
+  if (!value) return 0;
+  if (value === query) return 5;
+  if (value.startsWith(query)) return 4;
+  if (value.split(/[\s/()-]+/).some(word => word.startsWith(query))) return 3;
+  if (value.includes(query)) return 2;
+
+  let position = 0;
+  for (const char of value) {
+    if (char === query[position]) position++;
+    if (position === query.length) return 1;
+  }
+  return 0;
+}
+
+/**
+ * Commands matching a query, best first
+ * Ties keep the order of `commands`, so an empty query lists them as given.
+ * @param {PaletteCommand[]} commands
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {PaletteCommand[]}
+ */
+export function rankCommands(commands, query, limit = MAX_RESULTS) {
+  const needle = String(query || '').trim().toLowerCase();
+  if (!needle) return commands.slice(0, limit);
+
+  return commands
+    .map((command, index) => ({
+      command,
+      index,
+      score: Math.max(
+        scoreText(command.label, needle),
+        // Keywords count a little less than the label
+        ...(command.keywords || []).map(keyword => scoreText(keyword, needle) * 0.8)
+      )
+    }))
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(result => result.command);
+}
+
+export class CommandPalette {
+  /**
+   * @param {HTMLElement} container - Element the palette is rendered into; hidden while closed
+   * @param {Object} options
+   * @param {function(): PaletteCommand[]} options.getCommands - Current commands, read on open
+   * @param {function(string, Object=): string} [options.translate] - UI string translator
+   */
+  constructor(container, { getCommands, translate = createTranslator(DEFAULT_LOCALE) }) {
+    this.container = container;
+    this.getCommands = getCommands;
+    this.translate = translate;
+    /** @type {PaletteCommand[]} */
+    this.commands = [];
+    /** @type {PaletteCommand[]} Matches for the current query */
+    this.results = [];
+    this.selectedIndex = 0;
+    this.isOpen = false;
+    /** @type {HTMLElement|null} Focus to restore on close */
+    this.returnFocus = null;
+
+    this.attachEventListeners();
+  }
+
+  /**
+   * Open the palette with an empty query
+   */
+  open() {
+    if (this.isOpen) return;
+
+    this.isOpen = true;
+    this.returnFocus = document.activeElement;
+    this.commands = this.getCommands();
+    this.render();
+    this.container.classList.remove('hidden');
+    this.input.focus();
+  }
+
+  /**
+   * Close the palette and give focus back
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.container.classList.add('hidden');
+    this.container.innerHTML = '';
+    if (this.returnFocus && typeof this.returnFocus.focus === 'function') {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+  }
+
+  /**
+   * Open if closed, close if open
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Handle typing, arrow keys and clicks with event delegation
+   */
+  attachEventListeners() {
+    this.container.addEventListener('input', (e) => {
+      if (e.target === this.input) {
+        this.search(e.target.value);
+      }
+    });
+
+    this.container.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.select(this.selectedIndex + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this.run(this.selectedIndex);
+      } else if (e.key === 'Tab') {
+        // The input is the only focusable element; keep focus in the dialog
+        e.preventDefault();
+      }
+    });
+
+    this.container.addEventListener('click', (e) => {
+      if (e.target.closest('[data-overlay-close]')) {
+        this.close();
+        return;
+      }
+
+      const option = e.target.closest('[data-index]');
+      if (option) {
+        this.run(Number(option.dataset.index));
+      }
+    });
+  }
+
+  /**
+   * Render the dialog shell and the full command list
+   */
+  render() {
+    const t = this.translate;
+    this.container.innerHTML = `
+      <div class="overlay-backdrop" data-overlay-close></div>
+      <div class="overlay-panel palette-panel" role="dialog" aria-modal="true" aria-label="${escapeHtml(t('palette.label'))}">
+        <input
+          type="text"
+          class="palette-input"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-results"
+          aria-autocomplete="list"
+          placeholder="${escapeHtml(t('palette.placeholder'))}"
+          autocomplete="off"
+          spellcheck="false"
+        >
+        <ul id="palette-results" class="palette-results" role="listbox"></ul>
+      </div>
+    `;
+
+    this.input = this.container.querySelector('.palette-input');
+    this.search('');
+  }
+
+  /**
+   * Filter the commands and show the matches
+   * @param {string} query
+   */
+  search(query) {
+    this.results = rankCommands(this.commands, query);
+    this.selectedIndex = 0;
+    this.renderResults();
+  }
+
+  /**
+   * Render the matching commands
+   */
+  renderResults() {
+    const list = this.container.querySelector('.palette-results');
+    if (!list) return;
+
+    if (this.results.length === 0) {
+      list.innerHTML = `<li class="palette-empty" role="presentation">${escapeHtml(this.translate('palette.empty'))}</li>`;
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    list.innerHTML = this.results.map((command, index) => `
+      <li
+        id="palette-option-${index}"
+        class="palette-option"
+        role="option"
+        aria-selected="${index === this.selectedIndex}"
+        data-index="${index}"
+      >
+        <span class="palette-group">${escapeHtml(command.group)}</span>
+        <span class="palette-label">${escapeHtml(command.label)}</span>
+        ${command.hint ? `<span class="palette-hint">${escapeHtml(command.hint)}</span>` : ''}
+      </li>
+    `).join('');
+    this.input.setAttribute('aria-activedescendant', `palette-option-${this.selectedIndex}`);
+  }
+
+  /**
+   * Highlight a result, wrapping around at either end
+   * @param {number} index
+   */
+  select(index) {
+    if (this.results.length === 0) return;
+
+    this.selectedIndex = (index + this.results.length) % this.results.length;
+    this.container.querySelectorAll('.palette-option').forEach((option, i) => {
+      option.setAttribute('aria-selected', String(i === this.selectedIndex));
+    });
+    this.input.setAttribute('aria-activedescendant', `palette-option-${this.selectedIndex}`);
+
+    const selected = this.container.querySelector(`#palette-option-${this.selectedIndex}`);
+    if (selected && typeof selected.scrollIntoView === 'function') {
+      selected.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Close the palette and run a result
+   * Focus is not restored, since the command usually moves it.
+   * @param {number} index
+   */
+  run(index) {
+    const command = this.results[index];
+    if (!command) return;
+
+    this.returnFocus = null;
+    this.close();
+    command.run();
+  }
+}
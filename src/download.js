@@ -0,0 +1,26 @@
+/**
+ * File download helper for browser exports
+ * @module download
+ */
+
+/**
+ * Offer text or binary content as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob} content - File contents
+ * @param {string} [mimeType] - MIME type for string content
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
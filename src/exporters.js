@@ -0,0 +1,245 @@
+/**
+ * Glossary exporters
+ * Turn a list of terms into Markdown, CSV, JSON or a printable HTML page.
+ * DOM-free, so exports can be produced in Node as well as in the browser.
+ * @module exporters
+ */
+
+import { escapeHtml } from './html.js';
+import { serializeGlossary } from './glossary-json.js';
+import { CURRENT_SCHEMA_VERSION } from './schema.js';
+import { getTermCategories } from './facets.js';
+import { createTranslator, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * @typedef {Object} ExportOptions
+ * @property {string} [locale] - Language the terms are written in, used for the page's `lang`
+ * @property {function(string, Object=): string} [translate] - Translator for the labels,
+ *   defaults to one for `locale`
+ * @property {string} [title] - Document title
+ * @property {function(string, import('./glossary-core.js').GlossaryTerm): (string|null)} [resolve] - Maps
+ *   a related-term name (and the referring term) to a term id, or null if it doesn't exist
+ */
+
+/** Supported formats: file extension and MIME type */
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  html: { extension: 'html', mimeType: 'text/html' }
+};
+
+/**
+ * Anchor id used for a term in Markdown and HTML exports
+ * @param {string} termId
+ * @returns {string}
+ */
+export function termAnchor(termId) {
+  return `term-${termId}`;
+}
+
+/**
+ * Build a function that returns the anchor for a related term, or null when
+ * the term is not part of the export
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms
+ * @param {ExportOptions['resolve']} resolve
+ * @returns {function(string, import('./glossary-core.js').GlossaryTerm): (string|null)}
+ */
+function anchorResolver(terms, resolve = () => null) {
+  const exportedIds = new Set(terms.map(term => term.id));
+
+  return (name, term) => {
+    const id = resolve(name, term);
+    return id && exportedIds.has(id) ? termAnchor(id) : null;
+  };
+}
+
+/**
+ * Export terms as Markdown
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms
+ * @param {ExportOptions} [options]
+ * @returns {string}
+ */
+export function exportMarkdown(terms, {
+  locale = DEFAULT_LOCALE,
+  translate = createTranslator(locale),
+  title = translate('export.title'),
+  resolve
+} = {}) {
+  const anchorFor = anchorResolver(terms, resolve);
+  const escape = text => String(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+  const lines = [`# ${escape(title)}`, ''];
+
+  terms.forEach(term => {
+    lines.push(`<a id="${termAnchor(term.id)}"></a>`);
+    lines.push(`## ${escape(term.term)}`, '');
+
+    if (term.fullForm) {
+      lines.push(`*${escape(term.fullForm)}*`, '');
+    }
+    if (term.aliases && term.aliases.length > 0) {
+      lines.push(`**${escape(translate('card.aliases'))}** ${term.aliases.map(escape).join(', ')}`, '');
+    }
+    const categories = getTermCategories(term);
+    const categoryLabel = translate('export.categoryLabel', { count: categories.length });
+    lines.push(`**${escape(categoryLabel)}:** ${categories.map(escape).join(', ')}`, '');
+    lines.push(escape(term.definition), '');
+
+    if (term.examples && term.examples.length > 0) {
+      lines.push(`**${escape(translate('card.examples'))}**`, '');
+      term.examples.forEach(example => lines.push(`- ${escape(example)}`));
+      lines.push('');
+    }
+
+    if (term.relatedTerms && term.relatedTerms.length > 0) {
+      const related = term.relatedTerms.map(name => {
+        const anchor = anchorFor(name, term);
+        return anchor ? `[${escape(name)}](#${anchor})` : escape(name);
+      });
+      lines.push(`**${escape(translate('card.relatedTerms'))}** ${related.join(', ')}`, '');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export terms as CSV, one row per term
+ * Tags, examples and related terms are joined with "; ".
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms
+ * @returns {string}
+ */
+export function exportCsv(terms) {
+  const header = ['id', 'term', 'fullForm', 'category', 'tags', 'definition', 'examples', 'relatedTerms'];
+  const rows = terms.map(term => [
+    term.id,
+    term.term,
+    term.fullForm,
+    term.category,
+    (term.tags || []).join('; '),
+    term.definition,
+    (term.examples || []).join('; '),
+    (term.relatedTerms || []).join('; ')
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export terms as glossary JSON (same shape as data/glossary.json)
+ * Only categories used by the exported terms, directly or as tags, are included.
+ * The `source` tag the core adds when merging data files is left out.
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms
+ * @param {string[]} [categories] - All categories, used for ordering
+ * @returns {string}
+ */
+export function exportJson(terms, categories = []) {
+  const used = new Set(terms.flatMap(getTermCategories));
+  const ordered = [
+    ...categories.filter(category => used.has(category)),
+    ...[...used].filter(category => !categories.includes(category))
+  ];
+
+  return serializeGlossary({
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    terms: terms.map(({ source, ...term }) => term),
+    categories: ordered
+  });
+}
+
+/**
+ * Export terms as a standalone, print-optimised HTML page
+ * Open it and use the browser's "Save as PDF" to get a PDF.
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms
+ * @param {ExportOptions} [options]
+ * @returns {string}
+ */
+export function exportPrintHtml(terms, {
+  locale = DEFAULT_LOCALE,
+  translate = createTranslator(locale),
+  title = translate('export.title'),
+  resolve
+} = {}) {
+  const anchorFor = anchorResolver(terms, resolve);
+
+  const entries = terms.map(term => `
+    <article id="${escapeHtml(termAnchor(term.id))}">
+      <h2>${escapeHtml(term.term)} <span class="category">${getTermCategories(term).map(escapeHtml).join(', ')}</span></h2>
+      ${term.fullForm ? `<p class="full-form">${escapeHtml(term.fullForm)}</p>` : ''}
+      ${term.aliases && term.aliases.length > 0 ? `<p class="aliases">${escapeHtml(translate('card.aliases'))} ${term.aliases.map(escapeHtml).join(', ')}</p>` : ''}
+      <p>${escapeHtml(term.definition)}</p>
+      ${term.examples && term.examples.length > 0 ? `
+        <h3>${escapeHtml(translate('export.examples'))}</h3>
+        <ul>${term.examples.map(example => `<li>${escapeHtml(example)}</li>`).join('')}</ul>
+      ` : ''}
+      ${term.relatedTerms && term.relatedTerms.length > 0 ? `
+        <p class="related"><strong>${escapeHtml(translate('card.relatedTerms'))}</strong> ${term.relatedTerms.map(name => {
+          const anchor = anchorFor(name, term);
+          return anchor ? `<a href="#${anchor}">${escapeHtml(name)}</a>` : escapeHtml(name);
+        }).join(', ')}</p>
+      ` : ''}
+    </article>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    h1 { border-bottom: 2px solid #2563eb; padding-bottom: 0.5rem; }
+    article { page-break-inside: avoid; break-inside: avoid; border-bottom: 1px solid #e5e7eb; padding: 1rem 0; }
+    h2 { margin: 0 0 0.25rem; font-size: 1.25rem; }
+    h3 { font-size: 0.875rem; margin: 0.75rem 0 0.25rem; }
+    .category { font-size: 0.75rem; font-weight: 600; color: #1e40af; background: #dbeafe; border-radius: 9999px; padding: 0.125rem 0.5rem; vertical-align: middle; }
+    .full-form { font-style: italic; color: #4b5563; margin: 0 0 0.5rem; }
+    .aliases { color: #4b5563; font-size: 0.9em; margin: 0 0 0.5rem; }
+    .related { font-size: 0.875rem; }
+    a { color: #2563eb; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      a { color: inherit; text-decoration: underline; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(translate('count.total', { count: terms.length }))}</p>
+  ${entries}
+</body>
+</html>
+`;
+}
+
+/**
+ * Export terms in the given format
+ * @param {keyof EXPORT_FORMATS} format
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms
+ * @param {ExportOptions & {categories?: string[]}} [options]
+ * @returns {string}
+ * @throws {Error} For unknown formats
+ */
+export function exportTerms(format, terms, options = {}) {
+  switch (format) {
+    case 'markdown':
+      return exportMarkdown(terms, options);
+    case 'csv':
+      return exportCsv(terms);
+    case 'json':
+      return exportJson(terms, options.categories);
+    case 'html':
+      return exportPrintHtml(terms, options);
+    default:
+      throw new Error(`Unknown export format "${format}"`);
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Category facets
+ * A term belongs to its `category` and to every category in its optional
+ * `tags`. Facets select categories and combine them with AND or OR.
+ * @module facets
+ */
+
+/**
+ * How selected facets combine
+ * - `any`: a term matches if it is in at least one selected category (OR)
+ * - `all`: a term matches only if it is in every selected category (AND)
+ * @enum {string}
+ */
+export const FacetMode = {
+  ANY: 'any',
+  ALL: 'all'
+};
+
+/**
+ * Categories a term belongs to: its category first, then its tags
+ * @param {import('./glossary-core.js').GlossaryTerm} term
+ * @returns {string[]} Without duplicates
+ */
+export function getTermCategories(term) {
+  const tags = Array.isArray(term.tags) ? term.tags : [];
+  return [...new Set([term.category, ...tags].filter(category => typeof category === 'string' && category))];
+}
+
+/**
+ * Whether a term matches the selected facets
+ * @param {import('./glossary-core.js').GlossaryTerm} term
+ * @param {string[]} facets - Selected categories; none selected matches every term
+ * @param {string} [mode] - One of {@link FacetMode}
+ * @returns {boolean}
+ */
+export function matchesFacets(term, facets, mode = FacetMode.ANY) {
+  if (facets.length === 0) return true;
+
+  const categories = getTermCategories(term);
+  return mode === FacetMode.ALL
+    ? facets.every(facet => categories.includes(facet))
+    : facets.some(facet => categories.includes(facet));
+}
+
+/**
+ * Number of terms each facet would show
+ * With `any`, a facet's count is the terms in that category. With `all`, it
+ * is the terms left after adding the facet to the selection, so a zero means
+ * selecting it empties the list.
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms - Terms to count, e.g. the search results
+ * @param {string[]} categories - Facets to count
+ * @param {string[]} [selected] - Currently selected facets
+ * @param {string} [mode] - One of {@link FacetMode}
+ * @returns {Object<string, number>} Count per category
+ */
+export function countFacets(terms, categories, selected = [], mode = FacetMode.ANY) {
+  const counts = Object.fromEntries(categories.map(category => [category, 0]));
+  const base = mode === FacetMode.ALL ? terms.filter(term => matchesFacets(term, selected, mode)) : terms;
+
+  base.forEach(term => {
+    getTermCategories(term).forEach(category => {
+      if (Object.hasOwn(counts, category)) {
+        counts[category]++;
+      }
+    });
+  });
+
+  return counts;
+}
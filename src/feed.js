@@ -0,0 +1,173 @@
+/**
+ * "What's new" feeds
+ * Turns the diff between two glossary versions into an Atom or RSS feed,
+ * one entry per added, updated or removed term, so teams can subscribe to
+ * glossary changes. Pure string work, like static-site.js.
+ * @module feed
+ */
+
+import { diffGlossaries, describeChange } from './glossary-diff.js';
+import { parseTimestamp, getChangelog } from './term-history.js';
+import { escapeHtml } from './html.js';
+import { SITE_NAME } from './static-site.js';
+
+/**
+ * Supported feed formats
+ * @enum {string}
+ */
+export const FeedFormat = {
+  ATOM: 'atom',
+  RSS: 'rss'
+};
+
+/**
+ * @typedef {Object} FeedEntry
+ * @property {string} id - Stable, unique tag URI
+ * @property {string} termId
+ * @property {'added'|'updated'|'removed'} kind
+ * @property {string} title
+ * @property {string} link
+ * @property {number} updated - Time of the change in ms
+ * @property {string} content - HTML describing the change
+ */
+
+/**
+ * Feed entries for the changes between two glossary versions, newest first
+ * Changes are dated with the terms' `createdAt` and `updatedAt`, or the
+ * feed's date when a term has none. Changelog notes added in the new
+ * version are included with updated terms.
+ * @param {import('./glossary-core.js').GlossaryData} before
+ * @param {import('./glossary-core.js').GlossaryData} after
+ * @param {Object} options
+ * @param {string} options.siteUrl - Public URL of the app, ending in a slash
+ * @param {Date} [options.updated] - Date of the feed
+ * @returns {FeedEntry[]}
+ */
+export function buildFeedEntries(before, after, { siteUrl, updated = new Date() }) {
+  const diff = diffGlossaries(before, after);
+  const afterTerms = new Map(after.terms.map(term => [term.id, term]));
+  const beforeTerms = new Map(before.terms.map(term => [term.id, term]));
+  const fallback = updated.getTime();
+  const host = new URL(siteUrl).hostname;
+  const termLink = termId => `${siteUrl}#/term/${encodeURIComponent(termId)}`;
+
+  const entry = (kind, term, time, title, content) => ({
+    // Tag URIs (RFC 4151) stay the same however often the feed is rebuilt
+    id: `tag:${host},${new Date(time).toISOString().slice(0, 10)}:${kind}/${term.id}`,
+    termId: term.id,
+    kind,
+    title,
+    link: kind === 'removed' ? siteUrl : termLink(term.id),
+    updated: time,
+    content
+  });
+
+  const entries = [
+    ...diff.added.map(term => entry('added', term, parseTimestamp(term.createdAt) ?? fallback, `New term: ${term.term}`,
+      `<p>${escapeHtml(term.definition)}</p><p>Category: ${escapeHtml(term.category)}</p>`)),
+    ...diff.changed.map(({ id, changes }) => {
+      const term = afterTerms.get(id);
+      const oldNotes = new Set(getChangelog(beforeTerms.get(id)).map(note => JSON.stringify(note)));
+      const notes = getChangelog(term).filter(note => !oldNotes.has(JSON.stringify(note)));
+
+      return entry('updated', term, parseTimestamp(term.updatedAt) ?? fallback, `Updated: ${term.term}`, [
+        ...notes.map(note => `<p>${escapeHtml(note.summary)}</p>`),
+        `<ul>${changes.map(change => `<li>${escapeHtml(describeChange(change))}</li>`).join('')}</ul>`
+      ].join(''));
+    }),
+    ...diff.removed.map(term => entry('removed', term, fallback, `Removed: ${term.term}`,
+      `<p>${escapeHtml(term.term)} is no longer in the glossary.</p>`))
+  ];
+
+  return entries.sort((a, b) => b.updated - a.updated || a.title.localeCompare(b.title));
+}
+
+/**
+ * Atom 1.0 feed
+ * @param {FeedEntry[]} entries
+ * @param {{title: string, siteUrl: string, feedUrl: string, updated: Date}} feed
+ * @returns {string}
+ */
+export function formatAtom(entries, { title, siteUrl, feedUrl, updated }) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeHtml(title)}</title>`,
+    `  <id>${escapeHtml(siteUrl)}</id>`,
+    `  <link href="${escapeHtml(siteUrl)}"/>`,
+    `  <link rel="self" href="${escapeHtml(feedUrl)}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <author><name>${escapeHtml(SITE_NAME)}</name></author>`,
+    ...entries.map(entry => [
+      '  <entry>',
+      `    <title>${escapeHtml(entry.title)}</title>`,
+      `    <id>${escapeHtml(entry.id)}</id>`,
+      `    <link href="${escapeHtml(entry.link)}"/>`,
+      `    <updated>${new Date(entry.updated).toISOString()}</updated>`,
+      `    <content type="html">${escapeHtml(entry.content)}</content>`,
+      '  </entry>'
+    ].join('\n')),
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * RSS 2.0 feed
+ * @param {FeedEntry[]} entries
+ * @param {{title: string, siteUrl: string, updated: Date}} feed
+ * @returns {string}
+ */
+export function formatRss(entries, { title, siteUrl, updated }) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0">',
+    '  <channel>',
+    `    <title>${escapeHtml(title)}</title>`,
+    `    <link>${escapeHtml(siteUrl)}</link>`,
+    `    <description>${escapeHtml(`New and updated terms in the ${SITE_NAME}`)}</description>`,
+    `    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>`,
+    ...entries.map(entry => [
+      '    <item>',
+      `      <title>${escapeHtml(entry.title)}</title>`,
+      `      <link>${escapeHtml(entry.link)}</link>`,
+      `      <guid isPermaLink="false">${escapeHtml(entry.id)}</guid>`,
+      `      <pubDate>${new Date(entry.updated).toUTCString()}</pubDate>`,
+      `      <description>${escapeHtml(entry.content)}</description>`,
+      '    </item>'
+    ].join('\n')),
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Feed of the changes between two glossary versions
+ * @param {import('./glossary-core.js').GlossaryData} before
+ * @param {import('./glossary-core.js').GlossaryData} after
+ * @param {Object} options
+ * @param {string} options.siteUrl - Public URL of the app
+ * @param {string} [options.format] - One of {@link FeedFormat}
+ * @param {string} [options.feedUrl] - Where the feed is published, defaults to feed.xml on the site
+ * @param {string} [options.title]
+ * @param {Date} [options.updated] - Date of the feed, defaults to now
+ * @returns {string}
+ * @throws {Error} On an unknown format
+ */
+export function buildFeed(before, after, {
+  siteUrl,
+  format = FeedFormat.ATOM,
+  feedUrl,
+  title = `${SITE_NAME}: what's new`,
+  updated = new Date()
+}) {
+  const formatters = { [FeedFormat.ATOM]: formatAtom, [FeedFormat.RSS]: formatRss };
+  if (!formatters[format]) {
+    throw new Error(`Unknown feed format "${format}"`);
+  }
+
+  const root = siteUrl.endsWith('/') ? siteUrl : `${siteUrl}/`;
+  const entries = buildFeedEntries(before, after, { siteUrl: root, updated });
+  return formatters[format](entries, { title, siteUrl: root, feedUrl: feedUrl || `${root}feed.xml`, updated });
+}
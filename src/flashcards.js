@@ -0,0 +1,219 @@
+/**
+ * Flashcards
+ * Builds study cards from glossary terms and runs a study session over them,
+ * reviewing due cards before introducing new ones. DOM-free; scheduling is
+ * left to {@link module:spaced-repetition}.
+ * @module flashcards
+ */
+
+import { Grade } from './spaced-repetition.js';
+
+/**
+ * Kinds of cards
+ * - `definition`: term → definition
+ * - `full-form`: full form → term, for acronyms
+ * - `related`: pick the related term among a few others
+ * @enum {string}
+ */
+export const CardType = {
+  DEFINITION: 'definition',
+  FULL_FORM: 'full-form',
+  RELATED: 'related'
+};
+
+/** Wrong answers offered next to the right one in related-term questions */
+export const RELATED_DISTRACTORS = 3;
+
+/** New cards a session introduces after the due reviews */
+export const NEW_CARDS_PER_SESSION = 10;
+
+/**
+ * @typedef {Object} Flashcard
+ * @property {string} id - `termId:type`, stable across sessions
+ * @property {string} termId - Term the card tests
+ * @property {string} type - One of {@link CardType}
+ * @property {string} prompt - Shown on the front
+ * @property {string} answer - Shown on the back; for related questions, the right choice's name
+ * @property {Array<{termId: string, label: string}>} [choices] - Options of a related question
+ * @property {string} [answerId] - Term id of the right choice
+ */
+
+/**
+ * Shuffle a copy of a list (Fisher-Yates)
+ * @template T
+ * @param {T[]} items
+ * @param {function(): number} random - Returns a number in [0, 1)
+ * @returns {T[]}
+ */
+function shuffle(items, random) {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+/**
+ * Build flashcards for a set of terms
+ * Related questions only use terms that exist, and distractors come from the
+ * same set of terms, so a deck restricted to a category stays on topic.
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms - Terms to study, localized if needed
+ * @param {Object} [options]
+ * @param {function(string, import('./glossary-core.js').GlossaryTerm): (string|null)} [options.resolve] -
+ *   Term id for a related-term name, e.g. `GlossaryCore#findTermIdByName`
+ * @param {function(): number} [options.random] - Random source, for shuffling choices
+ * @returns {Flashcard[]}
+ */
+export function buildFlashcards(terms, { resolve = () => null, random = Math.random } = {}) {
+  const byId = new Map(terms.map(term => [term.id, term]));
+  const cards = [];
+
+  terms.forEach(term => {
+    cards.push({
+      id: `${term.id}:${CardType.DEFINITION}`,
+      termId: term.id,
+      type: CardType.DEFINITION,
+      prompt: term.term,
+      answer: term.definition
+    });
+
+    if (term.fullForm && term.fullForm.toLowerCase() !== term.term.toLowerCase()) {
+      cards.push({
+        id: `${term.id}:${CardType.FULL_FORM}`,
+        termId: term.id,
+        type: CardType.FULL_FORM,
+        prompt: term.fullForm,
+        answer: term.term
+      });
+    }
+
+    const relatedIds = new Set((term.relatedTerms || [])
+      .map(name => resolve(name, term))
+      .filter(id => id && id !== term.id && byId.has(id)));
+    const distractors = terms.filter(other => other.id !== term.id && !relatedIds.has(other.id));
+
+    if (relatedIds.size > 0 && distractors.length > 0) {
+      const answer = byId.get(shuffle([...relatedIds], random)[0]);
+      const options = [answer, ...shuffle(distractors, random).slice(0, RELATED_DISTRACTORS)];
+
+      cards.push({
+        id: `${term.id}:${CardType.RELATED}`,
+        termId: term.id,
+        type: CardType.RELATED,
+        prompt: term.term,
+        answer: answer.term,
+        answerId: answer.id,
+        choices: shuffle(options, random).map(option => ({ termId: option.id, label: option.term }))
+      });
+    }
+  });
+
+  return cards;
+}
+
+/**
+ * @typedef {Object} SessionSummary
+ * @property {number} reviewed - Cards answered at least once
+ * @property {number} correct - Cards answered right the first time
+ * @property {Array<{termId: string, misses: number}>} missed - Terms missed this session, most misses first
+ */
+
+export class StudySession {
+  /**
+   * @param {Flashcard[]} cards - The deck
+   * @param {import('./spaced-repetition.js').StudyProgress} progress - Review state, updated as cards are answered
+   * @param {Object} [options]
+   * @param {function(): number} [options.now] - Clock, in ms
+   * @param {number} [options.newCards] - Most new cards to introduce
+   */
+  constructor(cards, progress, { now = () => Date.now(), newCards = NEW_CARDS_PER_SESSION } = {}) {
+    this.progress = progress;
+    this.now = now;
+
+    const time = now();
+    const due = cards
+      .filter(card => progress.isDue(card.id, time))
+      .sort((a, b) => progress.get(a.id).due - progress.get(b.id).due);
+    const fresh = cards.filter(card => progress.get(card.id) === null).slice(0, newCards);
+
+    /** @type {Flashcard[]} Cards still to answer; missed cards go to the back */
+    this.queue = [...due, ...fresh];
+    /** Cards in the session, including ones already answered */
+    this.total = this.queue.length;
+    /** @type {Map<string, {card: Flashcard, correct: boolean, misses: number}>} Results by card id */
+    this.results = new Map();
+  }
+
+  /**
+   * Card to answer next
+   * @returns {Flashcard|null} Null when the session is over
+   */
+  get current() {
+    return this.queue[0] || null;
+  }
+
+  /**
+   * Whether every card was answered correctly
+   * @returns {boolean}
+   */
+  get done() {
+    return this.queue.length === 0;
+  }
+
+  /**
+   * Grade the current card and move on
+   * A missed card comes back at the end of the session.
+   * @param {number} grade - One of {@link Grade}
+   * @returns {import('./spaced-repetition.js').CardProgress}
+   * @throws {Error} If the session is over
+   */
+  answer(grade) {
+    const card = this.queue.shift();
+    if (!card) {
+      throw new Error('The study session is over');
+    }
+
+    const missed = grade < Grade.HARD;
+    const result = this.results.get(card.id) || { card, correct: !missed, misses: 0 };
+    result.misses += missed ? 1 : 0;
+    this.results.set(card.id, result);
+
+    if (missed) {
+      this.queue.push(card);
+    }
+    return this.progress.record(card.id, grade, this.now());
+  }
+
+  /**
+   * Answer the current related-term question
+   * @param {string} termId - Term id of the chosen option
+   * @returns {boolean} Whether the choice was right
+   */
+  choose(termId) {
+    const card = this.current;
+    const correct = Boolean(card) && card.answerId === termId;
+    this.answer(correct ? Grade.GOOD : Grade.AGAIN);
+    return correct;
+  }
+
+  /**
+   * Results so far
+   * @returns {SessionSummary}
+   */
+  summary() {
+    const results = [...this.results.values()];
+    const missed = new Map();
+    results.filter(result => result.misses > 0).forEach(({ card, misses }) => {
+      missed.set(card.termId, (missed.get(card.termId) || 0) + misses);
+    });
+
+    return {
+      reviewed: results.length,
+      correct: results.filter(result => result.correct).length,
+      missed: [...missed.entries()]
+        .map(([termId, misses]) => ({ termId, misses }))
+        .sort((a, b) => b.misses - a.misses || a.termId.localeCompare(b.termId))
+    };
+  }
+}
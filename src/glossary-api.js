@@ -0,0 +1,552 @@
+/**
+ * Glossary REST API
+ * Request handling behind the local API server (scripts/api-server.js).
+ * Requests and responses are plain objects, so the API runs without a
+ * network in tests. Reads use {@link GlossaryCore}, so listing terms
+ * matches the app's search and category filters; writes go through a
+ * {@link GlossaryDraft} and are refused if the glossary would no longer
+ * validate.
+ * @module glossary-api
+ */
+
+import { GlossaryCore } from './glossary-core.js';
+import { CollectionStore } from './collections.js';
+import { GlossaryDraft } from './glossary-draft.js';
+import { serializeGlossary } from './glossary-json.js';
+import { migrateGlossary } from './schema.js';
+import { FacetMode, getTermCategories } from './facets.js';
+import { Severity } from './validator.js';
+import { resolveLocale, localizeTerm, DEFAULT_LOCALE } from './i18n.js';
+
+/** Path every endpoint is served under */
+export const API_BASE_PATH = '/api';
+
+/**
+ * Term fields a request body may set, with the type each must have
+ * `translations` is replaced as a whole; null removes it. `changeNote` is
+ * added to the term's changelog. `createdAt` and `updatedAt` are set by the
+ * server.
+ */
+export const TERM_FIELD_TYPES = {
+  id: 'string',
+  term: 'string',
+  fullForm: 'string|null',
+  aliases: 'string[]',
+  definition: 'string',
+  category: 'string',
+  tags: 'string[]',
+  relatedTerms: 'string[]',
+  examples: 'string[]',
+  translations: 'object|null',
+  changeNote: 'string'
+};
+
+/**
+ * @typedef {Object} ApiRequest
+ * @property {string} method - HTTP method, e.g. "GET"
+ * @property {string} url - Path and query string, e.g. "/api/terms?q=docker"
+ * @property {Object<string, string>} [headers] - Header values keyed by lower-case name
+ * @property {string} [body] - Raw request body
+ */
+
+/**
+ * @typedef {Object} ApiResponse
+ * @property {number} status
+ * @property {Object<string, string>} headers
+ * @property {string} body - Empty for 204 and 304 responses
+ */
+
+/**
+ * Strong ETag for a response body (32-bit FNV-1a hash and length)
+ * @param {string} text
+ * @returns {string} Quoted entity tag
+ */
+export function computeEtag(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return `"${hash.toString(16).padStart(8, '0')}-${text.length.toString(16)}"`;
+}
+
+/**
+ * Whether an If-None-Match or If-Match header matches an entity tag
+ * Weak tags (`W/"..."`) compare by their value.
+ * @param {string|undefined} header
+ * @param {string} etag
+ * @returns {boolean}
+ */
+export function matchesEtag(header, etag) {
+  if (!header) return false;
+  return header.split(',').map(tag => tag.trim()).some(tag => tag === '*' || tag.replace(/^W\//, '') === etag);
+}
+
+/**
+ * Compare two strings in time independent of where they differ
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * Problems with the fields of a write request
+ * @param {*} body - Parsed request body
+ * @returns {string[]} Messages; empty when the body is usable
+ */
+export function checkTermFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['The request body must be a JSON object of term fields'];
+  }
+
+  const isType = (value, type) => type.split('|').some(option => {
+    if (option === 'null') return value === null;
+    if (option === 'string[]') return Array.isArray(value) && value.every(item => typeof item === 'string');
+    if (option === 'object') return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    return typeof value === option;
+  });
+
+  return Object.entries(body).map(([field, value]) => {
+    const type = TERM_FIELD_TYPES[field];
+    if (!type) return `Unknown field "${field}"`;
+    return isType(value, type) ? null : `Field "${field}" must be ${type.replace('|', ' or ')}`;
+  }).filter(Boolean);
+}
+
+export class GlossaryApi {
+  /**
+   * @param {import('./glossary-core.js').GlossaryData} data - Glossary file contents
+   * @param {Object} [options]
+   * @param {string|null} [options.token] - Bearer token that writes must present;
+   *   without one the API is read-only
+   * @param {function(string, import('./glossary-core.js').GlossaryData): (void|Promise<void>)} [options.save] -
+   *   Persists the glossary after a write, given the serialized file; a failure rejects the write
+   * @param {string} [options.basePath] - Path the endpoints are served under
+   * @param {string} [options.allowOrigin] - Value of Access-Control-Allow-Origin
+   * @throws {Error} If the data doesn't validate
+   */
+  constructor(data, { token = null, save = null, basePath = API_BASE_PATH, allowOrigin = '*' } = {}) {
+    this.token = token;
+    this.save = save;
+    this.basePath = basePath.replace(/\/$/, '');
+    this.allowOrigin = allowOrigin;
+    /** Reads share one core; requests query it without changing its filters or language */
+    this.core = new GlossaryCore({ storage: null, collections: new CollectionStore({ storage: null }) });
+    /** @type {string} The glossary file, in file order; the source of truth between writes */
+    this.json = '';
+    /** @type {Promise<*>} Writes run one at a time, so none is based on stale data */
+    this.writes = Promise.resolve();
+
+    this.setData(data);
+  }
+
+  /**
+   * Replace the served glossary
+   * @param {import('./glossary-core.js').GlossaryData} data
+   * @throws {Error} If the data doesn't validate
+   */
+  setData(data) {
+    const json = serializeGlossary(migrateGlossary(data).data);
+    // The core sorts its terms, so it gets a copy and the file keeps its order
+    this.core.setData(JSON.parse(json));
+    this.json = json;
+  }
+
+  /**
+   * Answer a request
+   * @param {ApiRequest} request
+   * @returns {Promise<ApiResponse>}
+   */
+  async handle(request) {
+    try {
+      return await this.route(request);
+    } catch (error) {
+      console.error('Glossary API error:', error);
+      return this.error(500, 'Internal server error');
+    }
+  }
+
+  /**
+   * Dispatch a request to its endpoint
+   * @param {ApiRequest} request
+   * @returns {Promise<ApiResponse>}
+   */
+  async route(request) {
+    const method = request.method.toUpperCase();
+    const url = new URL(request.url, 'http://localhost');
+    const headers = request.headers || {};
+
+    if (url.pathname !== this.basePath && !url.pathname.startsWith(`${this.basePath}/`)) {
+      return this.error(404, 'Not found');
+    }
+    if (method === 'OPTIONS') {
+      return this.respond(204, null, {
+        'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match, If-None-Match',
+        'Access-Control-Max-Age': '600'
+      });
+    }
+
+    let segments;
+    try {
+      segments = url.pathname.slice(this.basePath.length).split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      return this.error(400, 'Malformed percent-encoding in the path');
+    }
+    const [resource, termId, sub, ...rest] = segments;
+    const read = method === 'GET' || method === 'HEAD';
+    const allow = methods => this.error(405, `Method ${method} is not allowed here`, {}, { Allow: methods });
+    const get = produce => this.cacheable(request, headers, produce);
+
+    if (resource === 'glossary' && !termId) {
+      return read ? this.cacheable(request, headers, () => ({ text: this.json })) : allow('GET, HEAD');
+    }
+
+    if (resource === 'categories' && !termId) {
+      return read ? get(() => this.listCategories()) : allow('GET, HEAD');
+    }
+
+    if (resource === 'terms' && !termId) {
+      if (read) return get(() => this.listTerms(url.searchParams));
+      if (method === 'POST') return this.write(headers, request.body, draft => this.createTerm(draft, request.body));
+      return allow('GET, HEAD, POST');
+    }
+
+    if (resource === 'terms' && !sub) {
+      if (read) return get(() => this.getTerm(termId, url.searchParams));
+      if (method === 'PUT' || method === 'PATCH') {
+        return this.write(headers, request.body, draft => this.updateTerm(draft, termId, request.body, headers, method === 'PATCH'));
+      }
+      if (method === 'DELETE') return this.write(headers, null, draft => this.deleteTerm(draft, termId, headers));
+      return allow('GET, HEAD, PUT, PATCH, DELETE');
+    }
+
+    if (resource === 'terms' && sub === 'related' && rest.length === 0) {
+      return read ? get(() => this.getRelatedTerms(termId)) : allow('GET, HEAD');
+    }
+
+    return this.error(404, 'Not found');
+  }
+
+  /**
+   * A GET response with an ETag, or 304 when the client's copy is current
+   * @param {ApiRequest} request
+   * @param {Object<string, string>} headers - Request headers
+   * @param {function(): ({text: string}|{payload: *}|ApiResponse)} produce - Response body, or an error response
+   * @returns {ApiResponse}
+   */
+  cacheable(request, headers, produce) {
+    const result = produce();
+    if (result.status) return result;
+
+    const text = result.text ?? JSON.stringify(result.payload);
+    const etag = computeEtag(text);
+    const cacheHeaders = { ETag: etag, 'Cache-Control': 'no-cache' };
+
+    if (matchesEtag(headers['if-none-match'], etag)) {
+      return this.respond(304, null, cacheHeaders);
+    }
+
+    const response = this.respond(200, text, cacheHeaders);
+    return request.method.toUpperCase() === 'HEAD' ? { ...response, body: '' } : response;
+  }
+
+  /**
+   * GET /terms: terms matching `q` (search), `category` (repeatable) and
+   * `match` (any or all), in `lang`, optionally paged with `limit` and `offset`.
+   * `recent=1` keeps only new and recently updated terms.
+   * @param {URLSearchParams} params
+   * @returns {{payload: {total: number, offset: number, limit: number|null, terms: Object[]}}|ApiResponse}
+   */
+  listTerms(params) {
+    const categories = params.getAll('category').filter(Boolean);
+    const mode = params.get('match') || FacetMode.ANY;
+    const unknown = categories.find(category => !this.core.data.categories.includes(category));
+    const limit = params.has('limit') ? Number(params.get('limit')) : null;
+    const offset = params.has('offset') ? Number(params.get('offset')) : 0;
+
+    if (unknown) {
+      return this.error(400, `Unknown category "${unknown}"`);
+    }
+    if (!Object.values(FacetMode).includes(mode)) {
+      return this.error(400, `Unknown match mode "${mode}"; use "${FacetMode.ANY}" or "${FacetMode.ALL}"`);
+    }
+    if ((limit !== null && !(Number.isInteger(limit) && limit >= 0)) || !(Number.isInteger(offset) && offset >= 0)) {
+      return this.error(400, '"limit" and "offset" must be non-negative integers');
+    }
+
+    const locale = this.getLocale(params);
+    const { terms } = this.core.queryTerms({
+      search: params.get('q') || '',
+      recent: params.get('recent') === '1',
+      facets: categories,
+      facetMode: mode,
+      locale
+    });
+    const page = terms.slice(offset, limit === null ? undefined : offset + limit);
+
+    return { payload: { total: terms.length, offset, limit, terms: page.map(term => localizeTerm(term, locale)) } };
+  }
+
+  /**
+   * GET /terms/:id, in `lang` if given
+   * @param {string} termId
+   * @param {URLSearchParams} params
+   * @returns {{payload: Object}|ApiResponse}
+   */
+  getTerm(termId, params) {
+    const term = this.core.getTerm(termId);
+    if (!term) return this.error(404, `Term "${termId}" not found`);
+
+    return { payload: localizeTerm(term, this.getLocale(params)) };
+  }
+
+  /**
+   * GET /terms/:id/related: related terms that exist, and the names that don't
+   * @param {string} termId
+   * @returns {{payload: {terms: Object[], missing: string[]}}|ApiResponse}
+   */
+  getRelatedTerms(termId) {
+    const term = this.core.getTerm(termId);
+    if (!term) return this.error(404, `Term "${termId}" not found`);
+
+    const terms = [];
+    const missing = [];
+    (term.relatedTerms || []).forEach(name => {
+      const relatedId = this.core.findTermIdByName(name);
+      if (relatedId === null) {
+        missing.push(name);
+      } else if (relatedId !== termId && !terms.some(related => related.id === relatedId)) {
+        terms.push(this.core.getTerm(relatedId));
+      }
+    });
+
+    return { payload: { terms, missing } };
+  }
+
+  /**
+   * GET /categories, with the number of terms in each (tags included)
+   * @returns {{payload: {categories: Array<{name: string, count: number}>}}}
+   */
+  listCategories() {
+    const { terms, categories } = this.core.data;
+    return {
+      payload: {
+        categories: categories.map(name => ({
+          name,
+          count: terms.filter(term => getTermCategories(term).includes(name)).length
+        }))
+      }
+    };
+  }
+
+  /**
+   * Language asked for with the `lang` parameter, or the default one
+   * @param {URLSearchParams} params
+   * @returns {string}
+   */
+  getLocale(params) {
+    return params.has('lang') ? resolveLocale(params.get('lang')) : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Authorize, apply and persist a change
+   * The change is made on a draft of the file. It is kept only if the
+   * result has no validation errors and was saved.
+   * @param {Object<string, string>} headers - Request headers
+   * @param {string|null} body - Raw body, or null for requests without one
+   * @param {function(GlossaryDraft, *): ({status: number, term: Object|null}|ApiResponse)} apply - Makes the change
+   * @returns {Promise<ApiResponse>}
+   */
+  write(headers, body, apply) {
+    const denied = this.authorize(headers);
+    if (denied) return Promise.resolve(denied);
+
+    const run = async () => {
+      const draft = new GlossaryDraft(JSON.parse(this.json));
+      const result = apply(draft);
+      if (!result.term && result.status >= 400) return result;
+
+      const report = draft.validate();
+      const errors = report.issues.filter(issue => issue.severity === Severity.ERROR);
+      if (errors.length > 0) {
+        return this.error(422, 'The change would make the glossary invalid', { issues: errors });
+      }
+
+      const json = draft.toJson();
+      if (this.save) {
+        await this.save(json, draft.data);
+      }
+      this.setData(JSON.parse(json));
+
+      if (!result.term) {
+        return this.respond(result.status, null);
+      }
+      const term = this.core.getTerm(result.term.id);
+      const warnings = report.issues.filter(issue => issue.severity === Severity.WARNING && issue.location === term.id);
+      return this.respond(result.status, JSON.stringify({ term, warnings }), {
+        ETag: computeEtag(JSON.stringify(term)),
+        ...(result.status === 201 ? { Location: `${this.basePath}/terms/${encodeURIComponent(term.id)}` } : {})
+      });
+    };
+
+    // Later writes wait for earlier ones, even failed ones
+    const response = this.writes.then(run);
+    this.writes = response.catch(() => {});
+    return response;
+  }
+
+  /**
+   * Check the bearer token of a write request
+   * @param {Object<string, string>} headers
+   * @returns {ApiResponse|null} An error response, or null when authorized
+   */
+  authorize(headers) {
+    if (!this.token) {
+      return this.error(403, 'This API is read-only; start the server with an API token to allow changes');
+    }
+
+    const match = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+    if (!match || !safeEqual(match[1].trim(), this.token)) {
+      return this.error(401, 'A valid bearer token is required', {}, { 'WWW-Authenticate': 'Bearer realm="glossary"' });
+    }
+    return null;
+  }
+
+  /**
+   * Parse and check a write request's body
+   * @param {string|undefined} body
+   * @returns {{fields: Object}|{response: ApiResponse}}
+   */
+  parseFields(body) {
+    let fields;
+    try {
+      fields = JSON.parse(body || '');
+    } catch (error) {
+      return { response: this.error(400, 'The request body is not valid JSON') };
+    }
+
+    const problems = checkTermFields(fields);
+    return problems.length > 0
+      ? { response: this.error(400, 'Invalid term fields', { details: problems }) }
+      : { fields };
+  }
+
+  /**
+   * POST /terms
+   * @param {GlossaryDraft} draft
+   * @param {string|undefined} body
+   * @returns {{status: number, term: Object}|ApiResponse}
+   */
+  createTerm(draft, body) {
+    const { fields, response } = this.parseFields(body);
+    if (response) return response;
+
+    const id = String(fields.id || '').trim() || draft.generateId(fields.term || '');
+    if (id && draft.getTerm(id)) {
+      return this.error(409, `A term with id "${id}" already exists`);
+    }
+    if (!id) {
+      return this.error(422, 'A term needs a name or an id');
+    }
+
+    const term = draft.createTerm({ ...fields, id });
+    return { status: 201, term };
+  }
+
+  /**
+   * PUT /terms/:id replaces the editable fields; PATCH changes only the
+   * fields in the body. Both honor If-Match.
+   * @param {GlossaryDraft} draft
+   * @param {string} termId
+   * @param {string|undefined} body
+   * @param {Object<string, string>} headers
+   * @param {boolean} partial - Whether this is a PATCH
+   * @returns {{status: number, term: Object}|ApiResponse}
+   */
+  updateTerm(draft, termId, body, headers, partial) {
+    const precondition = this.checkPrecondition(termId, headers);
+    if (precondition) return precondition;
+
+    const { fields, response } = this.parseFields(body);
+    if (response) return response;
+    if (fields.id !== undefined && fields.id !== termId) {
+      return this.error(400, 'A term\'s id cannot be changed');
+    }
+
+    const existing = draft.getTerm(termId);
+    const term = draft.updateTerm(termId, partial ? { ...existing, ...fields } : fields);
+    return { status: 200, term };
+  }
+
+  /**
+   * DELETE /terms/:id, honoring If-Match
+   * @param {GlossaryDraft} draft
+   * @param {string} termId
+   * @param {Object<string, string>} headers
+   * @returns {{status: number, term: null}|ApiResponse}
+   */
+  deleteTerm(draft, termId, headers) {
+    const precondition = this.checkPrecondition(termId, headers);
+    if (precondition) return precondition;
+
+    draft.deleteTerm(termId);
+    return { status: 204, term: null };
+  }
+
+  /**
+   * 404 for a missing term, 412 when If-Match names another version of it
+   * @param {string} termId
+   * @param {Object<string, string>} headers
+   * @returns {ApiResponse|null}
+   */
+  checkPrecondition(termId, headers) {
+    const term = this.core.getTerm(termId);
+    if (!term) {
+      return this.error(404, `Term "${termId}" not found`);
+    }
+    if (headers['if-match'] && !matchesEtag(headers['if-match'], computeEtag(JSON.stringify(term)))) {
+      return this.error(412, `Term "${termId}" has changed since it was read`);
+    }
+    return null;
+  }
+
+  /**
+   * A JSON response with the CORS headers
+   * @param {number} status
+   * @param {string|null} body - Serialized JSON, or null for no body
+   * @param {Object<string, string>} [headers]
+   * @returns {ApiResponse}
+   */
+  respond(status, body, headers = {}) {
+    return {
+      status,
+      headers: {
+        ...(body === null ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+        'Access-Control-Allow-Origin': this.allowOrigin,
+        'Access-Control-Expose-Headers': 'ETag, Location',
+        ...headers
+      },
+      body: body ?? ''
+    };
+  }
+
+  /**
+   * An error response, `{ error, ...extra }`
+   * @param {number} status
+   * @param {string} message
+   * @param {Object} [extra] - More fields, e.g. validation `issues`
+   * @param {Object<string, string>} [headers]
+   * @returns {ApiResponse}
+   */
+  error(status, message, extra = {}, headers = {}) {
+    return this.respond(status, JSON.stringify({ error: message, ...extra }), headers);
+  }
+}
@@ -0,0 +1,755 @@
+/**
+ * Headless glossary store
+ * Loading, filtering and navigation state with a subscribe/event API.
+ * Never touches the DOM, so it runs in Node tools as well as in any UI.
+ * @module glossary-core
+ */
+
+import { SearchIndex } from './search-index.js';
+import { validateGlossary, Severity } from './validator.js';
+import { normalizeSources, mergeGlossaries, CollisionStrategy } from './sources.js';
+import { CollectionStore } from './collections.js';
+import { migrateGlossary } from './schema.js';
+import { normalizeTermName, getTermNames } from './term-names.js';
+import { FacetMode, matchesFacets, countFacets } from './facets.js';
+import { DEFAULT_LOCALE, localizeTerm } from './i18n.js';
+import { GlossaryApiClient } from './api-client.js';
+import { RECENT_DAYS, getChangeStatus } from './term-history.js';
+
+/**
+ * @typedef {Object} GlossaryTerm
+ * @property {string} id - Unique identifier
+ * @property {string} term - The technical term
+ * @property {string|null} fullForm - Full form/expansion of acronym
+ * @property {string[]} [aliases] - Other names the term goes by, e.g. "K8s"; its full form counts as one too
+ * @property {string} definition - Detailed definition
+ * @property {string} category - Category of the term
+ * @property {string[]} [tags] - Further categories the term belongs to
+ * @property {string[]} relatedTerms - Related terms
+ * @property {string[]} examples - Usage examples
+ * @property {string} [source] - Namespace of the source the term was loaded from
+ * @property {Object<string, Partial<GlossaryTerm>>} [translations] - Localized `term`, `fullForm`,
+ *   `definition` and `examples`, keyed by locale (e.g. "sv"); missing fields fall back to the base values
+ * @property {string} [createdAt] - When the term was added (YYYY-MM-DD or ISO 8601 date-time)
+ * @property {string} [updatedAt] - When the term was last changed
+ * @property {import('./term-history.js').ChangelogEntry[]} [changelog] - Notes on past changes, oldest first
+ */
+
+/**
+ * @typedef {Object} GlossaryData
+ * @property {number} [schemaVersion] - Format version, see {@link module:schema}; missing means 1
+ * @property {GlossaryTerm[]} terms - Array of glossary terms
+ * @property {string[]} categories - Available categories
+ */
+
+/**
+ * Events emitted by the store
+ * - `load`: data loaded and indexed, payload `{ data }`
+ * - `filter`: filtered terms recomputed, payload `{ terms, category, facets, facetMode, facetCounts, query, recent }`
+ * - `navigate`: moved to a term, payload `{ termId, term, fromBreadcrumb, trimmed }`, where
+ *   `trimmed` is how many later terms going back along the breadcrumb removed
+ * - `history`: navigation history changed, payload `{ history }`
+ * - `error`: loading failed, payload `{ error }`
+ * - `locale`: active language changed, payload `{ locale }`
+ * @enum {string}
+ */
+export const GlossaryEvent = {
+  LOAD: 'load',
+  FILTER: 'filter',
+  NAVIGATE: 'navigate',
+  HISTORY: 'history',
+  ERROR: 'error',
+  LOCALE: 'locale'
+};
+
+/** sessionStorage key for the navigation history */
+export const HISTORY_STORAGE_KEY = 'glossary-navigation-history';
+
+/** Pseudo-category that shows saved terms instead of a real category */
+export const SAVED_CATEGORY = '_saved';
+
+export class GlossaryCore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataUrl] - URL to the glossary JSON file
+   * @param {Array<string|Partial<import('./sources.js').SourceConfig>>} [options.sources] - Several
+   *   glossary files to merge, instead of `dataUrl`
+   * @param {string} [options.collisionStrategy] - How to resolve duplicate ids across sources,
+   *   one of {@link CollisionStrategy}
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+   * @param {Storage|null} [options.storage] - Where navigation history is persisted,
+   *   defaults to sessionStorage when available
+   * @param {CollectionStore} [options.collections] - Bookmarks and collections,
+   *   defaults to a store backed by localStorage
+   * @param {string} [options.locale] - Language terms are shown and searched in
+   * @param {string|GlossaryApiClient|null} [options.api] - Load from a glossary REST API
+   *   (its base URL or a client) instead of static files
+   * @param {number} [options.recentDays] - How long terms count as new or updated
+   * @param {function(): Date} [options.now] - Clock for the recent filter
+   */
+  constructor({
+    dataUrl = './data/glossary.json',
+    sources = dataUrl,
+    collisionStrategy = CollisionStrategy.OVERRIDE,
+    fetch = globalThis.fetch,
+    storage = typeof sessionStorage !== 'undefined' ? sessionStorage : null,
+    collections = new CollectionStore(),
+    locale = DEFAULT_LOCALE,
+    api = null,
+    recentDays = RECENT_DAYS,
+    now = () => new Date()
+  } = {}) {
+    /** @type {GlossaryApiClient|null} */
+    this.api = typeof api === 'string' ? new GlossaryApiClient({ baseUrl: api, fetch }) : api;
+    /** @type {import('./sources.js').SourceConfig[]} */
+    this.sources = normalizeSources(this.api ? this.api.glossaryUrl : sources);
+    this.dataUrl = this.sources[0].url;
+    this.collisionStrategy = collisionStrategy;
+    this.fetch = fetch;
+    this.storage = storage;
+    /** @type {GlossaryData|null} */
+    this.data = null;
+    /** @type {GlossaryTerm[]} */
+    this.filteredTerms = [];
+    /** @type {string[]} Selected categories; none selected shows every term */
+    this.facets = [];
+    /** @type {string} How selected categories combine, one of {@link FacetMode} */
+    this.facetMode = FacetMode.ANY;
+    /** @type {Object<string, number>} Terms per category within the current search */
+    this.facetCounts = {};
+    /** Whether the Saved filter is active instead of the facets */
+    this.showSaved = false;
+    /** @type {string|null} Collection shown by the Saved filter, null for all saved terms */
+    this.currentCollection = null;
+    /** Whether only terms added or updated in the last {@link GlossaryCore#recentDays} days are shown */
+    this.showRecent = false;
+    this.recentDays = recentDays;
+    this.now = now;
+    this.searchQuery = '';
+    this.locale = locale;
+    /** @type {string[]} */
+    this.navigationHistory = [];
+    /** @type {string|null} Term the user navigated to most recently */
+    this.activeTermId = null;
+    /** @type {import('./validator.js').ValidationReport|null} */
+    this.validationReport = null;
+    /** @type {SearchIndex|null} */
+    this.searchIndex = null;
+    /** @type {Map<string, SearchIndex>} Indexes for languages other than the active one, see {@link GlossaryCore#queryTerms} */
+    this.localeSearchIndexes = new Map();
+    /** @type {{terms: GlossaryTerm[], size: number, byId: Map<string, GlossaryTerm>, byName: Map<string, GlossaryTerm[]>, byAlias: Map<string, GlossaryTerm[]>}|null} */
+    this.termLookup = null;
+    /** @type {import('./search-index.js').SearchResult[]} Results of the last search */
+    this.searchResults = [];
+    /** @type {GlossaryTerm[]} Terms matching the search, before saved or facet filtering */
+    this.searchedTerms = [];
+    /** @type {Map<string, Set<Function>>} */
+    this.listeners = new Map();
+    this.collections = collections;
+
+    // Keep the Saved filter in sync as terms are starred and collected
+    this.collections.subscribe(() => {
+      if (this.currentCollection && !this.collections.getCollection(this.currentCollection)) {
+        this.currentCollection = null;
+      }
+      if (this.currentCategory === SAVED_CATEGORY) {
+        this.filter();
+      }
+    });
+  }
+
+  /**
+   * Single-category view of the filter: {@link SAVED_CATEGORY}, the selected
+   * category when exactly one is selected, or 'all'
+   * @type {string}
+   */
+  get currentCategory() {
+    if (this.showSaved) return SAVED_CATEGORY;
+    return this.facets.length === 1 ? this.facets[0] : 'all';
+  }
+
+  /**
+   * Select a single category, 'all' (no facets) or {@link SAVED_CATEGORY}
+   * @param {string} category
+   */
+  set currentCategory(category) {
+    this.showSaved = category === SAVED_CATEGORY;
+    this.facets = category === 'all' || this.showSaved ? [] : [category];
+  }
+
+  /**
+   * Subscribe to a store event
+   * @param {string} event - One of {@link GlossaryEvent}
+   * @param {Function} listener - Called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+
+    return () => this.listeners.get(event).delete(listener);
+  }
+
+  /**
+   * Notify subscribers of an event
+   * @param {string} event
+   * @param {Object} payload
+   */
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    [...listeners].forEach(listener => listener(payload));
+  }
+
+  /**
+   * Load and merge glossary data from the configured sources, or the API
+   * @returns {Promise<GlossaryData>}
+   */
+  async loadData() {
+    try {
+      if (this.api) {
+        const data = migrateGlossary(await this.api.getGlossary()).data;
+        return this.setData(mergeGlossaries([{ source: this.sources[0], data }], this.collisionStrategy));
+      }
+
+      const packs = await Promise.all(this.sources.map(async source => {
+        const response = await this.fetch(source.url);
+
+        if (!response.ok) {
+          throw new Error(`HTTP error! status: ${response.status}${this.sources.length > 1 ? ` (${source.url})` : ''}`);
+        }
+
+        // Packs can be at different schema versions; bring each up to date before merging
+        return { source, data: migrateGlossary(await response.json()).data };
+      }));
+
+      return this.setData(mergeGlossaries(packs, this.collisionStrategy));
+    } catch (error) {
+      const loadError = new Error(`Failed to load glossary data: ${error.message}`);
+      this.emit(GlossaryEvent.ERROR, { error: loadError });
+      throw loadError;
+    }
+  }
+
+  /**
+   * Use already-parsed glossary data (e.g. read from disk in Node)
+   * Data at an older schema version is migrated first.
+   * @param {GlossaryData} data
+   * @returns {GlossaryData}
+   * @throws {Error} If the data is at an unsupported schema version or has validation errors
+   */
+  setData(data) {
+    this.data = migrateGlossary(data).data;
+    this.validateData();
+
+    // Sort terms alphabetically
+    this.data.terms.sort((a, b) => a.term.localeCompare(b.term));
+
+    this.buildTermLookup();
+    this.buildSearchIndex();
+    this.emit(GlossaryEvent.LOAD, { data: this.data });
+
+    return this.data;
+  }
+
+  /**
+   * Validate loaded data, failing on errors
+   * The full report, warnings included, is kept in `validationReport` for
+   * callers to show as they see fit; nothing is logged here.
+   * @throws {Error} If the data has validation errors
+   */
+  validateData() {
+    this.validationReport = validateGlossary(this.data);
+    const { issues, valid } = this.validationReport;
+
+    if (!valid) {
+      const errors = issues.filter(issue => issue.severity === Severity.ERROR);
+      const details = errors.map(issue => issue.location ? `${issue.location}: ${issue.message}` : issue.message);
+      throw new Error(`Invalid data format: ${details.join('; ')}`);
+    }
+  }
+
+  /**
+   * Build the search index for the loaded terms
+   */
+  buildSearchIndex() {
+    this.searchIndex = this.data
+      ? new SearchIndex(this.data.terms, undefined, { localize: term => this.localizeTerm(term) })
+      : null;
+    this.localeSearchIndexes.clear();
+  }
+
+  /**
+   * Search index for a language, built on first use
+   * @param {string} [locale] - Defaults to the active language
+   * @returns {SearchIndex}
+   */
+  getSearchIndex(locale = this.locale) {
+    // Rebuild if the data was replaced since the index was built
+    if (locale === this.locale) {
+      if (!this.searchIndex || this.searchIndex.terms !== this.data.terms) {
+        this.buildSearchIndex();
+      }
+      return this.searchIndex;
+    }
+
+    let index = this.localeSearchIndexes.get(locale);
+    if (!index || index.terms !== this.data.terms) {
+      index = new SearchIndex(this.data.terms, undefined, { localize: term => localizeTerm(term, locale) });
+      this.localeSearchIndexes.set(locale, index);
+    }
+    return index;
+  }
+
+  /**
+   * Change the language terms are shown and searched in
+   * @param {string} locale
+   */
+  setLocale(locale) {
+    if (locale === this.locale) return;
+
+    this.locale = locale;
+    this.emit(GlossaryEvent.LOCALE, { locale });
+
+    if (this.data) {
+      this.buildSearchIndex();
+      this.filter();
+    }
+  }
+
+  /**
+   * A term with its fields in the active language
+   * @param {GlossaryTerm} term
+   * @returns {GlossaryTerm}
+   */
+  localizeTerm(term) {
+    return localizeTerm(term, this.locale);
+  }
+
+  /**
+   * Build id and name lookup maps, so resolving related terms doesn't scan
+   * every term for every chip
+   */
+  buildTermLookup() {
+    const byId = new Map();
+    const byName = new Map();
+    const byAlias = new Map();
+    const add = (map, key, term) => {
+      // Names made only of punctuation have no key
+      if (!key) return;
+      if (!map.has(key)) {
+        map.set(key, []);
+      }
+      if (!map.get(key).includes(term)) {
+        map.get(key).push(term);
+      }
+    };
+
+    this.data.terms.forEach(term => {
+      if (!byId.has(term.id)) {
+        byId.set(term.id, term);
+      }
+      add(byName, term.term.toLowerCase(), term);
+      add(byAlias, normalizeTermName(term.term), term);
+    });
+    // Full forms and aliases come after every name, so a term's own name wins
+    this.data.terms.forEach(term => {
+      getTermNames(term).slice(1).forEach(name => add(byAlias, normalizeTermName(name), term));
+    });
+
+    this.termLookup = { terms: this.data.terms, size: this.data.terms.length, byId, byName, byAlias };
+  }
+
+  /**
+   * Lookup maps for the current terms
+   * `byName` is keyed by lower-cased name, `byAlias` by {@link normalizeTermName}
+   * of every name, full form and alias.
+   * @returns {{byId: Map<string, GlossaryTerm>, byName: Map<string, GlossaryTerm[]>, byAlias: Map<string, GlossaryTerm[]>}}
+   */
+  getTermLookup() {
+    // Rebuild if the data was replaced since the maps were built
+    const { terms } = this.data;
+    if (!this.termLookup || this.termLookup.terms !== terms || this.termLookup.size !== terms.length) {
+      this.buildTermLookup();
+    }
+    return this.termLookup;
+  }
+
+  /**
+   * Look up a term by id
+   * @param {string} termId
+   * @returns {GlossaryTerm|null}
+   */
+  getTerm(termId) {
+    if (!this.data) return null;
+    return this.getTermLookup().byId.get(termId) || null;
+  }
+
+  /**
+   * Check if a term exists in the glossary by name
+   * Searches every loaded source. An exact (case-insensitive) name wins;
+   * otherwise full forms and aliases are tried, ignoring punctuation, so
+   * "K8s" and "CI-CD" resolve too. When several sources define the name,
+   * the term from `preferredSource` wins.
+   * @param {string} termName
+   * @param {string} [preferredSource] - Namespace to prefer, usually the referring term's source
+   * @returns {string|null} Term ID if found, null otherwise
+   */
+  findTermIdByName(termName, preferredSource) {
+    if (!this.data) return null;
+
+    const { byName, byAlias } = this.getTermLookup();
+    const pick = (matches = []) => matches.find(t => t.source === preferredSource) || matches[0];
+    const term = pick(byName.get(termName.toLowerCase())) || pick(byAlias.get(normalizeTermName(termName)));
+    return term ? term.id : null;
+  }
+
+  /**
+   * Whether terms come from more than one source
+   * @returns {boolean}
+   */
+  hasMultipleSources() {
+    return this.sources.length > 1;
+  }
+
+  /**
+   * Terms matching a query, leaving the store's own filters alone
+   * For one-off queries, such as API requests, that must neither depend on
+   * nor change what is currently shown.
+   * @param {Object} [query]
+   * @param {string} [query.search] - Search query; results are ranked by relevance
+   * @param {boolean} [query.recent] - Only new and recently updated terms
+   * @param {boolean} [query.saved] - Only saved terms
+   * @param {string|null} [query.collection] - Collection the saved terms come from, null for all
+   * @param {string[]} [query.facets] - Categories to match
+   * @param {string} [query.facetMode] - One of FacetMode
+   * @param {string} [query.locale] - Language to search in, defaults to the active one
+   * @returns {{terms: GlossaryTerm[], searchedTerms: GlossaryTerm[], searchResults: import('./search-index.js').SearchResult[]}}
+   *   Matching terms, the terms before saved or facet filtering, and the search results
+   */
+  queryTerms({
+    search = '',
+    recent = false,
+    saved = false,
+    collection = null,
+    facets = [],
+    facetMode = FacetMode.ANY,
+    locale = this.locale
+  } = {}) {
+    if (!this.data) return { terms: [], searchedTerms: [], searchResults: [] };
+
+    let terms = this.data.terms;
+    let searchResults = [];
+
+    // Rank by search query
+    if (search) {
+      searchResults = this.getSearchIndex(locale).search(search);
+      terms = searchResults.map(result => result.term);
+    }
+
+    // Narrow before facets, so facet counts follow it like they follow the search
+    if (recent) {
+      terms = terms.filter(term => this.getChangeStatus(term) !== null);
+    }
+
+    const searchedTerms = terms;
+
+    // Filter by saved terms or facets
+    if (saved) {
+      const savedIds = this.collections.getTermIds(collection);
+      terms = terms.filter(term => savedIds.has(term.id));
+    } else if (facets.length > 0) {
+      terms = terms.filter(term => matchesFacets(term, facets, facetMode));
+    }
+
+    return { terms, searchedTerms, searchResults };
+  }
+
+  /**
+   * Filter terms based on search query, recent changes, saved terms and facets
+   * @returns {GlossaryTerm[]}
+   */
+  filterTerms() {
+    if (!this.data) return [];
+
+    const { terms, searchedTerms, searchResults } = this.queryTerms({
+      search: this.searchQuery,
+      recent: this.showRecent,
+      saved: this.showSaved,
+      collection: this.currentCollection,
+      facets: this.facets,
+      facetMode: this.facetMode
+    });
+    this.searchResults = searchResults;
+    this.searchedTerms = searchedTerms;
+
+    return terms;
+  }
+
+  /**
+   * Recompute the filtered terms and notify subscribers
+   * @returns {GlossaryTerm[]}
+   */
+  filter() {
+    this.filteredTerms = this.filterTerms();
+    // Counts follow the search, so they show what each facet would add
+    this.facetCounts = this.data
+      ? countFacets(this.searchedTerms, this.data.categories, this.facets, this.facetMode)
+      : {};
+    this.emit(GlossaryEvent.FILTER, {
+      terms: this.filteredTerms,
+      category: this.currentCategory,
+      facets: [...this.facets],
+      facetMode: this.facetMode,
+      facetCounts: this.facetCounts,
+      query: this.searchQuery,
+      recent: this.showRecent
+    });
+    return this.filteredTerms;
+  }
+
+  /**
+   * Show a single category, every term ('all') or saved terms
+   * @param {string} category - Category name, 'all' or {@link SAVED_CATEGORY}
+   */
+  setCategory(category) {
+    this.currentCategory = category;
+    this.currentCollection = null;
+    this.activeTermId = null;
+    this.filter();
+  }
+
+  /**
+   * Select categories as facets, leaving the Saved filter
+   * Unknown categories are ignored.
+   * @param {string[]} categories
+   */
+  setFacets(categories) {
+    const known = this.data ? this.data.categories : [];
+    this.facets = [...new Set(categories)].filter(category => known.includes(category));
+    this.showSaved = false;
+    this.currentCollection = null;
+    this.activeTermId = null;
+    this.filter();
+  }
+
+  /**
+   * Add a category to the selected facets, or remove it if selected
+   * @param {string} category
+   */
+  toggleFacet(category) {
+    this.setFacets(this.facets.includes(category)
+      ? this.facets.filter(facet => facet !== category)
+      : [...this.facets, category]);
+  }
+
+  /**
+   * Deselect every facet
+   */
+  clearFacets() {
+    this.setFacets([]);
+  }
+
+  /**
+   * Change how selected facets combine
+   * @param {string} mode - One of {@link FacetMode}
+   * @throws {Error} On an unknown mode
+   */
+  setFacetMode(mode) {
+    if (!Object.values(FacetMode).includes(mode)) {
+      throw new Error(`Unknown facet mode "${mode}"`);
+    }
+    this.facetMode = mode;
+    this.activeTermId = null;
+    this.filter();
+  }
+
+  /**
+   * Show saved terms from one collection, or from all of them
+   * @param {string|null} collectionId
+   */
+  setCollection(collectionId) {
+    this.currentCategory = SAVED_CATEGORY;
+    this.currentCollection = this.collections.getCollection(collectionId) ? collectionId : null;
+    this.activeTermId = null;
+    this.filter();
+  }
+
+  /**
+   * Show only terms added or updated recently, or every term
+   * Combines with the search, category and Saved filters.
+   * @param {boolean} recent
+   */
+  setShowRecent(recent) {
+    this.showRecent = Boolean(recent);
+    this.activeTermId = null;
+    this.filter();
+  }
+
+  /**
+   * Whether a term is new or was updated recently
+   * @param {GlossaryTerm} term
+   * @returns {string|null} One of {@link module:term-history.ChangeStatus}, or null
+   */
+  getChangeStatus(term) {
+    return getChangeStatus(term, { now: this.now().getTime(), days: this.recentDays });
+  }
+
+  /**
+   * Change the search query
+   * @param {string} query
+   */
+  setSearchQuery(query) {
+    this.searchQuery = query.toLowerCase();
+    this.activeTermId = null;
+    this.filter();
+  }
+
+  /**
+   * Initialize navigation history from storage
+   */
+  initializeHistory() {
+    if (!this.storage) return;
+
+    try {
+      const stored = this.storage.getItem(HISTORY_STORAGE_KEY);
+      if (stored) {
+        this.navigationHistory = JSON.parse(stored);
+      }
+    } catch (error) {
+      console.warn('Failed to load navigation history:', error);
+      this.navigationHistory = [];
+    }
+  }
+
+  /**
+   * Save navigation history to storage
+   */
+  saveHistory() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.navigationHistory));
+    } catch (error) {
+      console.warn('Failed to save navigation history:', error);
+    }
+  }
+
+  /**
+   * Replace the navigation history
+   * @param {string[]} history
+   */
+  setHistory(history) {
+    this.navigationHistory = [...history];
+    this.saveHistory();
+    this.emit(GlossaryEvent.HISTORY, { history: this.navigationHistory });
+  }
+
+  /**
+   * Add term to navigation history
+   * @param {string} termId
+   */
+  addToHistory(termId) {
+    // Avoid duplicate consecutive entries
+    if (this.navigationHistory.length > 0 &&
+        this.navigationHistory[this.navigationHistory.length - 1] === termId) {
+      return;
+    }
+
+    this.setHistory([...this.navigationHistory, termId]);
+  }
+
+  /**
+   * Clear navigation history
+   */
+  clearHistory() {
+    this.setHistory([]);
+  }
+
+  /**
+   * Navigate to a specific term
+   * Clears search and category so the term is guaranteed to be visible.
+   * @param {string} termId - The ID of the term to navigate to
+   * @param {boolean} fromBreadcrumb - Whether navigation is from breadcrumb click
+   * @returns {GlossaryTerm|null} The term, or null if it does not exist
+   */
+  navigateToTerm(termId, fromBreadcrumb = false) {
+    if (!this.data) return null;
+
+    const term = this.getTerm(termId);
+    if (!term) {
+      console.warn(`Term with ID "${termId}" not found`);
+      return null;
+    }
+
+    // Handle breadcrumb navigation (remove terms after clicked item)
+    let trimmed = 0;
+    if (fromBreadcrumb) {
+      const index = this.navigationHistory.indexOf(termId);
+      if (index !== -1) {
+        trimmed = this.navigationHistory.length - index - 1;
+        this.setHistory(this.navigationHistory.slice(0, index + 1));
+      }
+    } else {
+      // Add to history for regular navigation
+      this.addToHistory(termId);
+    }
+
+    this.searchQuery = '';
+    this.currentCategory = 'all';
+    this.currentCollection = null;
+    this.showRecent = false;
+    this.activeTermId = termId;
+    this.filter();
+
+    this.emit(GlossaryEvent.NAVIGATE, { termId, term, fromBreadcrumb, trimmed });
+    return term;
+  }
+
+  /**
+   * Apply a snapshot of term, filters and history (e.g. from a URL)
+   * Unknown categories and terms are ignored. `facets` takes precedence over
+   * a single `category`.
+   * @param {{termId?: string|null, category?: string, facets?: string[], facetMode?: string, collection?: string|null, query?: string, recent?: boolean, navigationHistory?: string[]}} state
+   */
+  applyState({ termId = null, category = 'all', facets, facetMode = FacetMode.ANY, collection = null, query = '', recent = false, navigationHistory } = {}) {
+    if (!this.data) return;
+
+    if (Array.isArray(navigationHistory)) {
+      this.setHistory(navigationHistory);
+    }
+
+    this.showSaved = category === SAVED_CATEGORY;
+    this.facets = this.showSaved
+      ? []
+      : [...new Set(Array.isArray(facets) ? facets : [category])].filter(name => this.data.categories.includes(name));
+    this.facetMode = Object.values(FacetMode).includes(facetMode) ? facetMode : FacetMode.ANY;
+    this.currentCollection = this.showSaved && this.collections.getCollection(collection)
+      ? collection
+      : null;
+    this.searchQuery = query.toLowerCase();
+    this.showRecent = Boolean(recent);
+    this.activeTermId = this.getTerm(termId) ? termId : null;
+    this.filter();
+  }
+
+  /**
+   * Snapshot of the current term, filters and history
+   * @returns {{termId: string|null, category: string, facets: string[], facetMode: string, collection: string|null, query: string, recent: boolean, navigationHistory: string[]}}
+   */
+  getState() {
+    return {
+      termId: this.activeTermId,
+      category: this.currentCategory,
+      facets: [...this.facets],
+      facetMode: this.facetMode,
+      collection: this.currentCollection,
+      query: this.searchQuery,
+      recent: this.showRecent,
+      navigationHistory: [...this.navigationHistory]
+    };
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Term-level diff between two glossary versions
+ * Produces a readable summary for pull requests instead of a line diff of
+ * the JSON file.
+ * @module glossary-diff
+ */
+
+/**
+ * Term fields compared by the diff, in display order
+ * History fields (`createdAt`, `updatedAt`, `changelog`) describe changes, so
+ * they aren't changes of their own.
+ */
+export const DIFF_FIELDS = ['term', 'fullForm', 'aliases', 'definition', 'category', 'tags', 'relatedTerms', 'examples', 'translations'];
+
+/**
+ * @typedef {Object} FieldChange
+ * @property {string} field
+ * @property {*} before
+ * @property {*} after
+ */
+
+/**
+ * @typedef {Object} GlossaryDiff
+ * @property {import('./glossary-core.js').GlossaryTerm[]} added - Terms only in the new version
+ * @property {import('./glossary-core.js').GlossaryTerm[]} removed - Terms only in the old version
+ * @property {Array<{id: string, term: string, changes: FieldChange[]}>} changed - Terms whose fields differ
+ * @property {{added: string[], removed: string[]}} categories
+ */
+
+/**
+ * Structural equality for JSON values
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Field changes between two versions of a term
+ * @param {import('./glossary-core.js').GlossaryTerm} before
+ * @param {import('./glossary-core.js').GlossaryTerm} after
+ * @returns {FieldChange[]}
+ */
+export function diffTerms(before, after) {
+  return DIFF_FIELDS
+    .filter(field => !isEqual(before[field], after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Compare two glossary versions, matching terms by id
+ * @param {import('./glossary-core.js').GlossaryData} before
+ * @param {import('./glossary-core.js').GlossaryData} after
+ * @returns {GlossaryDiff}
+ */
+export function diffGlossaries(before, after) {
+  const beforeTerms = new Map((before.terms || []).map(term => [term.id, term]));
+  const afterTerms = new Map((after.terms || []).map(term => [term.id, term]));
+  const beforeCategories = before.categories || [];
+  const afterCategories = after.categories || [];
+
+  const changed = [];
+  afterTerms.forEach((term, id) => {
+    const previous = beforeTerms.get(id);
+    if (!previous) return;
+
+    const changes = diffTerms(previous, term);
+    if (changes.length > 0) {
+      changed.push({ id, term: term.term, changes });
+    }
+  });
+
+  return {
+    added: [...afterTerms.values()].filter(term => !beforeTerms.has(term.id)),
+    removed: [...beforeTerms.values()].filter(term => !afterTerms.has(term.id)),
+    changed,
+    categories: {
+      added: afterCategories.filter(category => !beforeCategories.includes(category)),
+      removed: beforeCategories.filter(category => !afterCategories.includes(category))
+    }
+  };
+}
+
+/**
+ * Whether a diff contains any change
+ * @param {GlossaryDiff} diff
+ * @returns {boolean}
+ */
+export function hasChanges(diff) {
+  return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0 ||
+    diff.categories.added.length > 0 || diff.categories.removed.length > 0;
+}
+
+/**
+ * Describe one field change on a single line
+ * Lists show added and removed items; other values show old -> new.
+ * @param {FieldChange} change
+ * @returns {string}
+ */
+export function describeChange({ field, before, after }) {
+  if (Array.isArray(before) || Array.isArray(after)) {
+    const previous = before || [];
+    const next = after || [];
+    const parts = [
+      ...next.filter(item => !previous.includes(item)).map(item => `+ ${item}`),
+      ...previous.filter(item => !next.includes(item)).map(item => `- ${item}`)
+    ];
+    return `${field}: ${parts.length > 0 ? parts.join(', ') : 'reordered'}`;
+  }
+
+  const show = value => (value === null || value === undefined ? '(none)' : JSON.stringify(value));
+  return `${field}: ${show(before)} → ${show(after)}`;
+}
+
+/**
+ * Format a diff as Markdown, ready to paste into a pull request
+ * @param {GlossaryDiff} diff
+ * @returns {string}
+ */
+export function formatDiffMarkdown(diff) {
+  const lines = [
+    '## Glossary changes',
+    '',
+    `**Summary:** ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed`
+  ];
+
+  if (!hasChanges(diff)) {
+    lines.push('', 'No changes.');
+    return lines.join('\n') + '\n';
+  }
+
+  if (diff.added.length > 0) {
+    lines.push('', '### Added', '');
+    diff.added.forEach(term => {
+      lines.push(`- **${term.term}** (\`${term.id}\`, ${term.category}): ${term.definition}`);
+    });
+  }
+
+  if (diff.changed.length > 0) {
+    lines.push('', '### Changed', '');
+    diff.changed.forEach(({ id, term, changes }) => {
+      lines.push(`- **${term}** (\`${id}\`)`);
+      changes.forEach(change => lines.push(`  - ${describeChange(change)}`));
+    });
+  }
+
+  if (diff.removed.length > 0) {
+    lines.push('', '### Removed', '');
+    diff.removed.forEach(term => lines.push(`- **${term.term}** (\`${term.id}\`)`));
+  }
+
+  if (diff.categories.added.length > 0 || diff.categories.removed.length > 0) {
+    lines.push('', '### Categories', '');
+    if (diff.categories.added.length > 0) {
+      lines.push(`- Added: ${diff.categories.added.join(', ')}`);
+    }
+    if (diff.categories.removed.length > 0) {
+      lines.push(`- Removed: ${diff.categories.removed.join(', ')}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
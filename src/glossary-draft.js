@@ -0,0 +1,388 @@
+/**
+ * Editable working copy of a glossary file
+ * Backs the in-app term editor: edits stay in memory and come out as a
+ * JSON file or a diff against the original. Never touches the DOM.
+ * @module glossary-draft
+ */
+
+import { validateGlossary, toKebabCase } from './validator.js';
+import { diffGlossaries, diffTerms } from './glossary-diff.js';
+import { serializeGlossary } from './glossary-json.js';
+import { migrateGlossary } from './schema.js';
+import { getTermCategories } from './facets.js';
+import { formatDate } from './term-history.js';
+
+/**
+ * Editable term fields, as entered in a form
+ * @typedef {Object} TermFields
+ * @property {string} [id] - Leave empty to generate one from the name
+ * @property {string} term
+ * @property {string|null} [fullForm]
+ * @property {string[]} [aliases]
+ * @property {string} definition
+ * @property {string} category
+ * @property {string[]} [tags]
+ * @property {string[]} [relatedTerms]
+ * @property {string[]} [examples]
+ * @property {Object|null} [translations] - Replaces the term's translations; null removes them.
+ *   Left out, the translations are kept.
+ * @property {string} [changeNote] - What changed, added to the term's changelog
+ */
+
+/**
+ * Deep copy of glossary data at the current schema version, without the
+ * `source` tags added when merging
+ * @param {import('./glossary-core.js').GlossaryData} data
+ * @returns {import('./glossary-core.js').GlossaryData}
+ */
+function cloneData(data) {
+  const copy = migrateGlossary(data).data;
+  copy.terms = (copy.terms || []).map(({ source, ...term }) => term);
+  copy.categories = copy.categories || [];
+  return copy;
+}
+
+/**
+ * Trim form input into term fields
+ * Empty full forms become null; blank examples, duplicate related terms,
+ * aliases repeating the name and tags repeating the category are dropped.
+ * @param {TermFields} fields
+ * @returns {Object}
+ */
+function normalizeFields(fields) {
+  const trim = value => (typeof value === 'string' ? value.trim() : '');
+  const unique = (names, seen = new Set()) => names.map(trim).filter(name => {
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  const term = trim(fields.term);
+  const category = trim(fields.category);
+
+  return {
+    term,
+    fullForm: trim(fields.fullForm) || null,
+    aliases: unique(fields.aliases || [], new Set([term.toLowerCase()])),
+    definition: trim(fields.definition),
+    category,
+    tags: [...new Set((fields.tags || []).map(trim))].filter(tag => tag && tag !== category),
+    relatedTerms: unique(fields.relatedTerms || []),
+    examples: (fields.examples || []).map(trim).filter(Boolean)
+  };
+}
+
+export class GlossaryDraft {
+  /**
+   * @param {import('./glossary-core.js').GlossaryData} data - Glossary as loaded from its file
+   * @param {Object} [options]
+   * @param {function(): Date} [options.now] - Clock for `createdAt` and `updatedAt`
+   */
+  constructor(data, { now = () => new Date() } = {}) {
+    this.now = now;
+    /** Unchanged copy, the base for {@link GlossaryDraft#diff} */
+    this.original = cloneData(data);
+    /** @type {import('./glossary-core.js').GlossaryData} Working copy */
+    this.data = cloneData(data);
+    /** @type {Set<Function>} */
+    this.listeners = new Set();
+  }
+
+  /**
+   * Subscribe to edits
+   * @param {Function} listener - Called with `{ data }` after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers
+   */
+  changed() {
+    [...this.listeners].forEach(listener => listener({ data: this.data }));
+  }
+
+  /**
+   * Look up a term by id
+   * @param {string} termId
+   * @returns {import('./glossary-core.js').GlossaryTerm|null}
+   */
+  getTerm(termId) {
+    return this.data.terms.find(term => term.id === termId) || null;
+  }
+
+  /**
+   * Kebab-case id for a term name that no other term uses
+   * @param {string} name
+   * @param {string} [ownId] - Id of the term being edited, which may keep its own id
+   * @returns {string}
+   */
+  generateId(name, ownId) {
+    const base = toKebabCase(name);
+    if (!base) return '';
+
+    const taken = id => id !== ownId && this.getTerm(id) !== null;
+    let id = base;
+    for (let n = 2; taken(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  /**
+   * Build the term a form would save, without changing the draft
+   * @param {TermFields} fields
+   * @param {string|null} [termId] - Term being edited, or null for a new term
+   * @returns {import('./glossary-core.js').GlossaryTerm}
+   */
+  buildTerm(fields, termId = null) {
+    const existing = termId ? this.getTerm(termId) : null;
+    const normalized = normalizeFields(fields);
+    // Ids of existing terms never change, so deep links keep working
+    const id = existing ? existing.id : (String(fields.id || '').trim() || this.generateId(normalized.term));
+
+    // Keep fields the form doesn't edit, such as translations
+    const term = { ...existing, id, ...normalized };
+    if (fields.translations === null) {
+      delete term.translations;
+    } else if (fields.translations !== undefined) {
+      term.translations = fields.translations;
+    }
+    // Only terms with aliases or tags carry the field, so other terms diff cleanly
+    ['aliases', 'tags'].forEach(field => {
+      if (term[field].length === 0) {
+        delete term[field];
+      }
+    });
+    return term;
+  }
+
+  /**
+   * Validation issues a term would have if it were saved now
+   * Lets the editor show problems while the user is still typing.
+   * @param {TermFields} fields
+   * @param {string|null} [termId] - Term being edited, or null for a new term
+   * @returns {import('./validator.js').ValidationIssue[]}
+   */
+  checkTerm(fields, termId = null) {
+    const term = this.buildTerm(fields, termId);
+    const index = termId ? this.data.terms.findIndex(existing => existing.id === termId) : this.data.terms.length;
+    const terms = [...this.data.terms];
+    terms.splice(index, termId ? 1 : 0, term);
+
+    // Terms without an id are reported by position
+    const location = term.id || `terms[${index}]`;
+    return validateGlossary({ ...this.data, terms }).issues
+      .filter(issue => issue.location === location);
+  }
+
+  /**
+   * Add a term, dated today
+   * @param {TermFields} fields
+   * @returns {import('./glossary-core.js').GlossaryTerm}
+   * @throws {Error} If the id is empty or already used
+   */
+  createTerm(fields) {
+    const term = this.buildTerm(fields);
+    if (!term.id) {
+      throw new Error('A term needs a name or an id');
+    }
+    if (this.getTerm(term.id)) {
+      throw new Error(`A term with id "${term.id}" already exists`);
+    }
+
+    const today = formatDate(this.now());
+    term.createdAt = today;
+    term.updatedAt = today;
+    this.addChangeNote(term, fields.changeNote, today);
+    this.data.terms.push(term);
+    this.changed();
+    return term;
+  }
+
+  /**
+   * Update a term
+   * Renaming a term also renames it in other terms' related terms. The term
+   * is dated today if its content or changelog changed.
+   * @param {string} termId
+   * @param {TermFields} fields
+   * @returns {import('./glossary-core.js').GlossaryTerm}
+   * @throws {Error} If the term doesn't exist
+   */
+  updateTerm(termId, fields) {
+    const existing = this.getTerm(termId);
+    if (!existing) {
+      throw new Error(`Term "${termId}" not found`);
+    }
+
+    const term = this.buildTerm(fields, termId);
+    const oldName = existing.term.toLowerCase();
+    const today = formatDate(this.now());
+
+    if (this.addChangeNote(term, fields.changeNote, today) || diffTerms(existing, term).length > 0) {
+      term.updatedAt = today;
+    }
+
+    if (term.term && term.term.toLowerCase() !== oldName) {
+      this.data.terms.forEach(other => {
+        if (other.id === termId || !Array.isArray(other.relatedTerms)) return;
+        other.relatedTerms = other.relatedTerms.map(name => (name.toLowerCase() === oldName ? term.term : name));
+      });
+    }
+
+    this.data.terms = this.data.terms.map(other => (other.id === termId ? term : other));
+    this.changed();
+    return term;
+  }
+
+  /**
+   * Append a note to a term's changelog
+   * @param {import('./glossary-core.js').GlossaryTerm} term
+   * @param {string|undefined} note
+   * @param {string} date
+   * @returns {boolean} Whether a note was added
+   */
+  addChangeNote(term, note, date) {
+    const summary = typeof note === 'string' ? note.trim() : '';
+    if (!summary) return false;
+
+    term.changelog = [...(term.changelog || []), { date, summary }];
+    return true;
+  }
+
+  /**
+   * Delete a term
+   * References to it from other terms are left for validation to report.
+   * @param {string} termId
+   * @throws {Error} If the term doesn't exist
+   */
+  deleteTerm(termId) {
+    if (!this.getTerm(termId)) {
+      throw new Error(`Term "${termId}" not found`);
+    }
+
+    this.data.terms = this.data.terms.filter(term => term.id !== termId);
+    this.changed();
+  }
+
+  /**
+   * Number of terms in a category, including terms tagged with it
+   * @param {string} category
+   * @returns {number}
+   */
+  countTerms(category) {
+    return this.data.terms.filter(term => getTermCategories(term).includes(category)).length;
+  }
+
+  /**
+   * Add a category
+   * @param {string} name
+   * @throws {Error} If the name is empty or already exists
+   */
+  addCategory(name) {
+    const category = String(name || '').trim();
+    if (!category) {
+      throw new Error('Category name cannot be empty');
+    }
+    if (this.data.categories.includes(category)) {
+      throw new Error(`Category "${category}" already exists`);
+    }
+
+    this.data.categories.push(category);
+    this.changed();
+  }
+
+  /**
+   * Rename a category and move its terms along
+   * @param {string} oldName
+   * @param {string} newName
+   * @throws {Error} If the category doesn't exist or the new name is taken
+   */
+  renameCategory(oldName, newName) {
+    const category = String(newName || '').trim();
+    if (!this.data.categories.includes(oldName)) {
+      throw new Error(`Category "${oldName}" not found`);
+    }
+    if (!category) {
+      throw new Error('Category name cannot be empty');
+    }
+    if (category !== oldName && this.data.categories.includes(category)) {
+      throw new Error(`Category "${category}" already exists`);
+    }
+
+    this.data.categories = this.data.categories.map(name => (name === oldName ? category : name));
+    this.data.terms.forEach(term => {
+      if (term.category === oldName) {
+        term.category = category;
+      }
+      if (Array.isArray(term.tags)) {
+        term.tags = term.tags.map(tag => (tag === oldName ? category : tag));
+      }
+    });
+    this.changed();
+  }
+
+  /**
+   * Delete an unused category
+   * @param {string} name
+   * @throws {Error} If terms still use the category
+   */
+  deleteCategory(name) {
+    const count = this.countTerms(name);
+    if (count > 0) {
+      throw new Error(`Category "${name}" is used by ${count} ${count === 1 ? 'term' : 'terms'}`);
+    }
+
+    this.data.categories = this.data.categories.filter(category => category !== name);
+    this.changed();
+  }
+
+  /**
+   * Existing term names matching what the user typed
+   * Names starting with the query come first.
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {string[]} [options.exclude] - Names to leave out, e.g. already-related terms
+   * @param {number} [options.limit]
+   * @returns {string[]}
+   */
+  suggestRelatedTerms(query, { exclude = [], limit = 8 } = {}) {
+    const needle = String(query || '').trim().toLowerCase();
+    const excluded = new Set(exclude.map(name => name.toLowerCase()));
+    const names = this.data.terms
+      .map(term => term.term)
+      .filter(name => name && !excluded.has(name.toLowerCase()));
+
+    const prefix = names.filter(name => name.toLowerCase().startsWith(needle));
+    const infix = names.filter(name => !name.toLowerCase().startsWith(needle) && name.toLowerCase().includes(needle));
+
+    return [...prefix.sort((a, b) => a.localeCompare(b)), ...infix.sort((a, b) => a.localeCompare(b))].slice(0, limit);
+  }
+
+  /**
+   * Validate the working copy
+   * @returns {import('./validator.js').ValidationReport}
+   */
+  validate() {
+    return validateGlossary(this.data);
+  }
+
+  /**
+   * Changes since the draft was created
+   * @returns {import('./glossary-diff.js').GlossaryDiff}
+   */
+  diff() {
+    return diffGlossaries(this.original, this.data);
+  }
+
+  /**
+   * The working copy as a glossary file
+   * @returns {string}
+   */
+  toJson() {
+    return serializeGlossary(this.data);
+  }
+}
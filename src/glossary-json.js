@@ -0,0 +1,20 @@
+/**
+ * Glossary JSON serialization
+ * Writes glossary data in the same layout as data/glossary.json, so files
+ * produced by the app diff cleanly against hand-edited ones.
+ * @module glossary-json
+ */
+
+/**
+ * Serialize glossary data
+ * Two-space indentation, with each term's `aliases`, `tags` and `relatedTerms` kept on one line,
+ * and the trailing newline and blank line the data file has always ended with.
+ * @param {import('./glossary-core.js').GlossaryData} data
+ * @returns {string}
+ */
+export function serializeGlossary(data) {
+  return JSON.stringify(data, null, 2).replace(
+    /"(aliases|tags|relatedTerms)": \[\n\s*([^\]]*?)\n\s*\]/g,
+    (_, field, items) => `"${field}": [${items.split(/,\n\s*/).join(', ')}]`
+  ) + '\n\n';
+}
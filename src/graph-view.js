@@ -0,0 +1,188 @@
+/**
+ * Related-terms graph view
+ * Draws the glossary as an SVG node-link diagram focused on the active term
+ * @module graph-view
+ */
+
+import { GlossaryEvent } from './glossary-core.js';
+import { buildTermGraph, neighbourhood, layoutGraph } from './term-graph.js';
+import { categoryColor } from './category-colors.js';
+import { escapeHtml } from './html.js';
+import { createTranslator, DEFAULT_LOCALE } from './i18n.js';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+const NODE_RADIUS = 10;
+
+export class GraphView {
+  /**
+   * @param {import('./glossary-core.js').GlossaryCore} core - Store to draw
+   * @param {HTMLElement} container - Element the SVG is rendered into
+   * @param {Object} [options]
+   * @param {function(string): void} [options.onSelect] - Called with the term id of a clicked node
+   * @param {number} [options.hops] - Neighbourhood radius around the active term
+   * @param {number} [options.maxFullGraphNodes] - Above this many nodes the whole graph is not drawn
+   *   until a term is selected
+   * @param {function(string, Object=): string} [options.translate] - UI string translator
+   */
+  constructor(core, container, {
+    onSelect = () => {},
+    hops = 1,
+    maxFullGraphNodes = 150,
+    translate = createTranslator(DEFAULT_LOCALE)
+  } = {}) {
+    this.core = core;
+    this.container = container;
+    this.onSelect = onSelect;
+    this.hops = hops;
+    this.maxFullGraphNodes = maxFullGraphNodes;
+    this.translate = translate;
+    this.visible = false;
+
+    this.attachEventListeners();
+    this.core.subscribe(GlossaryEvent.NAVIGATE, () => this.refresh());
+    this.core.subscribe(GlossaryEvent.LOAD, () => this.refresh());
+    this.core.subscribe(GlossaryEvent.LOCALE, () => this.refresh());
+  }
+
+  /**
+   * Show or hide the view; it only renders while visible
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.refresh();
+  }
+
+  /**
+   * Change the neighbourhood radius
+   * @param {number} hops
+   */
+  setHops(hops) {
+    this.hops = Math.max(1, hops);
+    this.refresh();
+  }
+
+  /**
+   * Re-render if visible
+   */
+  refresh() {
+    if (this.visible) {
+      this.render();
+    }
+  }
+
+  /**
+   * Handle node clicks and keyboard activation with event delegation
+   */
+  attachEventListeners() {
+    this.container.addEventListener('click', (e) => {
+      const node = e.target.closest('[data-term-id]');
+      if (node) {
+        this.onSelect(node.dataset.termId);
+      }
+    });
+
+    this.container.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+
+      const node = e.target.closest('[data-term-id]');
+      if (node) {
+        e.preventDefault();
+        this.onSelect(node.dataset.termId);
+      }
+    });
+  }
+
+  /**
+   * Graph to draw: the active term's neighbourhood, or everything
+   * Nodes are labelled in the active language.
+   * @returns {import('./term-graph.js').TermGraph|null} Null when the full graph is too large to draw
+   */
+  getVisibleGraph() {
+    const terms = this.core.data.terms.map(term => this.core.localizeTerm(term));
+    const graph = buildTermGraph(terms, (name, term) =>
+      this.core.findTermIdByName(name, term.source)
+    );
+    const focusId = this.core.activeTermId;
+
+    if (focusId) {
+      return neighbourhood(graph, focusId, this.hops);
+    }
+    return graph.nodes.length > this.maxFullGraphNodes ? null : graph;
+  }
+
+  /**
+   * Render the SVG diagram and category legend
+   */
+  render() {
+    if (!this.core.data) return;
+
+    const graph = this.getVisibleGraph();
+    if (!graph) {
+      this.container.innerHTML = `
+        <p class="graph-empty">${escapeHtml(this.translate('graph.empty'))}</p>
+      `;
+      return;
+    }
+
+    const focusId = this.core.activeTermId;
+    const { categories } = this.core.data;
+    layoutGraph(graph, { width: WIDTH, height: HEIGHT, centerId: focusId });
+    const byId = new Map(graph.nodes.map(node => [node.id, node]));
+
+    const edges = graph.edges.map(({ source, target }) => {
+      const a = byId.get(source);
+      const b = byId.get(target);
+      return `<line class="graph-edge${b.ghost ? ' graph-edge-ghost' : ''}" x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}" />`;
+    }).join('');
+
+    const nodes = graph.nodes.map(node => {
+      const position = `translate(${node.x.toFixed(1)}, ${node.y.toFixed(1)})`;
+      const label = `<text class="graph-label" y="${NODE_RADIUS + 14}" text-anchor="middle">${escapeHtml(node.label)}</text>`;
+
+      if (node.ghost) {
+        return `
+          <g class="graph-node graph-node-ghost" transform="${position}" aria-label="${escapeHtml(`${this.translate('card.externalReference')}: ${node.label}`)}">
+            <circle r="${NODE_RADIUS - 2}" />
+            ${label}
+          </g>
+        `;
+      }
+
+      const isFocus = node.id === focusId;
+      return `
+        <g 
+          class="graph-node${isFocus ? ' graph-node-focus' : ''}" 
+          transform="${position}" 
+          data-term-id="${escapeHtml(node.id)}" 
+          role="button" 
+          tabindex="0" 
+          aria-label="${escapeHtml(this.translate('card.navigateTo', { term: node.label }))}"
+        >
+          <circle r="${isFocus ? NODE_RADIUS + 4 : NODE_RADIUS}" fill="${categoryColor(node.category, categories)}" />
+          ${label}
+        </g>
+      `;
+    }).join('');
+
+    const usedCategories = categories.filter(category =>
+      graph.nodes.some(node => node.category === category)
+    );
+
+    this.container.innerHTML = `
+      <svg class="graph-svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="group" aria-label="${escapeHtml(this.translate('graph.label'))}">
+        <g>${edges}</g>
+        <g>${nodes}</g>
+      </svg>
+      <ul class="graph-legend" aria-label="${escapeHtml(this.translate('graph.legend'))}">
+        ${usedCategories.map(category => `
+          <li><span class="graph-legend-swatch" style="background-color: ${categoryColor(category, categories)}"></span>${escapeHtml(category)}</li>
+        `).join('')}
+        ${graph.nodes.some(node => node.ghost) ? `
+          <li><span class="graph-legend-swatch graph-legend-ghost"></span>${escapeHtml(this.translate('graph.ghost'))}</li>
+        ` : ''}
+      </ul>
+    `;
+  }
+}
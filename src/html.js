@@ -0,0 +1,19 @@
+/**
+ * HTML string helpers shared by the renderers
+ * @module html
+ */
+
+/**
+ * Escape HTML to prevent XSS
+ * Works without a DOM so markup can also be generated in Node.
+ * @param {*} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
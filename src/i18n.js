@@ -0,0 +1,91 @@
+/**
+ * Localization
+ * Localized term fields with fallback to the default locale, and a
+ * translator for UI strings with plural-aware messages.
+ * @module i18n
+ */
+
+import { MESSAGES } from './messages.js';
+
+/** Locale of the base (untranslated) term fields and the fallback for UI strings */
+export const DEFAULT_LOCALE = 'en';
+
+/** localStorage key for the chosen language */
+export const LOCALE_STORAGE_KEY = 'glossary-locale';
+
+/** Term fields that can be overridden in `term.translations[locale]` */
+export const LOCALIZED_FIELDS = ['term', 'fullForm', 'definition', 'examples'];
+
+/** Languages the UI is translated into, in switcher order */
+export const SUPPORTED_LOCALES = [
+  { code: 'en', name: 'English' },
+  { code: 'sv', name: 'Svenska' },
+  { code: 'de', name: 'Deutsch' }
+];
+
+/**
+ * Pick the best supported locale for a requested one
+ * Matches exactly first, then by language ("sv-SE" -> "sv").
+ * @param {string|null|undefined} requested
+ * @param {string[]} [available] - Supported locale codes
+ * @returns {string}
+ */
+export function resolveLocale(requested, available = SUPPORTED_LOCALES.map(locale => locale.code)) {
+  if (!requested) return DEFAULT_LOCALE;
+
+  const normalized = String(requested).toLowerCase();
+  if (available.includes(normalized)) return normalized;
+
+  const language = normalized.split(/[-_]/)[0];
+  return available.includes(language) ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Term with its fields in the given locale
+ * Fields missing from the translation keep their default-locale value.
+ * @param {import('./glossary-core.js').GlossaryTerm} term
+ * @param {string} locale
+ * @returns {import('./glossary-core.js').GlossaryTerm} The term itself, or a localized copy
+ */
+export function localizeTerm(term, locale) {
+  const translation = term.translations && term.translations[locale];
+  if (!translation) return term;
+
+  const localized = { ...term };
+  LOCALIZED_FIELDS.forEach(field => {
+    if (translation[field] !== undefined && translation[field] !== '') {
+      localized[field] = translation[field];
+    }
+  });
+  return localized;
+}
+
+/**
+ * Create a translator for UI strings
+ * Messages may contain `{name}` placeholders. Plural messages are objects
+ * keyed by `Intl.PluralRules` category (`one`, `other`, ...) and are chosen
+ * by the `count` parameter. Numbers are formatted for the locale.
+ * @param {string} locale
+ * @param {Object<string, Object>} [bundles] - Messages per locale
+ * @returns {function(string, Object=): string} `t(key, params)`
+ */
+export function createTranslator(locale, bundles = MESSAGES) {
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  return (key, params = {}) => {
+    let message = (bundles[locale] && bundles[locale][key]) ??
+      (bundles[DEFAULT_LOCALE] && bundles[DEFAULT_LOCALE][key]) ??
+      key;
+
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      const value = params[name];
+      if (value === undefined) return placeholder;
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  };
+}
@@ -0,0 +1,659 @@
+/**
+ * UI string bundles, one per supported locale
+ * Missing keys fall back to English. Plural messages are keyed by
+ * `Intl.PluralRules` category.
+ * @module messages
+ */
+
+export const MESSAGES = {
+  en: {
+    'search.placeholder': 'Search terms, definitions, or acronyms...',
+    'search.label': 'Search glossary',
+    'language.label': 'Language',
+    'theme.label': 'Theme',
+    'theme.system': 'System',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.high-contrast': 'High contrast',
+    'filters.heading': 'Filter by Category',
+    'filters.all': 'All',
+    'filters.saved': 'Saved',
+    'filters.facet': { one: '{category}, {count} term', other: '{category}, {count} terms' },
+    'filters.modeLabel': 'Combine categories',
+    'filters.matchAny': 'Match any',
+    'filters.matchAll': 'Match all',
+    'filters.clear': 'Clear filters',
+    'filters.recent': 'New & updated',
+    'breadcrumb.label': 'Exploration Path:',
+    'breadcrumb.clear': 'Clear History',
+    'breadcrumb.back': 'Navigate back to {term}',
+    'card.aliases': 'Also known as:',
+    'card.examples': 'Examples:',
+    'card.relatedTerms': 'Related Terms:',
+    'card.navigateTo': 'Navigate to {term}',
+    'card.externalReference': 'External reference',
+    'card.star': 'Star {term}',
+    'card.addToCollection': 'Add to collection',
+    'card.newCollection': 'New collection…',
+    'card.new': 'New',
+    'card.updated': 'Updated',
+    'card.addedOn': 'Added {date}',
+    'card.updatedOn': 'Updated {date}',
+    'card.history': 'Change history',
+    'card.share': 'Share',
+    'empty.title': 'No terms found',
+    'empty.hint': 'Try adjusting your search or filter criteria.',
+    'saved.emptyTitle': 'No saved terms yet',
+    'saved.emptyHint': 'Star a term or add it to a collection to find it here.',
+    'palette.open': 'Commands',
+    'palette.label': 'Command palette',
+    'palette.placeholder': 'Jump to a term, category or view…',
+    'palette.empty': 'No matching commands',
+    'palette.groupTerm': 'Term',
+    'palette.groupCategory': 'Category',
+    'palette.groupView': 'View',
+    'palette.groupAction': 'Action',
+    'palette.showCards': 'Show cards',
+    'palette.showGraph': 'Show graph',
+    'palette.study': 'Study with flashcards',
+    'palette.showStats': 'Show usage statistics',
+    'palette.openEditor': 'Open editor',
+    'palette.showShortcuts': 'Show keyboard shortcuts',
+    'palette.theme': 'Theme: {theme}',
+    'shortcuts.title': 'Keyboard shortcuts',
+    'shortcuts.dismiss': 'Close',
+    'shortcuts.palette': 'Open the command palette',
+    'shortcuts.search': 'Focus the search box',
+    'shortcuts.next': 'Next card',
+    'shortcuts.previous': 'Previous card',
+    'shortcuts.help': 'Show this list',
+    'shortcuts.close': 'Close a dialog',
+    'count.total': { one: '{count} term', other: '{count} terms' },
+    'count.filtered': { one: '{filtered} of {count} term', other: '{filtered} of {count} terms' },
+    'announce.navigate': 'Showing {term}',
+    'announce.trimmed': { one: 'Back to {term}, {count} term removed from the path', other: 'Back to {term}, {count} terms removed from the path' },
+    'share.link': 'Share link',
+    'share.copyMarkdown': 'Copy Markdown',
+    'share.downloadImage': 'Download image',
+    'share.copied': 'Link and definition of {term} copied',
+    'share.markdownCopied': 'Markdown for {term} copied',
+    'share.imageDownloaded': 'Image of {term} downloaded',
+    'share.imageUnavailable': 'This browser cannot draw the image',
+    'share.failed': 'Could not share {term}',
+    'stats.topTerms': 'Most viewed terms',
+    'stats.topTermsEmpty': 'No terms opened yet.',
+    'stats.missing': 'Searches with no results',
+    'stats.missingEmpty': 'No searches came up empty yet.',
+    'stats.paths': 'Common paths',
+    'stats.pathsEmpty': 'No related terms followed yet.',
+    'stats.count': '{count}×',
+    'stats.reset': 'Clear statistics',
+    'stats.confirmReset': 'Forget all usage statistics recorded in this browser?',
+    'study.deck': 'Deck',
+    'study.allTerms': 'All terms',
+    'study.allSaved': 'All saved terms',
+    'study.savedCollection': 'Saved: {name}',
+    'study.due': { one: '{count} due for review', other: '{count} due for review' },
+    'study.fresh': { one: '{count} new', other: '{count} new' },
+    'study.dueAndNew': '{due}, {fresh}',
+    'study.start': 'Start studying',
+    'study.nothingDue': 'Nothing to review in this deck right now. Come back later or pick another deck.',
+    'study.reset': 'Reset progress',
+    'study.confirmReset': 'Forget all study progress in this browser?',
+    'study.questionFullForm': 'Which term stands for {prompt}?',
+    'study.questionRelated': 'Which of these is related to {prompt}?',
+    'study.questionDefinition': 'What does {prompt} mean?',
+    'study.choices': 'Choices',
+    'study.gradesLabel': 'How well did you know it?',
+    'study.gradeAgain': 'Again',
+    'study.gradeHard': 'Hard',
+    'study.gradeGood': 'Good',
+    'study.gradeEasy': 'Easy',
+    'study.reveal': 'Show answer',
+    'study.left': { one: '{count} left', other: '{count} left' },
+    'study.finish': 'End session',
+    'study.correct': 'Correct!',
+    'study.incorrect': 'Not quite: the answer is {answer}.',
+    'study.next': 'Next',
+    'study.complete': 'Session complete',
+    'study.ended': 'Session ended',
+    'study.score': { one: '{correct} of {count} card right the first time.', other: '{correct} of {count} cards right the first time.' },
+    'study.missedSession': 'Missed this session',
+    'study.missedOverall': 'Terms you keep missing',
+    'study.missedCount': { one: 'missed {count}×', other: 'missed {count}×' },
+    'study.backToDecks': 'Back to decks',
+    'collection.label': 'Collection',
+    'collection.allSaved': 'All saved',
+    'collection.new': 'New',
+    'collection.rename': 'Rename',
+    'collection.delete': 'Delete',
+    'collection.export': 'Export',
+    'collection.import': 'Import',
+    'collection.namePrompt': 'Name of the new collection',
+    'collection.renamePrompt': 'Rename collection',
+    'collection.confirmDelete': 'Delete the collection "{name}"?',
+    'collection.imported': 'Imported {collections} ({terms}).',
+    'collection.importedCollections': { one: '{count} collection', other: '{count} collections' },
+    'collection.importedTerms': { one: '{count} new term', other: '{count} new terms' },
+    'view.label': 'Choose view',
+    'view.cards': 'Cards',
+    'view.graph': 'Graph',
+    'view.study': 'Study',
+    'view.stats': 'Stats',
+    'view.editor': 'Edit',
+    'export.label': 'Export glossary',
+    'export.scope': 'Export',
+    'export.scopeFiltered': 'current results',
+    'export.scopeAll': 'whole glossary',
+    'export.as': 'as',
+    'export.print': 'Print / PDF',
+    'export.title': 'Tech Glossary',
+    'export.titleFiltered': 'Tech Glossary: {filters}',
+    'export.matching': 'matching "{query}"',
+    'graph.hopsLabel': 'Show terms within',
+    'graph.hops': { one: '{count} hop', other: '{count} hops' },
+    'graph.hint': 'of the selected term. Click a node to explore it.',
+    'study.description': 'Practice with flashcards built from the glossary. Cards you miss come back sooner; progress is kept in this browser.',
+    'stats.description': 'What people look up in this browser: the most viewed terms, searches that found nothing, and the related terms they follow. Nothing leaves the browser unless the site sets a statistics endpoint.',
+    'editor.description': 'Edit the glossary here, then download the updated glossary.json or a diff for your pull request. Changes stay in this browser tab until you download them.',
+    'editor.openFailed': 'Could not open the editor: {error}',
+    'update.available': 'New terms available.',
+    'update.load': 'Load new terms',
+    'error.title': 'Error Loading Glossary',
+    'error.offline': 'You appear to be offline. Open the glossary once while online to make it available offline.',
+    'error.reload': 'Reload Page',
+    'graph.label': 'Related terms graph',
+    'graph.legend': 'Category colors',
+    'graph.ghost': 'No entry yet',
+    'graph.empty': 'Select a term to explore its related terms.',
+    'editor.newTerm': 'New term',
+    'editor.terms': 'Terms',
+    'editor.categories': 'Categories',
+    'editor.addCategory': 'Add category',
+    'editor.fieldTerm': 'Term',
+    'editor.fieldId': 'Id',
+    'editor.fieldFullForm': 'Full form',
+    'editor.fieldAliases': 'Also known as',
+    'editor.hintAliases': '(comma-separated, e.g. K8s)',
+    'editor.fieldCategory': 'Category',
+    'editor.fieldTags': 'Also in',
+    'editor.hintTags': '(further categories, optional)',
+    'editor.fieldDefinition': 'Definition',
+    'editor.fieldExamples': 'Examples',
+    'editor.hintExamples': '(one per line)',
+    'editor.fieldChangeNote': 'Change note',
+    'editor.hintChangeNote': '(optional, shown in the term\'s change history)',
+    'editor.fieldRelated': 'Related terms',
+    'editor.addRelated': 'Add',
+    'editor.removeRelated': 'Remove {term}',
+    'editor.save': 'Save term',
+    'editor.deleteTerm': 'Delete term',
+    'editor.changes': 'Changes',
+    'editor.downloadJson': 'Download glossary.json',
+    'editor.showDiff': 'Show diff',
+    'editor.hideDiff': 'Hide diff',
+    'editor.copyDiff': 'Copy diff',
+    'editor.downloadDiff': 'Download diff',
+    'editor.editTitle': 'Edit "{term}"',
+    'editor.chooseCategory': 'Choose a category',
+    'editor.renameCategory': 'Rename',
+    'editor.deleteCategory': 'Delete',
+    'editor.categoryInUse': 'Move or delete its terms first',
+    'editor.promptCategory': 'Name of the new category:',
+    'editor.promptRename': 'Rename category "{category}" to:',
+    'editor.severityError': 'ERROR',
+    'editor.severityWarning': 'WARNING',
+    'editor.severityInfo': 'INFO',
+    'editor.fixErrors': 'Fix the errors before saving.',
+    'editor.saved': 'Saved "{term}".',
+    'editor.confirmDelete': 'Delete "{term}"? Other terms that relate to it will show a warning.',
+    'editor.deleted': 'Deleted "{term}".',
+    'editor.changeCounts': '{added} added, {changed} changed, {removed} removed',
+    'editor.noChanges': 'No changes yet',
+    'editor.summary': '{changes} · {errors}, {warnings}',
+    'editor.errors': { one: '{count} error', other: '{count} errors' },
+    'editor.warnings': { one: '{count} warning', other: '{count} warnings' },
+    'editor.clipboardUnavailable': 'Clipboard is not available; use Download diff instead.',
+    'editor.diffCopied': 'Diff copied to the clipboard.',
+    'editor.copyFailed': 'Could not copy the diff: {error}',
+    'export.categoryLabel': { one: 'Category', other: 'Categories' },
+    'export.examples': 'Examples',
+    'share.linkText': '{term} in the Tech Glossary',
+    'share.footer': 'Tech Glossary',
+    'card.source': 'Source: {source}'
+  },
+
+  sv: {
+    'search.placeholder': 'Sök termer, definitioner eller förkortningar...',
+    'search.label': 'Sök i ordlistan',
+    'language.label': 'Språk',
+    'theme.label': 'Tema',
+    'theme.system': 'System',
+    'theme.light': 'Ljust',
+    'theme.dark': 'Mörkt',
+    'theme.high-contrast': 'Hög kontrast',
+    'filters.heading': 'Filtrera efter kategori',
+    'filters.all': 'Alla',
+    'filters.saved': 'Sparade',
+    'filters.facet': { one: '{category}, {count} term', other: '{category}, {count} termer' },
+    'filters.modeLabel': 'Kombinera kategorier',
+    'filters.matchAny': 'Någon av',
+    'filters.matchAll': 'Alla av',
+    'filters.clear': 'Rensa filter',
+    'filters.recent': 'Nya & uppdaterade',
+    'breadcrumb.label': 'Utforskad väg:',
+    'breadcrumb.clear': 'Rensa historik',
+    'breadcrumb.back': 'Gå tillbaka till {term}',
+    'card.aliases': 'Även kallad:',
+    'card.examples': 'Exempel:',
+    'card.relatedTerms': 'Relaterade termer:',
+    'card.navigateTo': 'Gå till {term}',
+    'card.externalReference': 'Extern referens',
+    'card.star': 'Stjärnmärk {term}',
+    'card.addToCollection': 'Lägg till i samling',
+    'card.newCollection': 'Ny samling…',
+    'card.new': 'Ny',
+    'card.updated': 'Uppdaterad',
+    'card.addedOn': 'Tillagd {date}',
+    'card.updatedOn': 'Uppdaterad {date}',
+    'card.history': 'Ändringshistorik',
+    'card.share': 'Dela',
+    'empty.title': 'Inga termer hittades',
+    'empty.hint': 'Prova att ändra sökningen eller filtret.',
+    'saved.emptyTitle': 'Inga sparade termer ännu',
+    'saved.emptyHint': 'Stjärnmärk en term eller lägg till den i en samling för att hitta den här.',
+    'palette.open': 'Kommandon',
+    'palette.label': 'Kommandopalett',
+    'palette.placeholder': 'Hoppa till en term, kategori eller vy…',
+    'palette.empty': 'Inga matchande kommandon',
+    'palette.groupTerm': 'Term',
+    'palette.groupCategory': 'Kategori',
+    'palette.groupView': 'Vy',
+    'palette.groupAction': 'Åtgärd',
+    'palette.showCards': 'Visa kort',
+    'palette.showGraph': 'Visa graf',
+    'palette.study': 'Öva med flashkort',
+    'palette.showStats': 'Visa användningsstatistik',
+    'palette.openEditor': 'Öppna redigeraren',
+    'palette.showShortcuts': 'Visa kortkommandon',
+    'palette.theme': 'Tema: {theme}',
+    'shortcuts.title': 'Kortkommandon',
+    'shortcuts.dismiss': 'Stäng',
+    'shortcuts.palette': 'Öppna kommandopaletten',
+    'shortcuts.search': 'Gå till sökfältet',
+    'shortcuts.next': 'Nästa kort',
+    'shortcuts.previous': 'Föregående kort',
+    'shortcuts.help': 'Visa den här listan',
+    'shortcuts.close': 'Stäng en dialog',
+    'count.total': { one: '{count} term', other: '{count} termer' },
+    'count.filtered': { one: '{filtered} av {count} term', other: '{filtered} av {count} termer' },
+    'announce.navigate': 'Visar {term}',
+    'announce.trimmed': { one: 'Tillbaka till {term}, {count} term borttagen från stigen', other: 'Tillbaka till {term}, {count} termer borttagna från stigen' },
+    'share.link': 'Dela länk',
+    'share.copyMarkdown': 'Kopiera Markdown',
+    'share.downloadImage': 'Ladda ner bild',
+    'share.copied': 'Länk och definition för {term} kopierade',
+    'share.markdownCopied': 'Markdown för {term} kopierad',
+    'share.imageDownloaded': 'Bild av {term} nedladdad',
+    'share.imageUnavailable': 'Webbläsaren kan inte rita bilden',
+    'share.failed': 'Kunde inte dela {term}',
+    'stats.topTerms': 'Mest visade termer',
+    'stats.topTermsEmpty': 'Inga termer öppnade än.',
+    'stats.missing': 'Sökningar utan resultat',
+    'stats.missingEmpty': 'Inga sökningar har gett tomt resultat än.',
+    'stats.paths': 'Vanliga vägar',
+    'stats.pathsEmpty': 'Inga relaterade termer följda än.',
+    'stats.count': '{count}×',
+    'stats.reset': 'Rensa statistik',
+    'stats.confirmReset': 'Glömma all användningsstatistik som sparats i den här webbläsaren?',
+    'study.deck': 'Kortlek',
+    'study.allTerms': 'Alla termer',
+    'study.allSaved': 'Alla sparade termer',
+    'study.savedCollection': 'Sparade: {name}',
+    'study.due': { one: '{count} att repetera', other: '{count} att repetera' },
+    'study.fresh': { one: '{count} ny', other: '{count} nya' },
+    'study.dueAndNew': '{due}, {fresh}',
+    'study.start': 'Börja plugga',
+    'study.nothingDue': 'Inget att repetera i den här kortleken just nu. Kom tillbaka senare eller välj en annan kortlek.',
+    'study.reset': 'Nollställ framsteg',
+    'study.confirmReset': 'Glömma alla framsteg i den här webbläsaren?',
+    'study.questionFullForm': 'Vilken term står för {prompt}?',
+    'study.questionRelated': 'Vilken av dessa hör ihop med {prompt}?',
+    'study.questionDefinition': 'Vad betyder {prompt}?',
+    'study.choices': 'Alternativ',
+    'study.gradesLabel': 'Hur väl kunde du den?',
+    'study.gradeAgain': 'Igen',
+    'study.gradeHard': 'Svår',
+    'study.gradeGood': 'Bra',
+    'study.gradeEasy': 'Lätt',
+    'study.reveal': 'Visa svar',
+    'study.left': { one: '{count} kvar', other: '{count} kvar' },
+    'study.finish': 'Avsluta passet',
+    'study.correct': 'Rätt!',
+    'study.incorrect': 'Inte riktigt: svaret är {answer}.',
+    'study.next': 'Nästa',
+    'study.complete': 'Passet klart',
+    'study.ended': 'Passet avslutat',
+    'study.score': { one: '{correct} av {count} kort rätt första gången.', other: '{correct} av {count} kort rätt första gången.' },
+    'study.missedSession': 'Missade under passet',
+    'study.missedOverall': 'Termer du ofta missar',
+    'study.missedCount': { one: 'missad {count}×', other: 'missad {count}×' },
+    'study.backToDecks': 'Tillbaka till kortlekarna',
+    'collection.label': 'Samling',
+    'collection.allSaved': 'Alla sparade',
+    'collection.new': 'Ny',
+    'collection.rename': 'Byt namn',
+    'collection.delete': 'Ta bort',
+    'collection.export': 'Exportera',
+    'collection.import': 'Importera',
+    'collection.namePrompt': 'Namn på den nya samlingen',
+    'collection.renamePrompt': 'Byt namn på samlingen',
+    'collection.confirmDelete': 'Ta bort samlingen ”{name}”?',
+    'collection.imported': 'Importerade {collections} ({terms}).',
+    'collection.importedCollections': { one: '{count} samling', other: '{count} samlingar' },
+    'collection.importedTerms': { one: '{count} ny term', other: '{count} nya termer' },
+    'view.label': 'Välj vy',
+    'view.cards': 'Kort',
+    'view.graph': 'Graf',
+    'view.study': 'Plugga',
+    'view.stats': 'Statistik',
+    'view.editor': 'Redigera',
+    'export.label': 'Exportera ordlistan',
+    'export.scope': 'Exportera',
+    'export.scopeFiltered': 'aktuella resultat',
+    'export.scopeAll': 'hela ordlistan',
+    'export.as': 'som',
+    'export.print': 'Skriv ut / PDF',
+    'export.title': 'Tech Glossary',
+    'export.titleFiltered': 'Tech Glossary: {filters}',
+    'export.matching': 'som matchar ”{query}”',
+    'graph.hopsLabel': 'Visa termer inom',
+    'graph.hops': { one: '{count} steg', other: '{count} steg' },
+    'graph.hint': 'från den valda termen. Klicka på en nod för att utforska den.',
+    'study.description': 'Öva med flashcards byggda från ordlistan. Kort du missar kommer tillbaka tidigare; framstegen sparas i den här webbläsaren.',
+    'stats.description': 'Vad som slås upp i den här webbläsaren: de mest visade termerna, sökningar utan träffar och de relaterade termer som följs. Inget lämnar webbläsaren om inte webbplatsen anger en statistikadress.',
+    'editor.description': 'Redigera ordlistan här och ladda sedan ned den uppdaterade glossary.json eller en diff till din pull request. Ändringarna finns kvar i den här fliken tills du laddar ned dem.',
+    'editor.openFailed': 'Det gick inte att öppna redigeraren: {error}',
+    'update.available': 'Nya termer finns.',
+    'update.load': 'Läs in nya termer',
+    'error.title': 'Det gick inte att läsa in ordlistan',
+    'error.offline': 'Du verkar vara offline. Öppna ordlistan en gång när du är online så blir den tillgänglig offline.',
+    'error.reload': 'Ladda om sidan',
+    'graph.label': 'Graf över relaterade termer',
+    'graph.legend': 'Kategorifärger',
+    'graph.ghost': 'Ingen post än',
+    'graph.empty': 'Välj en term för att utforska dess relaterade termer.',
+    'editor.newTerm': 'Ny term',
+    'editor.terms': 'Termer',
+    'editor.categories': 'Kategorier',
+    'editor.addCategory': 'Lägg till kategori',
+    'editor.fieldTerm': 'Term',
+    'editor.fieldId': 'Id',
+    'editor.fieldFullForm': 'Fullständig form',
+    'editor.fieldAliases': 'Även känd som',
+    'editor.hintAliases': '(kommaseparerade, t.ex. K8s)',
+    'editor.fieldCategory': 'Kategori',
+    'editor.fieldTags': 'Även i',
+    'editor.hintTags': '(fler kategorier, valfritt)',
+    'editor.fieldDefinition': 'Definition',
+    'editor.fieldExamples': 'Exempel',
+    'editor.hintExamples': '(ett per rad)',
+    'editor.fieldChangeNote': 'Ändringsnotering',
+    'editor.hintChangeNote': '(valfritt, visas i termens ändringshistorik)',
+    'editor.fieldRelated': 'Relaterade termer',
+    'editor.addRelated': 'Lägg till',
+    'editor.removeRelated': 'Ta bort {term}',
+    'editor.save': 'Spara term',
+    'editor.deleteTerm': 'Ta bort term',
+    'editor.changes': 'Ändringar',
+    'editor.downloadJson': 'Ladda ned glossary.json',
+    'editor.showDiff': 'Visa diff',
+    'editor.hideDiff': 'Dölj diff',
+    'editor.copyDiff': 'Kopiera diff',
+    'editor.downloadDiff': 'Ladda ned diff',
+    'editor.editTitle': 'Redigera ”{term}”',
+    'editor.chooseCategory': 'Välj en kategori',
+    'editor.renameCategory': 'Byt namn',
+    'editor.deleteCategory': 'Ta bort',
+    'editor.categoryInUse': 'Flytta eller ta bort dess termer först',
+    'editor.promptCategory': 'Namn på den nya kategorin:',
+    'editor.promptRename': 'Byt namn på kategorin ”{category}” till:',
+    'editor.severityError': 'FEL',
+    'editor.severityWarning': 'VARNING',
+    'editor.severityInfo': 'INFO',
+    'editor.fixErrors': 'Rätta felen innan du sparar.',
+    'editor.saved': 'Sparade ”{term}”.',
+    'editor.confirmDelete': 'Ta bort ”{term}”? Andra termer som hänvisar till den får en varning.',
+    'editor.deleted': 'Tog bort ”{term}”.',
+    'editor.changeCounts': '{added} tillagda, {changed} ändrade, {removed} borttagna',
+    'editor.noChanges': 'Inga ändringar än',
+    'editor.summary': '{changes} · {errors}, {warnings}',
+    'editor.errors': { one: '{count} fel', other: '{count} fel' },
+    'editor.warnings': { one: '{count} varning', other: '{count} varningar' },
+    'editor.clipboardUnavailable': 'Urklipp är inte tillgängligt; använd Ladda ned diff i stället.',
+    'editor.diffCopied': 'Diffen kopierades till urklipp.',
+    'editor.copyFailed': 'Det gick inte att kopiera diffen: {error}',
+    'export.categoryLabel': { one: 'Kategori', other: 'Kategorier' },
+    'export.examples': 'Exempel',
+    'share.linkText': '{term} i Tech Glossary',
+    'share.footer': 'Tech Glossary',
+    'card.source': 'Källa: {source}'
+  },
+
+  de: {
+    'search.placeholder': 'Begriffe, Definitionen oder Abkürzungen suchen...',
+    'search.label': 'Glossar durchsuchen',
+    'language.label': 'Sprache',
+    'theme.label': 'Farbschema',
+    'theme.system': 'System',
+    'theme.light': 'Hell',
+    'theme.dark': 'Dunkel',
+    'theme.high-contrast': 'Hoher Kontrast',
+    'filters.heading': 'Nach Kategorie filtern',
+    'filters.all': 'Alle',
+    'filters.saved': 'Gespeichert',
+    'filters.facet': { one: '{category}, {count} Begriff', other: '{category}, {count} Begriffe' },
+    'filters.modeLabel': 'Kategorien kombinieren',
+    'filters.matchAny': 'Eine davon',
+    'filters.matchAll': 'Alle davon',
+    'filters.clear': 'Filter zurücksetzen',
+    'filters.recent': 'Neu & aktualisiert',
+    'breadcrumb.label': 'Erkundungspfad:',
+    'breadcrumb.clear': 'Verlauf löschen',
+    'breadcrumb.back': 'Zurück zu {term}',
+    'card.aliases': 'Auch bekannt als:',
+    'card.examples': 'Beispiele:',
+    'card.relatedTerms': 'Verwandte Begriffe:',
+    'card.navigateTo': 'Zu {term} wechseln',
+    'card.externalReference': 'Externer Verweis',
+    'card.star': '{term} markieren',
+    'card.addToCollection': 'Zu Sammlung hinzufügen',
+    'card.newCollection': 'Neue Sammlung…',
+    'card.new': 'Neu',
+    'card.updated': 'Aktualisiert',
+    'card.addedOn': 'Hinzugefügt am {date}',
+    'card.updatedOn': 'Aktualisiert am {date}',
+    'card.history': 'Änderungsverlauf',
+    'card.share': 'Teilen',
+    'empty.title': 'Keine Begriffe gefunden',
+    'empty.hint': 'Passe die Suche oder den Filter an.',
+    'saved.emptyTitle': 'Noch keine gespeicherten Begriffe',
+    'saved.emptyHint': 'Markiere einen Begriff oder füge ihn einer Sammlung hinzu, um ihn hier zu finden.',
+    'palette.open': 'Befehle',
+    'palette.label': 'Befehlspalette',
+    'palette.placeholder': 'Zu Begriff, Kategorie oder Ansicht springen…',
+    'palette.empty': 'Keine passenden Befehle',
+    'palette.groupTerm': 'Begriff',
+    'palette.groupCategory': 'Kategorie',
+    'palette.groupView': 'Ansicht',
+    'palette.groupAction': 'Aktion',
+    'palette.showCards': 'Karten anzeigen',
+    'palette.showGraph': 'Graph anzeigen',
+    'palette.study': 'Mit Lernkarten üben',
+    'palette.showStats': 'Nutzungsstatistik anzeigen',
+    'palette.openEditor': 'Editor öffnen',
+    'palette.showShortcuts': 'Tastenkürzel anzeigen',
+    'palette.theme': 'Farbschema: {theme}',
+    'shortcuts.title': 'Tastenkürzel',
+    'shortcuts.dismiss': 'Schließen',
+    'shortcuts.palette': 'Befehlspalette öffnen',
+    'shortcuts.search': 'Suchfeld fokussieren',
+    'shortcuts.next': 'Nächste Karte',
+    'shortcuts.previous': 'Vorherige Karte',
+    'shortcuts.help': 'Diese Liste anzeigen',
+    'shortcuts.close': 'Dialog schließen',
+    'count.total': { one: '{count} Begriff', other: '{count} Begriffe' },
+    'count.filtered': { one: '{filtered} von {count} Begriff', other: '{filtered} von {count} Begriffen' },
+    'announce.navigate': '{term} wird angezeigt',
+    'announce.trimmed': { one: 'Zurück zu {term}, {count} Begriff aus dem Pfad entfernt', other: 'Zurück zu {term}, {count} Begriffe aus dem Pfad entfernt' },
+    'share.link': 'Link teilen',
+    'share.copyMarkdown': 'Markdown kopieren',
+    'share.downloadImage': 'Bild herunterladen',
+    'share.copied': 'Link und Definition von {term} kopiert',
+    'share.markdownCopied': 'Markdown für {term} kopiert',
+    'share.imageDownloaded': 'Bild von {term} heruntergeladen',
+    'share.imageUnavailable': 'Dieser Browser kann das Bild nicht zeichnen',
+    'share.failed': '{term} konnte nicht geteilt werden',
+    'stats.topTerms': 'Meistgesehene Begriffe',
+    'stats.topTermsEmpty': 'Noch keine Begriffe geöffnet.',
+    'stats.missing': 'Suchen ohne Ergebnis',
+    'stats.missingEmpty': 'Noch keine Suche ohne Ergebnis.',
+    'stats.paths': 'Häufige Pfade',
+    'stats.pathsEmpty': 'Noch keinen verwandten Begriffen gefolgt.',
+    'stats.count': '{count}×',
+    'stats.reset': 'Statistik löschen',
+    'stats.confirmReset': 'Alle in diesem Browser erfassten Nutzungsstatistiken löschen?',
+    'study.deck': 'Kartenstapel',
+    'study.allTerms': 'Alle Begriffe',
+    'study.allSaved': 'Alle gespeicherten Begriffe',
+    'study.savedCollection': 'Gespeichert: {name}',
+    'study.due': { one: '{count} zur Wiederholung fällig', other: '{count} zur Wiederholung fällig' },
+    'study.fresh': { one: '{count} neue', other: '{count} neue' },
+    'study.dueAndNew': '{due}, {fresh}',
+    'study.start': 'Lernen starten',
+    'study.nothingDue': 'In diesem Stapel gibt es gerade nichts zu wiederholen. Komm später wieder oder wähle einen anderen Stapel.',
+    'study.reset': 'Fortschritt zurücksetzen',
+    'study.confirmReset': 'Den gesamten Lernfortschritt in diesem Browser löschen?',
+    'study.questionFullForm': 'Welcher Begriff steht für {prompt}?',
+    'study.questionRelated': 'Welcher davon hängt mit {prompt} zusammen?',
+    'study.questionDefinition': 'Was bedeutet {prompt}?',
+    'study.choices': 'Auswahl',
+    'study.gradesLabel': 'Wie gut wusstest du es?',
+    'study.gradeAgain': 'Nochmal',
+    'study.gradeHard': 'Schwer',
+    'study.gradeGood': 'Gut',
+    'study.gradeEasy': 'Leicht',
+    'study.reveal': 'Antwort zeigen',
+    'study.left': { one: 'noch {count}', other: 'noch {count}' },
+    'study.finish': 'Sitzung beenden',
+    'study.correct': 'Richtig!',
+    'study.incorrect': 'Nicht ganz: Die Antwort ist {answer}.',
+    'study.next': 'Weiter',
+    'study.complete': 'Sitzung abgeschlossen',
+    'study.ended': 'Sitzung beendet',
+    'study.score': { one: '{correct} von {count} Karte beim ersten Mal richtig.', other: '{correct} von {count} Karten beim ersten Mal richtig.' },
+    'study.missedSession': 'In dieser Sitzung verfehlt',
+    'study.missedOverall': 'Begriffe, die du oft verfehlst',
+    'study.missedCount': { one: '{count}× verfehlt', other: '{count}× verfehlt' },
+    'study.backToDecks': 'Zurück zu den Stapeln',
+    'collection.label': 'Sammlung',
+    'collection.allSaved': 'Alle gespeicherten',
+    'collection.new': 'Neu',
+    'collection.rename': 'Umbenennen',
+    'collection.delete': 'Löschen',
+    'collection.export': 'Exportieren',
+    'collection.import': 'Importieren',
+    'collection.namePrompt': 'Name der neuen Sammlung',
+    'collection.renamePrompt': 'Sammlung umbenennen',
+    'collection.confirmDelete': 'Die Sammlung „{name}“ löschen?',
+    'collection.imported': '{collections} importiert ({terms}).',
+    'collection.importedCollections': { one: '{count} Sammlung', other: '{count} Sammlungen' },
+    'collection.importedTerms': { one: '{count} neuer Begriff', other: '{count} neue Begriffe' },
+    'view.label': 'Ansicht wählen',
+    'view.cards': 'Karten',
+    'view.graph': 'Graph',
+    'view.study': 'Lernen',
+    'view.stats': 'Statistik',
+    'view.editor': 'Bearbeiten',
+    'export.label': 'Glossar exportieren',
+    'export.scope': 'Exportieren',
+    'export.scopeFiltered': 'aktuelle Ergebnisse',
+    'export.scopeAll': 'ganzes Glossar',
+    'export.as': 'als',
+    'export.print': 'Drucken / PDF',
+    'export.title': 'Tech Glossary',
+    'export.titleFiltered': 'Tech Glossary: {filters}',
+    'export.matching': 'passend zu „{query}“',
+    'graph.hopsLabel': 'Begriffe im Umkreis von',
+    'graph.hops': { one: '{count} Schritt', other: '{count} Schritten' },
+    'graph.hint': 'um den ausgewählten Begriff zeigen. Klicke auf einen Knoten, um ihn zu erkunden.',
+    'study.description': 'Übe mit Karteikarten aus dem Glossar. Verfehlte Karten kommen früher wieder; der Fortschritt bleibt in diesem Browser.',
+    'stats.description': 'Was in diesem Browser nachgeschlagen wird: die meistgesehenen Begriffe, Suchen ohne Treffer und die verwandten Begriffe, denen gefolgt wird. Nichts verlässt den Browser, sofern die Website keinen Statistik-Endpunkt festlegt.',
+    'editor.description': 'Bearbeite das Glossar hier und lade dann die aktualisierte glossary.json oder einen Diff für deinen Pull Request herunter. Änderungen bleiben in diesem Browser-Tab, bis du sie herunterlädst.',
+    'editor.openFailed': 'Der Editor konnte nicht geöffnet werden: {error}',
+    'update.available': 'Neue Begriffe verfügbar.',
+    'update.load': 'Neue Begriffe laden',
+    'error.title': 'Fehler beim Laden des Glossars',
+    'error.offline': 'Du scheinst offline zu sein. Öffne das Glossar einmal online, damit es offline verfügbar ist.',
+    'error.reload': 'Seite neu laden',
+    'graph.label': 'Graph verwandter Begriffe',
+    'graph.legend': 'Kategoriefarben',
+    'graph.ghost': 'Noch kein Eintrag',
+    'graph.empty': 'Wähle einen Begriff, um seine verwandten Begriffe zu erkunden.',
+    'editor.newTerm': 'Neuer Begriff',
+    'editor.terms': 'Begriffe',
+    'editor.categories': 'Kategorien',
+    'editor.addCategory': 'Kategorie hinzufügen',
+    'editor.fieldTerm': 'Begriff',
+    'editor.fieldId': 'ID',
+    'editor.fieldFullForm': 'Langform',
+    'editor.fieldAliases': 'Auch bekannt als',
+    'editor.hintAliases': '(durch Kommas getrennt, z. B. K8s)',
+    'editor.fieldCategory': 'Kategorie',
+    'editor.fieldTags': 'Auch in',
+    'editor.hintTags': '(weitere Kategorien, optional)',
+    'editor.fieldDefinition': 'Definition',
+    'editor.fieldExamples': 'Beispiele',
+    'editor.hintExamples': '(eines pro Zeile)',
+    'editor.fieldChangeNote': 'Änderungsnotiz',
+    'editor.hintChangeNote': '(optional, erscheint im Änderungsverlauf des Begriffs)',
+    'editor.fieldRelated': 'Verwandte Begriffe',
+    'editor.addRelated': 'Hinzufügen',
+    'editor.removeRelated': '{term} entfernen',
+    'editor.save': 'Begriff speichern',
+    'editor.deleteTerm': 'Begriff löschen',
+    'editor.changes': 'Änderungen',
+    'editor.downloadJson': 'glossary.json herunterladen',
+    'editor.showDiff': 'Diff anzeigen',
+    'editor.hideDiff': 'Diff ausblenden',
+    'editor.copyDiff': 'Diff kopieren',
+    'editor.downloadDiff': 'Diff herunterladen',
+    'editor.editTitle': '„{term}“ bearbeiten',
+    'editor.chooseCategory': 'Kategorie wählen',
+    'editor.renameCategory': 'Umbenennen',
+    'editor.deleteCategory': 'Löschen',
+    'editor.categoryInUse': 'Verschiebe oder lösche zuerst ihre Begriffe',
+    'editor.promptCategory': 'Name der neuen Kategorie:',
+    'editor.promptRename': 'Kategorie „{category}“ umbenennen in:',
+    'editor.severityError': 'FEHLER',
+    'editor.severityWarning': 'WARNUNG',
+    'editor.severityInfo': 'INFO',
+    'editor.fixErrors': 'Behebe die Fehler vor dem Speichern.',
+    'editor.saved': '„{term}“ gespeichert.',
+    'editor.confirmDelete': '„{term}“ löschen? Andere Begriffe, die darauf verweisen, zeigen dann eine Warnung.',
+    'editor.deleted': '„{term}“ gelöscht.',
+    'editor.changeCounts': '{added} hinzugefügt, {changed} geändert, {removed} entfernt',
+    'editor.noChanges': 'Noch keine Änderungen',
+    'editor.summary': '{changes} · {errors}, {warnings}',
+    'editor.errors': { one: '{count} Fehler', other: '{count} Fehler' },
+    'editor.warnings': { one: '{count} Warnung', other: '{count} Warnungen' },
+    'editor.clipboardUnavailable': 'Die Zwischenablage ist nicht verfügbar; nutze stattdessen Diff herunterladen.',
+    'editor.diffCopied': 'Diff in die Zwischenablage kopiert.',
+    'editor.copyFailed': 'Der Diff konnte nicht kopiert werden: {error}',
+    'export.categoryLabel': { one: 'Kategorie', other: 'Kategorien' },
+    'export.examples': 'Beispiele',
+    'share.linkText': '{term} im Tech Glossary',
+    'share.footer': 'Tech Glossary',
+    'card.source': 'Quelle: {source}'
+  }
+};
@@ -0,0 +1,37 @@
+/**
+ * Service worker registration for offline support
+ * @module offline
+ */
+
+/** Message the service worker posts when newer glossary data is cached (see sw.js) */
+export const DATA_UPDATED_MESSAGE = 'glossary-data-updated';
+
+/**
+ * Register the service worker and listen for data update notices
+ * Does nothing in browsers without service worker support.
+ * @param {Object} [options]
+ * @param {string} [options.scriptUrl] - Service worker script URL
+ * @param {Function} [options.onDataUpdate] - Called when newer glossary data is available
+ * @param {Navigator} [options.navigator] - Navigator to register with (for testing)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker({
+  scriptUrl = './sw.js',
+  onDataUpdate = () => {},
+  navigator = globalThis.navigator
+} = {}) {
+  if (!navigator || !('serviceWorker' in navigator)) return null;
+
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data && event.data.type === DATA_UPDATED_MESSAGE) {
+      onDataUpdate();
+    }
+  });
+
+  try {
+    return await navigator.serviceWorker.register(scriptUrl);
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return null;
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Glossary schema versions and migrations
+ * Every data file carries a `schemaVersion`; files without one are version 1.
+ * Older files are upgraded on load by running the registered migrations in
+ * order, so changes to the data format don't break existing files or forks.
+ * `npm run migrate` rewrites a file to the latest version.
+ * @module schema
+ */
+
+/** Version written by this code and described by data/glossary.schema.json */
+export const CURRENT_SCHEMA_VERSION = 2;
+
+/** Version of files that predate the `schemaVersion` field */
+export const LEGACY_SCHEMA_VERSION = 1;
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} description - What changes, shown by the migrate command
+ * @property {function(Object): Object} migrate - Takes data at the version it is
+ *   registered under and returns data at the next version; may modify its argument
+ */
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * To change the data format, bump {@link CURRENT_SCHEMA_VERSION}, add the
+ * step from the previous version here and update data/glossary.schema.json.
+ * @type {Object<number, Migration>}
+ */
+export const MIGRATIONS = {
+  1: {
+    description: 'Add schemaVersion; every term gets fullForm (null when there is none), relatedTerms and examples',
+    migrate: data => {
+      // Malformed entries are left for the validator to report
+      if (!Array.isArray(data.terms)) return data;
+
+      return {
+        ...data,
+        terms: data.terms.map(term => (term && typeof term === 'object'
+          ? {
+            ...term,
+            fullForm: term.fullForm || null,
+            relatedTerms: Array.isArray(term.relatedTerms) ? term.relatedTerms : [],
+            examples: Array.isArray(term.examples) ? term.examples : []
+          }
+          : term))
+      };
+    }
+  }
+};
+
+/**
+ * @typedef {Object} MigrationResult
+ * @property {Object} data - Data at the target version
+ * @property {number} fromVersion
+ * @property {number} toVersion
+ * @property {string[]} applied - Descriptions of the migrations that ran, oldest first
+ */
+
+/**
+ * Schema version of parsed glossary data
+ * @param {Object} data
+ * @returns {number}
+ * @throws {Error} If `schemaVersion` is not a positive integer
+ */
+export function getSchemaVersion(data) {
+  const version = data && typeof data === 'object' ? data.schemaVersion : undefined;
+  if (version === undefined) return LEGACY_SCHEMA_VERSION;
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid schemaVersion ${JSON.stringify(version)}; expected a positive integer`);
+  }
+  return version;
+}
+
+/**
+ * Upgrade glossary data to a newer schema version
+ * The input is left untouched. Data already at the target version comes
+ * back as a copy with no migrations applied.
+ * @param {Object} data - Parsed glossary JSON
+ * @param {Object} [options]
+ * @param {number} [options.to] - Target version
+ * @param {Object<number, Migration>} [options.migrations] - Registry to use
+ * @returns {MigrationResult}
+ * @throws {Error} If the data is newer than the target or a migration step is missing
+ */
+export function migrateGlossary(data, { to = CURRENT_SCHEMA_VERSION, migrations = MIGRATIONS } = {}) {
+  const fromVersion = getSchemaVersion(data);
+  if (!data || typeof data !== 'object') {
+    // Nothing to migrate; the validator rejects it
+    return { data, fromVersion, toVersion: fromVersion, applied: [] };
+  }
+  if (fromVersion > to) {
+    throw new Error(`Glossary data uses schema version ${fromVersion}, but only versions up to ${to} are supported. Update the app to load it.`);
+  }
+
+  let current = structuredClone(data);
+  const applied = [];
+
+  for (let version = fromVersion; version < to; version++) {
+    const migration = migrations[version];
+    if (!migration) {
+      throw new Error(`No migration from schema version ${version} to ${version + 1}`);
+    }
+    current = migration.migrate(current);
+    applied.push(migration.description);
+  }
+
+  return { data: withSchemaVersion(current, to), fromVersion, toVersion: to, applied };
+}
+
+/**
+ * Set `schemaVersion`, placing it first so it is the first thing in the file
+ * @param {Object} data
+ * @param {number} version
+ * @returns {Object}
+ */
+export function withSchemaVersion(data, version = CURRENT_SCHEMA_VERSION) {
+  const { schemaVersion, ...rest } = data;
+  return { schemaVersion: version, ...rest };
+}
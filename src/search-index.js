@@ -0,0 +1,248 @@
+/**
+ * In-memory search index for glossary terms
+ * Typo-tolerant, field-weighted ranking built once per dataset
+ * @module search-index
+ */
+
+import { getTermNames, normalizeTermName } from './term-names.js';
+
+/**
+ * Relative importance of each searchable field
+ * A hit in the term name outranks a hit in its full form, and so on.
+ * @type {Object<string, number>}
+ */
+export const FIELD_WEIGHTS = {
+  term: 10,
+  aliases: 8,
+  fullForm: 6,
+  definition: 3,
+  examples: 2,
+  relatedTerms: 1
+};
+
+/** Match quality multipliers, best to worst */
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  infix: 0.6,
+  fuzzy: 0.5
+};
+
+/** Query tokens shorter than this are only matched exactly or by prefix */
+const MIN_FUZZY_LENGTH = 4;
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string|null|undefined} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Maximum edit distance tolerated for a token of the given length
+ * @param {number} length
+ * @returns {number}
+ */
+function maxTypos(length) {
+  if (length < MIN_FUZZY_LENGTH) return 0;
+  return length <= 6 ? 1 : 2;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein with adjacent transpositions)
+ * Gives up early and returns `max + 1` once the distance exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+/**
+ * @typedef {Object} SearchResult
+ * @property {import('./glossary-core.js').GlossaryTerm} term - Matching term
+ * @property {number} score - Relevance score, higher is better
+ * @property {string[]} matches - Index tokens that matched the query (for highlighting)
+ */
+
+export class SearchIndex {
+  /**
+   * @param {import('./glossary-core.js').GlossaryTerm[]} terms - Terms to index
+   * @param {Object<string, number>} [fieldWeights] - Field name to weight
+   * @param {Object} [options]
+   * @param {function(Object): Object} [options.localize] - Maps a term to the field values
+   *   to index, e.g. its translation. The untranslated term name is always indexed too.
+   */
+  constructor(terms, fieldWeights = FIELD_WEIGHTS, { localize = term => term } = {}) {
+    this.terms = terms;
+    this.fieldWeights = fieldWeights;
+    this.localize = localize;
+    /** @type {Map<string, Map<number, number>>} token -> (term index -> best field weight) */
+    this.postings = new Map();
+    /** @type {string[][]} Lowercased field text per term, used for phrase matching */
+    this.fieldText = [];
+    /** @type {string[][]} Normalized names, full forms and aliases per term (localized and original) */
+    this.names = [];
+
+    this.build();
+  }
+
+  /**
+   * Build the inverted index from the terms
+   */
+  build() {
+    this.terms.forEach((term, docIndex) => {
+      const texts = [];
+      const localized = this.localize(term);
+      const names = [...new Set([localized.term, term.term].map(name => String(name).toLowerCase()))];
+
+      Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+        const values = field === 'term' ? names : [].concat(localized[field] ?? []);
+
+        values.forEach(value => {
+          texts.push([String(value).toLowerCase(), weight]);
+
+          tokenize(value).forEach(token => {
+            if (!this.postings.has(token)) {
+              this.postings.set(token, new Map());
+            }
+            const docs = this.postings.get(token);
+            docs.set(docIndex, Math.max(docs.get(docIndex) || 0, weight));
+          });
+        });
+      });
+
+      this.fieldText.push(texts);
+      this.names.push([...new Set([...getTermNames(localized), term.term].map(normalizeTermName))]);
+    });
+  }
+
+  /**
+   * Find index tokens matching a single query token
+   * @param {string} queryToken
+   * @returns {Array<{token: string, quality: number}>}
+   */
+  matchToken(queryToken) {
+    const matches = [];
+    const typos = maxTypos(queryToken.length);
+
+    this.postings.forEach((_, token) => {
+      if (token === queryToken) {
+        matches.push({ token, quality: MATCH_QUALITY.exact });
+      } else if (token.startsWith(queryToken)) {
+        matches.push({ token, quality: MATCH_QUALITY.prefix });
+      } else if (queryToken.length >= 3 && token.includes(queryToken)) {
+        matches.push({ token, quality: MATCH_QUALITY.infix });
+      } else if (typos > 0) {
+        const distance = editDistance(queryToken, token, typos);
+        if (distance <= typos) {
+          matches.push({ token, quality: MATCH_QUALITY.fuzzy / distance });
+        }
+      }
+    });
+
+    return matches;
+  }
+
+  /**
+   * Search the index
+   * Every query token must match (exactly, by prefix, inside a word or with a
+   * typo) somewhere in a term for it to be returned.
+   * @param {string} query
+   * @returns {SearchResult[]} Results ordered by descending score
+   */
+  search(query) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) return [];
+
+    /** @type {Map<number, {score: number, matched: number, matches: Set<string>}>} */
+    const candidates = new Map();
+
+    queryTokens.forEach(queryToken => {
+      // Best score this query token contributes to each term
+      const tokenScores = new Map();
+      const tokenMatches = new Map();
+
+      this.matchToken(queryToken).forEach(({ token, quality }) => {
+        this.postings.get(token).forEach((weight, docIndex) => {
+          tokenScores.set(docIndex, Math.max(tokenScores.get(docIndex) || 0, weight * quality));
+          if (!tokenMatches.has(docIndex)) {
+            tokenMatches.set(docIndex, []);
+          }
+          tokenMatches.get(docIndex).push(token);
+        });
+      });
+
+      tokenScores.forEach((score, docIndex) => {
+        const candidate = candidates.get(docIndex) || { score: 0, matched: 0, matches: new Set() };
+        candidate.score += score;
+        candidate.matched += 1;
+        tokenMatches.get(docIndex).forEach(token => candidate.matches.add(token));
+        candidates.set(docIndex, candidate);
+      });
+    });
+
+    const phrase = query.trim().toLowerCase();
+    // Names are compared without punctuation, so "ci-cd" counts as an exact hit on "CI/CD"
+    const name = normalizeTermName(query);
+    const results = [];
+
+    candidates.forEach((candidate, docIndex) => {
+      if (candidate.matched < queryTokens.length) return;
+
+      const term = this.terms[docIndex];
+      let score = candidate.score;
+
+      // Reward exact and leading matches on a name the term goes by
+      const names = this.names[docIndex];
+      if (names.includes(name)) {
+        score += this.fieldWeights.term * 2;
+      } else if (name && names.some(other => other.startsWith(name))) {
+        score += this.fieldWeights.term / 2;
+      }
+
+      // Reward the query appearing verbatim, e.g. "container orchestration"
+      const phraseWeight = this.fieldText[docIndex]
+        .filter(([text]) => queryTokens.length > 1 && text.includes(phrase))
+        .reduce((best, [, weight]) => Math.max(best, weight), 0);
+      score += phraseWeight;
+
+      results.push({ term, score, matches: [...candidate.matches], docIndex });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || a.docIndex - b.docIndex)
+      .map(({ term, score, matches }) => ({ term, score, matches }));
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * Sharing terms
+ * Builds what a shared term consists of: a Markdown snippet for chats and
+ * pull requests, and a PNG "definition card" drawn on a canvas in the
+ * category color. Sends them through the Web Share API where the browser
+ * has it, and copies the snippet to the clipboard otherwise.
+ * @module share
+ */
+
+/** Size of the definition card in pixels, a 1.91:1 social preview */
+export const SHARE_CARD_WIDTH = 1200;
+export const SHARE_CARD_HEIGHT = 630;
+
+/** Space between the card edge and its text */
+const CARD_PADDING = 72;
+
+/** Definitions are cut after this many lines so they fit the card */
+const MAX_DEFINITION_LINES = 7;
+
+/**
+ * How a share ended
+ * - `shared`: handed to the system share sheet
+ * - `copied`: the snippet was copied to the clipboard instead
+ * - `cancelled`: the share sheet was closed without sharing
+ * @enum {string}
+ */
+export const ShareResult = {
+  SHARED: 'shared',
+  COPIED: 'copied',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * @typedef {Object} ShareTerm
+ * @property {string} term - Name, in the language being shared
+ * @property {string} [fullForm]
+ * @property {string} definition
+ * @property {string} category
+ */
+
+/**
+ * Escape text for Markdown
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1');
+}
+
+/**
+ * Markdown snippet for a term: name, full form, definition and a link back
+ * Reads well pasted into Slack, GitHub comments and pull request descriptions.
+ * @param {ShareTerm} term
+ * @param {string} [url] - Deep link to the term
+ * @param {string} [linkText] - Text of the link, in the language being shared
+ * @returns {string}
+ */
+export function formatTermMarkdown(term, url, linkText = `${term.term} in the Tech Glossary`) {
+  const heading = term.fullForm
+    ? `**${escapeMarkdown(term.term)}** (${escapeMarkdown(term.fullForm)})`
+    : `**${escapeMarkdown(term.term)}**`;
+  const lines = [heading, '', escapeMarkdown(term.definition)];
+
+  if (url) {
+    lines.push('', `[${escapeMarkdown(linkText)}](${url})`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * File name for a term's definition card
+ * @param {string} termId
+ * @returns {string}
+ */
+export function shareCardFilename(termId) {
+  return `${termId}-definition.png`;
+}
+
+/**
+ * Break text into lines no wider than `maxWidth`
+ * Words wider than a line on their own get a line to themselves.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @param {function(string): number} measure - Width of a piece of text
+ * @param {number} [maxLines] - Lines kept; the last one ends in "…" when text is cut
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, measure, maxLines = Infinity) {
+  const lines = [];
+  let line = '';
+
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && measure(candidate) > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) {
+    lines.push(line);
+  }
+
+  if (lines.length <= maxLines) {
+    return lines;
+  }
+
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last.includes(' ') && measure(`${last}…`) > maxWidth) {
+    last = last.slice(0, last.lastIndexOf(' '));
+  }
+  kept[maxLines - 1] = `${last}…`;
+  return kept;
+}
+
+/**
+ * Draw a definition card onto a canvas
+ * A band and the category label in the category color, the term and its
+ * full form, the wrapped definition, and the glossary name at the bottom.
+ * @param {CanvasRenderingContext2D} context - Context of a
+ *   {@link SHARE_CARD_WIDTH} × {@link SHARE_CARD_HEIGHT} canvas
+ * @param {ShareTerm} term
+ * @param {Object} [options]
+ * @param {string} [options.color] - Category color
+ * @param {string} [options.footer] - Text in the bottom corner, e.g. the site name
+ */
+export function drawShareCard(context, term, { color = '#2563eb', footer = 'Tech Glossary' } = {}) {
+  const width = SHARE_CARD_WIDTH;
+  const height = SHARE_CARD_HEIGHT;
+  const textWidth = width - CARD_PADDING * 2;
+  const font = 'system-ui, -apple-system, "Segoe UI", sans-serif';
+
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, width, height);
+  context.fillStyle = color;
+  context.fillRect(0, 0, 24, height);
+
+  context.textBaseline = 'top';
+  let y = CARD_PADDING;
+
+  context.fillStyle = color;
+  context.font = `600 28px ${font}`;
+  context.fillText(term.category.toUpperCase(), CARD_PADDING, y);
+  y += 52;
+
+  context.fillStyle = '#111827';
+  context.font = `700 72px ${font}`;
+  context.fillText(wrapText(term.term, textWidth, text => context.measureText(text).width, 1)[0], CARD_PADDING, y);
+  y += 90;
+
+  if (term.fullForm) {
+    context.fillStyle = '#4b5563';
+    context.font = `italic 32px ${font}`;
+    context.fillText(wrapText(term.fullForm, textWidth, text => context.measureText(text).width, 1)[0], CARD_PADDING, y);
+    y += 56;
+  }
+
+  context.fillStyle = '#1f2937';
+  context.font = `400 32px ${font}`;
+  const lineHeight = 44;
+  const linesLeft = Math.min(MAX_DEFINITION_LINES, Math.floor((height - CARD_PADDING - 40 - y) / lineHeight));
+  wrapText(term.definition, textWidth, text => context.measureText(text).width, Math.max(linesLeft, 1))
+    .forEach(line => {
+      context.fillText(line, CARD_PADDING, y);
+      y += lineHeight;
+    });
+
+  context.fillStyle = '#6b7280';
+  context.font = `500 24px ${font}`;
+  context.textBaseline = 'bottom';
+  context.fillText(footer, CARD_PADDING, height - CARD_PADDING / 2);
+}
+
+/**
+ * Render a term's definition card as a PNG
+ * @param {ShareTerm} term
+ * @param {Object} [options] - See {@link drawShareCard}
+ * @param {string} [options.color]
+ * @param {string} [options.footer]
+ * @param {function(): HTMLCanvasElement} [options.createCanvas] - Canvas factory
+ * @returns {Promise<Blob|null>} Null where the browser can't draw on canvases
+ */
+export async function renderShareCard(term, {
+  createCanvas = () => document.createElement('canvas'),
+  ...options
+} = {}) {
+  const canvas = createCanvas();
+  canvas.width = SHARE_CARD_WIDTH;
+  canvas.height = SHARE_CARD_HEIGHT;
+
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (!context || typeof canvas.toBlob !== 'function') {
+    return null;
+  }
+
+  drawShareCard(context, term, options);
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+}
+
+/**
+ * Share a term through the system share sheet, or copy it
+ * The share sheet gets the snippet, the link and, when the browser can
+ * share files, the PNG card. Without the Web Share API the snippet is
+ * copied with the link in it.
+ * @param {ShareTerm} term
+ * @param {Object} content
+ * @param {string} content.url - Deep link to the term
+ * @param {File|null} [content.file] - Definition card
+ * @param {string} [content.linkText] - Text of the link in the copied snippet
+ * @param {Object} [options]
+ * @param {Navigator} [options.navigator] - Provides share and canShare
+ * @param {Clipboard|null} [options.clipboard] - Fallback when sharing isn't available
+ * @returns {Promise<string>} One of {@link ShareResult}
+ * @throws {Error} When neither sharing nor the clipboard is available, or the copy fails
+ */
+export async function shareTerm(term, { url, file = null, linkText }, {
+  navigator: nav = globalThis.navigator,
+  clipboard = nav ? nav.clipboard : null
+} = {}) {
+  if (nav && typeof nav.share === 'function') {
+    // The share target adds the link itself, so it stays out of the text
+    const data = { title: term.term, text: formatTermMarkdown(term), url };
+    if (file && typeof nav.canShare === 'function' && nav.canShare({ files: [file] })) {
+      data.files = [file];
+    }
+
+    try {
+      await nav.share(data);
+      return ShareResult.SHARED;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return ShareResult.CANCELLED;
+      }
+      // Other failures (e.g. NotAllowedError) fall back to copying
+    }
+  }
+
+  if (!clipboard) {
+    throw new Error('Sharing and the clipboard are not available');
+  }
+  await clipboard.writeText(formatTermMarkdown(term, url, linkText));
+  return ShareResult.COPIED;
+}
@@ -0,0 +1,98 @@
+/**
+ * Keyboard shortcuts
+ * Maps key events to command names and renders the shortcut overview.
+ * Single-key shortcuts are ignored while the user is typing.
+ * @module shortcuts
+ */
+
+import { escapeHtml } from './html.js';
+
+/**
+ * Every shortcut, in the order the overview lists them
+ * @type {Array<{command: string, keys: string[], messageKey: string}>}
+ */
+export const SHORTCUTS = [
+  { command: 'palette', keys: ['Ctrl', 'K'], messageKey: 'shortcuts.palette' },
+  { command: 'focus-search', keys: ['/'], messageKey: 'shortcuts.search' },
+  { command: 'next-card', keys: ['j'], messageKey: 'shortcuts.next' },
+  { command: 'previous-card', keys: ['k'], messageKey: 'shortcuts.previous' },
+  { command: 'help', keys: ['?'], messageKey: 'shortcuts.help' },
+  { command: 'close', keys: ['Esc'], messageKey: 'shortcuts.close' }
+];
+
+/** Single-key shortcuts, which would otherwise swallow typed characters */
+const KEY_COMMANDS = {
+  '/': 'focus-search',
+  j: 'next-card',
+  k: 'previous-card',
+  '?': 'help'
+};
+
+/**
+ * Whether keystrokes on an element are text input
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+export function isTypingTarget(target) {
+  if (!target || !target.tagName) return false;
+  return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+}
+
+/**
+ * Command for a keydown event
+ * Ctrl/Cmd+K and Escape work everywhere; the single-key shortcuts only
+ * when focus is outside form fields.
+ * @param {KeyboardEvent} event
+ * @returns {string|null} A command from {@link SHORTCUTS}, or null
+ */
+export function matchShortcut(event) {
+  const key = event.key || '';
+
+  if ((event.ctrlKey || event.metaKey) && !event.altKey && key.toLowerCase() === 'k') {
+    return 'palette';
+  }
+  if (key === 'Escape') {
+    return 'close';
+  }
+  if (event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) {
+    return null;
+  }
+
+  return KEY_COMMANDS[key] || null;
+}
+
+/**
+ * Whether the user is on a Mac, where Cmd takes the place of Ctrl
+ * @returns {boolean}
+ */
+function isMac() {
+  return typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+}
+
+/**
+ * HTML for the shortcut overview
+ * @param {function(string, Object=): string} t - UI string translator
+ * @returns {string}
+ */
+export function renderShortcutHelp(t) {
+  const rows = SHORTCUTS.map(({ keys, messageKey }) => {
+    const labels = keys.map(key => (key === 'Ctrl' && isMac() ? '⌘' : key));
+    return `
+      <div class="shortcut-row">
+        <dt>${labels.map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' + ')}</dt>
+        <dd>${escapeHtml(t(messageKey))}</dd>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <div class="overlay-backdrop" data-overlay-close></div>
+    <div class="overlay-panel shortcut-panel" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title">
+      <div class="overlay-header">
+        <h2 id="shortcut-help-title">${escapeHtml(t('shortcuts.title'))}</h2>
+        <button type="button" class="overlay-close" data-overlay-close aria-label="${escapeHtml(t('shortcuts.dismiss'))}">×</button>
+      </div>
+      <dl class="shortcut-list">${rows}</dl>
+    </div>
+  `;
+}
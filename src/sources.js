@@ -0,0 +1,141 @@
+/**
+ * Multi-source glossaries
+ * Normalizes source configuration and merges term packs into one dataset
+ * @module sources
+ */
+
+import { toKebabCase } from './validator.js';
+import { CURRENT_SCHEMA_VERSION } from './schema.js';
+
+/**
+ * @typedef {Object} SourceConfig
+ * @property {string} url - URL of the glossary JSON file
+ * @property {string} namespace - Short name shown on cards and used to disambiguate ids
+ * @property {number} priority - Higher priority sources win id collisions
+ */
+
+/**
+ * @typedef {Object} SourcePack
+ * @property {SourceConfig} source - Where the pack came from
+ * @property {import('./glossary-core.js').GlossaryData} data - Parsed JSON of the pack
+ */
+
+/**
+ * How to resolve two sources defining the same term id
+ * - `override`: keep the term from the higher-priority source
+ * - `keep-both`: keep both, prefixing the lower-priority id with its namespace
+ * - `error`: refuse to load
+ * @enum {string}
+ */
+export const CollisionStrategy = {
+  OVERRIDE: 'override',
+  KEEP_BOTH: 'keep-both',
+  ERROR: 'error'
+};
+
+/**
+ * Normalize the `sources` option into source configs
+ * Plain strings become sources whose namespace is the file name.
+ * @param {string|Array<string|Partial<SourceConfig>>} sources
+ * @returns {SourceConfig[]}
+ * @throws {Error} If a source has no URL or two sources share a namespace
+ */
+export function normalizeSources(sources) {
+  const list = [].concat(sources);
+  const namespaces = new Set();
+
+  return list.map(entry => {
+    const config = typeof entry === 'string' ? { url: entry } : { ...entry };
+    if (!config.url) {
+      throw new Error('Every glossary source needs a url');
+    }
+
+    config.namespace = config.namespace || namespaceFromUrl(config.url);
+    config.priority = Number.isFinite(config.priority) ? config.priority : 0;
+
+    if (namespaces.has(config.namespace)) {
+      throw new Error(`Duplicate source namespace "${config.namespace}"`);
+    }
+    namespaces.add(config.namespace);
+
+    return config;
+  });
+}
+
+/**
+ * Derive a namespace from a URL's file name, e.g. "./data/team.json" -> "team"
+ * @param {string} url
+ * @returns {string}
+ */
+function namespaceFromUrl(url) {
+  const file = url.split(/[?#]/)[0].split('/').pop() || 'glossary';
+  return file.replace(/\.json$/i, '') || 'glossary';
+}
+
+/**
+ * Merge term packs into a single dataset
+ * Every term is tagged with the namespace of its source in `term.source`.
+ * Categories are combined in source order without duplicates. Packs must
+ * already be migrated to the current schema version (see {@link module:schema}).
+ * @param {SourcePack[]} packs - Packs in configuration order
+ * @param {string} [strategy] - One of {@link CollisionStrategy}
+ * @returns {import('./glossary-core.js').GlossaryData}
+ * @throws {Error} On an id collision with the `error` strategy, or an unknown strategy
+ */
+export function mergeGlossaries(packs, strategy = CollisionStrategy.OVERRIDE) {
+  if (!Object.values(CollisionStrategy).includes(strategy)) {
+    throw new Error(`Unknown collision strategy "${strategy}"`);
+  }
+
+  const categories = [];
+  packs.forEach(({ data }) => {
+    (data.categories || []).forEach(category => {
+      if (!categories.includes(category)) {
+        categories.push(category);
+      }
+    });
+  });
+
+  // Highest priority first; on a tie the source listed later wins
+  const ranked = packs
+    .map((pack, order) => ({ ...pack, order }))
+    .sort((a, b) => b.source.priority - a.source.priority || b.order - a.order);
+
+  /** @type {Map<string, Object>} */
+  const termsById = new Map();
+  // Duplicates inside one pack are kept so validation reports them
+  const packDuplicates = [];
+
+  ranked.forEach(({ source, data }) => {
+    (data.terms || []).forEach(term => {
+      const tagged = { ...term, source: source.namespace };
+      const existing = termsById.get(term.id);
+
+      if (!existing) {
+        termsById.set(term.id, tagged);
+        return;
+      }
+
+      if (existing.source === source.namespace) {
+        packDuplicates.push(tagged);
+        return;
+      }
+
+      if (strategy === CollisionStrategy.ERROR) {
+        throw new Error(`Term id "${term.id}" is defined in both "${existing.source}" and "${source.namespace}"`);
+      }
+
+      if (strategy === CollisionStrategy.KEEP_BOTH) {
+        const prefix = toKebabCase(source.namespace);
+        let id = `${prefix}-${term.id}`;
+        for (let n = 2; termsById.has(id); n++) {
+          id = `${prefix}-${term.id}-${n}`;
+        }
+        termsById.set(id, { ...tagged, id });
+      }
+      // OVERRIDE: the higher-priority term is already in place
+    });
+  });
+
+  return { schemaVersion: CURRENT_SCHEMA_VERSION, terms: [...termsById.values(), ...packDuplicates], categories };
+}
@@ -0,0 +1,219 @@
+/**
+ * Spaced repetition
+ * Schedules flashcard reviews with the SM-2 algorithm and keeps each card's
+ * review state in localStorage, so progress survives closing the tab.
+ * @module spaced-repetition
+ */
+
+/** localStorage key for study progress */
+export const STUDY_STORAGE_KEY = 'glossary-study-progress';
+
+/** Starting ease factor of a new card (SM-2) */
+export const INITIAL_EASE = 2.5;
+
+/** Lowest ease factor; harder cards keep coming back at least this often */
+export const MIN_EASE = 1.3;
+
+/** A missed card is due again after this long, so the next session repeats it */
+export const LAPSE_DELAY_MS = 10 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How well a card was remembered, on SM-2's 0-5 quality scale
+ * Grades below {@link Grade.HARD} count as a miss.
+ * @enum {number}
+ */
+export const Grade = {
+  AGAIN: 1,
+  HARD: 3,
+  GOOD: 4,
+  EASY: 5
+};
+
+/**
+ * @typedef {Object} CardProgress
+ * @property {number} repetitions - Correct answers in a row
+ * @property {number} interval - Days until the next review
+ * @property {number} ease - SM-2 ease factor
+ * @property {number} due - When the card is due, in ms since the epoch
+ * @property {number} reviews - Times the card was answered
+ * @property {number} misses - Times the card was missed
+ */
+
+/**
+ * Review state of a card that was never answered
+ * @param {number} now
+ * @returns {CardProgress}
+ */
+function newCardProgress(now) {
+  return { repetitions: 0, interval: 0, ease: INITIAL_EASE, due: now, reviews: 0, misses: 0 };
+}
+
+/**
+ * Check a parsed progress entry from storage
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isProgressLike(entry) {
+  return Boolean(entry) && ['repetitions', 'interval', 'ease', 'due', 'reviews', 'misses']
+    .every(field => Number.isFinite(entry[field]));
+}
+
+/**
+ * Schedule the next review of a card after an answer (SM-2)
+ * A correct answer waits 1 day, then 6, then the last interval times the
+ * ease factor. A miss restarts the sequence.
+ * @param {CardProgress|null} progress - Current state, null for a new card
+ * @param {number} grade - One of {@link Grade}
+ * @param {number} [now] - Time of the answer in ms
+ * @returns {CardProgress} New state; the input is not modified
+ */
+export function scheduleReview(progress, grade, now = Date.now()) {
+  const current = progress || newCardProgress(now);
+  const quality = Math.min(5, Math.max(0, grade));
+  const ease = Math.max(MIN_EASE, current.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+  const next = { ...current, ease, reviews: current.reviews + 1 };
+
+  if (quality < Grade.HARD) {
+    return { ...next, repetitions: 0, interval: 0, due: now + LAPSE_DELAY_MS, misses: current.misses + 1 };
+  }
+
+  let interval;
+  if (current.repetitions === 0) {
+    interval = 1;
+  } else if (current.repetitions === 1) {
+    interval = 6;
+  } else {
+    interval = Math.round(current.interval * current.ease);
+  }
+
+  return { ...next, repetitions: current.repetitions + 1, interval, due: now + interval * DAY_MS };
+}
+
+export class StudyProgress {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Where progress is persisted,
+   *   defaults to localStorage when available
+   */
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    this.storage = storage;
+    /** @type {Object<string, CardProgress>} Review state by card id */
+    this.cards = {};
+    /** @type {Set<Function>} */
+    this.listeners = new Set();
+
+    this.load();
+  }
+
+  /**
+   * Subscribe to changes
+   * @param {Function} listener - Called with `{ cards }` after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Persist and notify subscribers
+   */
+  changed() {
+    this.save();
+    [...this.listeners].forEach(listener => listener({ cards: this.cards }));
+  }
+
+  /**
+   * Load progress from storage
+   */
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(STUDY_STORAGE_KEY) || 'null');
+      if (!stored || typeof stored.cards !== 'object' || stored.cards === null) return;
+
+      this.cards = Object.fromEntries(Object.entries(stored.cards).filter(([, entry]) => isProgressLike(entry)));
+    } catch (error) {
+      console.warn('Failed to load study progress:', error);
+    }
+  }
+
+  /**
+   * Save progress to storage
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(STUDY_STORAGE_KEY, JSON.stringify({ version: 1, cards: this.cards }));
+    } catch (error) {
+      console.warn('Failed to save study progress:', error);
+    }
+  }
+
+  /**
+   * Review state of a card
+   * @param {string} cardId
+   * @returns {CardProgress|null} Null if the card was never answered
+   */
+  get(cardId) {
+    return Object.hasOwn(this.cards, cardId) ? this.cards[cardId] : null;
+  }
+
+  /**
+   * Whether a card was answered before and is due for review
+   * @param {string} cardId
+   * @param {number} [now]
+   * @returns {boolean}
+   */
+  isDue(cardId, now = Date.now()) {
+    const progress = this.get(cardId);
+    return progress !== null && progress.due <= now;
+  }
+
+  /**
+   * Record an answer and schedule the card's next review
+   * @param {string} cardId
+   * @param {number} grade - One of {@link Grade}
+   * @param {number} [now]
+   * @returns {CardProgress}
+   */
+  record(cardId, grade, now = Date.now()) {
+    const progress = scheduleReview(this.get(cardId), grade, now);
+    this.cards[cardId] = progress;
+    this.changed();
+    return progress;
+  }
+
+  /**
+   * Terms missed most often, across all of their cards
+   * @param {number} [limit]
+   * @returns {Array<{termId: string, misses: number, reviews: number}>} Most misses first
+   */
+  getMissedTerms(limit = Infinity) {
+    const byTerm = new Map();
+    Object.entries(this.cards).forEach(([cardId, { misses, reviews }]) => {
+      const termId = cardId.slice(0, cardId.lastIndexOf(':'));
+      const entry = byTerm.get(termId) || { termId, misses: 0, reviews: 0 };
+      entry.misses += misses;
+      entry.reviews += reviews;
+      byTerm.set(termId, entry);
+    });
+
+    return [...byTerm.values()]
+      .filter(entry => entry.misses > 0)
+      .sort((a, b) => b.misses - a.misses || b.misses / b.reviews - a.misses / a.reviews || a.termId.localeCompare(b.termId))
+      .slice(0, limit);
+  }
+
+  /**
+   * Forget all progress
+   */
+  reset() {
+    this.cards = {};
+    this.changed();
+  }
+}
@@ -0,0 +1,298 @@
+/**
+ * Static site pages
+ * Turns index.html into prerendered pages (home, one per category, one per
+ * term) with SEO metadata, plus a sitemap. Pure string work: the build
+ * script reads and writes the files and supplies the card markup.
+ * @module static-site
+ */
+
+import { escapeHtml } from './html.js';
+import { toKebabCase } from './validator.js';
+import { getTermCategories } from './facets.js';
+
+/** Name used in titles and structured data */
+export const SITE_NAME = 'Tech Glossary';
+
+/** Longest meta description search engines reliably show */
+const DESCRIPTION_LENGTH = 160;
+
+/**
+ * @typedef {Object} StaticPage
+ * @property {string} path - Output path relative to the site root, e.g. "term/rest/index.html"
+ * @property {string} url - Absolute URL of the page
+ * @property {string} content - HTML
+ */
+
+/**
+ * @typedef {Object} PageOptions
+ * @property {string} title
+ * @property {string} description
+ * @property {string} url - Absolute URL of the page
+ * @property {string} dir - Page directory relative to the site root, '' for the home page
+ * @property {'website'|'article'} ogType
+ * @property {Object} structuredData - schema.org JSON-LD
+ * @property {string} cardsHtml - Prerendered cards
+ * @property {{termId?: string, category?: string}} state - What the app should show once it hydrates
+ * @property {string} categoryLinks - Prerendered category filter
+ * @property {string} termCount
+ */
+
+/**
+ * Directory of a term's page
+ * @param {string} termId
+ * @returns {string}
+ */
+export function termPath(termId) {
+  return `term/${encodeURIComponent(termId)}/`;
+}
+
+/**
+ * Directory of a category's page
+ * @param {string} category
+ * @returns {string}
+ */
+export function categoryPath(category) {
+  return `category/${toKebabCase(category)}/`;
+}
+
+/**
+ * Shorten text to a meta description, cutting at a word boundary
+ * @param {string} text
+ * @param {number} [length]
+ * @returns {string}
+ */
+export function truncateDescription(text, length = DESCRIPTION_LENGTH) {
+  const clean = String(text).replace(/\s+/g, ' ').trim();
+  if (clean.length <= length) return clean;
+
+  const cut = clean.slice(0, length - 1);
+  // Keep the last word if the cut happens to fall right after it
+  const boundary = clean[cut.length] === ' ' ? cut.length : cut.lastIndexOf(' ');
+  return `${cut.slice(0, boundary > 0 ? boundary : cut.length).replace(/[,;:.]$/, '')}…`;
+}
+
+/**
+ * JSON-LD script tag, safe to embed in HTML
+ * @param {Object} data
+ * @returns {string}
+ */
+function jsonLdScript(data) {
+  // "</script>" inside a string would end the tag early
+  const json = JSON.stringify(data, null, 2).replace(/</g, '\\u003c');
+  return `<script type="application/ld+json">\n${json}\n</script>`;
+}
+
+/**
+ * Replace part of the template, failing loudly if it changed shape
+ * @param {string} html
+ * @param {RegExp} pattern
+ * @param {string|Function} replacement
+ * @param {string} name - What the pattern looks for, for the error message
+ * @returns {string}
+ * @throws {Error} If the pattern is not found
+ */
+function replaceRequired(html, pattern, replacement, name) {
+  if (!pattern.test(html)) {
+    throw new Error(`index.html template is missing ${name}`);
+  }
+  return html.replace(pattern, replacement);
+}
+
+/**
+ * Fill the app template for one page
+ * @param {string} template - Contents of index.html
+ * @param {PageOptions} page
+ * @returns {string}
+ */
+export function renderPage(template, page) {
+  const depth = page.dir.split('/').filter(Boolean).length;
+  const head = [
+    `<link rel="canonical" href="${escapeHtml(page.url)}">`,
+    `<meta property="og:title" content="${escapeHtml(page.title)}">`,
+    `<meta property="og:description" content="${escapeHtml(page.description)}">`,
+    `<meta property="og:type" content="${page.ogType}">`,
+    `<meta property="og:url" content="${escapeHtml(page.url)}">`,
+    `<meta property="og:site_name" content="${SITE_NAME}">`,
+    '<meta name="twitter:card" content="summary">',
+    jsonLdScript(page.structuredData)
+  ].map(line => `  ${line}`).join('\n');
+
+  let html = template;
+
+  // Nested pages resolve scripts, styles and data from the site root
+  if (depth > 0) {
+    html = replaceRequired(html, /<head>/, `<head>\n  <base href="${'../'.repeat(depth)}">`, '<head>');
+    // ...which would send in-page links to the home page
+    html = html.replace(/href="#/g, `href="${page.dir}#`);
+  }
+
+  html = replaceRequired(html, /<title>[\s\S]*?<\/title>/, `<title>${escapeHtml(page.title)}</title>`, '<title>');
+  html = replaceRequired(
+    html,
+    /<meta name="description" content="[^"]*">/,
+    `<meta name="description" content="${escapeHtml(page.description)}">`,
+    'a meta description'
+  );
+  html = html.replace(/\s*<meta property="og:[^"]+" content="[^"]*">/g, '');
+  html = replaceRequired(html, /<\/head>/, `${head}\n</head>`, '</head>');
+
+  html = replaceRequired(
+    html,
+    /(<div id="category-filter"[^>]*>)[\s\S]*?(<\/div>)/,
+    (_, open, close) => `${open}${page.categoryLinks}${close}`,
+    'the category filter'
+  );
+  html = replaceRequired(
+    html,
+    /(<div\s+id="glossary-container"[^>]*?)\s*>[\s\S]*?(<\/div>)/,
+    (_, open, close) => {
+      const state = [
+        ' data-prerendered',
+        page.state.category ? ` data-prerendered-category="${escapeHtml(page.state.category)}"` : '',
+        page.state.termId ? ` data-prerendered-term="${escapeHtml(page.state.termId)}"` : ''
+      ].join('');
+      return `${open}${state}\n      >${page.cardsHtml}${close}`;
+    },
+    'the glossary container'
+  );
+  // The content is already there, so don't cover it with a spinner
+  html = replaceRequired(html, /id="loading" class="/, 'id="loading" class="hidden ', 'the loading indicator');
+  html = replaceRequired(
+    html,
+    /(id="term-count"[^>]*>)[^<]*(<\/span>)/,
+    (_, open, close) => `${open}${escapeHtml(page.termCount)}${close}`,
+    'the term count'
+  );
+
+  return html;
+}
+
+/**
+ * Build every page of the static site
+ * @param {import('./glossary-core.js').GlossaryData} data - Validated data, terms sorted for display
+ * @param {Object} options
+ * @param {string} options.template - Contents of index.html
+ * @param {string} options.siteUrl - Public URL of the site root, ending in a slash
+ * @param {function(Object): string} options.renderCard - Card markup for a term
+ * @param {function(number): string} [options.formatCount] - Term count text
+ * @returns {StaticPage[]}
+ */
+export function buildStaticPages(data, { template, siteUrl, renderCard, formatCount = count => `${count} ${count === 1 ? 'term' : 'terms'}` }) {
+  const root = siteUrl.endsWith('/') ? siteUrl : `${siteUrl}/`;
+  const termSet = { '@type': 'DefinedTermSet', name: SITE_NAME, url: root };
+  const definedTerm = term => ({
+    '@type': 'DefinedTerm',
+    '@id': `${root}${termPath(term.id)}`,
+    name: term.term,
+    ...(term.fullForm ? { alternateName: term.fullForm } : {}),
+    description: term.definition,
+    termCode: term.id,
+    url: `${root}${termPath(term.id)}`,
+    inDefinedTermSet: termSet
+  });
+  // A category page lists the terms tagged with it too; categories without terms get no page
+  const termsIn = category => data.terms.filter(term => getTermCategories(term).includes(category));
+  const categories = data.categories.filter(category => termsIn(category).length > 0);
+  // Relative to the site root (nested pages set <base>), so they work before deployment too
+  const linkClass = 'filter-button';
+  const categoryLinks = [
+    `<a href="./" class="${linkClass}">All</a>`,
+    ...categories.map(category =>
+      `<a href="${categoryPath(category)}" class="${linkClass}">${escapeHtml(category)}</a>`)
+  ].join('');
+  const page = (dir, options) => ({
+    path: `${dir}index.html`,
+    url: `${root}${dir}`,
+    content: renderPage(template, { ...options, dir, url: `${root}${dir}`, categoryLinks })
+  });
+
+  const pages = [
+    page('', {
+      title: `${SITE_NAME} | Technical Terms for Software Engineers`,
+      description: truncateDescription(`Plain-language definitions of ${data.terms.length} technical terms for software engineers, covering ${data.categories.join(', ')}.`),
+      ogType: 'website',
+      structuredData: {
+        '@context': 'https://schema.org',
+        ...termSet,
+        hasDefinedTerm: data.terms.map(term => ({ '@type': 'DefinedTerm', name: term.term, url: `${root}${termPath(term.id)}` }))
+      },
+      cardsHtml: data.terms.map(renderCard).join(''),
+      state: {},
+      termCount: formatCount(data.terms.length)
+    })
+  ];
+
+  categories.forEach(category => {
+    const terms = termsIn(category);
+
+    pages.push(page(categoryPath(category), {
+      title: `${category} Terms | ${SITE_NAME}`,
+      description: truncateDescription(`${category} terms explained: ${terms.map(term => term.term).join(', ')}.`),
+      ogType: 'website',
+      structuredData: {
+        '@context': 'https://schema.org',
+        '@type': 'DefinedTermSet',
+        name: `${SITE_NAME}: ${category}`,
+        url: `${root}${categoryPath(category)}`,
+        hasDefinedTerm: terms.map(definedTerm)
+      },
+      cardsHtml: terms.map(renderCard).join(''),
+      state: { category },
+      termCount: formatCount(terms.length)
+    }));
+  });
+
+  data.terms.forEach(term => {
+    pages.push(page(termPath(term.id), {
+      title: `${term.term}${term.fullForm ? ` (${term.fullForm})` : ''} | ${SITE_NAME}`,
+      description: truncateDescription(term.definition),
+      ogType: 'article',
+      structuredData: { '@context': 'https://schema.org', ...definedTerm(term) },
+      cardsHtml: renderCard(term),
+      state: { termId: term.id },
+      // The app shows every term once it hydrates
+      termCount: formatCount(data.terms.length)
+    }));
+  });
+
+  return pages;
+}
+
+/**
+ * XML sitemap listing the pages
+ * @param {StaticPage[]} pages
+ * @param {string} [lastModified] - Date (YYYY-MM-DD) to report for every page
+ * @returns {string}
+ */
+export function buildSitemap(pages, lastModified) {
+  const urls = pages.map(({ url }) => [
+    '  <url>',
+    `    <loc>${escapeHtml(url)}</loc>`,
+    ...(lastModified ? [`    <lastmod>${lastModified}</lastmod>`] : []),
+    '  </url>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Give the service worker a build hash, so a deploy with changed files
+ * replaces the cache of the previous one
+ * @param {string} source - Contents of sw.js
+ * @param {string} hash - Hash of the files the worker precaches
+ * @returns {string}
+ * @throws {Error} If the worker has no `BUILD_HASH` to set
+ */
+export function stampServiceWorker(source, hash) {
+  const pattern = /^const BUILD_HASH = '[^']*';$/m;
+  if (!pattern.test(source)) {
+    throw new Error('sw.js has no BUILD_HASH constant to set');
+  }
+  return source.replace(pattern, `const BUILD_HASH = '${hash}';`);
+}
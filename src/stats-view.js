@@ -0,0 +1,138 @@
+/**
+ * Stats view
+ * Shows the usage statistics recorded in this browser: the most viewed
+ * terms, searches that found nothing, and the hops people take between
+ * related terms.
+ * @module stats-view
+ */
+
+import { GlossaryEvent } from './glossary-core.js';
+import { LocalUsageSink } from './usage-stats.js';
+import { escapeHtml } from './html.js';
+import { createTranslator, DEFAULT_LOCALE } from './i18n.js';
+
+/** Entries listed per table */
+const ENTRIES_SHOWN = 10;
+
+export class StatsView {
+  /**
+   * @param {import('./glossary-core.js').GlossaryCore} core - Store the term names come from
+   * @param {HTMLElement} container - Element the view is rendered into
+   * @param {Object} [options]
+   * @param {LocalUsageSink} [options.stats] - Recorded counts, defaults to the ones in localStorage
+   * @param {function(string): void} [options.onSelect] - Called with the id of a term picked from a list
+   * @param {function(string): boolean} [options.confirm] - Asks before clearing the statistics
+   * @param {function(string, Object=): string} [options.translate] - UI string translator
+   */
+  constructor(core, container, {
+    stats = new LocalUsageSink(),
+    onSelect = () => {},
+    confirm = message => window.confirm(message),
+    translate = createTranslator(DEFAULT_LOCALE)
+  } = {}) {
+    this.core = core;
+    this.container = container;
+    this.stats = stats;
+    this.onSelect = onSelect;
+    this.confirm = confirm;
+    this.translate = translate;
+    this.visible = false;
+
+    this.attachEventListeners();
+    this.core.subscribe(GlossaryEvent.LOAD, () => this.refresh());
+    this.core.subscribe(GlossaryEvent.LOCALE, () => this.refresh());
+    this.stats.subscribe(() => this.refresh());
+  }
+
+  /**
+   * Show or hide the view; it only renders while visible
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.refresh();
+  }
+
+  /**
+   * Re-render if visible
+   */
+  refresh() {
+    if (this.visible) {
+      this.render();
+    }
+  }
+
+  /**
+   * Handle term links and the reset button with event delegation
+   */
+  attachEventListeners() {
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+
+      if (button.dataset.termId) {
+        this.onSelect(button.dataset.termId);
+      } else if (button.dataset.statsAction === 'reset' &&
+          this.confirm(this.translate('stats.confirmReset'))) {
+        this.stats.reset();
+      }
+    });
+  }
+
+  /**
+   * Link to a term's card, or its id if the term is gone
+   * @param {string} termId
+   * @returns {string} HTML
+   */
+  renderTermLink(termId) {
+    const term = this.core.getTerm(termId);
+    if (!term) {
+      return `<span class="stats-missing-term">${escapeHtml(termId)}</span>`;
+    }
+    return `<button type="button" class="stats-link" data-term-id="${escapeHtml(term.id)}">${escapeHtml(this.core.localizeTerm(term).term)}</button>`;
+  }
+
+  /**
+   * A titled list of counted entries
+   * @param {string} title
+   * @param {string} empty - Shown when there are no entries
+   * @param {Array<{count: number}>} entries
+   * @param {function(Object): string} renderLabel - HTML of an entry's label
+   * @returns {string} HTML
+   */
+  renderTable(title, empty, entries, renderLabel) {
+    return `
+      <section class="stats-table" aria-label="${escapeHtml(title)}">
+        <h3 class="stats-title">${escapeHtml(title)}</h3>
+        ${entries.length === 0 ? `<p class="stats-hint">${escapeHtml(empty)}</p>` : `
+          <ol>
+            ${entries.map(entry => `
+              <li>${renderLabel(entry)} <span class="stats-hint">${escapeHtml(this.translate('stats.count', { count: entry.count }))}</span></li>
+            `).join('')}
+          </ol>
+        `}
+      </section>
+    `;
+  }
+
+  /**
+   * Render the three tables and the reset button
+   */
+  render() {
+    if (!this.core.data) return;
+
+    const t = this.translate;
+
+    this.container.innerHTML = `
+      <div class="stats-grid">
+        ${this.renderTable(t('stats.topTerms'), t('stats.topTermsEmpty'),
+          this.stats.getTopTerms(ENTRIES_SHOWN), ({ termId }) => this.renderTermLink(termId))}
+        ${this.renderTable(t('stats.missing'), t('stats.missingEmpty'),
+          this.stats.getMissingQueries(ENTRIES_SHOWN), ({ query }) => `<q class="stats-query">${escapeHtml(query)}</q>`)}
+        ${this.renderTable(t('stats.paths'), t('stats.pathsEmpty'),
+          this.stats.getTopPaths(ENTRIES_SHOWN), ({ from, to }) => `${this.renderTermLink(from)} → ${this.renderTermLink(to)}`)}
+      </div>
+      ${this.stats.isEmpty() ? '' : `<button type="button" class="stats-link" data-stats-action="reset">${escapeHtml(t('stats.reset'))}</button>`}
+    `;
+  }
+}
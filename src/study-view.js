@@ -0,0 +1,453 @@
+/**
+ * Study view
+ * Flashcard and quiz mode: pick a deck (every term, a category or saved
+ * terms), review the cards that are due, and see which terms keep slipping.
+ * @module study-view
+ */
+
+import { GlossaryEvent } from './glossary-core.js';
+import { buildFlashcards, StudySession, CardType, NEW_CARDS_PER_SESSION } from './flashcards.js';
+import { StudyProgress, Grade } from './spaced-repetition.js';
+import { getTermCategories } from './facets.js';
+import { escapeHtml } from './html.js';
+import { createTranslator, DEFAULT_LOCALE } from './i18n.js';
+
+/** Terms listed under "Terms you keep missing" */
+const MISSED_TERMS_SHOWN = 5;
+
+/** Grade buttons shown after revealing an answer, with their message keys */
+const GRADE_BUTTONS = [
+  { grade: Grade.AGAIN, label: 'study.gradeAgain' },
+  { grade: Grade.HARD, label: 'study.gradeHard' },
+  { grade: Grade.GOOD, label: 'study.gradeGood' },
+  { grade: Grade.EASY, label: 'study.gradeEasy' }
+];
+
+export class StudyView {
+  /**
+   * @param {import('./glossary-core.js').GlossaryCore} core - Store the cards are built from
+   * @param {HTMLElement} container - Element the view is rendered into
+   * @param {Object} [options]
+   * @param {StudyProgress} [options.progress] - Review state, defaults to one backed by localStorage
+   * @param {function(string): void} [options.onSelect] - Called with the id of a term picked from a results list
+   * @param {function(): number} [options.now] - Clock, in ms
+   * @param {function(): number} [options.random] - Random source for related-term choices
+   * @param {function(string): boolean} [options.confirm] - Asks before resetting progress
+   * @param {function(string, Object=): string} [options.translate] - UI string translator
+   */
+  constructor(core, container, {
+    progress = new StudyProgress(),
+    onSelect = () => {},
+    now = () => Date.now(),
+    random = Math.random,
+    confirm = message => window.confirm(message),
+    translate = createTranslator(DEFAULT_LOCALE)
+  } = {}) {
+    this.core = core;
+    this.container = container;
+    this.progress = progress;
+    this.onSelect = onSelect;
+    this.now = now;
+    this.random = random;
+    this.confirm = confirm;
+    this.translate = translate;
+    this.visible = false;
+    /** Selected deck: '' for every term, `category:<name>` or `saved:<collection id>` */
+    this.deck = '';
+    /** @type {StudySession|null} */
+    this.session = null;
+    /** Whether the current card's answer is showing */
+    this.revealed = false;
+    /** @type {{card: import('./flashcards.js').Flashcard, chosen: string, correct: boolean}|null} Last related-term answer */
+    this.feedback = null;
+    /** True once the learner ended the session early */
+    this.finished = false;
+
+    this.attachEventListeners();
+    this.core.subscribe(GlossaryEvent.LOAD, () => this.refresh());
+    this.core.subscribe(GlossaryEvent.LOCALE, () => this.refresh());
+    this.core.collections.subscribe(() => {
+      if (!this.session) this.refresh();
+    });
+  }
+
+  /**
+   * Show or hide the view; it only renders while visible
+   * @param {boolean} visible
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.refresh();
+  }
+
+  /**
+   * Re-render if visible
+   */
+  refresh() {
+    if (this.visible) {
+      this.render();
+    }
+  }
+
+  /**
+   * Handle buttons and the deck picker with event delegation
+   */
+  attachEventListeners() {
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button || button.disabled) return;
+
+      if (button.dataset.grade) {
+        this.grade(Number(button.dataset.grade));
+      } else if (button.dataset.choice) {
+        this.choose(button.dataset.choice);
+      } else if (button.dataset.termId) {
+        this.onSelect(button.dataset.termId);
+      } else if (button.dataset.studyAction) {
+        this.handleAction(button.dataset.studyAction);
+      }
+    });
+
+    this.container.addEventListener('change', (e) => {
+      if (e.target.classList.contains('study-deck')) {
+        this.deck = e.target.value;
+        this.render();
+      }
+    });
+  }
+
+  /**
+   * Run a button action
+   * @param {string} action
+   */
+  handleAction(action) {
+    switch (action) {
+      case 'start':
+        this.start();
+        return;
+      case 'reveal':
+        this.revealed = true;
+        break;
+      case 'next':
+        this.feedback = null;
+        break;
+      case 'finish':
+        this.finished = true;
+        break;
+      case 'restart':
+        this.session = null;
+        break;
+      case 'reset':
+        if (this.confirm(this.translate('study.confirmReset'))) {
+          this.progress.reset();
+        }
+        break;
+      default:
+        return;
+    }
+    this.render();
+    this.focusNext();
+  }
+
+  /**
+   * Start a session over the selected deck
+   * @returns {StudySession|null} Null if nothing in the deck is due or new
+   */
+  start() {
+    const session = new StudySession(this.buildDeck(), this.progress, { now: this.now });
+    if (session.total === 0) {
+      this.render();
+      this.showStatus(this.translate('study.nothingDue'));
+      return null;
+    }
+
+    this.session = session;
+    this.revealed = false;
+    this.feedback = null;
+    this.finished = false;
+    this.render();
+    this.focusNext();
+    return session;
+  }
+
+  /**
+   * Grade the current card after revealing its answer
+   * @param {number} grade - One of {@link Grade}
+   */
+  grade(grade) {
+    if (!this.session || this.session.done) return;
+
+    this.session.answer(grade);
+    this.revealed = false;
+    this.render();
+    this.focusNext();
+  }
+
+  /**
+   * Answer the current related-term question
+   * @param {string} termId - Chosen option
+   */
+  choose(termId) {
+    if (!this.session || this.session.done) return;
+
+    const card = this.session.current;
+    const correct = this.session.choose(termId);
+    this.feedback = { card, chosen: termId, correct };
+    this.render();
+    this.focusNext();
+  }
+
+  /**
+   * Move focus to the control to use next, so the deck can be worked through from the keyboard
+   */
+  focusNext() {
+    const target = this.container.querySelector('[data-autofocus]');
+    if (target) target.focus();
+  }
+
+  /**
+   * Decks to choose from: every term, each category, and saved terms
+   * @returns {Array<{value: string, label: string}>}
+   */
+  getDeckOptions() {
+    const collections = this.core.collections.getCollections();
+    return [
+      { value: '', label: this.translate('study.allTerms') },
+      ...this.core.data.categories.map(category => ({ value: `category:${category}`, label: category })),
+      { value: 'saved:', label: this.translate('study.allSaved') },
+      ...collections.map(({ id, name }) => ({ value: `saved:${id}`, label: this.translate('study.savedCollection', { name }) }))
+    ];
+  }
+
+  /**
+   * Terms in a deck
+   * @param {string} [deck]
+   * @returns {import('./glossary-core.js').GlossaryTerm[]}
+   */
+  getDeckTerms(deck = this.deck) {
+    const terms = this.core.data.terms;
+    const [kind, ...rest] = deck.split(':');
+    const value = rest.join(':');
+
+    if (kind === 'category') {
+      return terms.filter(term => getTermCategories(term).includes(value));
+    }
+    if (kind === 'saved') {
+      const saved = this.core.collections.getTermIds(value || null);
+      return terms.filter(term => saved.has(term.id));
+    }
+    return terms;
+  }
+
+  /**
+   * Flashcards for the selected deck, in the active language
+   * @returns {import('./flashcards.js').Flashcard[]}
+   */
+  buildDeck() {
+    const terms = this.getDeckTerms().map(term => this.core.localizeTerm(term));
+    return buildFlashcards(terms, {
+      resolve: (name, term) => this.core.findTermIdByName(name, term.source),
+      random: this.random
+    });
+  }
+
+  /**
+   * Show a message in the live region
+   * @param {string} message
+   */
+  showStatus(message) {
+    const status = this.container.querySelector('.study-status');
+    if (status) status.textContent = message;
+  }
+
+  /**
+   * Render the deck picker, the current card or the session summary
+   */
+  render() {
+    if (!this.core.data) return;
+
+    let content;
+    if (!this.session) {
+      content = this.renderSetup();
+    } else if (this.feedback) {
+      content = this.renderFeedback();
+    } else if (this.session.done || this.finished) {
+      content = this.renderSummary();
+    } else {
+      content = this.renderCard(this.session.current);
+    }
+
+    this.container.innerHTML = `
+      ${content}
+      <p class="study-status" role="status" aria-live="polite"></p>
+    `;
+  }
+
+  /**
+   * Deck picker with due and new card counts
+   * @returns {string} HTML
+   */
+  renderSetup() {
+    const options = this.getDeckOptions();
+    if (!options.some(option => option.value === this.deck)) {
+      this.deck = '';
+    }
+
+    const time = this.now();
+    const cards = this.buildDeck();
+    const due = cards.filter(card => this.progress.isDue(card.id, time)).length;
+    const fresh = Math.min(NEW_CARDS_PER_SESSION, cards.filter(card => this.progress.get(card.id) === null).length);
+    const hasProgress = Object.keys(this.progress.cards).length > 0;
+    const t = this.translate;
+    const counts = t('study.dueAndNew', { due: t('study.due', { count: due }), fresh: t('study.fresh', { count: fresh }) });
+
+    return `
+      <div class="study-setup">
+        <label class="study-field">${escapeHtml(t('study.deck'))}
+          <select class="study-deck">
+            ${options.map(({ value, label }) => `
+              <option value="${escapeHtml(value)}"${value === this.deck ? ' selected' : ''}>${escapeHtml(label)}</option>
+            `).join('')}
+          </select>
+        </label>
+        <p class="study-hint">${escapeHtml(counts)}</p>
+        <button type="button" class="study-button study-button-primary" data-study-action="start"${due + fresh === 0 ? ' disabled' : ''}>${escapeHtml(t('study.start'))}</button>
+      </div>
+      ${this.renderTermList(t('study.missedOverall'), this.progress.getMissedTerms(MISSED_TERMS_SHOWN))}
+      ${hasProgress ? `<button type="button" class="study-link" data-study-action="reset">${escapeHtml(t('study.reset'))}</button>` : ''}
+    `;
+  }
+
+  /**
+   * Question text for a card
+   * @param {import('./flashcards.js').Flashcard} card
+   * @returns {string} HTML
+   */
+  renderQuestion(card) {
+    const prompt = `<strong class="study-prompt">${escapeHtml(card.prompt)}</strong>`;
+    switch (card.type) {
+      case CardType.FULL_FORM:
+        return this.translateWithPrompt('study.questionFullForm', prompt);
+      case CardType.RELATED:
+        return this.translateWithPrompt('study.questionRelated', prompt);
+      default:
+        return this.translateWithPrompt('study.questionDefinition', prompt);
+    }
+  }
+
+  /**
+   * Translate a question, escaping the message but not the prompt markup put into it
+   * @param {string} key
+   * @param {string} prompt - HTML for the `{prompt}` placeholder
+   * @returns {string} HTML
+   */
+  translateWithPrompt(key, prompt) {
+    return escapeHtml(this.translate(key)).replace('{prompt}', prompt);
+  }
+
+  /**
+   * The card to answer
+   * @param {import('./flashcards.js').Flashcard} card
+   * @returns {string} HTML
+   */
+  renderCard(card) {
+    let body;
+    if (card.type === CardType.RELATED) {
+      body = `
+        <div class="study-choices" role="group" aria-label="${escapeHtml(this.translate('study.choices'))}">
+          ${card.choices.map(({ termId, label }, index) => `
+            <button type="button" class="study-choice" data-choice="${escapeHtml(termId)}"${index === 0 ? ' data-autofocus' : ''}>${escapeHtml(label)}</button>
+          `).join('')}
+        </div>
+      `;
+    } else if (this.revealed) {
+      body = `
+        <p class="study-answer">${escapeHtml(card.answer)}</p>
+        <div class="study-grades" role="group" aria-label="${escapeHtml(this.translate('study.gradesLabel'))}">
+          ${GRADE_BUTTONS.map(({ grade, label }) => `
+            <button type="button" class="study-button" data-grade="${grade}"${grade === Grade.GOOD ? ' data-autofocus' : ''}>${escapeHtml(this.translate(label))}</button>
+          `).join('')}
+        </div>
+      `;
+    } else {
+      body = `<button type="button" class="study-button study-button-primary" data-study-action="reveal" data-autofocus>${escapeHtml(this.translate('study.reveal'))}</button>`;
+    }
+
+    return `
+      <article class="study-card" data-card-type="${card.type}">
+        <p class="study-hint">${escapeHtml(this.translate('study.left', { count: this.session.queue.length }))}</p>
+        <p class="study-question">${this.renderQuestion(card)}</p>
+        ${body}
+      </article>
+      <button type="button" class="study-link" data-study-action="finish">${escapeHtml(this.translate('study.finish'))}</button>
+    `;
+  }
+
+  /**
+   * A related-term question after it was answered
+   * @returns {string} HTML
+   */
+  renderFeedback() {
+    const { card, chosen, correct } = this.feedback;
+
+    return `
+      <article class="study-card" data-card-type="${card.type}">
+        <p class="study-question">${this.renderQuestion(card)}</p>
+        <div class="study-choices">
+          ${card.choices.map(({ termId, label }) => {
+            const state = termId === card.answerId ? ' study-choice-correct' : termId === chosen ? ' study-choice-wrong' : '';
+            return `<button type="button" class="study-choice${state}" disabled>${escapeHtml(label)}</button>`;
+          }).join('')}
+        </div>
+        <p class="study-feedback">${escapeHtml(correct ? this.translate('study.correct') : this.translate('study.incorrect', { answer: card.answer }))}</p>
+        <button type="button" class="study-button study-button-primary" data-study-action="next" data-autofocus>${escapeHtml(this.translate('study.next'))}</button>
+      </article>
+    `;
+  }
+
+  /**
+   * Results of the session and the terms missed most overall
+   * @returns {string} HTML
+   */
+  renderSummary() {
+    const { reviewed, correct, missed } = this.session.summary();
+    const t = this.translate;
+
+    return `
+      <div class="study-summary">
+        <h3 class="study-title">${escapeHtml(t(this.session.done ? 'study.complete' : 'study.ended'))}</h3>
+        <p>${escapeHtml(t('study.score', { correct, count: reviewed }))}</p>
+      </div>
+      ${this.renderTermList(t('study.missedSession'), missed)}
+      ${this.renderTermList(t('study.missedOverall'), this.progress.getMissedTerms(MISSED_TERMS_SHOWN))}
+      <button type="button" class="study-button study-button-primary" data-study-action="restart" data-autofocus>${escapeHtml(t('study.backToDecks'))}</button>
+    `;
+  }
+
+  /**
+   * Missed terms with links to their cards
+   * @param {string} title
+   * @param {Array<{termId: string, misses: number}>} entries
+   * @returns {string} HTML, empty when there are no entries
+   */
+  renderTermList(title, entries) {
+    const items = entries
+      .map(({ termId, misses }) => ({ term: this.core.getTerm(termId), misses }))
+      .filter(({ term }) => term);
+    if (items.length === 0) return '';
+
+    return `
+      <section class="study-missed" aria-label="${escapeHtml(title)}">
+        <h3 class="study-title">${escapeHtml(title)}</h3>
+        <ul>
+          ${items.map(({ term, misses }) => `
+            <li>
+              <button type="button" class="study-link" data-term-id="${escapeHtml(term.id)}">${escapeHtml(this.core.localizeTerm(term).term)}</button>
+              <span class="study-hint">${escapeHtml(this.translate('study.missedCount', { count: misses }))}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </section>
+    `;
+  }
+}
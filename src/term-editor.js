@@ -0,0 +1,570 @@
+/**
+ * In-browser term editor
+ * Edits a {@link GlossaryDraft} and hands the result back as a JSON file or
+ * a Markdown diff. Nothing is sent anywhere.
+ * @module term-editor
+ */
+
+import { Severity } from './validator.js';
+import { hasChanges, formatDiffMarkdown } from './glossary-diff.js';
+import { downloadFile } from './download.js';
+import { escapeHtml } from './html.js';
+import { createTranslator, DEFAULT_LOCALE } from './i18n.js';
+
+/** Message keys for the validation severities */
+const SEVERITY_LABELS = {
+  [Severity.ERROR]: 'editor.severityError',
+  [Severity.WARNING]: 'editor.severityWarning',
+  [Severity.INFO]: 'editor.severityInfo'
+};
+
+export class TermEditor {
+  /**
+   * @param {import('./glossary-draft.js').GlossaryDraft} draft - Working copy to edit
+   * @param {HTMLElement} container - Element the editor is rendered into
+   * @param {Object} [options]
+   * @param {function(string): boolean} [options.confirm] - Asks before deleting
+   * @param {function(string, string=): (string|null)} [options.prompt] - Asks for category names
+   * @param {{writeText: function(string): Promise<void>}} [options.clipboard] - Used to copy the diff
+   * @param {function(string, Object=): string} [options.translate] - UI string translator
+   */
+  constructor(draft, container, {
+    confirm = message => window.confirm(message),
+    prompt = (message, value) => window.prompt(message, value),
+    clipboard = navigator.clipboard,
+    translate = createTranslator(DEFAULT_LOCALE)
+  } = {}) {
+    this.draft = draft;
+    this.container = container;
+    this.confirm = confirm;
+    this.prompt = prompt;
+    this.clipboard = clipboard;
+    this.translate = translate;
+    /** @type {string|null} Term being edited, or null for a new term */
+    this.selectedId = null;
+    /** @type {string[]} Related terms in the form */
+    this.relatedTerms = [];
+    /** True once the user typed an id for a new term, which stops auto-generation */
+    this.idEdited = false;
+    this.showDiff = false;
+
+    this.render();
+    this.attachEventListeners();
+    this.draft.subscribe(() => {
+      this.renderTermList();
+      this.renderCategories();
+      this.renderOutput();
+    });
+  }
+
+  /**
+   * Render the editor layout and fill it
+   * Fixed labels carry their message key, so {@link TermEditor#relabel} can translate them in place.
+   */
+  render() {
+    const text = key => `<span data-i18n="${key}">${escapeHtml(this.translate(key))}</span>`;
+    const i18n = key => `data-i18n="${key}">${escapeHtml(this.translate(key))}`;
+    const ariaLabel = key => `aria-label="${escapeHtml(this.translate(key))}" data-i18n-aria-label="${key}"`;
+
+    this.container.innerHTML = `
+      <div class="editor-layout">
+        <aside class="editor-sidebar">
+          <button type="button" class="editor-button editor-button-primary" data-action="new-term" ${i18n('editor.newTerm')}</button>
+          <ul class="editor-term-list" ${ariaLabel('editor.terms')}></ul>
+          <section class="editor-categories" ${ariaLabel('editor.categories')}>
+            <h3 class="editor-heading" ${i18n('editor.categories')}</h3>
+            <ul class="editor-category-list"></ul>
+            <button type="button" class="editor-button" data-action="add-category" ${i18n('editor.addCategory')}</button>
+          </section>
+        </aside>
+        <form class="editor-form" novalidate>
+          <h3 class="editor-heading editor-form-title"></h3>
+          <label class="editor-field">${text('editor.fieldTerm')}
+            <input name="term" type="text" required autocomplete="off">
+          </label>
+          <label class="editor-field">${text('editor.fieldId')}
+            <input name="id" type="text" autocomplete="off" spellcheck="false">
+          </label>
+          <label class="editor-field">${text('editor.fieldFullForm')}
+            <input name="fullForm" type="text" autocomplete="off">
+          </label>
+          <label class="editor-field">${text('editor.fieldAliases')} <span class="editor-hint" ${i18n('editor.hintAliases')}</span>
+            <input name="aliases" type="text" autocomplete="off">
+          </label>
+          <label class="editor-field">${text('editor.fieldCategory')}
+            <select name="category" required></select>
+          </label>
+          <label class="editor-field">${text('editor.fieldTags')} <span class="editor-hint" ${i18n('editor.hintTags')}</span>
+            <select name="tags" multiple size="3"></select>
+          </label>
+          <label class="editor-field">${text('editor.fieldDefinition')}
+            <textarea name="definition" rows="4" required></textarea>
+          </label>
+          <label class="editor-field">${text('editor.fieldExamples')} <span class="editor-hint" ${i18n('editor.hintExamples')}</span>
+            <textarea name="examples" rows="3"></textarea>
+          </label>
+          <label class="editor-field">${text('editor.fieldChangeNote')} <span class="editor-hint" ${i18n('editor.hintChangeNote')}</span>
+            <input name="changeNote" type="text" autocomplete="off">
+          </label>
+          <div class="editor-field">
+            <label for="editor-related-input" ${i18n('editor.fieldRelated')}</label>
+            <ul class="editor-related-list" ${ariaLabel('editor.fieldRelated')}></ul>
+            <div class="editor-related-add">
+              <input id="editor-related-input" class="editor-related-input" type="text" list="editor-related-options" autocomplete="off">
+              <datalist id="editor-related-options"></datalist>
+              <button type="button" class="editor-button" data-action="add-related" ${i18n('editor.addRelated')}</button>
+            </div>
+          </div>
+          <ul class="editor-issues" aria-live="polite"></ul>
+          <div class="editor-actions">
+            <button type="submit" class="editor-button editor-button-primary" data-action="save" ${i18n('editor.save')}</button>
+            <button type="button" class="editor-button editor-button-danger" data-action="delete-term" ${i18n('editor.deleteTerm')}</button>
+          </div>
+          <p class="editor-status" role="status"></p>
+        </form>
+        <section class="editor-output" ${ariaLabel('editor.changes')}>
+          <p class="editor-summary"></p>
+          <div class="editor-actions">
+            <button type="button" class="editor-button" data-action="download-json" ${i18n('editor.downloadJson')}</button>
+            <button type="button" class="editor-button" data-action="toggle-diff" aria-expanded="false"></button>
+            <button type="button" class="editor-button" data-action="copy-diff" ${i18n('editor.copyDiff')}</button>
+            <button type="button" class="editor-button" data-action="download-diff" ${i18n('editor.downloadDiff')}</button>
+          </div>
+          <pre class="editor-diff hidden"></pre>
+        </section>
+      </div>
+    `;
+
+    this.form = this.container.querySelector('.editor-form');
+    this.renderTermList();
+    this.renderCategories();
+    this.renderOutput();
+    this.selectTerm(null);
+  }
+
+  /**
+   * Translate the editor again after the language changed, keeping what is in the form
+   */
+  relabel() {
+    this.container.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.translate(element.dataset.i18n);
+    });
+    this.container.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', this.translate(element.dataset.i18nAriaLabel));
+    });
+
+    this.renderFormTitle();
+    this.renderCategories();
+    this.renderRelatedTerms();
+    this.renderOutput();
+    this.updateValidation();
+  }
+
+  /**
+   * Handle editor controls with event delegation
+   */
+  attachEventListeners() {
+    this.container.addEventListener('click', (e) => {
+      const termButton = e.target.closest('[data-edit-id]');
+      if (termButton) {
+        this.selectTerm(termButton.dataset.editId);
+        return;
+      }
+
+      const removeButton = e.target.closest('[data-remove-related]');
+      if (removeButton) {
+        this.removeRelatedTerm(removeButton.dataset.removeRelated);
+        return;
+      }
+
+      const action = e.target.closest('[data-action]');
+      if (action && action.dataset.action !== 'save') {
+        this.handleAction(action.dataset.action, action.dataset.category);
+      }
+    });
+
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveTerm();
+    });
+
+    this.form.addEventListener('input', (e) => {
+      if (e.target.name === 'id') {
+        this.idEdited = e.target.value.trim() !== '';
+      }
+      if (e.target.classList.contains('editor-related-input')) {
+        this.renderSuggestions();
+        return;
+      }
+      this.updateValidation();
+    });
+
+    this.form.addEventListener('change', (e) => {
+      if (e.target.name === 'category' || e.target.name === 'tags') {
+        this.updateValidation();
+      }
+    });
+
+    this.form.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.classList.contains('editor-related-input')) {
+        e.preventDefault();
+        this.addRelatedTerm(e.target.value);
+      }
+    });
+  }
+
+  /**
+   * Run a toolbar or list action
+   * @param {string} action
+   * @param {string} [category] - Category the action refers to
+   */
+  handleAction(action, category) {
+    try {
+      switch (action) {
+        case 'new-term':
+          this.selectTerm(null);
+          break;
+        case 'delete-term':
+          this.deleteTerm();
+          break;
+        case 'add-related':
+          this.addRelatedTerm(this.form.querySelector('.editor-related-input').value);
+          break;
+        case 'add-category': {
+          const name = this.prompt(this.translate('editor.promptCategory'));
+          if (name) this.draft.addCategory(name);
+          break;
+        }
+        case 'rename-category': {
+          const name = this.prompt(this.translate('editor.promptRename', { category }), category);
+          if (name && name !== category) {
+            const wasSelected = this.form.elements.category.value === category;
+            const tags = this.getSelectedTags().map(tag => (tag === category ? name.trim() : tag));
+            this.draft.renameCategory(category, name);
+            if (wasSelected) this.renderCategoryOptions(name.trim());
+            this.renderTagOptions(tags);
+          }
+          break;
+        }
+        case 'delete-category':
+          this.draft.deleteCategory(category);
+          break;
+        case 'download-json':
+          downloadFile('glossary.json', this.draft.toJson(), 'application/json');
+          break;
+        case 'toggle-diff':
+          this.showDiff = !this.showDiff;
+          this.renderOutput();
+          break;
+        case 'copy-diff':
+          this.copyDiff();
+          break;
+        case 'download-diff':
+          downloadFile('glossary-changes.md', formatDiffMarkdown(this.draft.diff()), 'text/markdown');
+          break;
+      }
+    } catch (error) {
+      this.showStatus(error.message, true);
+    }
+  }
+
+  /**
+   * Load a term into the form, or clear the form for a new term
+   * @param {string|null} termId
+   */
+  selectTerm(termId) {
+    const term = termId ? this.draft.getTerm(termId) : null;
+    this.selectedId = term ? term.id : null;
+    this.relatedTerms = term ? [...(term.relatedTerms || [])] : [];
+    this.idEdited = false;
+
+    const field = name => this.form.elements[name];
+    field('term').value = term ? term.term : '';
+    field('id').value = term ? term.id : '';
+    // Existing ids stay fixed so deep links and bookmarks keep working
+    field('id').readOnly = Boolean(term);
+    field('fullForm').value = term && term.fullForm ? term.fullForm : '';
+    field('aliases').value = term ? (term.aliases || []).join(', ') : '';
+    field('definition').value = term ? term.definition : '';
+    field('examples').value = term ? (term.examples || []).join('\n') : '';
+    field('changeNote').value = '';
+
+    this.renderFormTitle();
+    this.form.querySelector('[data-action="delete-term"]').hidden = !term;
+    this.renderCategoryOptions(term ? term.category : '');
+    this.renderTagOptions(term ? term.tags || [] : []);
+    this.renderRelatedTerms();
+    this.renderTermList();
+    this.showStatus('');
+    this.updateValidation();
+  }
+
+  /**
+   * Title above the form: the term being edited, or "New term"
+   */
+  renderFormTitle() {
+    const term = this.selectedId ? this.draft.getTerm(this.selectedId) : null;
+    this.form.querySelector('.editor-form-title').textContent = term
+      ? this.translate('editor.editTitle', { term: term.term })
+      : this.translate('editor.newTerm');
+  }
+
+  /**
+   * Current form values
+   * @returns {import('./glossary-draft.js').TermFields}
+   */
+  getFields() {
+    const field = name => this.form.elements[name].value;
+    return {
+      id: field('id'),
+      term: field('term'),
+      fullForm: field('fullForm'),
+      aliases: field('aliases').split(','),
+      definition: field('definition'),
+      category: field('category'),
+      tags: this.getSelectedTags(),
+      examples: field('examples').split('\n'),
+      relatedTerms: this.relatedTerms,
+      changeNote: field('changeNote')
+    };
+  }
+
+  /**
+   * Check the form against the draft and show the issues
+   * Saving is blocked while the term has errors.
+   * @returns {import('./validator.js').ValidationIssue[]}
+   */
+  updateValidation() {
+    const idInput = this.form.elements.id;
+    if (!this.selectedId && !this.idEdited) {
+      idInput.value = this.draft.generateId(this.form.elements.term.value);
+    }
+
+    const issues = this.draft.checkTerm(this.getFields(), this.selectedId);
+    const hasErrors = issues.some(issue => issue.severity === Severity.ERROR);
+
+    this.form.querySelector('.editor-issues').innerHTML = issues.map(issue => `
+      <li class="editor-issue editor-issue-${issue.severity.toLowerCase()}">
+        <strong>${escapeHtml(this.translate(SEVERITY_LABELS[issue.severity]))}</strong> ${escapeHtml(issue.message)}
+        <span class="editor-hint">${escapeHtml(issue.suggestion)}</span>
+      </li>
+    `).join('');
+    this.form.querySelector('[data-action="save"]').disabled = hasErrors;
+
+    return issues;
+  }
+
+  /**
+   * Save the form into the draft
+   * @returns {boolean} False if the term has errors
+   */
+  saveTerm() {
+    const issues = this.updateValidation();
+    if (issues.some(issue => issue.severity === Severity.ERROR)) {
+      this.showStatus(this.translate('editor.fixErrors'), true);
+      return false;
+    }
+
+    try {
+      const term = this.selectedId
+        ? this.draft.updateTerm(this.selectedId, this.getFields())
+        : this.draft.createTerm(this.getFields());
+      this.selectTerm(term.id);
+      this.showStatus(this.translate('editor.saved', { term: term.term }));
+      return true;
+    } catch (error) {
+      this.showStatus(error.message, true);
+      return false;
+    }
+  }
+
+  /**
+   * Delete the selected term after confirmation
+   */
+  deleteTerm() {
+    const term = this.selectedId ? this.draft.getTerm(this.selectedId) : null;
+    if (!term || !this.confirm(this.translate('editor.confirmDelete', { term: term.term }))) {
+      return;
+    }
+
+    this.draft.deleteTerm(term.id);
+    this.selectTerm(null);
+    this.showStatus(this.translate('editor.deleted', { term: term.term }));
+  }
+
+  /**
+   * Add a related term chip
+   * @param {string} name
+   */
+  addRelatedTerm(name) {
+    const value = String(name || '').trim();
+    const input = this.form.querySelector('.editor-related-input');
+    input.value = '';
+
+    if (value && !this.relatedTerms.some(existing => existing.toLowerCase() === value.toLowerCase())) {
+      this.relatedTerms.push(value);
+      this.renderRelatedTerms();
+      this.updateValidation();
+    }
+  }
+
+  /**
+   * Remove a related term chip
+   * @param {string} name
+   */
+  removeRelatedTerm(name) {
+    this.relatedTerms = this.relatedTerms.filter(existing => existing !== name);
+    this.renderRelatedTerms();
+    this.updateValidation();
+  }
+
+  /**
+   * Render the related term chips
+   */
+  renderRelatedTerms() {
+    this.form.querySelector('.editor-related-list').innerHTML = this.relatedTerms.map(name => `
+      <li class="editor-chip">
+        ${escapeHtml(name)}
+        <button type="button" class="editor-chip-remove" data-remove-related="${escapeHtml(name)}" aria-label="${escapeHtml(this.translate('editor.removeRelated', { term: name }))}">×</button>
+      </li>
+    `).join('');
+    this.renderSuggestions();
+  }
+
+  /**
+   * Fill the autocomplete list for the related term input
+   */
+  renderSuggestions() {
+    const query = this.form.querySelector('.editor-related-input').value;
+    const suggestions = this.draft.suggestRelatedTerms(query, {
+      exclude: [...this.relatedTerms, this.form.elements.term.value]
+    });
+
+    this.form.querySelector('#editor-related-options').innerHTML = suggestions
+      .map(name => `<option value="${escapeHtml(name)}"></option>`)
+      .join('');
+  }
+
+  /**
+   * Render the category select, keeping a value that isn't a category (validation flags it)
+   * @param {string} selected
+   */
+  renderCategoryOptions(selected) {
+    const categories = this.draft.data.categories;
+    const options = selected && !categories.includes(selected) ? [...categories, selected] : categories;
+
+    this.form.elements.category.innerHTML = `
+      <option value="">${escapeHtml(this.translate('editor.chooseCategory'))}</option>
+      ${options.map(category => `
+        <option value="${escapeHtml(category)}"${category === selected ? ' selected' : ''}>${escapeHtml(category)}</option>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Render the tag select, one option per category
+   * @param {string[]} selected
+   */
+  renderTagOptions(selected) {
+    this.form.elements.tags.innerHTML = this.draft.data.categories.map(category => `
+      <option value="${escapeHtml(category)}"${selected.includes(category) ? ' selected' : ''}>${escapeHtml(category)}</option>
+    `).join('');
+  }
+
+  /**
+   * Categories selected in the tag select
+   * @returns {string[]}
+   */
+  getSelectedTags() {
+    return [...this.form.elements.tags.options].filter(option => option.selected).map(option => option.value);
+  }
+
+  /**
+   * Render the list of terms, highlighting the selected one
+   */
+  renderTermList() {
+    const terms = [...this.draft.data.terms].sort((a, b) => a.term.localeCompare(b.term));
+
+    this.container.querySelector('.editor-term-list').innerHTML = terms.map(term => `
+      <li>
+        <button type="button" class="editor-term${term.id === this.selectedId ? ' editor-term-selected' : ''}" data-edit-id="${escapeHtml(term.id)}"${term.id === this.selectedId ? ' aria-current="true"' : ''}>
+          ${escapeHtml(term.term)}
+        </button>
+      </li>
+    `).join('');
+  }
+
+  /**
+   * Render the categories with their term counts
+   */
+  renderCategories() {
+    this.container.querySelector('.editor-category-list').innerHTML = this.draft.data.categories.map(category => {
+      const count = this.draft.countTerms(category);
+      return `
+        <li class="editor-category">
+          <span>${escapeHtml(category)} <span class="editor-hint">(${count})</span></span>
+          <button type="button" class="editor-link" data-action="rename-category" data-category="${escapeHtml(category)}">${escapeHtml(this.translate('editor.renameCategory'))}</button>
+          <button type="button" class="editor-link" data-action="delete-category" data-category="${escapeHtml(category)}"${count > 0 ? ` disabled title="${escapeHtml(this.translate('editor.categoryInUse'))}"` : ''}>${escapeHtml(this.translate('editor.deleteCategory'))}</button>
+        </li>
+      `;
+    }).join('');
+
+    this.renderCategoryOptions(this.form.elements.category.value);
+    this.renderTagOptions(this.getSelectedTags());
+  }
+
+  /**
+   * Render the change summary and the diff
+   */
+  renderOutput() {
+    const diff = this.draft.diff();
+    const { stats } = this.draft.validate();
+    const t = this.translate;
+    const changes = hasChanges(diff)
+      ? t('editor.changeCounts', { added: diff.added.length, changed: diff.changed.length, removed: diff.removed.length })
+      : t('editor.noChanges');
+
+    this.container.querySelector('.editor-summary').textContent = t('editor.summary', {
+      changes,
+      errors: t('editor.errors', { count: stats.errors }),
+      warnings: t('editor.warnings', { count: stats.warnings })
+    });
+
+    const toggle = this.container.querySelector('[data-action="toggle-diff"]');
+    toggle.textContent = t(this.showDiff ? 'editor.hideDiff' : 'editor.showDiff');
+    toggle.setAttribute('aria-expanded', String(this.showDiff));
+
+    const output = this.container.querySelector('.editor-diff');
+    output.classList.toggle('hidden', !this.showDiff);
+    output.textContent = this.showDiff ? formatDiffMarkdown(diff) : '';
+  }
+
+  /**
+   * Copy the Markdown diff to the clipboard
+   * @returns {Promise<void>}
+   */
+  async copyDiff() {
+    if (!this.clipboard) {
+      this.showStatus(this.translate('editor.clipboardUnavailable'), true);
+      return;
+    }
+
+    try {
+      await this.clipboard.writeText(formatDiffMarkdown(this.draft.diff()));
+      this.showStatus(this.translate('editor.diffCopied'));
+    } catch (error) {
+      this.showStatus(this.translate('editor.copyFailed', { error: error.message }), true);
+    }
+  }
+
+  /**
+   * Show a short status message below the form
+   * @param {string} message
+   * @param {boolean} [isError]
+   */
+  showStatus(message, isError = false) {
+    const status = this.form.querySelector('.editor-status');
+    status.textContent = message;
+    status.classList.toggle('editor-status-error', isError);
+  }
+}
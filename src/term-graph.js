@@ -0,0 +1,190 @@
+/**
+ * Related-terms graph
+ * Builds a node-link graph from `relatedTerms`, extracts neighbourhoods and
+ * computes a force-directed layout. DOM-free; rendering lives in graph-view.js.
+ * @module term-graph
+ */
+
+/**
+ * @typedef {Object} GraphNode
+ * @property {string} id - Term id, or `missing:<name>` for ghost nodes
+ * @property {string} label - Text shown on the node
+ * @property {string|null} category - Term category (null for ghost nodes)
+ * @property {boolean} ghost - True for related terms that have no entry
+ * @property {number} [x] - Layout position
+ * @property {number} [y] - Layout position
+ */
+
+/**
+ * @typedef {Object} GraphEdge
+ * @property {string} source - Node id
+ * @property {string} target - Node id
+ */
+
+/**
+ * @typedef {Object} TermGraph
+ * @property {GraphNode[]} nodes
+ * @property {GraphEdge[]} edges
+ */
+
+/** Prefix for ids of nodes standing in for missing related terms */
+export const GHOST_PREFIX = 'missing:';
+
+/**
+ * Build the related-terms graph
+ * Edges are undirected: A → B and B → A produce a single edge.
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms
+ * @param {function(string, import('./glossary-core.js').GlossaryTerm): (string|null)} resolve - Maps a
+ *   related-term name (and the term referring to it) to a term id, or null if it doesn't exist
+ * @returns {TermGraph}
+ */
+export function buildTermGraph(terms, resolve) {
+  /** @type {Map<string, GraphNode>} */
+  const nodes = new Map();
+  const edges = new Map();
+
+  terms.forEach(term => {
+    nodes.set(term.id, { id: term.id, label: term.term, category: term.category, ghost: false });
+  });
+
+  terms.forEach(term => {
+    (term.relatedTerms || []).forEach(name => {
+      let target = resolve(name, term);
+
+      if (!target) {
+        target = `${GHOST_PREFIX}${name.toLowerCase()}`;
+        if (!nodes.has(target)) {
+          nodes.set(target, { id: target, label: name, category: null, ghost: true });
+        }
+      }
+
+      if (target === term.id) return;
+
+      const key = [term.id, target].sort().join('\u0000');
+      if (!edges.has(key)) {
+        edges.set(key, { source: term.id, target });
+      }
+    });
+  });
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+/**
+ * Sub-graph of everything within `hops` edges of a node
+ * @param {TermGraph} graph
+ * @param {string} centerId
+ * @param {number} hops
+ * @returns {TermGraph}
+ */
+export function neighbourhood(graph, centerId, hops) {
+  const adjacency = new Map(graph.nodes.map(node => [node.id, []]));
+  graph.edges.forEach(({ source, target }) => {
+    adjacency.get(source).push(target);
+    adjacency.get(target).push(source);
+  });
+
+  if (!adjacency.has(centerId)) return { nodes: [], edges: [] };
+
+  const distance = new Map([[centerId, 0]]);
+  let frontier = [centerId];
+
+  for (let hop = 1; hop <= hops && frontier.length > 0; hop++) {
+    const next = [];
+    frontier.forEach(id => {
+      adjacency.get(id).forEach(neighbour => {
+        if (!distance.has(neighbour)) {
+          distance.set(neighbour, hop);
+          next.push(neighbour);
+        }
+      });
+    });
+    frontier = next;
+  }
+
+  return {
+    nodes: graph.nodes.filter(node => distance.has(node.id)),
+    edges: graph.edges.filter(edge => distance.has(edge.source) && distance.has(edge.target))
+  };
+}
+
+/**
+ * Force-directed layout (Fruchterman–Reingold)
+ * Deterministic: nodes start on a circle in input order, and `centerId`
+ * (if given) is pinned to the middle.
+ * @param {TermGraph} graph
+ * @param {Object} [options]
+ * @param {number} [options.width]
+ * @param {number} [options.height]
+ * @param {number} [options.iterations]
+ * @param {string|null} [options.centerId] - Node to pin at the center
+ * @returns {TermGraph} The same graph with `x`/`y` set on each node
+ */
+export function layoutGraph(graph, { width = 800, height = 600, iterations = 200, centerId = null } = {}) {
+  const { nodes, edges } = graph;
+  const cx = width / 2;
+  const cy = height / 2;
+  const padding = 40;
+  const k = Math.sqrt((width * height) / Math.max(nodes.length, 1)) * 0.75;
+  const byId = new Map(nodes.map(node => [node.id, node]));
+
+  nodes.forEach((node, index) => {
+    const angle = (2 * Math.PI * index) / Math.max(nodes.length, 1);
+    node.x = cx + (width / 3) * Math.cos(angle);
+    node.y = cy + (height / 3) * Math.sin(angle);
+  });
+
+  let temperature = width / 10;
+
+  for (let i = 0; i < iterations; i++) {
+    const displacement = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+
+    // Every pair repels
+    for (let a = 0; a < nodes.length; a++) {
+      for (let b = a + 1; b < nodes.length; b++) {
+        const dx = nodes[a].x - nodes[b].x || 0.01;
+        const dy = nodes[a].y - nodes[b].y || 0.01;
+        const dist = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / dist;
+        const da = displacement.get(nodes[a].id);
+        const db = displacement.get(nodes[b].id);
+        da.x += (dx / dist) * force;
+        da.y += (dy / dist) * force;
+        db.x -= (dx / dist) * force;
+        db.y -= (dy / dist) * force;
+      }
+    }
+
+    // Connected nodes attract
+    edges.forEach(({ source, target }) => {
+      const a = byId.get(source);
+      const b = byId.get(target);
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const dist = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (dist * dist) / k;
+      const da = displacement.get(a.id);
+      const db = displacement.get(b.id);
+      da.x -= (dx / dist) * force;
+      da.y -= (dy / dist) * force;
+      db.x += (dx / dist) * force;
+      db.y += (dy / dist) * force;
+    });
+
+    nodes.forEach(node => {
+      if (node.id === centerId) {
+        node.x = cx;
+        node.y = cy;
+        return;
+      }
+      const { x, y } = displacement.get(node.id);
+      const length = Math.max(Math.hypot(x, y), 0.01);
+      node.x = Math.min(width - padding, Math.max(padding, node.x + (x / length) * Math.min(length, temperature)));
+      node.y = Math.min(height - padding, Math.max(padding, node.y + (y / length) * Math.min(length, temperature)));
+    });
+
+    temperature *= 0.97;
+  }
+
+  return graph;
+}
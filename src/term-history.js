@@ -0,0 +1,127 @@
+/**
+ * Term change history
+ * Terms can carry `createdAt` and `updatedAt` dates and a `changelog` of
+ * notes. These helpers read them to tell which terms are new or were updated
+ * recently, and stamp them when terms are edited.
+ * @module term-history
+ */
+
+import { diffGlossaries } from './glossary-diff.js';
+
+/** Days a term counts as new or updated */
+export const RECENT_DAYS = 30;
+
+/**
+ * How a term changed within the recent window
+ * @enum {string}
+ */
+export const ChangeStatus = {
+  NEW: 'new',
+  UPDATED: 'updated'
+};
+
+/**
+ * @typedef {Object} ChangelogEntry
+ * @property {string} date - When the change was made (YYYY-MM-DD or an ISO 8601 date-time)
+ * @property {string} summary - What changed, e.g. "Clarified the difference from SOAP"
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** A date (2026-03-01) or a date-time with a time zone (2026-03-01T09:30:00Z) */
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+/**
+ * Time of a history date, in ms since the epoch
+ * Dates without a time are read as midnight UTC.
+ * @param {*} value
+ * @returns {number|null} Null when the value is not a valid date
+ */
+export function parseTimestamp(value) {
+  if (typeof value !== 'string' || !TIMESTAMP_PATTERN.test(value)) return null;
+
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Date in the YYYY-MM-DD form written into the data file
+ * @param {Date|number} date
+ * @returns {string}
+ */
+export function formatDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * When a term was last added or updated
+ * @param {import('./glossary-core.js').GlossaryTerm} term
+ * @returns {number|null} Null for terms without history dates
+ */
+export function getLastChanged(term) {
+  const times = [parseTimestamp(term.createdAt), parseTimestamp(term.updatedAt)].filter(time => time !== null);
+  return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * Whether a term was added or updated recently
+ * A term added and then edited within the window is new, not updated.
+ * @param {import('./glossary-core.js').GlossaryTerm} term
+ * @param {Object} [options]
+ * @param {number} [options.now] - Current time in ms
+ * @param {number} [options.days] - Size of the window
+ * @returns {string|null} One of {@link ChangeStatus}, or null
+ */
+export function getChangeStatus(term, { now = Date.now(), days = RECENT_DAYS } = {}) {
+  const since = now - days * DAY_MS;
+  const created = parseTimestamp(term.createdAt);
+  const updated = parseTimestamp(term.updatedAt);
+
+  if (created !== null && created >= since) return ChangeStatus.NEW;
+  if (updated !== null && updated >= since) return ChangeStatus.UPDATED;
+  return null;
+}
+
+/**
+ * The term's changelog, oldest entry first, without malformed entries
+ * @param {import('./glossary-core.js').GlossaryTerm} term
+ * @returns {ChangelogEntry[]}
+ */
+export function getChangelog(term) {
+  if (!Array.isArray(term.changelog)) return [];
+
+  return term.changelog.filter(entry => entry && parseTimestamp(entry.date) !== null &&
+    typeof entry.summary === 'string' && entry.summary.trim());
+}
+
+/**
+ * Date terms that were added or changed since an earlier version
+ * For files edited by hand: added terms get `createdAt` and `updatedAt`,
+ * changed terms get `updatedAt`, unless the edit already set them.
+ * @param {import('./glossary-core.js').GlossaryData} before
+ * @param {import('./glossary-core.js').GlossaryData} after
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{data: import('./glossary-core.js').GlossaryData, stamped: string[]}} A stamped copy
+ *   of `after`, and the ids of the terms that were stamped
+ */
+export function stampChanges(before, after, date) {
+  const diff = diffGlossaries(before, after);
+  const added = new Set(diff.added.map(term => term.id));
+  const changed = new Set(diff.changed.map(change => change.id));
+  const previous = new Map(before.terms.map(term => [term.id, term]));
+  const stamped = [];
+
+  const terms = after.terms.map(term => {
+    if (added.has(term.id) && !term.createdAt) {
+      stamped.push(term.id);
+      return { ...term, createdAt: date, updatedAt: term.updatedAt || date };
+    }
+    if (changed.has(term.id) && term.updatedAt === previous.get(term.id).updatedAt) {
+      stamped.push(term.id);
+      return { ...term, updatedAt: date };
+    }
+    return term;
+  });
+
+  return { data: { ...after, terms }, stamped };
+}
@@ -0,0 +1,41 @@
+/**
+ * Term names
+ * A term can be referred to by its name, its full form or any of its
+ * `aliases`. Lookups compare names without case, accents or punctuation, so
+ * "CI-CD", "ci/cd" and "CI CD" all find "CI/CD".
+ * @module term-names
+ */
+
+/**
+ * Comparison key for a term name
+ * Lower-cased, without accents, spaces or punctuation. Names that differ only
+ * in punctuation ("C" and "C++") share a key, so look up exact names first.
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeTermName(name) {
+  return String(name ?? '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Every name a term goes by: its name, its full form, then its aliases
+ * @param {import('./glossary-core.js').GlossaryTerm} term
+ * @returns {string[]} Trimmed names without case-insensitive duplicates
+ */
+export function getTermNames(term) {
+  const seen = new Set();
+
+  return [term.term, term.fullForm, ...(Array.isArray(term.aliases) ? term.aliases : [])]
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim())
+    .filter(name => {
+      const key = name.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
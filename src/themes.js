@@ -0,0 +1,304 @@
+/**
+ * Color themes
+ * Light, dark and high-contrast themes are defined through CSS variables in
+ * styles.css and selected with a `data-theme` attribute on the root element.
+ * Embedding sites can register brand themes that override some variables of
+ * a built-in one. The choice is persisted in localStorage; "system" follows
+ * `prefers-color-scheme` and `prefers-contrast`.
+ * @module themes
+ */
+
+/** localStorage key for the chosen theme */
+export const THEME_STORAGE_KEY = 'glossary-theme';
+
+/** Preference that follows the operating system's light/dark and contrast settings */
+export const SYSTEM_THEME = 'system';
+
+/**
+ * Themes defined in styles.css, in switcher order
+ * `themeColor` is used for the browser UI (`<meta name="theme-color">`).
+ */
+export const BUILT_IN_THEMES = [
+  { name: 'light', colorScheme: 'light', themeColor: '#2563eb' },
+  { name: 'dark', colorScheme: 'dark', themeColor: '#111827' },
+  { name: 'high-contrast', colorScheme: 'dark', themeColor: '#000000' }
+];
+
+/** CSS variables every theme defines, without the leading `--` */
+export const THEME_VARIABLES = [
+  'primary-color',
+  'secondary-color',
+  'accent-color',
+  'accent-bg',
+  'accent-text',
+  'text-primary',
+  'text-secondary',
+  'text-muted',
+  'text-on-primary',
+  'bg-primary',
+  'bg-secondary',
+  'bg-muted',
+  'border-color',
+  'highlight-bg',
+  'highlight-text',
+  'success-color',
+  'warning-color',
+  'danger-color',
+  'overlay-color',
+  'shadow-sm',
+  'shadow-md',
+  'shadow-lg'
+];
+
+/**
+ * @typedef {Object} Theme
+ * @property {string} name - Kebab-case identifier, used in `data-theme` and storage
+ * @property {string|null} label - Display name; null for built-in themes, whose names are translated
+ * @property {string} base - Built-in theme the variables are applied on top of
+ * @property {'light'|'dark'} colorScheme - For form controls and scrollbars
+ * @property {string} themeColor - Browser UI color
+ * @property {Object<string, string>} variables - CSS variable overrides, keyed with `--`
+ */
+
+/**
+ * Variable name with the leading `--`
+ * @param {string} name - e.g. "primary-color" or "--primary-color"
+ * @returns {string}
+ */
+function toCustomProperty(name) {
+  return name.startsWith('--') ? name : `--${name}`;
+}
+
+/**
+ * The system's media queries, when the environment has them
+ * @returns {function(string): MediaQueryList|null}
+ */
+function defaultMatchMedia() {
+  return typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+    ? query => window.matchMedia(query)
+    : () => null;
+}
+
+export class ThemeManager {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Where the choice is persisted,
+   *   defaults to localStorage when available
+   * @param {HTMLElement|null} [options.root] - Element that gets `data-theme`,
+   *   defaults to the document's root element
+   * @param {function(string): (MediaQueryList|null)} [options.matchMedia] - Media query lookup
+   */
+  constructor({
+    storage = typeof localStorage !== 'undefined' ? localStorage : null,
+    root = typeof document !== 'undefined' ? document.documentElement : null,
+    matchMedia = defaultMatchMedia()
+  } = {}) {
+    this.storage = storage;
+    this.root = root;
+    this.matchMedia = matchMedia;
+    /** @type {Map<string, Theme>} Built-in themes first, then brand themes in registration order */
+    this.themes = new Map(BUILT_IN_THEMES.map(({ name, colorScheme, themeColor }) => [
+      name,
+      { name, label: null, base: name, colorScheme, themeColor, variables: {} }
+    ]));
+    /** @type {string} Theme name or {@link SYSTEM_THEME} */
+    this.preference = SYSTEM_THEME;
+    /** @type {string[]} Variables set on the root by the applied brand theme */
+    this.appliedVariables = [];
+    /** @type {MediaQueryList[]|null} Watched once the theme is first applied */
+    this.mediaQueries = null;
+    /** @type {Set<Function>} */
+    this.listeners = new Set();
+
+    this.load();
+  }
+
+  /**
+   * Subscribe to changes
+   * @param {Function} listener - Called with `{ preference, theme }` when the
+   *   choice, the registered themes or the system theme change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notify subscribers
+   */
+  notify() {
+    const payload = { preference: this.preference, theme: this.getActiveTheme() };
+    [...this.listeners].forEach(listener => listener(payload));
+  }
+
+  /**
+   * Load the saved choice
+   * A brand theme's name is kept even before it is registered; until then the
+   * system theme is used.
+   */
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const stored = this.storage.getItem(THEME_STORAGE_KEY);
+      if (typeof stored === 'string' && stored.trim() !== '') {
+        this.preference = stored;
+      }
+    } catch (error) {
+      console.warn('Failed to read theme preference:', error);
+    }
+  }
+
+  /**
+   * Save the choice
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      this.storage.setItem(THEME_STORAGE_KEY, this.preference);
+    } catch (error) {
+      console.warn('Failed to save theme preference:', error);
+    }
+  }
+
+  /**
+   * All selectable themes, built-in first
+   * @returns {Theme[]}
+   */
+  getThemes() {
+    return [...this.themes.values()];
+  }
+
+  /**
+   * Add a brand theme
+   * Registering a name again replaces the earlier definition.
+   * @param {string} name - Kebab-case identifier, e.g. "acme"
+   * @param {Object} [options]
+   * @param {string} [options.label] - Name shown in the theme switcher, defaults to `name`
+   * @param {string} [options.base] - Built-in theme to start from
+   * @param {Object<string, string>} [options.variables] - Values for {@link THEME_VARIABLES},
+   *   with or without the leading `--`
+   * @returns {Theme}
+   * @throws {Error} If the name is taken by a built-in theme or invalid, the base
+   *   is unknown or a variable is not a theme variable
+   */
+  registerTheme(name, { label = name, base = 'light', variables = {} } = {}) {
+    if (typeof name !== 'string' || !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(name) || name === SYSTEM_THEME) {
+      throw new Error(`Invalid theme name "${name}"`);
+    }
+    if (BUILT_IN_THEMES.some(theme => theme.name === name)) {
+      throw new Error(`Theme "${name}" is built in`);
+    }
+
+    const baseTheme = BUILT_IN_THEMES.find(theme => theme.name === base);
+    if (!baseTheme) {
+      throw new Error(`Unknown base theme "${base}"`);
+    }
+
+    const overrides = {};
+    Object.entries(variables).forEach(([variable, value]) => {
+      const property = toCustomProperty(variable);
+      if (!THEME_VARIABLES.includes(property.slice(2))) {
+        throw new Error(`Unknown theme variable "${property}"`);
+      }
+      overrides[property] = String(value);
+    });
+
+    const theme = {
+      name,
+      label,
+      base,
+      colorScheme: baseTheme.colorScheme,
+      themeColor: overrides['--primary-color'] || baseTheme.themeColor,
+      variables: overrides
+    };
+    this.themes.set(name, theme);
+
+    // Pick up a saved choice of this theme, or its new colors
+    if (this.preference === name) {
+      this.apply();
+    }
+    this.notify();
+    return theme;
+  }
+
+  /**
+   * Built-in theme matching the system settings
+   * @returns {string}
+   */
+  getSystemTheme() {
+    const matches = query => {
+      const list = this.matchMedia(query);
+      return Boolean(list && list.matches);
+    };
+
+    if (matches('(prefers-contrast: more)')) return 'high-contrast';
+    return matches('(prefers-color-scheme: dark)') ? 'dark' : 'light';
+  }
+
+  /**
+   * Theme in use: the chosen one, or the system theme
+   * @returns {Theme}
+   */
+  getActiveTheme() {
+    return this.themes.get(this.preference) || this.themes.get(this.getSystemTheme());
+  }
+
+  /**
+   * Choose a theme and remember the choice
+   * @param {string} name - Theme name or {@link SYSTEM_THEME}
+   * @throws {Error} If no such theme is registered
+   */
+  setPreference(name) {
+    if (name !== SYSTEM_THEME && !this.themes.has(name)) {
+      throw new Error(`Unknown theme "${name}"`);
+    }
+
+    this.preference = name;
+    this.save();
+    this.apply();
+    this.notify();
+  }
+
+  /**
+   * Apply the active theme to the root element
+   * Also starts following system changes, the first time it is called.
+   */
+  apply() {
+    if (!this.root) return;
+
+    const theme = this.getActiveTheme();
+    this.root.dataset.theme = theme.base;
+    this.root.style.colorScheme = theme.colorScheme;
+
+    this.appliedVariables.forEach(property => this.root.style.removeProperty(property));
+    Object.entries(theme.variables).forEach(([property, value]) => this.root.style.setProperty(property, value));
+    this.appliedVariables = Object.keys(theme.variables);
+
+    const meta = this.root.ownerDocument && this.root.ownerDocument.querySelector('meta[name="theme-color"]');
+    if (meta) {
+      meta.setAttribute('content', theme.themeColor);
+    }
+
+    this.watchSystemTheme();
+  }
+
+  /**
+   * Re-apply the system theme when the system settings change
+   */
+  watchSystemTheme() {
+    if (this.mediaQueries) return;
+
+    this.mediaQueries = ['(prefers-color-scheme: dark)', '(prefers-contrast: more)']
+      .map(query => this.matchMedia(query))
+      .filter(list => list && typeof list.addEventListener === 'function');
+
+    this.mediaQueries.forEach(list => list.addEventListener('change', () => {
+      if (this.themes.has(this.preference)) return;
+      this.apply();
+      this.notify();
+    }));
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * Embeddable glossary tooltips
+ * Scans a host page for term names and full forms and turns the first
+ * occurrence of each into a link to the glossary app with a hover/focus
+ * popover. Loads data through GlossaryCore, so term packs work too.
+ * @module tooltip-widget
+ */
+
+import { GlossaryCore } from './glossary-core.js';
+import { CollectionStore } from './collections.js';
+import { escapeHtml } from './html.js';
+import { getTermNames } from './term-names.js';
+import { getTermCategories } from './facets.js';
+
+/** Elements whose text is never linked: code, existing links, form controls */
+export const SKIP_SELECTOR = [
+  'pre', 'code', 'kbd', 'samp', 'script', 'style', 'textarea', 'select', 'option',
+  'a', 'button', 'svg', '[contenteditable]', '[data-glossary-skip]', '.glossary-term'
+].join(', ');
+
+/** Id of the stylesheet injected into the host page */
+const STYLES_ID = 'glossary-tooltip-styles';
+
+/**
+ * Minimal styles so the widget works on pages without the app's CSS
+ * Host pages can set `--glossary-tooltip-bg` and `--glossary-tooltip-text` to match their brand.
+ */
+const TOOLTIP_STYLES = `
+.glossary-term { position: relative; }
+.glossary-term-link { color: inherit; text-decoration: underline dotted; text-underline-offset: 0.2em; cursor: help; }
+.glossary-tooltip { position: absolute; left: 0; top: 100%; z-index: 1000; width: max-content; max-width: 20rem; margin-top: 0.25rem; padding: 0.5rem 0.75rem; border-radius: 0.375rem; background: var(--glossary-tooltip-bg, #1f2937); color: var(--glossary-tooltip-text, #f9fafb); font-size: 0.875rem; font-weight: normal; line-height: 1.4; text-align: left; box-shadow: 0 4px 6px -1px rgba(0, 0, 0, 0.2); }
+.glossary-tooltip[hidden] { display: none; }
+.glossary-tooltip-term { display: block; font-weight: 600; }
+.glossary-tooltip-full-form { display: block; font-style: italic; opacity: 0.8; }
+.glossary-tooltip-definition { display: block; margin-top: 0.25rem; }
+`;
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Whether a name is an acronym such as "API" or "CI/CD"
+ * Acronyms match case-sensitively so "REST" doesn't link "the rest".
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isAcronym(name) {
+  return /\p{Lu}/u.test(name) && name === name.toUpperCase();
+}
+
+/**
+ * @typedef {Object} TermMatch
+ * @property {number} index - Start of the match in the text
+ * @property {number} length
+ * @property {import('./glossary-core.js').GlossaryTerm} term
+ */
+
+/**
+ * Matcher for the names, full forms and aliases of a set of terms
+ * Longer names win, so "Continuous Integration" is matched before "CI".
+ * @param {import('./glossary-core.js').GlossaryTerm[]} terms
+ * @param {Object} [options]
+ * @param {function(Object): Object} [options.localize] - Adds a term's localized names as well
+ * @returns {{findMatches: function(string): TermMatch[]}}
+ */
+export function createTermMatcher(terms, { localize = term => term } = {}) {
+  const normalize = name => name.trim().replace(/\s+/g, ' ').toLowerCase();
+  /** @type {Map<string, {term: Object, name: string}>} */
+  const lookup = new Map();
+
+  terms.forEach(term => {
+    const localized = localize(term);
+    [...getTermNames(term), localized.term, localized.fullForm]
+      .filter(name => typeof name === 'string' && name.trim().length > 1)
+      .forEach(name => {
+        const key = normalize(name);
+        if (!lookup.has(key)) {
+          lookup.set(key, { term, name: name.trim() });
+        }
+      });
+  });
+
+  if (lookup.size === 0) {
+    return { findMatches: () => [] };
+  }
+
+  const alternatives = [...lookup.values()]
+    .map(({ name }) => name)
+    .sort((a, b) => b.length - a.length)
+    .map(name => escapeRegExp(name).replace(/\s+/g, '\\s+'));
+  // Names may start or end with punctuation ("CI/CD", "C++"), so \b won't do
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+
+  return {
+    findMatches(text) {
+      const matches = [];
+      for (const match of text.matchAll(pattern)) {
+        const entry = lookup.get(normalize(match[0]));
+        if (!entry || (isAcronym(entry.name) && match[0] !== entry.name)) continue;
+        matches.push({ index: match.index, length: match[0].length, term: entry.term });
+      }
+      return matches;
+    }
+  };
+}
+
+/**
+ * Wrap the first occurrence of each term in the given elements
+ * @param {Element[]} roots - Elements to scan, in page order
+ * @param {{findMatches: function(string): TermMatch[]}} matcher
+ * @param {Object} options
+ * @param {function(Object, string): Element} options.createLink - Element replacing a match
+ * @param {number} [options.maxLinks] - Stop after this many links
+ * @param {string} [options.skipSelector] - Text inside matching elements is left alone
+ * @returns {Element[]} The inserted elements
+ */
+export function linkTerms(roots, matcher, { createLink, maxLinks = Infinity, skipSelector = SKIP_SELECTOR }) {
+  const linked = new Set();
+  const links = [];
+
+  for (const root of roots) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (node.parentElement && !node.parentElement.closest(skipSelector) && node.nodeValue.trim()
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT)
+    });
+
+    // Collect first: splitting text nodes would confuse the walker
+    const textNodes = [];
+    while (walker.nextNode()) {
+      textNodes.push(walker.currentNode);
+    }
+
+    for (const textNode of textNodes) {
+      let current = textNode;
+      let offset = 0;
+
+      for (const match of matcher.findMatches(textNode.nodeValue)) {
+        if (links.length >= maxLinks) return links;
+        if (linked.has(match.term.id)) continue;
+
+        const matchNode = current.splitText(match.index - offset);
+        current = matchNode.splitText(match.length);
+        offset = match.index + match.length;
+
+        const link = createLink(match.term, matchNode.nodeValue);
+        matchNode.replaceWith(link);
+        linked.add(match.term.id);
+        links.push(link);
+      }
+    }
+  }
+
+  return links;
+}
+
+export class TooltipWidget {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.selector] - Parts of the page to scan
+   * @param {string[]|null} [options.categories] - Only link terms in these categories
+   * @param {number} [options.maxLinks] - Most links added to the page
+   * @param {string} [options.dataUrl] - Glossary file; defaults to the one next to this script
+   * @param {Array<string|Object>} [options.sources] - Several glossary files to merge, instead of `dataUrl`
+   * @param {string} [options.appUrl] - Glossary app that term links point to
+   * @param {string} [options.locale] - Language of the popovers
+   * @param {string} [options.skipSelector] - Elements whose text is never linked
+   * @param {boolean} [options.injectStyles] - Add the default popover styles to the page
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+   * @param {GlossaryCore} [options.core] - Existing store to use instead of loading one
+   */
+  constructor({
+    selector = 'body',
+    categories = null,
+    maxLinks = 25,
+    dataUrl = new URL('../data/glossary.json', import.meta.url).href,
+    sources = dataUrl,
+    appUrl = new URL('../index.html', import.meta.url).href,
+    locale,
+    skipSelector = SKIP_SELECTOR,
+    injectStyles = true,
+    fetch = globalThis.fetch,
+    core = null
+  } = {}) {
+    this.selector = selector;
+    this.categories = categories;
+    this.maxLinks = maxLinks;
+    this.appUrl = appUrl;
+    this.skipSelector = skipSelector;
+    this.injectStyles = injectStyles;
+    // The host page's storage is left alone: no history, no bookmarks
+    this.core = core || new GlossaryCore({
+      sources,
+      locale,
+      fetch,
+      storage: null,
+      collections: new CollectionStore({ storage: null })
+    });
+    /** @type {Element[]} Inserted term wrappers */
+    this.links = [];
+    /** @type {Element[]} Scanned elements, which carry the event listeners */
+    this.roots = [];
+    // Unique per widget, in case a page embeds more than one
+    this.idPrefix = `glossary-tooltip-${Math.random().toString(36).slice(2, 8)}`;
+    this.tooltipCount = 0;
+
+    this.handleShow = (e) => {
+      const wrapper = e.target.closest && e.target.closest('.glossary-term');
+      if (wrapper) this.show(wrapper);
+    };
+    this.handleHide = (e) => {
+      const wrapper = e.target.closest && e.target.closest('.glossary-term');
+      // Moving into the popover keeps it open, so its text can be selected
+      if (wrapper && !wrapper.contains(e.relatedTarget)) this.hide(wrapper);
+    };
+    this.handleKeydown = (e) => {
+      if (e.key === 'Escape') this.hideAll();
+    };
+  }
+
+  /**
+   * Load the glossary if needed and link terms on the page
+   * @returns {Promise<number>} Number of links added
+   */
+  async init() {
+    if (!this.core.data) {
+      await this.core.loadData();
+    }
+    return this.link();
+  }
+
+  /**
+   * Terms the widget may link, after the category option
+   * @returns {import('./glossary-core.js').GlossaryTerm[]}
+   */
+  getTerms() {
+    const terms = this.core.data ? this.core.data.terms : [];
+    return this.categories
+      ? terms.filter(term => getTermCategories(term).some(category => this.categories.includes(category)))
+      : terms;
+  }
+
+  /**
+   * Scan the page and add links; runs once until {@link TooltipWidget#destroy}
+   * @returns {number} Number of links added
+   */
+  link() {
+    if (this.roots.length > 0) return this.links.length;
+
+    if (this.injectStyles && !document.getElementById(STYLES_ID)) {
+      const style = document.createElement('style');
+      style.id = STYLES_ID;
+      style.textContent = TOOLTIP_STYLES;
+      document.head.appendChild(style);
+    }
+
+    // Skip roots nested in other roots so no text is scanned twice
+    const matches = [...document.querySelectorAll(this.selector)];
+    this.roots = matches.filter(root => !matches.some(other => other !== root && other.contains(root)));
+
+    const matcher = createTermMatcher(this.getTerms(), { localize: term => this.core.localizeTerm(term) });
+    this.links = linkTerms(this.roots, matcher, {
+      maxLinks: this.maxLinks,
+      skipSelector: this.skipSelector,
+      createLink: (term, text) => this.createLink(term, text)
+    });
+
+    this.roots.forEach(root => {
+      root.addEventListener('mouseover', this.handleShow);
+      root.addEventListener('focusin', this.handleShow);
+      root.addEventListener('mouseout', this.handleHide);
+      root.addEventListener('focusout', this.handleHide);
+    });
+    document.addEventListener('keydown', this.handleKeydown);
+
+    return this.links.length;
+  }
+
+  /**
+   * Link to a term in the glossary app
+   * @param {string} termId
+   * @returns {string}
+   */
+  getTermUrl(termId) {
+    const url = new URL(this.appUrl, document.baseURI);
+    url.hash = `/term/${encodeURIComponent(termId)}`;
+    return url.href;
+  }
+
+  /**
+   * Build the link and popover for one occurrence of a term
+   * The popover is a sibling of the link so it describes the link without
+   * becoming part of its name.
+   * @param {import('./glossary-core.js').GlossaryTerm} term
+   * @param {string} text - Matched text, kept as it appears on the page
+   * @returns {HTMLElement}
+   */
+  createLink(term, text) {
+    const localized = this.core.localizeTerm(term);
+    const tooltipId = `${this.idPrefix}-${++this.tooltipCount}`;
+
+    const wrapper = document.createElement('span');
+    wrapper.className = 'glossary-term';
+    wrapper.innerHTML = `
+      <a class="glossary-term-link" href="${escapeHtml(this.getTermUrl(term.id))}" data-term-id="${escapeHtml(term.id)}" aria-describedby="${tooltipId}">${escapeHtml(text)}</a>
+      <span class="glossary-tooltip" id="${tooltipId}" role="tooltip" hidden>
+        <span class="glossary-tooltip-term">${escapeHtml(localized.term)}</span>
+        ${localized.fullForm ? `<span class="glossary-tooltip-full-form">${escapeHtml(localized.fullForm)}</span>` : ''}
+        <span class="glossary-tooltip-definition">${escapeHtml(localized.definition)}</span>
+      </span>
+    `.trim().replace(/>\s+</g, '><');
+
+    return wrapper;
+  }
+
+  /**
+   * Show a term's popover, hiding any other
+   * @param {Element} wrapper
+   */
+  show(wrapper) {
+    this.links.forEach(link => {
+      if (link !== wrapper) this.hide(link);
+    });
+    wrapper.querySelector('.glossary-tooltip').hidden = false;
+  }
+
+  /**
+   * Hide a term's popover
+   * @param {Element} wrapper
+   */
+  hide(wrapper) {
+    wrapper.querySelector('.glossary-tooltip').hidden = true;
+  }
+
+  /**
+   * Hide every popover (Escape)
+   */
+  hideAll() {
+    this.links.forEach(link => this.hide(link));
+  }
+
+  /**
+   * Remove the links and listeners, restoring the original text
+   */
+  destroy() {
+    this.links.forEach(wrapper => {
+      const parent = wrapper.parentNode;
+      if (!parent) return;
+      wrapper.replaceWith(document.createTextNode(wrapper.querySelector('.glossary-term-link').textContent));
+      parent.normalize();
+    });
+
+    this.roots.forEach(root => {
+      root.removeEventListener('mouseover', this.handleShow);
+      root.removeEventListener('focusin', this.handleShow);
+      root.removeEventListener('mouseout', this.handleHide);
+      root.removeEventListener('focusout', this.handleHide);
+    });
+    document.removeEventListener('keydown', this.handleKeydown);
+
+    this.links = [];
+    this.roots = [];
+  }
+}
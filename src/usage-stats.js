@@ -0,0 +1,381 @@
+/**
+ * Usage statistics
+ * Records which terms are viewed, which searches find nothing and which
+ * related-term hops people take, so maintainers can see what is read and
+ * what is missing. Events go to pluggable sinks: counts in localStorage by
+ * default, optionally batched POSTs to an endpoint. Events carry no user or
+ * session id, only the day they happened.
+ * @module usage-stats
+ */
+
+import { GlossaryEvent } from './glossary-core.js';
+
+/** localStorage key for usage counts */
+export const USAGE_STORAGE_KEY = 'glossary-usage-stats';
+
+/** Entries kept per table; the least counted are dropped beyond this */
+export const MAX_USAGE_ENTRIES = 500;
+
+/** Searches shorter than this are still being typed, not dead ends */
+const MIN_QUERY_LENGTH = 2;
+
+/** Longer queries are cut, so pasted text doesn't fill the storage */
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Kinds of usage events
+ * - `view`: a term was opened, with `termId`
+ * - `zero-results`: a search found no terms, with `query`
+ * - `path`: a term was opened from another one, with `from` and `to`
+ * @enum {string}
+ */
+export const UsageEventType = {
+  VIEW: 'view',
+  ZERO_RESULTS: 'zero-results',
+  PATH: 'path'
+};
+
+/**
+ * @typedef {Object} UsageEvent
+ * @property {string} type - One of {@link UsageEventType}
+ * @property {string} date - Day of the event, YYYY-MM-DD
+ * @property {string} [termId]
+ * @property {string} [query] - Normalized search query
+ * @property {string} [from] - Term id the path started at
+ * @property {string} [to] - Term id the path led to
+ */
+
+/**
+ * Anything that takes usage events, e.g. {@link LocalUsageSink} or {@link HttpUsageSink}
+ * @typedef {Object} UsageSink
+ * @property {function(UsageEvent): void} record
+ * @property {function(): (Promise<void>|void)} [flush] - Send buffered events
+ */
+
+/**
+ * @typedef {Object} UsageCount
+ * @property {string} key - Term id, query, or "from>to" for paths
+ * @property {number} count
+ * @property {string} lastSeen - Day of the latest event, YYYY-MM-DD
+ */
+
+/**
+ * Search query in the form it is counted under
+ * Case and extra whitespace are ignored, so "Kubernetes " and "kubernetes"
+ * count as one query.
+ * @param {string} query
+ * @returns {string} Empty for queries too short to count
+ */
+export function normalizeQuery(query) {
+  const normalized = String(query).trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_QUERY_LENGTH);
+  return normalized.length >= MIN_QUERY_LENGTH ? normalized : '';
+}
+
+/**
+ * Check a parsed count table from storage
+ * @param {*} table
+ * @returns {boolean}
+ */
+function isCountTable(table) {
+  return Boolean(table) && typeof table === 'object' && Object.values(table).every(entry =>
+    Boolean(entry) && Number.isFinite(entry.count) && typeof entry.lastSeen === 'string');
+}
+
+/**
+ * Most counted entries of a table
+ * @param {Object<string, {count: number, lastSeen: string}>} table
+ * @param {number} limit
+ * @returns {UsageCount[]} Highest count first, most recent first on ties
+ */
+function topEntries(table, limit) {
+  return Object.entries(table)
+    .map(([key, { count, lastSeen }]) => ({ key, count, lastSeen }))
+    .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen) || a.key.localeCompare(b.key))
+    .slice(0, limit);
+}
+
+/**
+ * Default sink: counts per term, query and path, kept in localStorage
+ */
+export class LocalUsageSink {
+  /**
+   * @param {Object} [options]
+   * @param {Storage|null} [options.storage] - Where counts are persisted,
+   *   defaults to localStorage when available
+   */
+  constructor({ storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+    this.storage = storage;
+    /** @type {Object<string, {count: number, lastSeen: string}>} By term id */
+    this.views = {};
+    /** @type {Object<string, {count: number, lastSeen: string}>} By normalized query */
+    this.zeroResults = {};
+    /** @type {Object<string, {count: number, lastSeen: string}>} By "from>to" */
+    this.paths = {};
+    /** @type {Set<Function>} */
+    this.listeners = new Set();
+
+    this.load();
+  }
+
+  /**
+   * Subscribe to changes
+   * @param {Function} listener - Called with `{ views, zeroResults, paths }` after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Persist and notify subscribers
+   */
+  changed() {
+    this.save();
+    const { views, zeroResults, paths } = this;
+    [...this.listeners].forEach(listener => listener({ views, zeroResults, paths }));
+  }
+
+  /**
+   * Load counts from storage
+   */
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const stored = JSON.parse(this.storage.getItem(USAGE_STORAGE_KEY) || 'null');
+      if (!stored) return;
+
+      ['views', 'zeroResults', 'paths'].forEach(table => {
+        if (isCountTable(stored[table])) this[table] = stored[table];
+      });
+    } catch (error) {
+      console.warn('Failed to load usage statistics:', error);
+    }
+  }
+
+  /**
+   * Save counts to storage
+   */
+  save() {
+    if (!this.storage) return;
+
+    try {
+      const { views, zeroResults, paths } = this;
+      this.storage.setItem(USAGE_STORAGE_KEY, JSON.stringify({ version: 1, views, zeroResults, paths }));
+    } catch (error) {
+      console.warn('Failed to save usage statistics:', error);
+    }
+  }
+
+  /**
+   * Count an event
+   * @param {UsageEvent} event
+   */
+  record(event) {
+    const tables = {
+      [UsageEventType.VIEW]: [this.views, event.termId],
+      [UsageEventType.ZERO_RESULTS]: [this.zeroResults, event.query],
+      [UsageEventType.PATH]: [this.paths, `${event.from}>${event.to}`]
+    };
+    if (!tables[event.type]) return;
+
+    const [table, key] = tables[event.type];
+    const entry = table[key] || { count: 0, lastSeen: event.date };
+    table[key] = { count: entry.count + 1, lastSeen: event.date > entry.lastSeen ? event.date : entry.lastSeen };
+
+    if (Object.keys(table).length > MAX_USAGE_ENTRIES) {
+      const dropped = topEntries(table, Infinity).at(-1);
+      delete table[dropped.key];
+    }
+    this.changed();
+  }
+
+  /**
+   * Most viewed terms
+   * @param {number} [limit]
+   * @returns {Array<UsageCount & {termId: string}>}
+   */
+  getTopTerms(limit = 10) {
+    return topEntries(this.views, limit).map(entry => ({ ...entry, termId: entry.key }));
+  }
+
+  /**
+   * Searches that found nothing, i.e. terms the glossary may be missing
+   * @param {number} [limit]
+   * @returns {Array<UsageCount & {query: string}>}
+   */
+  getMissingQueries(limit = 10) {
+    return topEntries(this.zeroResults, limit).map(entry => ({ ...entry, query: entry.key }));
+  }
+
+  /**
+   * Most taken hops from one term to another
+   * @param {number} [limit]
+   * @returns {Array<UsageCount & {from: string, to: string}>}
+   */
+  getTopPaths(limit = 10) {
+    return topEntries(this.paths, limit).map(entry => {
+      const [from, to] = entry.key.split('>');
+      return { ...entry, from, to };
+    });
+  }
+
+  /**
+   * Whether anything was recorded
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return [this.views, this.zeroResults, this.paths].every(table => Object.keys(table).length === 0);
+  }
+
+  /**
+   * Forget all counts
+   */
+  reset() {
+    this.views = {};
+    this.zeroResults = {};
+    this.paths = {};
+    this.changed();
+  }
+}
+
+/**
+ * Sink that POSTs events as JSON (`{ "events": [...] }`) to an endpoint
+ * Events are sent in batches; failed batches are dropped, not retried.
+ */
+export class HttpUsageSink {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Endpoint the events are posted to
+   * @param {number} [options.batchSize] - Events collected before they are sent
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+   */
+  constructor({ url, batchSize = 10, fetch = globalThis.fetch }) {
+    this.url = url;
+    this.batchSize = batchSize;
+    this.fetch = fetch;
+    /** @type {UsageEvent[]} Events not sent yet */
+    this.queue = [];
+  }
+
+  /**
+   * Queue an event, sending the batch once it is full
+   * @param {UsageEvent} event
+   */
+  record(event) {
+    this.queue.push(event);
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send the queued events
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.queue.length === 0) return;
+
+    const events = this.queue;
+    this.queue = [];
+    // Called unbound: browsers reject fetch called as a method of another object
+    const fetch = this.fetch;
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events }),
+        // Lets the last batch finish when the page is closed
+        keepalive: true
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn('Failed to send usage statistics:', error);
+    }
+  }
+}
+
+export class UsageTracker {
+  /**
+   * @param {import('./glossary-core.js').GlossaryCore} core - Store whose navigation and searches are recorded
+   * @param {Object} [options]
+   * @param {UsageSink[]} [options.sinks] - Where events go, defaults to a {@link LocalUsageSink}
+   * @param {function(): Date} [options.now] - Clock
+   */
+  constructor(core, { sinks = [new LocalUsageSink()], now = () => new Date() } = {}) {
+    this.core = core;
+    this.sinks = sinks;
+    this.now = now;
+    /** @type {string|null} Term viewed last, where the next hop starts */
+    this.lastTermId = null;
+    /** Last search seen, so re-filtering the same search counts once */
+    this.lastQuery = '';
+
+    this.unsubscribe = [
+      core.subscribe(GlossaryEvent.NAVIGATE, ({ termId, fromBreadcrumb }) => this.onNavigate(termId, fromBreadcrumb)),
+      core.subscribe(GlossaryEvent.FILTER, ({ query }) => this.onFilter(query))
+    ];
+  }
+
+  /**
+   * Send an event to every sink
+   * @param {Object} event - Event fields without the date
+   */
+  record(event) {
+    const date = this.now().toISOString().slice(0, 10);
+    this.sinks.forEach(sink => {
+      try {
+        sink.record({ ...event, date });
+      } catch (error) {
+        console.warn('Usage sink failed:', error);
+      }
+    });
+  }
+
+  /**
+   * Record a term view, and the hop to it unless it was back along the breadcrumb
+   * @param {string} termId
+   * @param {boolean} fromBreadcrumb
+   */
+  onNavigate(termId, fromBreadcrumb) {
+    this.record({ type: UsageEventType.VIEW, termId });
+    if (!fromBreadcrumb && this.lastTermId && this.lastTermId !== termId) {
+      this.record({ type: UsageEventType.PATH, from: this.lastTermId, to: termId });
+    }
+    this.lastTermId = termId;
+  }
+
+  /**
+   * Record a search once if it found no terms
+   * Facets and the Saved filter don't count: only a search that matches
+   * nothing at all points at a missing term.
+   * @param {string} query
+   */
+  onFilter(query) {
+    const normalized = normalizeQuery(query);
+    if (normalized === this.lastQuery) return;
+
+    this.lastQuery = normalized;
+    if (normalized && this.core.data && this.core.searchResults.length === 0) {
+      this.record({ type: UsageEventType.ZERO_RESULTS, query: normalized });
+    }
+  }
+
+  /**
+   * Send events buffered by the sinks, e.g. before the page is closed
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await Promise.all(this.sinks.map(sink => sink.flush && sink.flush()));
+  }
+
+  /**
+   * Stop recording
+   */
+  destroy() {
+    this.unsubscribe.forEach(unsubscribe => unsubscribe());
+  }
+}
@@ -0,0 +1,405 @@
+/**
+ * Glossary data validator
+ * Shared by loadData() in the browser and the `npm run validate` CLI
+ * @module validator
+ */
+
+import { LOCALIZED_FIELDS } from './i18n.js';
+import { CURRENT_SCHEMA_VERSION, LEGACY_SCHEMA_VERSION } from './schema.js';
+import { getTermNames, normalizeTermName } from './term-names.js';
+import { parseTimestamp } from './term-history.js';
+
+/** @enum {string} */
+export const Severity = {
+  ERROR: 'ERROR',
+  WARNING: 'WARNING',
+  INFO: 'INFO'
+};
+
+/** Fields every term must have */
+export const REQUIRED_FIELDS = ['id', 'term', 'definition', 'category'];
+
+/** Definitions shorter than this are flagged for expansion */
+export const MIN_DEFINITION_LENGTH = 50;
+
+const KEBAB_CASE = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {'ERROR'|'WARNING'|'INFO'} severity
+ * @property {string} code - Stable machine-readable identifier, e.g. "duplicate-id"
+ * @property {string} message - Human-readable description
+ * @property {string|null} location - Term id (or `categories`, `schemaVersion`) the issue refers to
+ * @property {string} suggestion - Actionable fix
+ */
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {boolean} valid - True when there are no ERROR issues
+ * @property {ValidationIssue[]} issues - Issues ordered by severity
+ * @property {{terms: number, categories: number, averageDefinitionLength: number, errors: number, warnings: number, infos: number}} stats
+ */
+
+/**
+ * Validate glossary data
+ * @param {*} data - Parsed glossary JSON
+ * @returns {ValidationReport}
+ */
+export function validateGlossary(data) {
+  const issues = [];
+  const report = (severity, code, location, message, suggestion) => {
+    issues.push({ severity, code, location, message, suggestion });
+  };
+
+  if (!data || typeof data !== 'object') {
+    report(Severity.ERROR, 'invalid-root', null, 'Glossary data is not an object', 'Provide an object with "terms" and "categories" arrays');
+    return buildReport(issues, [], []);
+  }
+
+  validateSchemaVersion(data.schemaVersion, report);
+
+  const terms = Array.isArray(data.terms) ? data.terms : null;
+  const categories = Array.isArray(data.categories) ? data.categories : null;
+
+  if (!terms) {
+    report(Severity.ERROR, 'missing-terms', null, 'Terms array not found', 'Add a "terms" array');
+  }
+  if (!categories) {
+    report(Severity.ERROR, 'missing-categories', null, 'Categories array not found', 'Add a "categories" array');
+  }
+  if (!terms) {
+    return buildReport(issues, [], categories || []);
+  }
+
+  const seenIds = new Set();
+  // Terms by every name they go by, so related terms can use full forms and aliases
+  const nameOwners = new Map();
+  terms.filter(t => t && typeof t === 'object').forEach(term => {
+    getTermNames(term).forEach(name => {
+      const key = normalizeTermName(name);
+      if (!key) return;
+      if (!nameOwners.has(key)) {
+        nameOwners.set(key, []);
+      }
+      nameOwners.get(key).push(term);
+    });
+  });
+  const seenNames = new Set();
+  const usedCategories = new Set();
+
+  terms.forEach((term, index) => {
+    const location = term && term.id ? term.id : `terms[${index}]`;
+
+    if (!term || typeof term !== 'object') {
+      report(Severity.ERROR, 'invalid-term', location, 'Term is not an object', 'Replace the entry with a term object');
+      return;
+    }
+
+    REQUIRED_FIELDS.forEach(field => {
+      if (typeof term[field] !== 'string' || term[field].trim() === '') {
+        report(Severity.ERROR, 'missing-field', location, `Missing required field "${field}"`, `Add a non-empty "${field}" string`);
+      }
+    });
+
+    if (typeof term.id === 'string' && term.id) {
+      if (seenIds.has(term.id)) {
+        report(Severity.ERROR, 'duplicate-id', location, `Duplicate id "${term.id}"`, 'Give each term a unique id');
+      }
+      seenIds.add(term.id);
+
+      if (!KEBAB_CASE.test(term.id)) {
+        report(Severity.ERROR, 'id-not-kebab-case', location, `Id "${term.id}" is not kebab-case`, `Rename to "${toKebabCase(term.id)}"`);
+      }
+    }
+
+    if (typeof term.term === 'string' && term.term) {
+      const name = term.term.toLowerCase();
+      if (seenNames.has(name)) {
+        report(Severity.WARNING, 'duplicate-term', location, `Term "${term.term}" appears more than once`, 'Merge the duplicate entries');
+      }
+      seenNames.add(name);
+    }
+
+    if (typeof term.category === 'string' && term.category) {
+      usedCategories.add(term.category);
+      if (categories && !categories.includes(term.category)) {
+        report(Severity.ERROR, 'unknown-category', location, `Category "${term.category}" is not in the categories array`, `Add "${term.category}" to categories or pick an existing one`);
+      }
+    }
+
+    if (term.tags !== undefined) {
+      validateTags(term, categories, location, report, usedCategories);
+    }
+
+    if (term.fullForm === '') {
+      report(Severity.WARNING, 'empty-full-form', location, 'fullForm is an empty string', 'Use null when a term has no full form');
+    }
+
+    if (term.aliases !== undefined) {
+      validateAliases(term, nameOwners, location, report);
+    }
+
+    if (typeof term.definition === 'string' && term.definition.trim() &&
+        term.definition.trim().length < MIN_DEFINITION_LENGTH) {
+      report(Severity.WARNING, 'short-definition', location, `Definition is shorter than ${MIN_DEFINITION_LENGTH} characters`, 'Expand the definition');
+    }
+
+    const relatedTerms = Array.isArray(term.relatedTerms) ? term.relatedTerms : [];
+    relatedTerms
+      .filter(related => !nameOwners.has(normalizeTermName(related)))
+      .forEach(related => {
+        report(Severity.WARNING, 'missing-related-term', location, `Related term "${related}" does not exist`, `Add an entry for "${related}" or remove the reference`);
+      });
+
+    if (relatedTerms.length === 0) {
+      report(Severity.INFO, 'no-related-terms', location, 'Term has no related terms', 'Link at least one related term');
+    }
+    if (!Array.isArray(term.examples) || term.examples.length === 0) {
+      report(Severity.INFO, 'no-examples', location, 'Term has no examples', 'Add at least one usage example');
+    }
+
+    if (term.translations !== undefined) {
+      validateTranslations(term.translations, location, report);
+    }
+
+    validateHistory(term, location, report);
+  });
+
+  (categories || [])
+    .filter(category => !usedCategories.has(category))
+    .forEach(category => {
+      report(Severity.WARNING, 'unused-category', 'categories', `Category "${category}" is not used by any term`, 'Remove the category or assign terms to it');
+    });
+
+  return buildReport(issues, terms, categories || []);
+}
+
+/**
+ * Check a term's `aliases`
+ * An alias that another term also goes by makes references to it ambiguous.
+ * @param {Object} term
+ * @param {Map<string, Object[]>} nameOwners - Terms by normalized name
+ * @param {string} location
+ * @param {Function} report
+ */
+function validateAliases(term, nameOwners, location, report) {
+  if (!Array.isArray(term.aliases) || !term.aliases.every(alias => typeof alias === 'string' && alias.trim())) {
+    report(Severity.ERROR, 'invalid-aliases', location, '"aliases" is not an array of names', 'Use an array of non-empty strings, e.g. ["K8s"]');
+    return;
+  }
+
+  term.aliases.forEach(alias => {
+    const other = (nameOwners.get(normalizeTermName(alias)) || []).find(owner => owner !== term);
+    if (other) {
+      report(Severity.WARNING, 'ambiguous-alias', location, `Alias "${alias}" is also a name of "${other.term}"`, 'Remove the alias or make it specific to one term');
+    }
+  });
+}
+
+/**
+ * Check a term's `tags`, the categories it belongs to besides `category`
+ * @param {Object} term
+ * @param {string[]|null} categories - Top-level categories, null if missing
+ * @param {string} location
+ * @param {Function} report
+ * @param {Set<string>} usedCategories - Collects the tags as used categories
+ */
+function validateTags(term, categories, location, report, usedCategories) {
+  if (!Array.isArray(term.tags) || !term.tags.every(tag => typeof tag === 'string' && tag.trim())) {
+    report(Severity.ERROR, 'invalid-tags', location, '"tags" is not an array of categories', 'Use an array of category names, e.g. ["Security"]');
+    return;
+  }
+
+  term.tags.forEach(tag => {
+    usedCategories.add(tag);
+    if (categories && !categories.includes(tag)) {
+      report(Severity.ERROR, 'unknown-category', location, `Tag "${tag}" is not in the categories array`, `Add "${tag}" to categories or pick an existing one`);
+    }
+    if (tag === term.category) {
+      report(Severity.WARNING, 'redundant-tag', location, `Tag "${tag}" repeats the term's category`, 'Remove the tag');
+    }
+  });
+}
+
+/**
+ * Check the file's `schemaVersion`
+ * Older versions still load (they are migrated), but should be rewritten.
+ * @param {*} version
+ * @param {Function} report
+ */
+function validateSchemaVersion(version, report) {
+  const migrate = 'Run `npm run migrate` to update the file';
+
+  if (version === undefined) {
+    report(Severity.INFO, 'missing-schema-version', 'schemaVersion', `No schemaVersion; read as version ${LEGACY_SCHEMA_VERSION}`, migrate);
+  } else if (!Number.isInteger(version) || version < 1) {
+    report(Severity.ERROR, 'invalid-schema-version', 'schemaVersion', `schemaVersion ${JSON.stringify(version)} is not a positive integer`, `Use ${CURRENT_SCHEMA_VERSION}`);
+  } else if (version > CURRENT_SCHEMA_VERSION) {
+    report(Severity.ERROR, 'unsupported-schema-version', 'schemaVersion', `Schema version ${version} is newer than the supported version ${CURRENT_SCHEMA_VERSION}`, 'Update the app and tools');
+  } else if (version < CURRENT_SCHEMA_VERSION) {
+    report(Severity.WARNING, 'outdated-schema-version', 'schemaVersion', `Schema version ${version} is older than the current version ${CURRENT_SCHEMA_VERSION}`, migrate);
+  }
+}
+
+/**
+ * Check a term's `translations` object
+ * @param {*} translations
+ * @param {string} location
+ * @param {Function} report
+ */
+function validateTranslations(translations, location, report) {
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(translations)) {
+    report(Severity.ERROR, 'invalid-translation', location, '"translations" is not an object', 'Use an object keyed by locale, e.g. { "sv": { "definition": "..." } }');
+    return;
+  }
+
+  Object.entries(translations).forEach(([locale, translation]) => {
+    if (!isObject(translation)) {
+      report(Severity.ERROR, 'invalid-translation', location, `Translation "${locale}" is not an object`, 'Map field names to translated values');
+      return;
+    }
+
+    Object.entries(translation).forEach(([field, value]) => {
+      if (!LOCALIZED_FIELDS.includes(field)) {
+        report(Severity.WARNING, 'unknown-translation-field', location, `Translation "${locale}" has unsupported field "${field}"`, `Only ${LOCALIZED_FIELDS.join(', ')} can be translated`);
+        return;
+      }
+
+      const valid = field === 'examples'
+        ? Array.isArray(value) && value.every(example => typeof example === 'string')
+        : typeof value === 'string' || (field === 'fullForm' && value === null);
+      if (!valid) {
+        report(Severity.ERROR, 'invalid-translation', location, `Translation "${locale}" field "${field}" has the wrong type`, field === 'examples' ? 'Use an array of strings' : 'Use a string');
+      }
+    });
+  });
+}
+
+/**
+ * Check a term's `createdAt`, `updatedAt` and `changelog`, all optional
+ * @param {Object} term
+ * @param {string} location
+ * @param {Function} report
+ */
+function validateHistory(term, location, report) {
+  const dateFormat = 'Use YYYY-MM-DD or an ISO 8601 date-time, e.g. "2026-03-01"';
+
+  ['createdAt', 'updatedAt'].forEach(field => {
+    if (term[field] !== undefined && parseTimestamp(term[field]) === null) {
+      report(Severity.ERROR, 'invalid-date', location, `"${field}" is not a valid date`, dateFormat);
+    }
+  });
+
+  const created = parseTimestamp(term.createdAt);
+  const updated = parseTimestamp(term.updatedAt);
+  if (created !== null && updated !== null && updated < created) {
+    report(Severity.WARNING, 'updated-before-created', location, '"updatedAt" is earlier than "createdAt"', 'Correct the dates');
+  }
+
+  if (term.changelog === undefined) return;
+
+  if (!Array.isArray(term.changelog)) {
+    report(Severity.ERROR, 'invalid-changelog', location, '"changelog" is not an array', 'Use an array of { "date", "summary" } entries');
+    return;
+  }
+  term.changelog.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || parseTimestamp(entry.date) === null ||
+        typeof entry.summary !== 'string' || !entry.summary.trim()) {
+      report(Severity.ERROR, 'invalid-changelog', location, `Changelog entry ${index + 1} needs a valid "date" and a "summary"`, dateFormat);
+    }
+  });
+}
+
+/**
+ * Assemble a report with issues sorted by severity and summary statistics
+ * @param {ValidationIssue[]} issues
+ * @param {Array} terms
+ * @param {string[]} categories
+ * @returns {ValidationReport}
+ */
+function buildReport(issues, terms, categories) {
+  const order = [Severity.ERROR, Severity.WARNING, Severity.INFO];
+  const sorted = [...issues].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+  const count = severity => issues.filter(issue => issue.severity === severity).length;
+
+  const definitionLengths = terms
+    .filter(term => term && typeof term.definition === 'string')
+    .map(term => term.definition.length);
+  const averageDefinitionLength = definitionLengths.length
+    ? Math.round(definitionLengths.reduce((sum, length) => sum + length, 0) / definitionLengths.length)
+    : 0;
+
+  return {
+    valid: count(Severity.ERROR) === 0,
+    issues: sorted,
+    stats: {
+      terms: terms.length,
+      categories: categories.length,
+      averageDefinitionLength,
+      errors: count(Severity.ERROR),
+      warnings: count(Severity.WARNING),
+      infos: count(Severity.INFO)
+    }
+  };
+}
+
+/**
+ * Convert a string to kebab-case
+ * @param {string} text
+ * @returns {string}
+ */
+export function toKebabCase(text) {
+  return String(text)
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Format a report as a markdown table grouped by severity
+ * @param {ValidationReport} report
+ * @returns {string}
+ */
+export function formatMarkdown(report) {
+  const { stats } = report;
+  const escapeCell = text => String(text ?? '').replace(/\|/g, '\\|');
+  const lines = [
+    '# Glossary Validation Report',
+    '',
+    `**Result:** ${report.valid ? 'PASS' : 'FAIL'}`,
+    '',
+    '| Terms | Categories | Avg. definition length | Errors | Warnings | Info |',
+    '| ---: | ---: | ---: | ---: | ---: | ---: |',
+    `| ${stats.terms} | ${stats.categories} | ${stats.averageDefinitionLength} | ${stats.errors} | ${stats.warnings} | ${stats.infos} |`
+  ];
+
+  [Severity.ERROR, Severity.WARNING, Severity.INFO].forEach(severity => {
+    const issues = report.issues.filter(issue => issue.severity === severity);
+    if (issues.length === 0) return;
+
+    lines.push(
+      '',
+      `## ${severity} (${issues.length})`,
+      '',
+      '| Location | Code | Issue | Suggestion |',
+      '| --- | --- | --- | --- |',
+      ...issues.map(issue =>
+        `| ${escapeCell(issue.location || '-')} | ${issue.code} | ${escapeCell(issue.message)} | ${escapeCell(issue.suggestion)} |`
+      )
+    );
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format a report as JSON
+ * @param {ValidationReport} report
+ * @returns {string}
+ */
+export function formatJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
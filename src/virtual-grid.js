@@ -0,0 +1,219 @@
+/**
+ * Windowed rendering for the card grid
+ * Only rows near the viewport are in the DOM; padding stands in for the
+ * rest. Rendered rows are measured, rows never rendered use an estimate.
+ * @module virtual-grid
+ */
+
+export class VirtualGrid {
+  /**
+   * @param {HTMLElement} container - CSS grid element, any number of columns
+   * @param {Object} options
+   * @param {function(*, number): string} options.renderItem - HTML for one item
+   * @param {number} [options.estimatedRowHeight] - Height assumed for unmeasured rows, in px
+   * @param {number} [options.overscan] - Extra rows rendered above and below the viewport
+   */
+  constructor(container, { renderItem, estimatedRowHeight = 320, overscan = 3 }) {
+    this.container = container;
+    this.renderItem = renderItem;
+    this.estimatedRowHeight = estimatedRowHeight;
+    this.overscan = overscan;
+    /** @type {Array} */
+    this.items = [];
+    this.columns = 1;
+    /** @type {Map<number, number>} Row index -> measured height including the row gap */
+    this.rowHeights = new Map();
+    /** @type {{start: number, end: number}|null} Rendered rows, end exclusive */
+    this.range = null;
+    /** @type {number|null} Pending animation frame */
+    this.frame = null;
+
+    this.handleViewportChange = () => this.scheduleUpdate();
+    window.addEventListener('scroll', this.handleViewportChange, { passive: true });
+    window.addEventListener('resize', this.handleViewportChange);
+  }
+
+  /**
+   * Stop listening to the viewport and give the container back
+   */
+  destroy() {
+    window.removeEventListener('scroll', this.handleViewportChange);
+    window.removeEventListener('resize', this.handleViewportChange);
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.container.style.paddingTop = '';
+    this.container.style.paddingBottom = '';
+  }
+
+  /**
+   * Replace the items and render the visible window
+   * @param {Array} items
+   */
+  setItems(items) {
+    this.items = items;
+    this.rowHeights.clear();
+    this.range = null;
+    this.update();
+  }
+
+  /**
+   * Update on the next frame (scroll and resize fire many times per frame)
+   */
+  scheduleUpdate() {
+    if (this.frame !== null) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  /**
+   * Number of columns the grid currently lays out
+   * @returns {number}
+   */
+  getColumnCount() {
+    const template = getComputedStyle(this.container).gridTemplateColumns;
+    if (!template || template === 'none') return 1;
+    return Math.max(1, template.trim().split(/\s+/).length);
+  }
+
+  /**
+   * @returns {number}
+   */
+  getRowCount() {
+    return Math.ceil(this.items.length / this.columns);
+  }
+
+  /**
+   * @param {number} row
+   * @returns {number} Measured or estimated height in px
+   */
+  getRowHeight(row) {
+    return this.rowHeights.get(row) ?? this.estimatedRowHeight;
+  }
+
+  /**
+   * Rows that intersect the viewport, plus overscan
+   * @returns {{start: number, end: number}}
+   */
+  getVisibleRange() {
+    const rows = this.getRowCount();
+    const top = this.container.getBoundingClientRect().top;
+    const viewportStart = Math.max(0, -top);
+    const viewportEnd = -top + window.innerHeight;
+
+    let start = 0;
+    let offset = 0;
+    while (start < rows && offset + this.getRowHeight(start) <= viewportStart) {
+      offset += this.getRowHeight(start);
+      start++;
+    }
+
+    let end = start;
+    while (end < rows && offset < viewportEnd) {
+      offset += this.getRowHeight(end);
+      end++;
+    }
+
+    return {
+      start: Math.max(0, start - this.overscan),
+      end: Math.min(rows, Math.max(end, start + 1) + this.overscan)
+    };
+  }
+
+  /**
+   * Re-render if the visible rows changed
+   */
+  update() {
+    const columns = this.getColumnCount();
+    if (columns !== this.columns) {
+      this.columns = columns;
+      this.rowHeights.clear();
+      this.range = null;
+    }
+
+    const range = this.getVisibleRange();
+    if (this.range && range.start === this.range.start && range.end === this.range.end) return;
+
+    this.renderRange(range);
+  }
+
+  /**
+   * Render a range of rows and pad the container for the rest
+   * @param {{start: number, end: number}} range
+   */
+  renderRange(range) {
+    this.range = range;
+    const first = range.start * this.columns;
+
+    this.container.innerHTML = this.items
+      .slice(first, range.end * this.columns)
+      .map((item, i) => this.renderItem(item, first + i))
+      .join('');
+
+    this.measure();
+    this.updatePadding();
+  }
+
+  /**
+   * Remember the heights of the rendered rows
+   */
+  measure() {
+    const gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+    const children = [...this.container.children];
+
+    for (let i = 0; i < children.length; i += this.columns) {
+      const height = Math.max(...children.slice(i, i + this.columns).map(child => child.offsetHeight));
+      if (height > 0) {
+        this.rowHeights.set(this.range.start + i / this.columns, height + gap);
+      }
+    }
+  }
+
+  /**
+   * Stand in for the rows above and below the window with padding
+   */
+  updatePadding() {
+    let before = 0;
+    let after = 0;
+
+    for (let row = 0; row < this.getRowCount(); row++) {
+      if (row < this.range.start) {
+        before += this.getRowHeight(row);
+      } else if (row >= this.range.end) {
+        after += this.getRowHeight(row);
+      }
+    }
+
+    this.container.style.paddingTop = `${before}px`;
+    this.container.style.paddingBottom = `${after}px`;
+  }
+
+  /**
+   * Render the rows around an item and scroll the page to it
+   * @param {number} index - Index in the items
+   * @returns {HTMLElement|null} The item's element
+   */
+  scrollToIndex(index) {
+    if (index < 0 || index >= this.items.length) return null;
+
+    const row = Math.floor(index / this.columns);
+    let offset = 0;
+    for (let r = 0; r < row; r++) {
+      offset += this.getRowHeight(r);
+    }
+
+    this.renderRange({
+      start: Math.max(0, row - this.overscan),
+      end: Math.min(this.getRowCount(), row + 1 + this.overscan)
+    });
+
+    const containerTop = this.container.getBoundingClientRect().top + window.scrollY;
+    window.scrollTo({ top: Math.max(0, containerTop + offset - window.innerHeight / 3) });
+
+    return this.container.children[index - this.range.start * this.columns] || null;
+  }
+}
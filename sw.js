@@ -0,0 +1,200 @@
+/**
+ * Service worker for offline use
+ * Precaches the app shell, the modules the app imports and the glossary
+ * data. Precached files are served cache-first; other same-origin files go
+ * to the network. Data files (any same-origin .json, including extra term
+ * packs) are served stale-while-revalidate: the cached copy answers
+ * immediately, and when the network copy differs the cache is updated and
+ * open pages are told so they can offer to load the new terms.
+ */
+
+/** Message posted to pages when newer glossary data has been cached */
+const DATA_UPDATED_MESSAGE = 'glossary-data-updated';
+
+/**
+ * What index.html and glossary.js load, and nothing they don't: Node-only
+ * modules (the API server, static build, diff and feed) stay out.
+ * tests/offline.test.js checks this against the app's imports.
+ */
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './glossary.js',
+  './styles.css',
+  './data/glossary.json',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './src/api-client.js',
+  './src/category-colors.js',
+  './src/collections.js',
+  './src/command-palette.js',
+  './src/download.js',
+  './src/exporters.js',
+  './src/facets.js',
+  './src/flashcards.js',
+  './src/glossary-core.js',
+  './src/glossary-diff.js',
+  './src/glossary-draft.js',
+  './src/glossary-json.js',
+  './src/graph-view.js',
+  './src/html.js',
+  './src/i18n.js',
+  './src/messages.js',
+  './src/offline.js',
+  './src/schema.js',
+  './src/search-index.js',
+  './src/share.js',
+  './src/shortcuts.js',
+  './src/sources.js',
+  './src/spaced-repetition.js',
+  './src/stats-view.js',
+  './src/study-view.js',
+  './src/term-editor.js',
+  './src/term-graph.js',
+  './src/term-history.js',
+  './src/term-names.js',
+  './src/themes.js',
+  './src/usage-stats.js',
+  './src/validator.js',
+  './src/virtual-grid.js'
+];
+
+/** Set by `npm run build` to a hash of the precached files, so every deploy gets a fresh cache */
+const BUILD_HASH = '';
+
+/**
+ * Short, stable hash of a string (32-bit FNV-1a)
+ * @param {string} text
+ * @returns {string}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+// Without a build, the cache changes whenever the list of files does
+const CACHE_NAME = `tech-glossary-${BUILD_HASH || hashString(PRECACHE_URLS.join('\n'))}`;
+
+/** Absolute URLs of the precached files */
+const PRECACHED = new Set(PRECACHE_URLS.map(url => new URL(url, self.location.href).href));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    // CDN assets (Tailwind): prefer fresh, fall back to the last copy
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.endsWith('.json')) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (PRECACHED.has(`${url.origin}${url.pathname}`)) {
+    event.respondWith(cacheFirst(request));
+  } else if (request.mode === 'navigate') {
+    // Other pages (e.g. prerendered term pages) fall back to the app offline
+    event.respondWith(fetch(request).catch(() => caches.match('./index.html', { cacheName: CACHE_NAME })));
+  }
+});
+
+/**
+ * Serve a precached file, falling back to (and caching) the network
+ * The query string is ignored, so `./?category=DevOps` is the cached `./`.
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+/**
+ * Serve from the network, falling back to the cache when offline
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serve a cached data file and refresh it in the background
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+  const cache = await caches.open(CACHE_NAME);
+  const url = new URL(event.request.url);
+  const cacheKey = `${url.origin}${url.pathname}`;
+  const cached = await cache.match(cacheKey);
+
+  const refresh = fetch(event.request, { cache: 'no-cache' })
+    .then(async (response) => {
+      if (!response.ok) return response;
+
+      const fresh = await response.clone().text();
+      const stale = cached ? await cached.clone().text() : null;
+      await cache.put(cacheKey, response.clone());
+
+      if (stale !== null && stale !== fresh) {
+        await notifyClients();
+      }
+      return response;
+    });
+
+  if (!cached) return refresh;
+
+  // Keep the worker alive until the background refresh finishes
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+}
+
+/**
+ * Tell every open page that newer glossary data is available
+ * @returns {Promise<void>}
+ */
+async function notifyClients() {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: DATA_UPDATED_MESSAGE }));
+}
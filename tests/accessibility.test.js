@@ -0,0 +1,208 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import TechGlossary from '../glossary.js';
+import { CollectionStore } from '../src/collections.js';
+import { LocalUsageSink } from '../src/usage-stats.js';
+import { createTestData } from './fixtures.js';
+
+/** Body of the real page, without its scripts */
+const PAGE_BODY = readFileSync(resolve(__dirname, '../index.html'), 'utf8')
+  .match(/<body>([\s\S]*)<\/body>/)[1]
+  .replace(/<script[\s\S]*?<\/script>/g, '');
+
+/**
+ * Whether an element is hidden from everyone, e.g. an inactive view
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isHidden(element) {
+  return Boolean(element.closest('.hidden, [hidden]'));
+}
+
+/**
+ * Accessible name of an element, as far as these checks need it
+ * @param {Element} element
+ * @returns {string}
+ */
+function accessibleName(element) {
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    return labelledBy.split(' ').map(id => document.getElementById(id)?.textContent || '').join(' ').trim();
+  }
+  const label = element.id ? document.querySelector(`label[for="${element.id}"]`) : null;
+  return (element.getAttribute('aria-label') || (label || element.closest('label'))?.textContent ||
+    (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName) ? '' : element.textContent) || '').trim();
+}
+
+/**
+ * Problems a screen reader or keyboard user would run into
+ * @param {Element} root
+ * @returns {string[]}
+ */
+function audit(root) {
+  const problems = [];
+  const show = element => `<${element.tagName.toLowerCase()}${element.id ? `#${element.id}` : ''}> ${element.outerHTML.slice(0, 80)}`;
+
+  root.querySelectorAll('button, a[href], [role="button"], input, select, textarea').forEach(element => {
+    if (!isHidden(element) && element.type !== 'hidden' && !accessibleName(element)) {
+      problems.push(`No accessible name: ${show(element)}`);
+    }
+  });
+  root.querySelectorAll('[aria-pressed]').forEach(element => {
+    if (!['true', 'false'].includes(element.getAttribute('aria-pressed'))) {
+      problems.push(`Invalid aria-pressed: ${show(element)}`);
+    }
+  });
+  root.querySelectorAll('[role="button"]:not(button)').forEach(element => {
+    if (element.getAttribute('tabindex') !== '0') {
+      problems.push(`Not reachable with Tab: ${show(element)}`);
+    }
+  });
+
+  const ids = [...root.querySelectorAll('[id]')].map(element => element.id);
+  ids.filter((id, index) => ids.indexOf(id) !== index).forEach(id => problems.push(`Duplicate id: ${id}`));
+
+  return problems;
+}
+
+describe('accessibility', () => {
+  let glossary;
+  let announcer;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    sessionStorage.clear();
+    document.body.innerHTML = PAGE_BODY;
+
+    glossary = new TechGlossary(
+      { storage: null, collections: new CollectionStore({ storage: null }) },
+      { usageStats: new LocalUsageSink({ storage: null }) }
+    );
+    glossary.cacheElements();
+    glossary.attachEventListeners();
+    glossary.core.setData(createTestData());
+    glossary.renderCategoryFilters();
+    glossary.filterAndRender();
+    announcer = document.getElementById('announcer');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  const card = termId => document.querySelector(`#glossary-container article[data-term-id="${termId}"]`);
+  const chip = (from, to) => [...card(from).querySelectorAll('.related-term-exists')]
+    .find(element => element.dataset.termId === to);
+
+  it('should give every control a name and keep ids unique', () => {
+    glossary.navigateToTerm('api');
+    glossary.navigateToTerm('rest');
+
+    expect(audit(document.body)).toEqual([]);
+  });
+
+  it('should announce through one polite region instead of the term count', () => {
+    const regions = document.querySelectorAll('[aria-live]');
+
+    expect(announcer.getAttribute('aria-live')).toBe('polite');
+    expect(announcer.getAttribute('aria-atomic')).toBe('true');
+    expect(document.getElementById('term-count').hasAttribute('aria-live')).toBe(false);
+    expect([...regions].filter(region => region.textContent.includes('terms'))).toEqual([announcer]);
+  });
+
+  it('should move focus to the card heading when following a related term', () => {
+    chip('api', 'rest').focus();
+    chip('api', 'rest').click();
+
+    const heading = card('rest').querySelector('h2');
+    expect(document.activeElement).toBe(heading);
+    expect(heading.getAttribute('tabindex')).toBe('-1');
+    expect(announcer.textContent).toBe('Showing REST');
+  });
+
+  it('should move focus the same way from the keyboard', () => {
+    chip('api', 'rest').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    expect(document.activeElement).toBe(card('rest').querySelector('h2'));
+
+    // j/k carry on from the focused card
+    glossary.handleShortcut(new KeyboardEvent('keydown', { key: 'j' }));
+    expect(document.activeElement).toBe(card('rest'));
+  });
+
+  it('should announce breadcrumb truncation', () => {
+    ['api', 'rest', 'docker', 'ci-cd'].forEach(termId => glossary.navigateToTerm(termId));
+
+    document.querySelector('#breadcrumb-items [data-term-id="rest"]').click();
+
+    expect(glossary.navigationHistory).toEqual(['api', 'rest']);
+    expect(announcer.textContent).toBe('Back to REST, 2 terms removed from the path');
+    expect(document.activeElement).toBe(card('rest').querySelector('h2'));
+  });
+
+  it('should announce filter results, including repeats', () => {
+    document.querySelector('[data-facet="DevOps"]').click();
+    expect(announcer.textContent).toBe('2 of 4 terms');
+
+    glossary.core.setSearchQuery('zzzz');
+    expect(announcer.textContent).toBe('No terms found');
+
+    glossary.core.setSearchQuery('qqqq');
+    expect(announcer.textContent).not.toBe('No terms found');
+    expect(announcer.textContent.trim()).toBe('No terms found');
+  });
+
+  it('should leave focus alone when navigating from another view', () => {
+    glossary.setView('graph');
+    const toggle = document.querySelector('[data-view="graph"]');
+    toggle.focus();
+
+    glossary.navigateToTerm('docker');
+
+    expect(document.activeElement).toBe(toggle);
+    expect(announcer.textContent).toBe('Showing Docker');
+  });
+
+  describe('motion', () => {
+    let scrollIntoView;
+
+    beforeEach(() => {
+      scrollIntoView = vi.spyOn(Element.prototype, 'scrollIntoView').mockImplementation(() => {});
+    });
+
+    /**
+     * Answer media queries as a system with reduced motion set, or not
+     * @param {boolean} reduce
+     */
+    const prefersReducedMotion = reduce => {
+      vi.spyOn(window, 'matchMedia').mockImplementation(query => ({
+        matches: reduce && query === '(prefers-reduced-motion: reduce)',
+        media: query
+      }));
+    };
+
+    it('should scroll smoothly and pulse the card by default', () => {
+      prefersReducedMotion(false);
+
+      glossary.navigateToTerm('docker');
+
+      expect(scrollIntoView).toHaveBeenCalledWith({ behavior: 'smooth', block: 'center' });
+      expect(card('docker').classList.contains('highlight-target')).toBe(true);
+
+      card('docker').dispatchEvent(new Event('animationend'));
+      expect(card('docker').classList.contains('highlight-target')).toBe(false);
+    });
+
+    it('should jump without animation when reduced motion is preferred', () => {
+      prefersReducedMotion(true);
+
+      glossary.navigateToTerm('docker');
+
+      expect(scrollIntoView).toHaveBeenCalledWith({ behavior: 'auto', block: 'center' });
+      expect(card('docker').classList.contains('highlight-target')).toBe(false);
+      expect(document.activeElement).toBe(card('docker').querySelector('h2'));
+    });
+  });
+});
@@ -0,0 +1,82 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GlossaryApiClient } from '../src/api-client.js';
+import { GlossaryApi } from '../src/glossary-api.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { CollectionStore } from '../src/collections.js';
+import { createTestData } from './fixtures.js';
+
+const BASE_URL = 'http://localhost:8787/api';
+
+/**
+ * fetch that answers from an in-process API
+ * @param {GlossaryApi} api
+ * @returns {Function}
+ */
+function createApiFetch(api) {
+  return vi.fn(async (url, { method = 'GET', headers = {}, body } = {}) => {
+    const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const response = await api.handle({ method, url: url.replace('http://localhost:8787', ''), headers: lowerCased, body });
+    return new Response(response.body || null, { status: response.status, headers: response.headers });
+  });
+}
+
+describe('GlossaryApiClient', () => {
+  let api;
+  let client;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    api = new GlossaryApi(createTestData(), { token: 'secret' });
+    client = new GlossaryApiClient({ baseUrl: `${BASE_URL}/`, token: 'secret', fetch: createApiFetch(api) });
+  });
+
+  it('should read terms, related terms and categories', async () => {
+    expect(client.glossaryUrl).toBe(`${BASE_URL}/glossary`);
+    expect((await client.listTerms({ categories: ['DevOps'], limit: 1 })).terms.map(term => term.id)).toEqual(['ci-cd']);
+    expect((await client.getTerm('docker')).term).toBe('Docker');
+    expect((await client.getRelatedTerms('api')).terms.map(term => term.id)).toEqual(['rest']);
+    expect((await client.listCategories()).map(category => category.count)).toEqual([2, 2, 0]);
+  });
+
+  it('should send changes with the token and the last version read', async () => {
+    await client.getTerm('docker');
+    api.setData({
+      ...createTestData(),
+      terms: createTestData().terms.map(term => (term.id === 'docker' ? { ...term, examples: ['docker run'] } : term))
+    });
+
+    const error = await client.patchTerm('docker', { fullForm: 'Docker Engine' }).catch(caught => caught);
+    expect(error.status).toBe(412);
+
+    await client.getTerm('docker');
+    const { term } = await client.patchTerm('docker', { fullForm: 'Docker Engine' });
+    expect(term.fullForm).toBe('Docker Engine');
+    await client.deleteTerm('docker');
+    expect(client.etags.has('docker')).toBe(false);
+  });
+
+  it('should reject with the validation issues of an invalid change', async () => {
+    const error = await client.createTerm({ term: 'Kafka', definition: '', category: 'DevOps' }).catch(caught => caught);
+
+    expect(error.status).toBe(422);
+    expect(error.message).toContain('HTTP 422');
+    expect(error.issues.length).toBeGreaterThan(0);
+  });
+
+  it('should let GlossaryCore load from the API', async () => {
+    const fetch = createApiFetch(api);
+    const core = new GlossaryCore({ api: BASE_URL, fetch, storage: null, collections: new CollectionStore({ storage: null }) });
+
+    await core.loadData();
+    expect(core.data.terms).toHaveLength(4);
+    expect(fetch).toHaveBeenCalledWith(`${BASE_URL}/glossary`, expect.objectContaining({ method: 'GET' }));
+
+    const failing = new GlossaryCore({
+      api: new GlossaryApiClient({ fetch: async () => new Response('{"error":"Boom"}', { status: 500 }) }),
+      storage: null,
+      collections: new CollectionStore({ storage: null })
+    });
+    await expect(failing.loadData()).rejects.toThrow('Failed to load glossary data: Boom (HTTP 500)');
+  });
+});
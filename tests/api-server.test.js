@@ -0,0 +1,73 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { spawn } from 'node:child_process';
+import { connect } from 'node:net';
+import { fileURLToPath } from 'node:url';
+
+const SCRIPT = fileURLToPath(new URL('../scripts/api-server.js', import.meta.url));
+const DATA = fileURLToPath(new URL('../data/glossary.json', import.meta.url));
+
+/**
+ * Start the server on a free port
+ * @returns {Promise<{child: import('node:child_process').ChildProcess, port: number}>}
+ */
+function startServer() {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SCRIPT, DATA, '--port', '0'], {
+      env: { ...process.env, GLOSSARY_API_TOKEN: '' }
+    });
+    let output = '';
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/http:\/\/127\.0\.0\.1:(\d+)/);
+      if (match) resolve({ child, port: Number(match[1]) });
+    });
+    child.on('exit', code => reject(new Error(`Server exited with ${code}`)));
+  });
+}
+
+/**
+ * Send part of a request body, then drop the connection
+ * @param {number} port
+ * @returns {Promise<void>}
+ */
+function abortUpload(port) {
+  return new Promise(resolve => {
+    const socket = connect(port, '127.0.0.1', () => {
+      socket.write([
+        'POST /api/terms HTTP/1.1',
+        'Host: 127.0.0.1',
+        'Content-Type: application/json',
+        'Content-Length: 1000',
+        '',
+        '{"id": "graph'
+      ].join('\r\n'));
+      setTimeout(() => {
+        socket.destroy();
+        resolve();
+      }, 50);
+    });
+  });
+}
+
+describe('api-server', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => {
+    server.child.kill();
+  });
+
+  it('should keep serving after a client drops a request mid-body', async () => {
+    await abortUpload(server.port);
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    const response = await fetch(`http://127.0.0.1:${server.port}/api/categories`);
+
+    expect(server.child.exitCode).toBeNull();
+    expect(response.status).toBe(200);
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import TechGlossary from '../glossary.js';
+
+/** Number of terms in the synthetic glossary */
+const TERM_COUNT = 10000;
+
+/** Cards in the DOM at most, however long the result list; a virtualized window of rows */
+const MAX_RENDERED_CARDS = 50;
+
+/**
+ * Time budget per operation, in ms
+ * Far below what a full re-render of every card (or an O(n²) related-term
+ * lookup) takes at this size. Wall-clock checks are flaky on loaded
+ * machines, so they only run with BENCHMARK=1 (`npm run test:benchmark`).
+ */
+const BUDGET_MS = 250;
+
+const TIMED = Boolean(process.env.BENCHMARK);
+
+const CATEGORIES = ['Architecture', 'DevOps', 'Security', 'Data', 'Frontend'];
+
+/**
+ * Build a glossary with `count` terms that link to each other
+ * @param {number} count
+ * @returns {Object}
+ */
+function createLargeGlossary(count) {
+  return {
+    categories: CATEGORIES,
+    terms: Array.from({ length: count }, (_, i) => ({
+      id: `term-${i}`,
+      term: `Term ${i}`,
+      fullForm: i % 3 === 0 ? `Full Form Number ${i}` : null,
+      definition: `Definition of term ${i}, covering ${CATEGORIES[i % CATEGORIES.length].toLowerCase()} practices and tooling.`,
+      category: CATEGORIES[i % CATEGORIES.length],
+      relatedTerms: [`Term ${(i + 1) % count}`, `Term ${(i + 7) % count}`],
+      examples: [`Example usage ${i}`]
+    }))
+  };
+}
+
+/**
+ * Run a function and return how long it took
+ * @param {Function} fn
+ * @returns {number} Duration in ms
+ */
+function time(fn) {
+  const start = performance.now();
+  fn();
+  return performance.now() - start;
+}
+
+describe(`Benchmark - ${TERM_COUNT} terms`, () => {
+  let glossary;
+
+  beforeAll(() => {
+    glossary = new TechGlossary({ storage: null });
+    glossary.core.setData(createLargeGlossary(TERM_COUNT));
+    glossary.elements.container = document.createElement('div');
+    glossary.elements.termCount = document.createElement('div');
+    document.body.appendChild(glossary.elements.container);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const renderedCards = () => glossary.elements.container.querySelectorAll('article').length;
+
+  it('should render only a window of the full list', () => {
+    glossary.filterAndRender();
+
+    expect(glossary.filteredTerms).toHaveLength(TERM_COUNT);
+    expect(glossary.virtualGrid).not.toBeNull();
+    expect(renderedCards()).toBeGreaterThan(0);
+    expect(renderedCards()).toBeLessThan(MAX_RENDERED_CARDS);
+  });
+
+  it('should keep the DOM bounded when filtering by category', () => {
+    glossary.core.setCategory('DevOps');
+
+    expect(glossary.filteredTerms).toHaveLength(TERM_COUNT / CATEGORIES.length);
+    expect(renderedCards()).toBeLessThan(MAX_RENDERED_CARDS);
+  });
+
+  it('should rank the matching term first and keep the DOM bounded when searching', () => {
+    glossary.core.setCategory('all');
+    glossary.core.setSearchQuery('term 4242');
+
+    expect(glossary.filteredTerms[0].id).toBe('term-4242');
+    expect(renderedCards()).toBeLessThan(MAX_RENDERED_CARDS);
+  });
+
+  it('should resolve every related term from the lookup maps built once', () => {
+    const build = vi.spyOn(glossary.core, 'buildTermLookup');
+    let resolved = 0;
+
+    glossary.data.terms.forEach(term => {
+      term.relatedTerms.forEach(name => {
+        if (glossary.findTermIdByName(name, term.source)) resolved++;
+      });
+    });
+
+    expect(resolved).toBe(TERM_COUNT * 2);
+    expect(build).not.toHaveBeenCalled();
+  });
+
+  describe.runIf(TIMED)('timing', () => {
+    it('should render the full list within budget', () => {
+      glossary.core.setSearchQuery('');
+      expect(time(() => glossary.filterAndRender())).toBeLessThan(BUDGET_MS);
+    });
+
+    it('should filter by category within budget', () => {
+      expect(time(() => glossary.core.setCategory('DevOps'))).toBeLessThan(BUDGET_MS);
+    });
+
+    it('should search within budget', () => {
+      glossary.core.setCategory('all');
+      expect(time(() => glossary.core.setSearchQuery('term 4242'))).toBeLessThan(BUDGET_MS);
+    });
+
+    it('should resolve every related term within budget', () => {
+      const duration = time(() => {
+        glossary.data.terms.forEach(term => {
+          term.relatedTerms.forEach(name => glossary.findTermIdByName(name, term.source));
+        });
+      });
+
+      expect(duration).toBeLessThan(BUDGET_MS);
+    });
+  });
+});
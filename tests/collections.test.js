@@ -0,0 +1,168 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CollectionStore, STARRED_COLLECTION_ID, COLLECTIONS_FILE_TYPE } from '../src/collections.js';
+import { GlossaryCore, SAVED_CATEGORY } from '../src/glossary-core.js';
+import { createTestData, createMemoryStorage } from './fixtures.js';
+
+describe('CollectionStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new CollectionStore({ storage: createMemoryStorage() });
+  });
+
+  it('should start with an empty Starred collection', () => {
+    expect(store.getCollections()).toEqual([{ id: STARRED_COLLECTION_ID, name: 'Starred', termIds: [] }]);
+  });
+
+  it('should star and unstar terms', () => {
+    expect(store.toggleStar('docker')).toBe(true);
+    expect(store.isStarred('docker')).toBe(true);
+
+    expect(store.toggleStar('docker')).toBe(false);
+    expect(store.isStarred('docker')).toBe(false);
+  });
+
+  it('should create collections with unique kebab-case ids', () => {
+    const first = store.createCollection('Onboarding week 1');
+    const second = store.createCollection('Onboarding Week 1');
+
+    expect(first.id).toBe('onboarding-week-1');
+    expect(second.id).toBe('onboarding-week-1-2');
+    expect(() => store.createCollection('  ')).toThrow('Collection name cannot be empty');
+  });
+
+  it('should persist collections to storage', () => {
+    const onboarding = store.createCollection('Onboarding');
+    store.toggleTerm(onboarding.id, 'api', true);
+    store.toggleStar('rest');
+
+    const restored = new CollectionStore({ storage: store.storage });
+
+    expect(restored.getCollection('onboarding').termIds).toEqual(['api']);
+    expect(restored.isStarred('rest')).toBe(true);
+  });
+
+  it('should not delete the Starred collection', () => {
+    expect(() => store.deleteCollection(STARRED_COLLECTION_ID)).toThrow('cannot be deleted');
+
+    store.createCollection('Temp');
+    store.deleteCollection('temp');
+    expect(store.getCollection('temp')).toBeNull();
+  });
+
+  it('should union term ids across collections', () => {
+    store.toggleStar('api');
+    const devops = store.createCollection('DevOps basics');
+    store.toggleTerm(devops.id, 'docker', true);
+
+    expect([...store.getTermIds()]).toEqual(['api', 'docker']);
+    expect([...store.getTermIds(devops.id)]).toEqual(['docker']);
+    expect(store.getTermIds('missing').size).toBe(0);
+  });
+
+  it('should notify subscribers of changes', () => {
+    const calls = [];
+    store.subscribe(() => calls.push('changed'));
+
+    store.toggleStar('api');
+    store.toggleTerm(STARRED_COLLECTION_ID, 'api', true);
+
+    // Adding a term that is already there is not a change
+    expect(calls).toEqual(['changed']);
+  });
+
+  it('should round-trip collections through export and import', () => {
+    const onboarding = store.createCollection('Onboarding');
+    store.toggleTerm(onboarding.id, 'api', true);
+    store.toggleStar('docker');
+
+    const exported = store.exportJson([onboarding.id]);
+    expect(JSON.parse(exported)).toMatchObject({ type: COLLECTIONS_FILE_TYPE, version: 1 });
+
+    const teammate = new CollectionStore({ storage: null });
+    const result = teammate.importJson(exported);
+
+    expect(result).toEqual({ collections: 1, terms: 1 });
+    expect(teammate.getCollection('onboarding').termIds).toEqual(['api']);
+    expect(teammate.isStarred('docker')).toBe(false);
+  });
+
+  it('should merge imported collections with the same name', () => {
+    const mine = store.createCollection('Onboarding');
+    store.toggleTerm(mine.id, 'api', true);
+
+    const result = store.importJson(JSON.stringify({
+      type: COLLECTIONS_FILE_TYPE,
+      version: 1,
+      collections: [
+        { id: 'x', name: 'onboarding', termIds: ['api', 'rest'] },
+        { id: STARRED_COLLECTION_ID, name: 'Starred', termIds: ['docker'] }
+      ]
+    }));
+
+    expect(result).toEqual({ collections: 2, terms: 2 });
+    expect(store.getCollections()).toHaveLength(2);
+    expect(store.getCollection('onboarding').termIds).toEqual(['api', 'rest']);
+    expect(store.isStarred('docker')).toBe(true);
+  });
+
+  it('should reject files that are not collection exports', () => {
+    expect(() => store.importJson('not json')).toThrow('Invalid collections file');
+    expect(() => store.importJson('{"terms": []}')).toThrow('not a glossary collections export');
+    expect(() => store.importJson(JSON.stringify({
+      type: COLLECTIONS_FILE_TYPE,
+      collections: [{ name: 'No terms' }]
+    }))).toThrow('termIds');
+  });
+});
+
+describe('GlossaryCore - saved filter', () => {
+  let core;
+
+  beforeEach(() => {
+    core = new GlossaryCore({ storage: null, collections: new CollectionStore({ storage: null }) });
+    core.setData(createTestData());
+  });
+
+  it('should show only saved terms', () => {
+    core.collections.toggleStar('rest');
+    const devops = core.collections.createCollection('DevOps');
+    core.collections.toggleTerm(devops.id, 'docker', true);
+
+    core.setCategory(SAVED_CATEGORY);
+    expect(core.filteredTerms.map(t => t.id)).toEqual(['docker', 'rest']);
+
+    core.setCollection(devops.id);
+    expect(core.filteredTerms.map(t => t.id)).toEqual(['docker']);
+  });
+
+  it('should refilter when saved terms change', () => {
+    core.setCategory(SAVED_CATEGORY);
+    expect(core.filteredTerms).toEqual([]);
+
+    core.collections.toggleStar('api');
+
+    expect(core.filteredTerms.map(t => t.id)).toEqual(['api']);
+  });
+
+  it('should fall back to all saved terms when the shown collection is deleted', () => {
+    const temp = core.collections.createCollection('Temp');
+    core.setCollection(temp.id);
+
+    core.collections.deleteCollection(temp.id);
+
+    expect(core.currentCategory).toBe(SAVED_CATEGORY);
+    expect(core.currentCollection).toBeNull();
+  });
+
+  it('should restore the saved filter from state', () => {
+    core.collections.createCollection('Onboarding');
+
+    core.applyState({ category: SAVED_CATEGORY, collection: 'onboarding' });
+    expect(core.getState()).toMatchObject({ category: SAVED_CATEGORY, collection: 'onboarding' });
+
+    core.applyState({ category: SAVED_CATEGORY, collection: 'missing' });
+    expect(core.currentCollection).toBeNull();
+  });
+});
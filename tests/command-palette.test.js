@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { CommandPalette, rankCommands } from '../src/command-palette.js';
+
+/**
+ * @param {string} label
+ * @param {Object} [extra]
+ * @returns {Object}
+ */
+function command(label, extra = {}) {
+  return { id: label, group: 'Term', label, run: vi.fn(), ...extra };
+}
+
+describe('rankCommands', () => {
+  const commands = [
+    command('Show graph', { group: 'View' }),
+    command('API', { keywords: ['Application Programming Interface'] }),
+    command('REST', { keywords: ['Representational State Transfer'] }),
+    command('GraphQL')
+  ];
+
+  it('should keep the given order for an empty query', () => {
+    expect(rankCommands(commands, '').map(c => c.id)).toEqual(['Show graph', 'API', 'REST', 'GraphQL']);
+  });
+
+  it('should rank prefix matches above word and substring matches', () => {
+    expect(rankCommands(commands, 'graph').map(c => c.id)).toEqual(['GraphQL', 'Show graph']);
+  });
+
+  it('should match keywords and letters in order', () => {
+    expect(rankCommands(commands, 'programming').map(c => c.id)).toEqual(['API']);
+    expect(rankCommands(commands, 'rst').map(c => c.id)).toEqual(['REST']);
+    expect(rankCommands(commands, 'zzz')).toEqual([]);
+  });
+
+  it('should limit the number of results', () => {
+    expect(rankCommands(commands, '', 2)).toHaveLength(2);
+  });
+});
+
+describe('CommandPalette', () => {
+  let container;
+  let trigger;
+  let commands;
+  let palette;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.className = 'hidden';
+    trigger = document.createElement('button');
+    document.body.append(container, trigger);
+    commands = [command('API'), command('Docker'), command('REST')];
+    palette = new CommandPalette(container, { getCommands: () => commands });
+  });
+
+  afterEach(() => {
+    container.remove();
+    trigger.remove();
+  });
+
+  /**
+   * @param {string} key
+   */
+  function press(key) {
+    palette.input.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+  }
+
+  it('should open with every command and focus the input', () => {
+    palette.open();
+
+    expect(container.classList.contains('hidden')).toBe(false);
+    expect(document.activeElement).toBe(palette.input);
+    expect(container.querySelectorAll('[role="option"]')).toHaveLength(3);
+    expect(palette.input.getAttribute('aria-activedescendant')).toBe('palette-option-0');
+  });
+
+  it('should filter as the user types', () => {
+    palette.open();
+    palette.input.value = 'doc';
+    palette.input.dispatchEvent(new Event('input', { bubbles: true }));
+
+    expect([...container.querySelectorAll('.palette-label')].map(el => el.textContent)).toEqual(['Docker']);
+  });
+
+  it('should show a message when nothing matches', () => {
+    palette.open();
+    palette.search('zzz');
+
+    expect(container.querySelector('.palette-empty').textContent).toBe('No matching commands');
+  });
+
+  it('should move the selection with the arrow keys and run it with Enter', () => {
+    palette.open();
+    press('ArrowDown');
+    press('ArrowDown');
+    expect(container.querySelector('[aria-selected="true"]').id).toBe('palette-option-2');
+
+    press('ArrowDown');
+    expect(palette.selectedIndex).toBe(0);
+
+    press('ArrowUp');
+    press('Enter');
+    expect(commands[2].run).toHaveBeenCalled();
+    expect(palette.isOpen).toBe(false);
+  });
+
+  it('should run a command on click', () => {
+    palette.open();
+    container.querySelector('[data-index="1"]').click();
+
+    expect(commands[1].run).toHaveBeenCalled();
+  });
+
+  it('should give focus back when closed', () => {
+    trigger.focus();
+    palette.open();
+    palette.close();
+
+    expect(document.activeElement).toBe(trigger);
+    expect(container.classList.contains('hidden')).toBe(true);
+    expect(container.innerHTML).toBe('');
+  });
+
+  it('should close when the backdrop is clicked', () => {
+    palette.open();
+    container.querySelector('.overlay-backdrop').click();
+
+    expect(palette.isOpen).toBe(false);
+  });
+});
@@ -0,0 +1,159 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  exportMarkdown,
+  exportCsv,
+  exportJson,
+  exportPrintHtml,
+  exportTerms,
+  termAnchor
+} from '../src/exporters.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { createTestData } from './fixtures.js';
+
+/**
+ * Core with the fixture data loaded, plus a resolver like the renderer's
+ * @returns {{core: GlossaryCore, resolve: Function}}
+ */
+function setup() {
+  const core = new GlossaryCore({ storage: null });
+  core.setData(createTestData());
+  return { core, resolve: (name, term) => core.findTermIdByName(name, term.source) };
+}
+
+describe('exportMarkdown', () => {
+  it('should write a section per term with anchors', () => {
+    const { core, resolve } = setup();
+    const markdown = exportMarkdown(core.data.terms, { resolve });
+
+    expect(markdown.startsWith('# Tech Glossary\n')).toBe(true);
+    expect(markdown).toContain(`<a id="${termAnchor('docker')}"></a>\n## Docker`);
+    expect(markdown).toContain('*Application Programming Interface*');
+    expect(markdown).toContain('- REST API');
+  });
+
+  it('should only link related terms that are part of the export', () => {
+    const { core, resolve } = setup();
+    const api = core.getTerm('api');
+
+    expect(exportMarkdown(core.data.terms, { resolve })).toContain('**Related Terms:** [REST](#term-rest), GraphQL');
+    expect(exportMarkdown([api], { resolve })).toContain('**Related Terms:** REST, GraphQL');
+  });
+
+  it('should list aliases', () => {
+    const term = { ...createTestData().terms[2], aliases: ['Docker Engine', 'Moby'] };
+
+    expect(exportMarkdown([term])).toContain('**Also known as:** Docker Engine, Moby');
+    expect(exportPrintHtml([term])).toContain('Also known as: Docker Engine, Moby');
+  });
+
+  it('should list tags with the category', () => {
+    const term = { ...createTestData().terms[2], tags: ['Security'] };
+
+    expect(exportMarkdown([term])).toContain('**Categories:** DevOps, Security');
+    expect(exportCsv([term])).toContain(',DevOps,Security,');
+  });
+
+  it('should escape Markdown syntax in content', () => {
+    const markdown = exportMarkdown([{ ...createTestData().terms[0], definition: 'Use *stars* and <b>tags</b>' }]);
+
+    expect(markdown).toContain('Use \\*stars\\* and \\<b\\>tags\\</b\\>');
+  });
+
+  it('should label sections in the given language', () => {
+    const { core, resolve } = setup();
+    const markdown = exportMarkdown([{ ...core.getTerm('docker'), tags: ['Security'] }, core.getTerm('api')], { locale: 'sv', resolve });
+
+    expect(markdown.startsWith('# Tech Glossary\n')).toBe(true);
+    expect(markdown).toContain('**Kategorier:** DevOps, Security');
+    expect(markdown).toContain('**Kategori:** Architecture');
+    expect(markdown).toContain('**Exempel:**');
+    expect(markdown).toContain('**Relaterade termer:**');
+  });
+});
+
+describe('exportCsv', () => {
+  it('should write a header and one row per term', () => {
+    const { core } = setup();
+    const lines = exportCsv(core.data.terms).trimEnd().split('\r\n');
+
+    expect(lines[0]).toBe('id,term,fullForm,category,tags,definition,examples,relatedTerms');
+    expect(lines).toHaveLength(5);
+    expect(lines[1]).toBe('api,API,Application Programming Interface,Architecture,,A set of protocols for building software applications,REST API; GraphQL API,REST; GraphQL');
+  });
+
+  it('should quote fields containing commas, quotes and newlines', () => {
+    const term = { ...createTestData().terms[0], definition: 'Say "hi", then\nleave', fullForm: null };
+    const row = exportCsv([term]).split('\r\n')[1];
+
+    expect(row).toBe('api,API,,Architecture,,"Say ""hi"", then\nleave",REST API; GraphQL API,REST; GraphQL');
+  });
+});
+
+describe('exportJson', () => {
+  it('should keep only the categories used, in glossary order', () => {
+    const { core } = setup();
+    const devops = core.data.terms.filter(term => term.category === 'DevOps');
+    const parsed = JSON.parse(exportJson(devops, core.data.categories));
+
+    expect(parsed.terms.map(term => term.id)).toEqual(['ci-cd', 'docker']);
+    expect(parsed.categories).toEqual(['DevOps']);
+  });
+
+  it('should keep categories used only as tags', () => {
+    const { core } = setup();
+    const docker = { ...core.getTerm('docker'), tags: ['Security'] };
+
+    expect(JSON.parse(exportJson([docker], core.data.categories)).categories).toEqual(['DevOps', 'Security']);
+  });
+
+  it('should leave out the internal source tag', () => {
+    const { core } = setup();
+    // Terms loaded from data files are tagged with the file they came from
+    const merged = core.data.terms.map(term => ({ ...term, source: 'glossary' }));
+
+    const parsed = JSON.parse(exportJson(merged, core.data.categories));
+
+    parsed.terms.forEach(term => expect(term).not.toHaveProperty('source'));
+  });
+});
+
+describe('exportPrintHtml', () => {
+  it('should produce a standalone page with print styles', () => {
+    const { core, resolve } = setup();
+    const html = exportPrintHtml(core.data.terms, { title: 'Tech Glossary: DevOps', resolve });
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<title>Tech Glossary: DevOps</title>');
+    expect(html).toContain('@media print');
+    expect(html).toContain('<a href="#term-rest">REST</a>');
+    expect(html).toContain('4 terms');
+  });
+
+  it('should escape term content', () => {
+    const html = exportPrintHtml([{ ...createTestData().terms[0], term: '<script>' }]);
+
+    expect(html).toContain('&lt;script&gt;');
+    expect(html).not.toContain('<script>');
+  });
+
+  it('should label the page in the given language', () => {
+    const { core, resolve } = setup();
+    const docker = { ...core.getTerm('docker'), aliases: ['Moby'] };
+    const html = exportPrintHtml([docker, core.getTerm('api')], { locale: 'de', resolve });
+
+    expect(html).toContain('<html lang="de">');
+    expect(html).toContain('<title>Tech Glossary</title>');
+    expect(html).toContain('2 Begriffe');
+    expect(html).toContain('Auch bekannt als: Moby');
+    expect(html).toContain('<h3>Beispiele</h3>');
+    expect(html).toContain('<strong>Verwandte Begriffe:</strong>');
+    expect(html).not.toMatch(/Examples|Related Terms|Also known as/);
+  });
+});
+
+describe('exportTerms', () => {
+  it('should reject unknown formats', () => {
+    expect(() => exportTerms('docx', [])).toThrow('Unknown export format "docx"');
+  });
+});
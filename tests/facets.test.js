@@ -0,0 +1,54 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { FacetMode, getTermCategories, matchesFacets, countFacets } from '../src/facets.js';
+
+const oauth = { id: 'oauth', category: 'Security', tags: ['Networking'] };
+const jwt = { id: 'jwt', category: 'Security' };
+const rest = { id: 'rest', category: 'Architecture', tags: ['Networking'] };
+const terms = [oauth, jwt, rest];
+
+describe('getTermCategories()', () => {
+  it('should list the category first, then the tags', () => {
+    expect(getTermCategories(oauth)).toEqual(['Security', 'Networking']);
+    expect(getTermCategories(jwt)).toEqual(['Security']);
+  });
+
+  it('should skip duplicates and invalid tags', () => {
+    expect(getTermCategories({ category: 'Security', tags: ['Security', '', 42, 'Networking'] }))
+      .toEqual(['Security', 'Networking']);
+    expect(getTermCategories({ category: 'Security', tags: 'Networking' })).toEqual(['Security']);
+  });
+});
+
+describe('matchesFacets()', () => {
+  it('should match every term when no facet is selected', () => {
+    expect(terms.every(term => matchesFacets(term, []))).toBe(true);
+  });
+
+  it('should match any selected category by default', () => {
+    expect(terms.filter(term => matchesFacets(term, ['Networking', 'Security'])).map(term => term.id))
+      .toEqual(['oauth', 'jwt', 'rest']);
+  });
+
+  it('should match every selected category in all mode', () => {
+    expect(terms.filter(term => matchesFacets(term, ['Networking', 'Security'], FacetMode.ALL)).map(term => term.id))
+      .toEqual(['oauth']);
+  });
+});
+
+describe('countFacets()', () => {
+  const categories = ['Architecture', 'Networking', 'Security', 'DevOps'];
+
+  it('should count terms per category, tags included', () => {
+    expect(countFacets(terms, categories)).toEqual({ Architecture: 1, Networking: 2, Security: 2, DevOps: 0 });
+  });
+
+  it('should count within the current selection in all mode', () => {
+    expect(countFacets(terms, categories, ['Networking'], FacetMode.ALL))
+      .toEqual({ Architecture: 1, Networking: 2, Security: 1, DevOps: 0 });
+  });
+
+  it('should ignore categories outside the list', () => {
+    expect(countFacets([{ category: 'constructor' }], ['Security'])).toEqual({ Security: 0 });
+  });
+});
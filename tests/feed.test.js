@@ -0,0 +1,66 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { buildFeed, buildFeedEntries } from '../src/feed.js';
+import { createTestData } from './fixtures.js';
+
+const UPDATED = new Date('2026-03-01T12:00:00Z');
+
+/**
+ * A later version of the test data: one term added, one changed, one removed
+ */
+function createNextVersion() {
+  const data = createTestData();
+  data.terms = data.terms.filter(term => term.id !== 'ci-cd');
+  const docker = data.terms.find(term => term.id === 'docker');
+  docker.examples = ['docker run'];
+  docker.updatedAt = '2026-02-20';
+  docker.changelog = [{ date: '2026-02-20', summary: 'Replaced the <examples>' }];
+  data.terms.push({
+    id: 'podman',
+    term: 'Podman',
+    fullForm: null,
+    definition: 'A daemonless container engine & Docker alternative',
+    category: 'DevOps',
+    relatedTerms: ['Docker'],
+    examples: [],
+    createdAt: '2026-02-25'
+  });
+  return data;
+}
+
+describe('feed', () => {
+  it('should list added, updated and removed terms, newest first', () => {
+    const entries = buildFeedEntries(createTestData(), createNextVersion(), { siteUrl: 'https://glossary.example.com/', updated: UPDATED });
+
+    expect(entries.map(entry => [entry.kind, entry.termId])).toEqual([
+      ['removed', 'ci-cd'],
+      ['added', 'podman'],
+      ['updated', 'docker']
+    ]);
+    expect(entries[1]).toMatchObject({
+      id: 'tag:glossary.example.com,2026-02-25:added/podman',
+      link: 'https://glossary.example.com/#/term/podman',
+      updated: Date.UTC(2026, 1, 25)
+    });
+    expect(entries[2].content).toContain('<p>Replaced the &lt;examples&gt;</p>');
+    expect(entries[2].content).toContain('examples: + docker run');
+  });
+
+  it('should build Atom and RSS feeds with escaped content', () => {
+    const options = { siteUrl: 'https://glossary.example.com', updated: UPDATED };
+    const atom = buildFeed(createTestData(), createNextVersion(), options);
+    const rss = buildFeed(createTestData(), createNextVersion(), { ...options, format: 'rss' });
+
+    expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+    expect(atom).toContain('<link rel="self" href="https://glossary.example.com/feed.xml"/>');
+    expect(atom).toContain('<updated>2026-02-25T00:00:00.000Z</updated>');
+    expect(atom).toContain('container engine &amp;amp; Docker');
+    expect(atom.match(/<entry>/g)).toHaveLength(3);
+
+    expect(rss).toContain('<rss version="2.0">');
+    expect(rss).toContain('<pubDate>Wed, 25 Feb 2026 00:00:00 GMT</pubDate>');
+    expect(rss.match(/<item>/g)).toHaveLength(3);
+
+    expect(() => buildFeed(createTestData(), createNextVersion(), { ...options, format: 'json' })).toThrow('Unknown feed format "json"');
+  });
+});
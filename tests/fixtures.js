@@ -0,0 +1,60 @@
+/**
+ * Mock glossary data for testing
+ * @returns {Object} Fresh copy of the test glossary data
+ */
+export function createTestData() {
+  return {
+    terms: [
+      {
+        id: 'api',
+        term: 'API',
+        fullForm: 'Application Programming Interface',
+        definition: 'A set of protocols for building software applications',
+        category: 'Architecture',
+        relatedTerms: ['REST', 'GraphQL'],
+        examples: ['REST API', 'GraphQL API']
+      },
+      {
+        id: 'ci-cd',
+        term: 'CI/CD',
+        fullForm: 'Continuous Integration/Continuous Deployment',
+        definition: 'Automated software development practices',
+        category: 'DevOps',
+        relatedTerms: ['Jenkins', 'GitHub Actions'],
+        examples: ['Automated testing', 'Automated deployment']
+      },
+      {
+        id: 'docker',
+        term: 'Docker',
+        fullForm: null,
+        definition: 'A platform for developing, shipping, and running applications in containers',
+        category: 'DevOps',
+        relatedTerms: ['Kubernetes', 'Container'],
+        examples: ['Docker Compose', 'Dockerfile']
+      },
+      {
+        id: 'rest',
+        term: 'REST',
+        fullForm: 'Representational State Transfer',
+        definition: 'An architectural style for distributed systems',
+        category: 'Architecture',
+        relatedTerms: ['API', 'HTTP'],
+        examples: ['RESTful API', 'REST endpoints']
+      }
+    ],
+    categories: ['Architecture', 'DevOps', 'Security']
+  };
+}
+
+/**
+ * Minimal in-memory Storage implementation
+ * @returns {Storage}
+ */
+export function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key)
+  };
+}
@@ -0,0 +1,91 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { buildFlashcards, StudySession, CardType } from '../src/flashcards.js';
+import { StudyProgress, Grade } from '../src/spaced-repetition.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { createTestData } from './fixtures.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Cards for the fixture data, with related terms resolved through a core store
+ * @returns {import('../src/flashcards.js').Flashcard[]}
+ */
+function buildCards() {
+  const core = new GlossaryCore({ storage: null });
+  core.setData(createTestData());
+  return buildFlashcards(core.data.terms, {
+    resolve: name => core.findTermIdByName(name),
+    random: () => 0
+  });
+}
+
+describe('buildFlashcards()', () => {
+  const cards = buildCards();
+  const card = id => cards.find(c => c.id === id);
+
+  it('should ask for the definition of every term', () => {
+    expect(cards.filter(c => c.type === CardType.DEFINITION).map(c => c.termId))
+      .toEqual(['api', 'ci-cd', 'docker', 'rest']);
+    expect(card('docker:definition')).toMatchObject({ prompt: 'Docker', answer: expect.stringContaining('containers') });
+  });
+
+  it('should ask for the term behind a full form', () => {
+    expect(card('ci-cd:full-form')).toMatchObject({
+      prompt: 'Continuous Integration/Continuous Deployment',
+      answer: 'CI/CD'
+    });
+    expect(card('docker:full-form')).toBeUndefined();
+  });
+
+  it('should ask which term is related, using existing terms only', () => {
+    const related = card('api:related');
+
+    expect(related.answerId).toBe('rest');
+    expect(related.choices.map(choice => choice.termId).sort()).toEqual(['ci-cd', 'docker', 'rest']);
+    expect(related.choices).toContainEqual({ termId: 'rest', label: 'REST' });
+    // Docker's related terms (Kubernetes, Container) have no entries
+    expect(card('docker:related')).toBeUndefined();
+  });
+});
+
+describe('StudySession', () => {
+  it('should start with due reviews, then a limited number of new cards', () => {
+    const cards = buildCards();
+    const progress = new StudyProgress({ storage: null });
+    progress.record('rest:definition', Grade.GOOD, NOW - 2 * DAY);
+    progress.record('api:definition', Grade.GOOD, NOW);
+
+    const session = new StudySession(cards, progress, { now: () => NOW, newCards: 2 });
+
+    expect(session.queue.map(card => card.id)).toEqual(['rest:definition', 'api:full-form', 'api:related']);
+    expect(session.total).toBe(3);
+  });
+
+  it('should repeat missed cards until they are answered', () => {
+    const cards = buildCards().filter(card => card.termId === 'ci-cd');
+    const progress = new StudyProgress({ storage: null });
+    const session = new StudySession(cards, progress, { now: () => NOW });
+
+    session.answer(Grade.AGAIN);
+    session.answer(Grade.GOOD);
+    expect(session.current.id).toBe('ci-cd:definition');
+    session.answer(Grade.GOOD);
+
+    expect(session.done).toBe(true);
+    expect(session.summary()).toEqual({ reviewed: 2, correct: 1, missed: [{ termId: 'ci-cd', misses: 1 }] });
+    expect(progress.get('ci-cd:definition').misses).toBe(1);
+    expect(() => session.answer(Grade.GOOD)).toThrow('over');
+  });
+
+  it('should grade related questions by the chosen term', () => {
+    const cards = buildCards().filter(card => card.id === 'api:related');
+    const progress = new StudyProgress({ storage: null });
+    const session = new StudySession(cards, progress, { now: () => NOW });
+
+    expect(session.choose('docker')).toBe(false);
+    expect(session.choose('rest')).toBe(true);
+    expect(progress.get('api:related')).toMatchObject({ misses: 1, reviews: 2 });
+  });
+});
@@ -0,0 +1,223 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GlossaryApi, computeEtag, checkTermFields } from '../src/glossary-api.js';
+import { createTestData } from './fixtures.js';
+
+const TOKEN = 'secret';
+const AUTH = { authorization: `Bearer ${TOKEN}` };
+
+const NEW_TERM = {
+  id: 'graphql',
+  term: 'GraphQL',
+  definition: 'A query language for APIs that lets clients ask for exactly the data they need',
+  category: 'Architecture',
+  relatedTerms: ['API']
+};
+
+describe('GlossaryApi', () => {
+  let api;
+  let save;
+
+  const request = async (method, url, { headers = {}, body } = {}) => {
+    const response = await api.handle({
+      method,
+      url,
+      headers,
+      body: body === undefined ? '' : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { ...response, json: response.body ? JSON.parse(response.body) : null };
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    save = vi.fn();
+    api = new GlossaryApi(createTestData(), { token: TOKEN, save });
+  });
+
+  it('should list terms with the same search and category filters as the app', async () => {
+    const all = await request('GET', '/api/terms');
+    expect(all.status).toBe(200);
+    expect(all.json.total).toBe(4);
+
+    const devops = await request('GET', '/api/terms?category=DevOps');
+    expect(devops.json.terms.map(term => term.id)).toEqual(['ci-cd', 'docker']);
+
+    const both = await request('GET', '/api/terms?category=DevOps&category=Architecture&match=all');
+    expect(both.json.total).toBe(0);
+
+    const search = await request('GET', '/api/terms?q=container&limit=1');
+    expect(search.json).toMatchObject({ total: 1, limit: 1, offset: 0 });
+    expect(search.json.terms[0].id).toBe('docker');
+
+    expect((await request('GET', '/api/terms?category=Cooking')).status).toBe(400);
+    expect((await request('GET', '/api/terms?match=some')).status).toBe(400);
+    expect((await request('GET', '/api/terms?limit=-1')).status).toBe(400);
+  });
+
+  it('should return terms, related terms and categories', async () => {
+    const rest = await request('GET', '/api/terms/rest');
+    expect(rest.json.term).toBe('REST');
+    expect(rest.headers.ETag).toBe(computeEtag(rest.body));
+
+    const related = await request('GET', '/api/terms/rest/related');
+    expect(related.json.terms.map(term => term.id)).toEqual(['api']);
+    expect(related.json.missing).toEqual(['HTTP']);
+
+    const categories = await request('GET', '/api/categories');
+    expect(categories.json.categories).toEqual([
+      { name: 'Architecture', count: 2 },
+      { name: 'DevOps', count: 2 },
+      { name: 'Security', count: 0 }
+    ]);
+
+    expect((await request('GET', '/api/terms/kafka')).status).toBe(404);
+    expect((await request('GET', '/elsewhere')).status).toBe(404);
+  });
+
+  it('should answer 304 when the client already has the current version', async () => {
+    const glossary = await request('GET', '/api/glossary');
+    expect(glossary.json.terms.map(term => term.id)).toEqual(['api', 'ci-cd', 'docker', 'rest']);
+
+    const again = await request('GET', '/api/glossary', { headers: { 'if-none-match': glossary.headers.ETag } });
+    expect(again.status).toBe(304);
+    expect(again.body).toBe('');
+  });
+
+  it('should return localized terms', async () => {
+    const data = createTestData();
+    data.terms[0].translations = { sv: { definition: 'Ett gränssnitt för att bygga program som pratar med varandra' } };
+    api.setData(data);
+
+    const term = await request('GET', '/api/terms/api?lang=sv');
+    expect(term.json.definition).toBe('Ett gränssnitt för att bygga program som pratar med varandra');
+    expect((await request('GET', '/api/terms/api')).json.definition).toBe(data.terms[0].definition);
+  });
+
+  it('should answer 400 to a malformed escape in the path', async () => {
+    const response = await request('GET', '/api/terms/%E0%A4%A');
+
+    expect(response.status).toBe(400);
+    expect(response.json.error).toContain('percent-encoding');
+  });
+
+  it('should filter each request on its own, leaving the shared core alone', async () => {
+    const data = createTestData();
+    data.terms[2].translations = { sv: { definition: 'En plattform för att köra program i behållare' } };
+    api.setData(data);
+
+    const swedish = await request('GET', '/api/terms?q=behållare&category=DevOps&lang=sv');
+    const all = await request('GET', '/api/terms');
+
+    expect(swedish.json.terms.map(term => term.id)).toEqual(['docker']);
+    expect(all.json.total).toBe(4);
+    expect(api.core).toMatchObject({ searchQuery: '', facets: [], showRecent: false, locale: 'en' });
+  });
+
+  it('should require the token for changes', async () => {
+    expect((await request('POST', '/api/terms', { body: NEW_TERM })).status).toBe(401);
+
+    const wrong = await request('DELETE', '/api/terms/rest', { headers: { authorization: 'Bearer guess' } });
+    expect(wrong.status).toBe(401);
+    expect(wrong.headers['WWW-Authenticate']).toContain('Bearer');
+
+    const readOnly = new GlossaryApi(createTestData());
+    expect((await readOnly.handle({ method: 'DELETE', url: '/api/terms/rest', headers: AUTH })).status).toBe(403);
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('should create, update and delete terms and save each change', async () => {
+    const created = await request('POST', '/api/terms', { headers: AUTH, body: NEW_TERM });
+    expect(created.status).toBe(201);
+    expect(created.headers.Location).toBe('/api/terms/graphql');
+    expect(created.json.term).toMatchObject({ id: 'graphql', term: 'GraphQL', fullForm: null });
+    expect(JSON.parse(save.mock.calls[0][0]).terms.map(term => term.id)).toContain('graphql');
+
+    const patched = await request('PATCH', '/api/terms/graphql', { headers: AUTH, body: { fullForm: 'Graph Query Language' } });
+    expect(patched.json.term).toMatchObject({ fullForm: 'Graph Query Language', category: 'Architecture' });
+
+    const renamed = await request('PUT', '/api/terms/rest', {
+      headers: AUTH,
+      body: { ...createTestData().terms[3], term: 'RESTful' }
+    });
+    expect(renamed.json.term.id).toBe('rest');
+    expect((await request('GET', '/api/terms/api')).json.relatedTerms).toContain('RESTful');
+
+    const deleted = await request('DELETE', '/api/terms/graphql', { headers: AUTH });
+    expect(deleted.status).toBe(204);
+    expect((await request('GET', '/api/terms/graphql')).status).toBe(404);
+    expect(save).toHaveBeenCalledTimes(4);
+  });
+
+  it('should date changes, record change notes and list recent terms', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+
+    const created = await request('POST', '/api/terms', { headers: AUTH, body: NEW_TERM });
+    expect(created.json.term).toMatchObject({ createdAt: today, updatedAt: today });
+
+    const patched = await request('PATCH', '/api/terms/rest', { headers: AUTH, body: { changeNote: 'Mentioned HATEOAS' } });
+    expect(patched.json.term).toMatchObject({ updatedAt: today, changelog: [{ date: today, summary: 'Mentioned HATEOAS' }] });
+    expect(patched.json.term).not.toHaveProperty('changeNote');
+
+    const recent = await request('GET', '/api/terms?recent=1');
+    expect(recent.json.terms.map(term => term.id)).toEqual(['graphql', 'rest']);
+  });
+
+  it('should reject changes that are malformed or would make the glossary invalid', async () => {
+    expect((await request('POST', '/api/terms', { headers: AUTH, body: '{' })).status).toBe(400);
+
+    const unknown = await request('POST', '/api/terms', { headers: AUTH, body: { ...NEW_TERM, colour: 'red' } });
+    expect(unknown.status).toBe(400);
+    expect(unknown.json.details).toEqual(['Unknown field "colour"']);
+
+    expect((await request('POST', '/api/terms', { headers: AUTH, body: { ...NEW_TERM, id: 'rest' } })).status).toBe(409);
+    expect((await request('PATCH', '/api/terms/rest', { headers: AUTH, body: { id: 'rest-api' } })).status).toBe(400);
+
+    const invalid = await request('PATCH', '/api/terms/rest', { headers: AUTH, body: { category: 'Cooking' } });
+    expect(invalid.status).toBe(422);
+    expect(invalid.json.issues.length).toBeGreaterThan(0);
+    expect((await request('GET', '/api/terms/rest')).json.category).toBe('Architecture');
+    expect(save).not.toHaveBeenCalled();
+  });
+
+  it('should refuse changes based on an outdated version', async () => {
+    const { headers } = await request('GET', '/api/terms/docker');
+    await request('PATCH', '/api/terms/docker', { headers: AUTH, body: { examples: ['docker run'] } });
+
+    const stale = await request('DELETE', '/api/terms/docker', { headers: { ...AUTH, 'if-match': headers.ETag } });
+    expect(stale.status).toBe(412);
+
+    const { headers: current } = await request('GET', '/api/terms/docker');
+    const fresh = await request('DELETE', '/api/terms/docker', { headers: { ...AUTH, 'if-match': current.ETag } });
+    expect(fresh.status).toBe(204);
+  });
+
+  it('should keep the glossary unchanged when saving fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    save.mockRejectedValueOnce(new Error('disk full'));
+
+    expect((await request('DELETE', '/api/terms/docker', { headers: AUTH })).status).toBe(500);
+    expect((await request('GET', '/api/terms/docker')).status).toBe(200);
+    expect((await request('DELETE', '/api/terms/docker', { headers: AUTH })).status).toBe(204);
+  });
+
+  it('should answer preflight requests and unsupported methods', async () => {
+    const preflight = await request('OPTIONS', '/api/terms/rest');
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers['Access-Control-Allow-Headers']).toContain('If-Match');
+
+    const notAllowed = await request('POST', '/api/categories', { headers: AUTH });
+    expect(notAllowed.status).toBe(405);
+    expect(notAllowed.headers.Allow).toBe('GET, HEAD');
+  });
+});
+
+describe('checkTermFields', () => {
+  it('should report unknown fields and wrong types', () => {
+    expect(checkTermFields(NEW_TERM)).toEqual([]);
+    expect(checkTermFields([])).toHaveLength(1);
+    expect(checkTermFields({ term: 3, examples: ['a', 1], fullForm: null })).toEqual([
+      'Field "term" must be string',
+      'Field "examples" must be string[]'
+    ]);
+  });
+});
@@ -0,0 +1,359 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GlossaryCore, GlossaryEvent, SAVED_CATEGORY } from '../src/glossary-core.js';
+import { CURRENT_SCHEMA_VERSION } from '../src/schema.js';
+import { FacetMode } from '../src/facets.js';
+import { createTestData, createMemoryStorage } from './fixtures.js';
+
+describe('GlossaryCore', () => {
+  let core;
+
+  beforeEach(() => {
+    core = new GlossaryCore({ storage: createMemoryStorage() });
+    core.setData(createTestData());
+  });
+
+  it('should run without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+    expect(core.filter().map(t => t.id)).toEqual(['api', 'ci-cd', 'docker', 'rest']);
+  });
+
+  it('should load data through the injected fetch', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => createTestData() });
+    const fresh = new GlossaryCore({ dataUrl: '/terms.json', fetch, storage: null });
+    const onLoad = vi.fn();
+    fresh.subscribe(GlossaryEvent.LOAD, onLoad);
+
+    await fresh.loadData();
+
+    expect(fetch).toHaveBeenCalledWith('/terms.json');
+    expect(onLoad).toHaveBeenCalledWith({ data: fresh.data });
+    expect(fresh.searchIndex).not.toBeNull();
+  });
+
+  it('should emit an error event when loading fails', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+    const fresh = new GlossaryCore({ fetch, storage: null });
+    const onError = vi.fn();
+    fresh.subscribe(GlossaryEvent.ERROR, onError);
+
+    await expect(fresh.loadData()).rejects.toThrow('Failed to load glossary data: HTTP error! status: 404');
+    expect(onError).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject data with validation errors', () => {
+    const data = createTestData();
+    data.terms[0].category = 'Cooking';
+
+    expect(() => core.setData(data)).toThrow('Category "Cooking" is not in the categories array');
+  });
+
+  it('should keep validation warnings on the report instead of logging them', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    core.setData(createTestData());
+
+    expect(warn).not.toHaveBeenCalled();
+    expect(core.validationReport.valid).toBe(true);
+    expect(core.validationReport.issues.some(issue => issue.message === 'Related term "GraphQL" does not exist')).toBe(true);
+    warn.mockRestore();
+  });
+
+  it('should emit filter events when category or query change', () => {
+    const onFilter = vi.fn();
+    core.subscribe(GlossaryEvent.FILTER, onFilter);
+
+    core.setCategory('DevOps');
+    core.setSearchQuery('Docker');
+
+    expect(onFilter).toHaveBeenCalledTimes(2);
+    expect(onFilter).toHaveBeenLastCalledWith({
+      terms: [expect.objectContaining({ id: 'docker' })],
+      category: 'DevOps',
+      facets: ['DevOps'],
+      facetMode: FacetMode.ANY,
+      facetCounts: expect.objectContaining({ DevOps: 1 }),
+      query: 'docker',
+      recent: false
+    });
+  });
+
+  it('should reset filters and record history when navigating', () => {
+    const onNavigate = vi.fn();
+    const onHistory = vi.fn();
+    core.subscribe(GlossaryEvent.NAVIGATE, onNavigate);
+    core.subscribe(GlossaryEvent.HISTORY, onHistory);
+    core.setCategory('DevOps');
+
+    core.navigateToTerm('rest');
+
+    expect(core.currentCategory).toBe('all');
+    expect(core.activeTermId).toBe('rest');
+    expect(onNavigate).toHaveBeenCalledWith(expect.objectContaining({ termId: 'rest', fromBreadcrumb: false }));
+    expect(onHistory).toHaveBeenCalledWith({ history: ['rest'] });
+  });
+
+  it('should truncate history on breadcrumb navigation', () => {
+    core.navigateToTerm('api');
+    core.navigateToTerm('rest');
+    core.navigateToTerm('docker');
+
+    core.navigateToTerm('api', true);
+
+    expect(core.navigationHistory).toEqual(['api']);
+  });
+
+  it('should persist history to the configured storage', () => {
+    core.navigateToTerm('api');
+
+    const restored = new GlossaryCore({ storage: core.storage });
+    restored.initializeHistory();
+
+    expect(restored.navigationHistory).toEqual(['api']);
+  });
+
+  it('should stop notifying after unsubscribe', () => {
+    const listener = vi.fn();
+    const unsubscribe = core.subscribe(GlossaryEvent.FILTER, listener);
+
+    unsubscribe();
+    core.filter();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('GlossaryCore - multiple sources', () => {
+  /**
+   * fetch stub serving a fixed JSON body per URL
+   * @param {Object<string, Object>} files
+   * @returns {Function}
+   */
+  const serve = files => vi.fn(async url => ({ ok: true, json: async () => structuredClone(files[url]) }));
+
+  const teamPack = {
+    terms: [{
+      id: 'deploy-train',
+      term: 'Deploy Train',
+      fullForm: null,
+      definition: 'Our fortnightly release cadence where merged work ships together to production.',
+      category: 'DevOps',
+      relatedTerms: ['CI/CD', 'Docker'],
+      examples: ['Catching the Tuesday train']
+    }],
+    categories: ['DevOps']
+  };
+
+  it('should merge packs and resolve related terms across them', async () => {
+    const core = new GlossaryCore({
+      sources: ['./data/glossary.json', { url: './team.json', namespace: 'team' }],
+      fetch: serve({ './data/glossary.json': createTestData(), './team.json': teamPack }),
+      storage: null
+    });
+
+    await core.loadData();
+
+    expect(core.hasMultipleSources()).toBe(true);
+    expect(core.getTerm('deploy-train').source).toBe('team');
+    expect(core.findTermIdByName('CI/CD')).toBe('ci-cd');
+  });
+
+  it('should prefer the referring source when names collide', () => {
+    const core = new GlossaryCore({ storage: null });
+    core.data = {
+      terms: [
+        { id: 'api', term: 'API', source: 'glossary' },
+        { id: 'team-api', term: 'API', source: 'team' }
+      ],
+      categories: []
+    };
+
+    expect(core.findTermIdByName('api')).toBe('api');
+    expect(core.findTermIdByName('api', 'team')).toBe('team-api');
+  });
+
+  it('should name the failing source in load errors', async () => {
+    const fetch = vi.fn(async url => (url === './team.json'
+      ? { ok: false, status: 404 }
+      : { ok: true, json: async () => createTestData() }));
+    const core = new GlossaryCore({ sources: ['./data/glossary.json', './team.json'], fetch, storage: null });
+
+    await expect(core.loadData()).rejects.toThrow('HTTP error! status: 404 (./team.json)');
+  });
+
+  it('should migrate packs at older schema versions before merging', async () => {
+    const { fullForm, examples, ...legacyTerm } = teamPack.terms[0];
+    const core = new GlossaryCore({
+      sources: [
+        { url: './data/glossary.json', namespace: 'glossary' },
+        { url: './team.json', namespace: 'team' }
+      ],
+      fetch: serve({
+        './data/glossary.json': { schemaVersion: CURRENT_SCHEMA_VERSION, ...createTestData() },
+        './team.json': { terms: [legacyTerm], categories: ['DevOps'] }
+      }),
+      storage: null
+    });
+
+    await core.loadData();
+
+    expect(core.data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(core.getTerm('deploy-train')).toMatchObject({ fullForm: null, examples: [] });
+  });
+
+  it('should refuse data from a newer schema version', async () => {
+    const fetch = serve({ './data/glossary.json': { ...createTestData(), schemaVersion: CURRENT_SCHEMA_VERSION + 1 } });
+    const core = new GlossaryCore({ fetch, storage: null });
+
+    await expect(core.loadData()).rejects.toThrow(`uses schema version ${CURRENT_SCHEMA_VERSION + 1}`);
+  });
+});
+
+describe('GlossaryCore - aliases', () => {
+  let core;
+
+  beforeEach(() => {
+    const data = createTestData();
+    data.terms.find(term => term.id === 'ci-cd').aliases = ['Continuous Integration', 'CI'];
+    data.terms.find(term => term.id === 'api').aliases = ['Web API', 'REST'];
+    core = new GlossaryCore({ storage: null });
+    core.setData(data);
+  });
+
+  it('should resolve aliases and full forms', () => {
+    expect(core.findTermIdByName('Continuous Integration')).toBe('ci-cd');
+    expect(core.findTermIdByName('ci')).toBe('ci-cd');
+    expect(core.findTermIdByName('representational state transfer')).toBe('rest');
+  });
+
+  it('should ignore punctuation when matching names', () => {
+    expect(core.findTermIdByName('CI-CD')).toBe('ci-cd');
+    expect(core.findTermIdByName('continuous-integration')).toBe('ci-cd');
+    expect(core.findTermIdByName('--')).toBeNull();
+  });
+
+  it('should prefer a term\'s own name over another term\'s alias', () => {
+    expect(core.findTermIdByName('REST')).toBe('rest');
+    expect(core.findTermIdByName('web api')).toBe('api');
+  });
+});
+
+describe('GlossaryCore - facets', () => {
+  let core;
+
+  beforeEach(() => {
+    const data = createTestData();
+    data.terms.find(term => term.id === 'docker').tags = ['Security'];
+    data.terms.find(term => term.id === 'api').tags = ['DevOps'];
+    core = new GlossaryCore({ storage: null });
+    core.setData(data);
+  });
+
+  const ids = () => core.filteredTerms.map(term => term.id);
+
+  it('should match tagged terms and combine facets with OR by default', () => {
+    core.toggleFacet('DevOps');
+    expect(ids()).toEqual(['api', 'ci-cd', 'docker']);
+
+    core.toggleFacet('Security');
+    expect(core.facets).toEqual(['DevOps', 'Security']);
+    expect(core.currentCategory).toBe('all');
+    expect(ids()).toEqual(['api', 'ci-cd', 'docker']);
+
+    core.toggleFacet('DevOps');
+    expect(ids()).toEqual(['docker']);
+    expect(core.currentCategory).toBe('Security');
+  });
+
+  it('should combine facets with AND in all mode', () => {
+    core.setFacets(['DevOps', 'Security']);
+    core.setFacetMode(FacetMode.ALL);
+
+    expect(ids()).toEqual(['docker']);
+    expect(() => core.setFacetMode('some')).toThrow('Unknown facet mode "some"');
+  });
+
+  it('should count facets within the current search', () => {
+    core.filter();
+    expect(core.facetCounts).toEqual({ Architecture: 2, DevOps: 3, Security: 1 });
+
+    core.setSearchQuery('docker');
+    expect(core.facetCounts).toEqual({ Architecture: 0, DevOps: 1, Security: 1 });
+  });
+
+  it('should count what adding a facet leaves in all mode', () => {
+    core.setFacetMode(FacetMode.ALL);
+    core.setFacets(['DevOps']);
+
+    expect(core.facetCounts).toEqual({ Architecture: 1, DevOps: 3, Security: 1 });
+  });
+
+  it('should clear facets and leave the saved view when facets change', () => {
+    core.setFacets(['DevOps', 'Cooking']);
+    expect(core.facets).toEqual(['DevOps']);
+
+    core.setCategory(SAVED_CATEGORY);
+    expect(core.facets).toEqual([]);
+    core.toggleFacet('Architecture');
+    expect(core.currentCategory).toBe('Architecture');
+
+    core.clearFacets();
+    expect(ids()).toEqual(['api', 'ci-cd', 'docker', 'rest']);
+  });
+
+  it('should restore facets and mode from a state snapshot', () => {
+    core.setFacets(['DevOps', 'Security']);
+    core.setFacetMode(FacetMode.ALL);
+    const state = core.getState();
+    expect(state).toMatchObject({ facets: ['DevOps', 'Security'], facetMode: FacetMode.ALL });
+
+    const restored = new GlossaryCore({ storage: null });
+    restored.setData(core.data);
+    restored.applyState(state);
+    expect(restored.filteredTerms.map(term => term.id)).toEqual(['docker']);
+
+    restored.applyState({ category: 'Architecture' });
+    expect(restored.facets).toEqual(['Architecture']);
+    expect(restored.facetMode).toBe(FacetMode.ANY);
+  });
+});
+
+describe('GlossaryCore - recent changes', () => {
+  let core;
+
+  beforeEach(() => {
+    const data = createTestData();
+    data.terms[0].createdAt = '2026-02-20';
+    data.terms[2].createdAt = '2025-01-10';
+    data.terms[2].updatedAt = '2026-02-25T08:00:00Z';
+    data.terms[3].updatedAt = '2025-06-01';
+
+    core = new GlossaryCore({ storage: null, now: () => new Date('2026-03-01T00:00:00Z') });
+    core.setData(data);
+  });
+
+  it('should tell new terms from updated ones', () => {
+    const status = id => core.getChangeStatus(core.getTerm(id));
+
+    expect(status('api')).toBe('new');
+    expect(status('docker')).toBe('updated');
+    expect(status('rest')).toBeNull();
+    expect(status('ci-cd')).toBeNull();
+  });
+
+  it('should combine the recent filter with facets and keep it in state snapshots', () => {
+    core.setShowRecent(true);
+    expect(core.filteredTerms.map(term => term.id)).toEqual(['api', 'docker']);
+
+    core.toggleFacet('DevOps');
+    expect(core.filteredTerms.map(term => term.id)).toEqual(['docker']);
+    expect(core.facetCounts).toMatchObject({ Architecture: 1, DevOps: 1 });
+    expect(core.getState().recent).toBe(true);
+
+    core.navigateToTerm('rest');
+    expect(core.showRecent).toBe(false);
+
+    core.applyState({ recent: true });
+    expect(core.filteredTerms).toHaveLength(2);
+  });
+});
@@ -0,0 +1,59 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { diffGlossaries, hasChanges, formatDiffMarkdown } from '../src/glossary-diff.js';
+import { createTestData } from './fixtures.js';
+
+describe('diffGlossaries', () => {
+  it('should report no changes for identical data', () => {
+    const diff = diffGlossaries(createTestData(), createTestData());
+
+    expect(hasChanges(diff)).toBe(false);
+    expect(formatDiffMarkdown(diff)).toContain('No changes.');
+  });
+
+  it('should match terms by id and list added, removed and changed terms', () => {
+    const before = createTestData();
+    const after = createTestData();
+    after.terms = after.terms.filter(term => term.id !== 'ci-cd');
+    after.terms.push({ id: 'grpc', term: 'gRPC', definition: 'A remote procedure call framework', category: 'Architecture' });
+    after.terms[0].definition = 'Changed definition';
+
+    const diff = diffGlossaries(before, after);
+
+    expect(diff.added.map(term => term.id)).toEqual(['grpc']);
+    expect(diff.removed.map(term => term.id)).toEqual(['ci-cd']);
+    expect(diff.changed).toEqual([{
+      id: 'api',
+      term: 'API',
+      changes: [{ field: 'definition', before: before.terms[0].definition, after: 'Changed definition' }]
+    }]);
+  });
+
+  it('should report added and removed categories', () => {
+    const after = createTestData();
+    after.categories = ['Architecture', 'DevOps', 'Testing'];
+
+    const diff = diffGlossaries(createTestData(), after);
+
+    expect(diff.categories).toEqual({ added: ['Testing'], removed: ['Security'] });
+    expect(hasChanges(diff)).toBe(true);
+  });
+});
+
+describe('formatDiffMarkdown', () => {
+  it('should summarize changes as Markdown', () => {
+    const after = createTestData();
+    after.terms[0].relatedTerms = ['REST', 'gRPC'];
+    after.terms[2].fullForm = 'Docker Engine';
+    after.terms[2].tags = ['Security'];
+    after.terms.pop();
+
+    const markdown = formatDiffMarkdown(diffGlossaries(createTestData(), after));
+
+    expect(markdown).toContain('**Summary:** 0 added, 2 changed, 1 removed');
+    expect(markdown).toContain('- **API** (`api`)\n  - relatedTerms: + gRPC, - GraphQL');
+    expect(markdown).toContain('  - fullForm: (none) → "Docker Engine"');
+    expect(markdown).toContain('  - tags: + Security');
+    expect(markdown).toContain('### Removed\n\n- **REST** (`rest`)');
+  });
+});
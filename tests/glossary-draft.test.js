@@ -0,0 +1,183 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { GlossaryDraft } from '../src/glossary-draft.js';
+import { serializeGlossary } from '../src/glossary-json.js';
+import { createTestData } from './fixtures.js';
+
+const TODAY = '2026-03-01';
+
+const newTermFields = {
+  term: 'Kubernetes',
+  fullForm: '',
+  definition: 'An open-source system for automating deployment, scaling, and management of containers',
+  category: 'DevOps',
+  relatedTerms: ['Docker', ' docker ', ''],
+  examples: ['kubectl apply', '  ']
+};
+
+describe('GlossaryDraft', () => {
+  let draft;
+
+  beforeEach(() => {
+    draft = new GlossaryDraft(createTestData(), { now: () => new Date(`${TODAY}T12:00:00Z`) });
+  });
+
+  it('should not share objects with the data it was created from', () => {
+    const data = createTestData();
+    data.terms[0].source = 'core';
+    draft = new GlossaryDraft(data);
+
+    draft.data.terms[0].term = 'Changed';
+
+    expect(data.terms[0].term).toBe('API');
+    expect(draft.original.terms[0].term).toBe('API');
+    expect(draft.data.terms[0]).not.toHaveProperty('source');
+  });
+
+  it('should generate unique kebab-case ids', () => {
+    expect(draft.generateId('Service Mesh')).toBe('service-mesh');
+    expect(draft.generateId('Docker')).toBe('docker-2');
+    expect(draft.generateId('Docker', 'docker')).toBe('docker');
+  });
+
+  it('should create terms with normalized fields', () => {
+    const listener = vi.fn();
+    draft.subscribe(listener);
+
+    const term = draft.createTerm(newTermFields);
+
+    expect(term).toEqual({
+      id: 'kubernetes',
+      term: 'Kubernetes',
+      fullForm: null,
+      definition: newTermFields.definition,
+      category: 'DevOps',
+      relatedTerms: ['Docker'],
+      examples: ['kubectl apply'],
+      createdAt: TODAY,
+      updatedAt: TODAY
+    });
+    expect(draft.getTerm('kubernetes')).toBe(term);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse duplicate ids', () => {
+    expect(() => draft.createTerm({ ...newTermFields, id: 'docker' })).toThrow('already exists');
+  });
+
+  it('should keep the id and unedited fields when updating', () => {
+    draft.data.terms[0].translations = { sv: { definition: 'Ett gränssnitt' } };
+
+    const term = draft.updateTerm('api', { ...draft.getTerm('api'), id: 'ignored', definition: 'New definition' });
+
+    expect(term.id).toBe('api');
+    expect(term.definition).toBe('New definition');
+    expect(term.translations).toEqual({ sv: { definition: 'Ett gränssnitt' } });
+  });
+
+  it('should keep aliases only when a term has some', () => {
+    const term = draft.updateTerm('docker', {
+      ...draft.getTerm('docker'),
+      aliases: [' Docker Engine ', 'docker', 'docker engine', '']
+    });
+
+    expect(term.aliases).toEqual(['Docker Engine']);
+    expect(draft.updateTerm('docker', { ...term, aliases: [] })).not.toHaveProperty('aliases');
+  });
+
+  it('should keep tags other than the category, and follow category changes', () => {
+    const term = draft.updateTerm('docker', {
+      ...draft.getTerm('docker'),
+      tags: ['Security', 'DevOps', ' Security ']
+    });
+    expect(term.tags).toEqual(['Security']);
+
+    draft.renameCategory('Security', 'AppSec');
+    expect(draft.getTerm('docker').tags).toEqual(['AppSec']);
+    expect(draft.countTerms('AppSec')).toBe(1);
+    expect(() => draft.deleteCategory('AppSec')).toThrow('used by 1 term');
+    expect(draft.updateTerm('docker', { ...draft.getTerm('docker'), tags: [] })).not.toHaveProperty('tags');
+  });
+
+  it('should date changed terms and record change notes', () => {
+    const unchanged = draft.updateTerm('docker', draft.getTerm('docker'));
+    expect(unchanged).not.toHaveProperty('updatedAt');
+
+    const edited = draft.updateTerm('docker', { ...draft.getTerm('docker'), examples: ['docker run'] });
+    expect(edited.updatedAt).toBe(TODAY);
+    expect(edited).not.toHaveProperty('createdAt');
+
+    const noted = draft.updateTerm('rest', { ...draft.getTerm('rest'), changeNote: ' Linked HTTP ' });
+    expect(noted.updatedAt).toBe(TODAY);
+    expect(noted.changelog).toEqual([{ date: TODAY, summary: 'Linked HTTP' }]);
+    expect(noted).not.toHaveProperty('changeNote');
+  });
+
+  it('should rename a term in other terms\' related terms', () => {
+    draft.updateTerm('rest', { ...draft.getTerm('rest'), term: 'RESTful' });
+
+    expect(draft.getTerm('api').relatedTerms).toEqual(['RESTful', 'GraphQL']);
+  });
+
+  it('should delete terms', () => {
+    draft.deleteTerm('docker');
+
+    expect(draft.getTerm('docker')).toBeNull();
+    expect(() => draft.deleteTerm('docker')).toThrow('not found');
+  });
+
+  it('should add, rename and delete categories', () => {
+    draft.addCategory('Testing');
+    draft.renameCategory('DevOps', 'Operations');
+    draft.deleteCategory('Security');
+
+    expect(draft.data.categories).toEqual(['Architecture', 'Operations', 'Testing']);
+    expect(draft.getTerm('docker').category).toBe('Operations');
+    expect(() => draft.addCategory('Testing')).toThrow('already exists');
+    expect(() => draft.deleteCategory('Operations')).toThrow('used by 2 terms');
+  });
+
+  it('should suggest related terms with prefix matches first', () => {
+    draft.createTerm({ ...newTermFields, term: 'Reactive Streams' });
+
+    expect(draft.suggestRelatedTerms('re')).toEqual(['Reactive Streams', 'REST']);
+    expect(draft.suggestRelatedTerms('r', { exclude: ['rest'] })).toEqual(['Reactive Streams', 'Docker']);
+    expect(draft.suggestRelatedTerms('', { limit: 2 })).toEqual(['API', 'CI/CD']);
+  });
+
+  it('should report issues for a term before it is saved', () => {
+    const issues = draft.checkTerm({ ...newTermFields, category: 'Unknown' });
+
+    expect(issues.map(issue => issue.code)).toContain('unknown-category');
+    expect(draft.getTerm('kubernetes')).toBeNull();
+    expect(draft.checkTerm({ term: '' }).map(issue => issue.code)).toContain('missing-field');
+    expect(draft.checkTerm({ ...newTermFields, id: 'docker' }).map(issue => issue.code)).toContain('duplicate-id');
+  });
+
+  it('should diff the working copy against the original', () => {
+    draft.createTerm(newTermFields);
+    draft.deleteTerm('rest');
+
+    const diff = draft.diff();
+
+    expect(diff.added.map(term => term.id)).toEqual(['kubernetes']);
+    expect(diff.removed.map(term => term.id)).toEqual(['rest']);
+    expect(diff.changed.map(change => change.id)).toEqual([]);
+  });
+});
+
+describe('serializeGlossary', () => {
+  it('should keep the layout of the glossary data file', () => {
+    const file = readFileSync(resolve(__dirname, '../data/glossary.json'), 'utf-8');
+
+    expect(serializeGlossary(JSON.parse(file))).toBe(file);
+  });
+
+  it('should round-trip a draft without changes', () => {
+    const file = readFileSync(resolve(__dirname, '../data/glossary.json'), 'utf-8');
+
+    expect(JSON.parse(new GlossaryDraft(JSON.parse(file)).toJson())).toEqual(JSON.parse(file));
+  });
+});
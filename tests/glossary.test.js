@@ -1,54 +1,15 @@
-import { describe, it, expect, beforeEach } from 'vitest';
-import TechGlossary from '../glossary.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import TechGlossary, { SEARCH_DEBOUNCE_MS, VIRTUALIZE_THRESHOLD } from '../glossary.js';
+import { categoryColor } from '../src/category-colors.js';
+import { CollectionStore } from '../src/collections.js';
+import { createTestData } from './fixtures.js';
 
 describe('TechGlossary - filterTerms()', () => {
   let glossary;
 
   beforeEach(() => {
     glossary = new TechGlossary();
-    
-    // Mock glossary data for testing
-    glossary.data = {
-      terms: [
-        {
-          id: 'api',
-          term: 'API',
-          fullForm: 'Application Programming Interface',
-          definition: 'A set of protocols for building software applications',
-          category: 'Architecture',
-          relatedTerms: ['REST', 'GraphQL'],
-          examples: ['REST API', 'GraphQL API']
-        },
-        {
-          id: 'ci-cd',
-          term: 'CI/CD',
-          fullForm: 'Continuous Integration/Continuous Deployment',
-          definition: 'Automated software development practices',
-          category: 'DevOps',
-          relatedTerms: ['Jenkins', 'GitHub Actions'],
-          examples: ['Automated testing', 'Automated deployment']
-        },
-        {
-          id: 'docker',
-          term: 'Docker',
-          fullForm: null,
-          definition: 'A platform for developing, shipping, and running applications in containers',
-          category: 'DevOps',
-          relatedTerms: ['Kubernetes', 'Container'],
-          examples: ['Docker Compose', 'Dockerfile']
-        },
-        {
-          id: 'rest',
-          term: 'REST',
-          fullForm: 'Representational State Transfer',
-          definition: 'An architectural style for distributed systems',
-          category: 'Architecture',
-          relatedTerms: ['API', 'HTTP'],
-          examples: ['RESTful API', 'REST endpoints']
-        }
-      ],
-      categories: ['Architecture', 'DevOps', 'Security']
-    };
+    glossary.data = createTestData();
   });
 
   it('should return all terms when no filters are applied', () => {
@@ -88,9 +49,45 @@ describe('TechGlossary - filterTerms()', () => {
 
     const result = glossary.filterTerms();
 
-    expect(result).toHaveLength(1);
-    expect(result[0].id).toBe('api');
-    expect(result[0].category).toBe('Architecture');
+    // REST mentions API in its examples and related terms, but ranks below it
+    expect(result.map(t => t.id)).toEqual(['api', 'rest']);
+    expect(result.every(term => term.category === 'Architecture')).toBe(true);
+  });
+
+  it('should tolerate typos in the search query', () => {
+    glossary.searchQuery = 'dokcer';
+
+    const result = glossary.filterTerms();
+
+    expect(result.map(t => t.id)).toEqual(['docker']);
+  });
+
+  it('should rank term name matches above definition matches', () => {
+    glossary.searchQuery = 'rest';
+
+    const result = glossary.filterTerms();
+
+    expect(result[0].id).toBe('rest');
+    expect(result.map(t => t.id)).toContain('api');
+  });
+
+  it('should search examples and related terms', () => {
+    glossary.searchQuery = 'jenkins';
+
+    expect(glossary.filterTerms().map(t => t.id)).toEqual(['ci-cd']);
+
+    glossary.searchQuery = 'compose';
+
+    expect(glossary.filterTerms().map(t => t.id)).toEqual(['docker']);
+  });
+
+  it('should highlight matched words in rendered cards', () => {
+    glossary.searchQuery = 'contianers';
+    const [docker] = glossary.filterTerms();
+
+    const html = glossary.renderTermCard(docker);
+
+    expect(html).toContain('<mark class="search-highlight">containers</mark>');
   });
 
   it('should perform case-insensitive search across term, definition, and fullForm', () => {
@@ -105,3 +102,837 @@ describe('TechGlossary - filterTerms()', () => {
   });
 });
 
+
+describe('TechGlossary - loading', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should log validation warnings once per load', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => createTestData() });
+    const glossary = new TechGlossary({ fetch, storage: null });
+
+    await glossary.loadData();
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^Glossary data has \d+ warning\(s\):$/), expect.any(Array));
+  });
+});
+
+describe('TechGlossary - URL routing', () => {
+  let glossary;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    sessionStorage.clear();
+
+    glossary = new TechGlossary();
+    glossary.data = createTestData();
+  });
+
+  it('should parse term, category and query from a URL', () => {
+    expect(glossary.parseUrl('/?category=DevOps&q=container#/term/docker')).toEqual({
+      termId: 'docker',
+      category: 'DevOps',
+      facets: ['DevOps'],
+      facetMode: 'any',
+      collection: null,
+      query: 'container',
+      recent: false
+    });
+    expect(glossary.parseUrl('/')).toEqual({
+      termId: null,
+      category: 'all',
+      facets: [],
+      facetMode: 'any',
+      collection: null,
+      query: '',
+      recent: false
+    });
+  });
+
+  it('should build URLs that round-trip through parseUrl()', () => {
+    const state = {
+      termId: 'ci-cd',
+      category: 'DevOps',
+      facets: ['DevOps'],
+      facetMode: 'any',
+      collection: null,
+      query: 'build tools',
+      recent: false
+    };
+    const url = glossary.buildUrl(state);
+
+    expect(url).toBe('/?category=DevOps&q=build+tools#/term/ci-cd');
+    expect(glossary.parseUrl(url)).toEqual(state);
+    expect(glossary.buildUrl({ category: 'all' })).toBe('/');
+    expect(glossary.parseUrl(glossary.buildUrl({ category: 'all', recent: true }))).toMatchObject({ recent: true });
+  });
+
+  it('should push a deep link when navigating to a term', () => {
+    glossary.navigateToTerm('rest');
+
+    expect(window.location.hash).toBe('#/term/rest');
+    expect(window.history.state.navigationHistory).toEqual(['rest']);
+  });
+
+  it('should restore category and search query from the URL on load', () => {
+    window.history.replaceState(null, '', '/?category=DevOps&q=docker');
+
+    glossary.restoreFromUrl();
+
+    expect(glossary.currentCategory).toBe('DevOps');
+    expect(glossary.searchQuery).toBe('docker');
+    expect(glossary.filteredTerms.map(t => t.id)).toEqual(['docker']);
+  });
+
+  it('should add a deep-linked term to the navigation history', () => {
+    window.history.replaceState(null, '', '/#/term/docker');
+
+    glossary.restoreFromUrl();
+
+    expect(glossary.activeTermId).toBe('docker');
+    expect(glossary.navigationHistory).toEqual(['docker']);
+  });
+
+  it('should ignore unknown categories and terms', () => {
+    glossary.applyState({ termId: 'missing', category: 'Cooking', query: '' });
+
+    expect(glossary.currentCategory).toBe('all');
+    expect(glossary.activeTermId).toBeNull();
+  });
+
+  it('should restore the breadcrumb path on back/forward navigation', () => {
+    glossary.navigateToTerm('api');
+    glossary.navigateToTerm('rest');
+
+    glossary.handlePopState({
+      state: { termId: 'api', category: 'all', query: '', navigationHistory: ['api'] }
+    });
+
+    expect(glossary.activeTermId).toBe('api');
+    expect(glossary.navigationHistory).toEqual(['api']);
+  });
+
+  describe('prerendered pages', () => {
+    let base;
+
+    beforeEach(() => {
+      window.history.replaceState(null, '', '/term/docker/');
+      base = document.createElement('base');
+      base.href = '/';
+      document.head.appendChild(base);
+    });
+
+    afterEach(() => {
+      base.remove();
+    });
+
+    it('should read the state a page was prerendered for', () => {
+      const container = document.createElement('div');
+      container.setAttribute('data-prerendered', '');
+      container.dataset.prerenderedTerm = 'docker';
+      glossary.elements.container = container;
+
+      expect(glossary.getPrerenderedState()).toEqual({ termId: 'docker', category: 'all', facets: [] });
+
+      container.removeAttribute('data-prerendered');
+      expect(glossary.getPrerenderedState()).toBeNull();
+    });
+
+    it('should open the prerendered term and keep the page address', () => {
+      glossary.restoreFromUrl({ termId: 'docker', category: 'all' });
+
+      expect(glossary.activeTermId).toBe('docker');
+      expect(glossary.navigationHistory).toEqual(['docker']);
+      expect(window.location.pathname).toBe('/term/docker/');
+      expect(window.location.hash).toBe('');
+    });
+
+    it('should let URL state win over the prerendered state', () => {
+      window.history.replaceState(null, '', '/category/dev-ops/?q=docker');
+
+      glossary.restoreFromUrl({ termId: null, category: 'DevOps' });
+
+      expect(glossary.currentCategory).toBe('all');
+      expect(glossary.searchQuery).toBe('docker');
+    });
+
+    it('should build links on the app page the base points at', () => {
+      glossary.restoreFromUrl({ termId: 'docker', category: 'all' });
+      glossary.navigateToTerm('rest');
+
+      expect(window.location.pathname).toBe('/');
+      expect(window.location.hash).toBe('#/term/rest');
+    });
+  });
+});
+
+describe('TechGlossary - aliases', () => {
+  let glossary;
+
+  beforeEach(() => {
+    const data = createTestData();
+    data.terms.find(term => term.id === 'ci-cd').aliases = ['Continuous Integration'];
+    data.terms.find(term => term.id === 'docker').relatedTerms = ['continuous integration', 'Kubernetes'];
+
+    glossary = new TechGlossary({ storage: null });
+    glossary.core.setData(data);
+  });
+
+  it('should show aliases on the card', () => {
+    const card = document.createElement('div');
+    card.innerHTML = glossary.renderTermCard(glossary.core.getTerm('ci-cd'));
+
+    expect(card.querySelector('.term-aliases').textContent.replace(/\s+/g, ' ').trim())
+      .toBe('Also known as: Continuous Integration');
+
+    card.innerHTML = glossary.renderTermCard(glossary.core.getTerm('rest'));
+    expect(card.querySelector('.term-aliases')).toBeNull();
+  });
+
+  it('should link related terms written as an alias', () => {
+    const card = document.createElement('div');
+    card.innerHTML = glossary.renderTermCard(glossary.core.getTerm('docker'));
+
+    const chip = card.querySelector('.related-term-exists');
+    expect(chip.dataset.termId).toBe('ci-cd');
+    expect(chip.textContent.trim()).toBe('CI/CD');
+    expect(card.querySelectorAll('.related-term-missing')).toHaveLength(1);
+  });
+});
+
+describe('TechGlossary - facets', () => {
+  let glossary;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    sessionStorage.clear();
+
+    const data = createTestData();
+    data.terms.find(term => term.id === 'docker').tags = ['Security'];
+
+    glossary = new TechGlossary({ storage: null });
+    glossary.elements.container = document.createElement('div');
+    glossary.elements.categoryFilter = document.createElement('div');
+    glossary.attachEventListeners();
+    glossary.core.setData(data);
+    glossary.renderCategoryFilters();
+    glossary.filterAndRender();
+  });
+
+  const facetButton = category => glossary.elements.categoryFilter.querySelector(`[data-facet="${category}"]`);
+
+  it('should toggle facets and show counts that follow the search', () => {
+    facetButton('DevOps').click();
+    facetButton('Security').click();
+
+    expect(facetButton('DevOps').getAttribute('aria-pressed')).toBe('true');
+    expect(facetButton('Security').getAttribute('aria-pressed')).toBe('true');
+    expect(glossary.filteredTerms.map(term => term.id)).toEqual(['ci-cd', 'docker']);
+    expect(facetButton('DevOps').querySelector('.facet-count').textContent).toBe('2');
+
+    glossary.core.setSearchQuery('docker');
+    expect(facetButton('DevOps').querySelector('.facet-count').textContent).toBe('1');
+    expect(facetButton('Architecture').getAttribute('aria-label')).toBe('Architecture, 0 terms');
+  });
+
+  it('should combine facets with AND and clear them all at once', () => {
+    const bar = glossary.elements.categoryFilter;
+    facetButton('DevOps').click();
+    facetButton('Security').click();
+    bar.querySelector('[data-facet-mode="all"]').click();
+
+    expect(glossary.filteredTerms.map(term => term.id)).toEqual(['docker']);
+    expect(bar.querySelector('[data-facet-mode="all"]').getAttribute('aria-pressed')).toBe('true');
+    expect(bar.querySelector('[data-facet-action="clear"]').hidden).toBe(false);
+
+    bar.querySelector('[data-facet-action="clear"]').click();
+    expect(glossary.filteredTerms).toHaveLength(4);
+    expect(bar.querySelector('[data-facet-action="clear"]').hidden).toBe(true);
+  });
+
+  it('should restore facets from the URL', () => {
+    glossary.toggleFacet('DevOps');
+    glossary.toggleFacet('Security');
+    glossary.setFacetMode('all');
+
+    expect(window.location.search).toBe('?category=DevOps&category=Security&match=all');
+
+    glossary.core.clearFacets();
+    glossary.restoreFromUrl();
+    expect(glossary.core.facets).toEqual(['DevOps', 'Security']);
+    expect(glossary.filteredTerms.map(term => term.id)).toEqual(['docker']);
+  });
+
+  it('should show a badge for each tag', () => {
+    const card = document.createElement('div');
+    card.innerHTML = glossary.renderTermCard(glossary.core.getTerm('docker'));
+
+    expect([...card.querySelectorAll('.term-tag')].map(badge => badge.textContent.trim())).toEqual(['Security']);
+  });
+});
+
+describe('TechGlossary - multiple sources', () => {
+  it('should accept a list of sources', () => {
+    const glossary = new TechGlossary(['./data/glossary.json', { url: './team.json', namespace: 'team' }]);
+
+    expect(glossary.core.sources.map(source => source.namespace)).toEqual(['glossary', 'team']);
+    expect(glossary.dataUrl).toBe('./data/glossary.json');
+  });
+
+  it('should show a source badge only when several sources are loaded', () => {
+    const term = { ...createTestData().terms[0], source: 'team' };
+
+    expect(new TechGlossary().renderTermCard(term)).not.toContain('source-badge');
+    expect(new TechGlossary(['./a.json', './team.json']).renderTermCard(term))
+      .toContain('<span class="source-badge" title="Source: team">');
+
+    const swedish = new TechGlossary(['./a.json', './team.json']);
+    swedish.setLocale('sv');
+    expect(swedish.renderTermCard(term)).toContain('<span class="source-badge" title="Källa: team">');
+  });
+
+  it('should accept core options such as the collision strategy', () => {
+    const glossary = new TechGlossary({ sources: ['./a.json', './b.json'], collisionStrategy: 'keep-both' });
+
+    expect(glossary.core.collisionStrategy).toBe('keep-both');
+  });
+});
+
+describe('TechGlossary - export', () => {
+  let glossary;
+
+  beforeEach(() => {
+    // happy-dom follows download links instead of saving them
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    glossary = new TechGlossary();
+    glossary.data = createTestData();
+    glossary.elements.container = document.createElement('div');
+    glossary.elements.termCount = document.createElement('div');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should export only the current results by default', () => {
+    glossary.core.setCategory('DevOps');
+
+    const json = JSON.parse(glossary.exportGlossary('json'));
+
+    expect(json.terms.map(term => term.id)).toEqual(['ci-cd', 'docker']);
+  });
+
+  it('should export every term for the "all" scope', () => {
+    glossary.core.setCategory('DevOps');
+
+    const json = JSON.parse(glossary.exportGlossary('json', 'all'));
+
+    expect(json.terms).toHaveLength(4);
+  });
+
+  it('should describe the active filters in the export title', () => {
+    glossary.core.setCategory('DevOps');
+    glossary.core.setSearchQuery('container');
+
+    expect(glossary.getExportTitle('filtered')).toBe('Tech Glossary: DevOps, matching "container"');
+    expect(glossary.getExportTitle('all')).toBe('Tech Glossary');
+  });
+});
+
+describe('TechGlossary - saved terms', () => {
+  let glossary;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    localStorage.clear();
+
+    glossary = new TechGlossary();
+    glossary.data = createTestData();
+    glossary.elements.container = document.createElement('div');
+    glossary.elements.termCount = document.createElement('div');
+    glossary.attachEventListeners();
+  });
+
+  it('should star a term from its card', () => {
+    glossary.filterAndRender();
+    const star = glossary.elements.container.querySelector('[data-term-id="docker"] [data-action="toggle-star"]');
+
+    star.click();
+
+    expect(glossary.collections.isStarred('docker')).toBe(true);
+    expect(star.getAttribute('aria-pressed')).toBe('true');
+  });
+
+  it('should add a term to a collection from the card menu', () => {
+    const collection = glossary.collections.createCollection('Onboarding');
+    glossary.filterAndRender();
+    const card = glossary.elements.container.querySelector('[data-term-id="api"]');
+
+    card.querySelector('[data-action="open-collections"]').click();
+    const checkbox = card.querySelector(`input[data-collection-id="${collection.id}"]`);
+    checkbox.checked = true;
+    checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(glossary.collections.getCollection(collection.id).termIds).toEqual(['api']);
+  });
+
+  it('should round-trip the saved filter through the URL', () => {
+    const state = {
+      termId: null,
+      category: '_saved',
+      facets: [],
+      facetMode: 'any',
+      collection: 'onboarding',
+      query: '',
+      recent: false
+    };
+    const url = glossary.buildUrl(state);
+
+    expect(url).toBe('/?category=_saved&collection=onboarding');
+    expect(glossary.parseUrl(url)).toEqual(state);
+  });
+
+  it('should explain the empty Saved filter', () => {
+    glossary.core.setCategory('_saved');
+
+    expect(glossary.elements.container.textContent).toContain('No saved terms yet');
+  });
+});
+
+describe('TechGlossary - sharing', () => {
+  let glossary;
+  let nav;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    // happy-dom follows download links instead of saving them
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    nav = { clipboard: { writeText: vi.fn().mockResolvedValue() } };
+    glossary = new TechGlossary({ storage: null }, { navigator: nav });
+    glossary.data = createTestData();
+    glossary.elements.container = document.createElement('div');
+    glossary.elements.announcer = document.createElement('div');
+    glossary.attachEventListeners();
+    glossary.filterAndRender();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const action = (termId, name) =>
+    glossary.elements.container.querySelector(`[data-term-id="${termId}"] [data-action="${name}"]`);
+
+  /**
+   * Let canvases draw, recording the fill colors used
+   * @returns {string[]} Fill colors, filled in as cards are drawn
+   */
+  const fakeCanvas = () => {
+    const fillStyles = [];
+    const context = {
+      fillRect() { fillStyles.push(this.fillStyle); },
+      fillText() {},
+      measureText: text => ({ width: text.length * 10 })
+    };
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(context);
+    vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation((callback, type) => {
+      setTimeout(() => callback(new Blob(['png'], { type })));
+    });
+    return fillStyles;
+  };
+
+  it('should open the share sheet with a deep link before anything is awaited', async () => {
+    nav.share = vi.fn().mockResolvedValue();
+
+    // Called in the same task as the click, while it still counts as a user action
+    const sharing = glossary.shareTerm('rest');
+    expect(nav.share).toHaveBeenCalledWith(expect.objectContaining({
+      title: 'REST',
+      url: `${window.location.origin}/#/term/rest`
+    }));
+    expect(nav.share.mock.calls[0][0]).not.toHaveProperty('files');
+    expect(await sharing).toBe('shared');
+  });
+
+  it('should draw the card when the share menu opens and share it along', async () => {
+    fakeCanvas();
+    nav.share = vi.fn().mockResolvedValue();
+    nav.canShare = () => true;
+
+    glossary.elements.container.querySelector('[data-term-id="rest"] [data-action="open-share"]').click();
+    await glossary.prepareShareCard('rest');
+    action('rest', 'share-term').click();
+
+    const [file] = nav.share.mock.calls[0][0].files;
+    expect(file.name).toBe('rest-definition.png');
+    expect(file.type).toBe('image/png');
+  });
+
+  it('should copy the Markdown snippet from the card and announce it', async () => {
+    action('api', 'copy-markdown').click();
+    await vi.waitFor(() => expect(nav.clipboard.writeText).toHaveBeenCalled());
+
+    const markdown = nav.clipboard.writeText.mock.calls[0][0];
+    expect(markdown).toContain('**API** (Application Programming Interface)');
+    expect(markdown).toContain(`(${window.location.origin}/#/term/api)`);
+    expect(glossary.elements.announcer.textContent).toBe('Markdown for API copied');
+  });
+
+  it('should write the snippet link and card footer in the active language', async () => {
+    glossary.setLocale('de');
+
+    expect(await glossary.copyTermMarkdown('api')).toContain(`[API im Tech Glossary](${window.location.origin}/#/term/api)`);
+    expect(glossary.getShareContent('api').footer).toBe('Tech Glossary');
+  });
+
+  it('should fall back to copying when the Web Share API is missing', async () => {
+    expect(await glossary.shareTerm('docker')).toBe('copied');
+    expect(glossary.elements.announcer.textContent).toBe('Link and definition of Docker copied');
+  });
+
+  it('should download the definition card in the category color', async () => {
+    const fillStyles = fakeCanvas();
+
+    const image = await glossary.downloadShareCard('docker');
+
+    expect(image.type).toBe('image/png');
+    expect(fillStyles).toContain(categoryColor('DevOps', glossary.data.categories));
+    expect(HTMLAnchorElement.prototype.click).toHaveBeenCalled();
+    expect(glossary.elements.announcer.textContent).toBe('Image of Docker downloaded');
+  });
+
+  it('should explain when drawing the card fails', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => {
+      throw new Error('Canvas is blocked');
+    });
+
+    expect(await glossary.downloadShareCard('docker')).toBeNull();
+    expect(console.warn).toHaveBeenCalledWith('Failed to draw the definition card:', expect.any(Error));
+    expect(glossary.elements.announcer.textContent).toBe('This browser cannot draw the image');
+  });
+
+  it('should explain when the browser cannot draw the card', async () => {
+    vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+
+    expect(await glossary.downloadShareCard('docker')).toBeNull();
+    expect(glossary.elements.announcer.textContent).toBe('This browser cannot draw the image');
+  });
+});
+
+describe('TechGlossary - recent changes', () => {
+  let glossary;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    sessionStorage.clear();
+
+    const data = createTestData();
+    data.terms[0].createdAt = '2026-02-20';
+    data.terms[2].createdAt = '2025-01-10';
+    data.terms[2].updatedAt = '2026-02-25';
+    data.terms[2].changelog = [
+      { date: '2025-01-10', summary: 'Added' },
+      { date: '2026-02-25', summary: 'Explained <images>' }
+    ];
+
+    glossary = new TechGlossary({ storage: null, now: () => new Date('2026-03-01T00:00:00Z') });
+    glossary.elements.container = document.createElement('div');
+    glossary.elements.categoryFilter = document.createElement('div');
+    glossary.attachEventListeners();
+    glossary.core.setData(data);
+    glossary.renderCategoryFilters();
+    glossary.filterAndRender();
+  });
+
+  it('should badge new and updated cards and list their changelog newest first', () => {
+    const card = id => glossary.elements.container.querySelector(`[data-term-id="${id}"]`);
+
+    expect(card('api').querySelector('.change-badge-new').title).toBe('Added Feb 20, 2026');
+    expect(card('docker').querySelector('.change-badge-updated').textContent.trim()).toBe('Updated');
+    expect(card('rest').querySelector('.change-badge')).toBeNull();
+    expect([...card('docker').querySelectorAll('.term-history li')].map(item => item.textContent.trim()))
+      .toEqual(['Feb 25, 2026 Explained <images>', 'Jan 10, 2025 Added']);
+  });
+
+  it('should filter to recent changes from the filter bar and the URL', () => {
+    const button = glossary.elements.categoryFilter.querySelector('[data-recent]');
+
+    button.click();
+
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    expect(glossary.filteredTerms.map(term => term.id)).toEqual(['api', 'docker']);
+    expect(window.location.search).toBe('?recent=1');
+
+    button.click();
+    expect(glossary.filteredTerms).toHaveLength(4);
+  });
+});
+
+describe('TechGlossary - event handling', () => {
+  let glossary;
+
+  beforeEach(() => {
+    // Navigating schedules the scroll to the card; keep it from outliving the test
+    vi.useFakeTimers();
+    window.history.replaceState(null, '', '/');
+    sessionStorage.clear();
+
+    glossary = new TechGlossary();
+    glossary.data = createTestData();
+    glossary.elements.container = document.createElement('div');
+    glossary.elements.searchInput = document.createElement('input');
+    glossary.attachEventListeners();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should debounce search input', () => {
+    const input = glossary.elements.searchInput;
+
+    ['d', 'do', 'doc'].forEach(value => {
+      input.value = value;
+      input.dispatchEvent(new Event('input'));
+    });
+    expect(glossary.searchQuery).toBe('');
+
+    vi.advanceTimersByTime(SEARCH_DEBOUNCE_MS);
+    expect(glossary.searchQuery).toBe('doc');
+    expect(glossary.filteredTerms.map(t => t.id)).toEqual(['docker']);
+  });
+
+  it('should navigate from related terms through a delegated listener', () => {
+    glossary.filterAndRender();
+
+    glossary.elements.container.querySelector('[data-term-id="api"] .related-term-exists').click();
+
+    expect(glossary.activeTermId).toBe('rest');
+  });
+
+  it('should navigate from related terms with the keyboard', () => {
+    glossary.filterAndRender();
+    const chip = glossary.elements.container.querySelector('[data-term-id="api"] .related-term-exists');
+
+    chip.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    expect(glossary.activeTermId).toBe('rest');
+  });
+
+  it('should switch to windowed rendering for long result lists', () => {
+    const data = createTestData();
+    data.terms = Array.from({ length: VIRTUALIZE_THRESHOLD + 1 }, (_, i) => ({
+      ...data.terms[0],
+      id: `api-${i}`,
+      term: `API ${i}`
+    }));
+    glossary.data = data;
+
+    glossary.filterAndRender();
+    expect(glossary.virtualGrid).not.toBeNull();
+    expect(glossary.elements.container.querySelectorAll('article').length).toBeLessThan(VIRTUALIZE_THRESHOLD);
+
+    glossary.core.setSearchQuery('api 1');
+    expect(glossary.virtualGrid).toBeNull();
+  });
+});
+
+describe('TechGlossary - localization', () => {
+  let glossary;
+
+  beforeEach(() => {
+    localStorage.clear();
+
+    glossary = new TechGlossary();
+    const data = createTestData();
+    data.terms.find(term => term.id === 'docker').translations = {
+      de: { definition: 'Eine Plattform für Container' }
+    };
+    glossary.data = data;
+    glossary.elements.container = document.createElement('div');
+    glossary.elements.termCount = document.createElement('div');
+  });
+
+  it('should render cards and counts in the chosen language', () => {
+    glossary.setLocale('de');
+
+    const docker = glossary.elements.container.querySelector('[data-term-id="docker"]');
+    expect(docker.textContent).toContain('Eine Plattform für Container');
+    expect(docker.textContent).toContain('Beispiele:');
+    expect(glossary.elements.termCount.textContent).toBe('4 Begriffe');
+  });
+
+  it('should fall back to the default language for untranslated terms', () => {
+    glossary.setLocale('de');
+
+    const api = glossary.elements.container.querySelector('[data-term-id="api"]');
+    expect(api.textContent).toContain('A set of protocols for building software applications');
+    expect(api.textContent).toContain('Verwandte Begriffe:');
+  });
+
+  it('should remember the chosen language', () => {
+    glossary.setLocale('sv-SE');
+
+    expect(glossary.locale).toBe('sv');
+    expect(new TechGlossary().getInitialLocale()).toBe('sv');
+  });
+
+  it('should translate static page text', () => {
+    const heading = document.createElement('h2');
+    heading.dataset.i18n = 'filters.heading';
+    document.body.appendChild(heading);
+
+    glossary.setLocale('sv');
+    glossary.applyTranslations();
+
+    expect(heading.textContent).toBe('Filtrera efter kategori');
+    expect(document.documentElement.lang).toBe('sv');
+    heading.remove();
+  });
+
+  it('should translate plural page labels with their count', () => {
+    const hops = document.createElement('option');
+    hops.dataset.i18n = 'graph.hops';
+    hops.dataset.i18nCount = '2';
+    document.body.appendChild(hops);
+
+    glossary.setLocale('de');
+
+    expect(hops.textContent).toBe('2 Schritten');
+    hops.remove();
+  });
+
+  it('should describe export filters and collection imports in the chosen language', async () => {
+    glossary.setLocale('sv');
+    glossary.core.setFacets(['DevOps', 'Security']);
+    glossary.core.setSearchQuery('container');
+
+    expect(glossary.getExportTitle('filtered')).toBe('Tech Glossary: DevOps eller Security, som matchar ”container”');
+
+    glossary.elements.collectionStatus = document.createElement('span');
+    const teammate = new CollectionStore({ storage: null });
+    const onboarding = teammate.createCollection('Onboarding');
+    teammate.toggleTerm(onboarding.id, 'api', true);
+    await glossary.importCollections(new Blob([teammate.exportJson([onboarding.id])]));
+
+    expect(glossary.elements.collectionStatus.textContent).toBe('Importerade 1 samling (1 ny term).');
+  });
+});
+
+describe('TechGlossary - keyboard shortcuts', () => {
+  let glossary;
+
+  /**
+   * Dispatch a keydown event on an element
+   * @param {Element} target
+   * @param {string} key
+   * @param {Object} [init]
+   */
+  function press(target, key, init = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/');
+    sessionStorage.clear();
+    document.body.innerHTML = `
+      <input id="search-input" type="text">
+      <div id="category-filter"></div>
+      <section id="cards-section"><div id="glossary-container"></div></section>
+      <div id="command-palette" class="hidden"></div>
+      <div id="shortcut-help" class="hidden"></div>
+    `;
+
+    glossary = new TechGlossary();
+    glossary.data = createTestData();
+    glossary.cacheElements();
+    glossary.filterAndRender();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('should focus the search box with /', () => {
+    const event = new KeyboardEvent('keydown', { key: '/', cancelable: true });
+    glossary.handleShortcut(event);
+
+    expect(document.activeElement).toBe(glossary.elements.searchInput);
+    expect(event.defaultPrevented).toBe(true);
+  });
+
+  it('should move between cards with j and k', () => {
+    glossary.handleShortcut(new KeyboardEvent('keydown', { key: 'j' }));
+    expect(document.activeElement.dataset.termId).toBe('api');
+
+    glossary.handleShortcut(new KeyboardEvent('keydown', { key: 'j' }));
+    glossary.handleShortcut(new KeyboardEvent('keydown', { key: 'j' }));
+    expect(document.activeElement.dataset.termId).toBe('docker');
+
+    glossary.handleShortcut(new KeyboardEvent('keydown', { key: 'k' }));
+    expect(document.activeElement.dataset.termId).toBe('ci-cd');
+    expect(document.activeElement.getAttribute('tabindex')).toBe('-1');
+  });
+
+  it('should not react to shortcut keys typed into inputs', () => {
+    glossary.attachEventListeners();
+    const input = glossary.elements.searchInput;
+    input.focus();
+
+    const event = press(input, 'j');
+
+    expect(event.defaultPrevented).toBe(false);
+    expect(document.activeElement).toBe(input);
+    expect(glossary.isShortcutHelpOpen()).toBe(false);
+  });
+
+  it('should open the command palette with Ctrl+K and jump to a term', () => {
+    glossary.attachEventListeners();
+    press(document.body, 'k', { ctrlKey: true });
+
+    const palette = glossary.commandPalette;
+    expect(palette.isOpen).toBe(true);
+    palette.search('dock');
+    expect(palette.results[0].id).toBe('term:docker');
+
+    palette.run(0);
+    expect(glossary.activeTermId).toBe('docker');
+
+    press(document.body, 'k', { metaKey: true });
+    press(palette.input, 'Escape');
+    expect(palette.isOpen).toBe(false);
+  });
+
+  it('should offer categories, views and clearing history in the palette', () => {
+    const ids = glossary.getPaletteCommands().map(command => command.id);
+
+    expect(ids).toEqual(expect.arrayContaining([
+      'view:cards', 'view:graph', 'view:editor', 'action:clear-history',
+      'category:all', 'category:DevOps', 'category:_saved', 'term:rest'
+    ]));
+
+    glossary.getPaletteCommands().find(command => command.id === 'category:DevOps').run();
+    expect(glossary.currentCategory).toBe('DevOps');
+
+    glossary.navigateToTerm('api');
+    glossary.getPaletteCommands().find(command => command.id === 'action:clear-history').run();
+    expect(glossary.navigationHistory).toEqual([]);
+  });
+
+  it('should show and hide the shortcut overview with ?', () => {
+    glossary.handleShortcut(new KeyboardEvent('keydown', { key: '?' }));
+    expect(glossary.isShortcutHelpOpen()).toBe(true);
+    expect(document.querySelectorAll('#shortcut-help .shortcut-row').length).toBeGreaterThan(0);
+
+    glossary.handleShortcut(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(glossary.isShortcutHelpOpen()).toBe(false);
+  });
+});
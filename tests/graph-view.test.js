@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { GraphView } from '../src/graph-view.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { createTranslator } from '../src/i18n.js';
+import TechGlossary from '../glossary.js';
+import { createTestData } from './fixtures.js';
+
+describe('GraphView', () => {
+  let core;
+  let container;
+
+  beforeEach(() => {
+    core = new GlossaryCore({ storage: null });
+    core.setData(createTestData());
+    container = document.createElement('div');
+  });
+
+  it('should not render while hidden', () => {
+    new GraphView(core, container);
+
+    expect(container.innerHTML).toBe('');
+  });
+
+  it('should draw the whole graph when no term is selected', () => {
+    const view = new GraphView(core, container);
+    view.setVisible(true);
+
+    expect(container.querySelectorAll('.graph-node:not(.graph-node-ghost)')).toHaveLength(4);
+    expect(container.querySelector('.graph-node-ghost').getAttribute('aria-label')).toContain('External reference');
+  });
+
+  it('should focus on the neighbourhood of the navigated term', () => {
+    const view = new GraphView(core, container, { hops: 1 });
+    view.setVisible(true);
+
+    core.navigateToTerm('rest');
+
+    const ids = [...container.querySelectorAll('[data-term-id]')].map(node => node.dataset.termId);
+    expect(ids.sort()).toEqual(['api', 'rest']);
+    expect(container.querySelector('.graph-node-focus').dataset.termId).toBe('rest');
+  });
+
+  it('should call onSelect when a node is clicked or activated by keyboard', () => {
+    const onSelect = vi.fn();
+    const view = new GraphView(core, container, { onSelect });
+    view.setVisible(true);
+
+    container.querySelector('[data-term-id="docker"] circle').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+    container.querySelector('[data-term-id="api"]').dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    expect(onSelect.mock.calls).toEqual([['docker'], ['api']]);
+  });
+
+  it('should ask for a selection when the full graph is too large', () => {
+    const view = new GraphView(core, container, { maxFullGraphNodes: 2 });
+    view.setVisible(true);
+
+    expect(container.textContent).toContain('Select a term');
+  });
+
+  it('should label nodes and controls in the active language and re-render on a locale change', () => {
+    const data = createTestData();
+    data.terms.find(term => term.id === 'docker').translations = { de: { term: 'Docker-Plattform' } };
+    core.setData(data);
+    let translate = createTranslator('en');
+    const view = new GraphView(core, container, { translate: (key, params) => translate(key, params) });
+    view.setVisible(true);
+
+    translate = createTranslator('de');
+    core.setLocale('de');
+
+    expect(container.querySelector('svg').getAttribute('aria-label')).toBe('Graph verwandter Begriffe');
+    expect(container.querySelector('[data-term-id="docker"]').getAttribute('aria-label')).toBe('Zu Docker-Plattform wechseln');
+    expect(container.querySelector('[data-term-id="docker"] text').textContent).toBe('Docker-Plattform');
+    expect(container.querySelector('.graph-node-ghost').getAttribute('aria-label')).toMatch(/^Externer Verweis: /);
+  });
+});
+
+describe('TechGlossary - graph view', () => {
+  it('should switch views and navigate from graph nodes', () => {
+    document.body.innerHTML = `
+      <div id="view-toggle"><button data-view="cards"></button><button data-view="graph"></button></div>
+      <section id="cards-section"><div id="glossary-container"></div></section>
+      <section id="graph-section" class="hidden"><div id="graph-container"></div></section>
+    `;
+    const glossary = new TechGlossary();
+    glossary.cacheElements();
+    glossary.attachEventListeners();
+    glossary.core.setData(createTestData());
+
+    document.querySelector('[data-view="graph"]').click();
+
+    expect(document.getElementById('cards-section').classList.contains('hidden')).toBe(true);
+    expect(document.querySelector('[data-view="graph"]').getAttribute('aria-pressed')).toBe('true');
+
+    document.querySelector('#graph-container [data-term-id="rest"]').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(glossary.activeTermId).toBe('rest');
+    expect(window.location.hash).toBe('#/term/rest');
+  });
+});
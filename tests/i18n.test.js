@@ -0,0 +1,117 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest';
+import { resolveLocale, localizeTerm, createTranslator, DEFAULT_LOCALE } from '../src/i18n.js';
+import { MESSAGES } from '../src/messages.js';
+import { GlossaryCore, GlossaryEvent } from '../src/glossary-core.js';
+import { createTestData } from './fixtures.js';
+
+/**
+ * Test data with a Swedish translation of Docker
+ * @returns {Object}
+ */
+function createTranslatedData() {
+  const data = createTestData();
+  const docker = data.terms.find(term => term.id === 'docker');
+  docker.translations = {
+    sv: {
+      definition: 'En plattform för att bygga och köra program i containrar',
+      examples: ['Containerbaserade utvecklingsmiljöer']
+    }
+  };
+  return data;
+}
+
+describe('resolveLocale()', () => {
+  it('should match exactly, then by language, then fall back', () => {
+    expect(resolveLocale('sv')).toBe('sv');
+    expect(resolveLocale('de-AT')).toBe('de');
+    expect(resolveLocale('SV_se')).toBe('sv');
+    expect(resolveLocale('fr')).toBe(DEFAULT_LOCALE);
+    expect(resolveLocale(null)).toBe(DEFAULT_LOCALE);
+  });
+});
+
+describe('localizeTerm()', () => {
+  it('should override translated fields and keep the rest', () => {
+    const docker = createTranslatedData().terms.find(term => term.id === 'docker');
+    const localized = localizeTerm(docker, 'sv');
+
+    expect(localized.definition).toBe('En plattform för att bygga och köra program i containrar');
+    expect(localized.examples).toEqual(['Containerbaserade utvecklingsmiljöer']);
+    expect(localized.term).toBe('Docker');
+    expect(localized.category).toBe('DevOps');
+  });
+
+  it('should return the term itself without a translation', () => {
+    const docker = createTranslatedData().terms.find(term => term.id === 'docker');
+
+    expect(localizeTerm(docker, 'de')).toBe(docker);
+  });
+});
+
+describe('createTranslator()', () => {
+  it('should pick plural forms by count', () => {
+    const en = createTranslator('en');
+    const de = createTranslator('de');
+
+    expect(en('count.total', { count: 1 })).toBe('1 term');
+    expect(en('count.total', { count: 12 })).toBe('12 terms');
+    expect(de('count.total', { count: 1 })).toBe('1 Begriff');
+    expect(de('count.filtered', { count: 12, filtered: 3 })).toBe('3 von 12 Begriffen');
+  });
+
+  it('should format numbers for the locale', () => {
+    expect(createTranslator('en')('count.total', { count: 10000 })).toBe('10,000 terms');
+    expect(createTranslator('de')('count.total', { count: 10000 })).toBe('10.000 Begriffe');
+  });
+
+  it('should fall back to English, then to the key', () => {
+    const t = createTranslator('sv', { en: { greeting: 'Hello {name}' }, sv: {} });
+
+    expect(t('greeting', { name: 'Ada' })).toBe('Hello Ada');
+    expect(t('missing.key')).toBe('missing.key');
+  });
+
+  it('should translate every English message', () => {
+    const keys = Object.keys(MESSAGES.en);
+
+    Object.entries(MESSAGES).forEach(([locale, messages]) => {
+      expect(Object.keys(messages), locale).toEqual(keys);
+    });
+  });
+});
+
+describe('GlossaryCore - locale', () => {
+  let core;
+
+  beforeEach(() => {
+    core = new GlossaryCore({ storage: null });
+    core.setData(createTranslatedData());
+  });
+
+  it('should search the active locale', () => {
+    core.setSearchQuery('utvecklingsmiljöer');
+    expect(core.filteredTerms).toEqual([]);
+
+    core.setLocale('sv');
+
+    expect(core.filteredTerms.map(term => term.id)).toEqual(['docker']);
+  });
+
+  it('should still match English term names', () => {
+    core.setLocale('sv');
+    core.setSearchQuery('API');
+
+    expect(core.filteredTerms[0].id).toBe('api');
+  });
+
+  it('should notify subscribers when the locale changes', () => {
+    const events = [];
+    core.subscribe(GlossaryEvent.LOCALE, payload => events.push(payload));
+
+    core.setLocale('de');
+    core.setLocale('de');
+
+    expect(events).toEqual([{ locale: 'de' }]);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { dirname, join, normalize, resolve } from 'node:path';
+import { registerServiceWorker, DATA_UPDATED_MESSAGE } from '../src/offline.js';
+import TechGlossary from '../glossary.js';
+import { createTestData } from './fixtures.js';
+
+/**
+ * Fake navigator with a service worker container
+ * @returns {{navigator: Object, dispatch: Function}}
+ */
+function createNavigator() {
+  const listeners = [];
+  const navigator = {
+    serviceWorker: {
+      register: vi.fn().mockResolvedValue({ scope: '/' }),
+      addEventListener: (type, listener) => listeners.push(listener)
+    }
+  };
+  return { navigator, dispatch: data => listeners.forEach(listener => listener({ data })) };
+}
+
+describe('registerServiceWorker()', () => {
+  it('should register the worker script', async () => {
+    const { navigator } = createNavigator();
+
+    const registration = await registerServiceWorker({ navigator });
+
+    expect(navigator.serviceWorker.register).toHaveBeenCalledWith('./sw.js');
+    expect(registration).toEqual({ scope: '/' });
+  });
+
+  it('should call onDataUpdate when the worker reports new data', async () => {
+    const { navigator, dispatch } = createNavigator();
+    const onDataUpdate = vi.fn();
+
+    await registerServiceWorker({ navigator, onDataUpdate });
+    dispatch({ type: 'something-else' });
+    dispatch({ type: DATA_UPDATED_MESSAGE });
+
+    expect(onDataUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should do nothing without service worker support', async () => {
+    expect(await registerServiceWorker({ navigator: {} })).toBeNull();
+  });
+});
+
+/**
+ * Modules a page loads, following static and dynamic imports
+ * @param {string[]} entries - Paths relative to the project root
+ * @returns {Set<string>} Paths relative to the project root
+ */
+function collectImports(entries) {
+  const seen = new Set();
+  const queue = [...entries];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (seen.has(file)) continue;
+    seen.add(file);
+
+    const source = readFileSync(resolve(__dirname, '..', file), 'utf8');
+    for (const [, specifier] of source.matchAll(/^\s*(?:import|export)\b[^'"]*?from\s*['"](\.[^'"]+)['"]|\bimport\(\s*['"](\.[^'"]+)['"]\s*\)(?!\.)/gm)) {
+      if (specifier) queue.push(normalize(join(dirname(file), specifier)));
+    }
+  }
+  return seen;
+}
+
+describe('sw.js precache list', () => {
+  const worker = readFileSync(resolve(__dirname, '../sw.js'), 'utf8');
+  const precached = [...worker.match(/const PRECACHE_URLS = \[([\s\S]*?)\];/)[1].matchAll(/'\.\/([^']*)'/g)]
+    .map(([, path]) => path);
+
+  it('should precache the app shell and data', () => {
+    ['./index.html', './glossary.js', './styles.css', './data/glossary.json'].forEach(url => {
+      expect(worker).toContain(`'${url}'`);
+    });
+  });
+
+  it('should precache exactly the modules index.html loads', () => {
+    const page = readFileSync(resolve(__dirname, '../index.html'), 'utf8');
+    const entries = [...page.matchAll(/<script type="module">([\s\S]*?)<\/script>/g)]
+      .flatMap(([, script]) => [...script.matchAll(/from ['"]\.\/([^'"]+)['"]/g)].map(([, path]) => path));
+
+    expect(entries).toContain('glossary.js');
+    expect(precached.filter(path => path.endsWith('.js')).sort()).toEqual([...collectImports(entries)].sort());
+  });
+
+  it('should leave Node-only modules out', () => {
+    ['src/glossary-api.js', 'src/static-site.js', 'src/feed.js'].forEach(path => {
+      expect(precached).not.toContain(path);
+    });
+  });
+
+  it('should derive the cache name instead of a hand-bumped version', () => {
+    expect(worker).toMatch(/const CACHE_NAME = `tech-glossary-\$\{BUILD_HASH \|\| hashString\(PRECACHE_URLS/);
+    expect(worker).toContain("const BUILD_HASH = '';");
+  });
+});
+
+describe('TechGlossary - new data notice', () => {
+  let glossary;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="update-notice" class="hidden"></div><div id="glossary-container"></div>';
+    glossary = new TechGlossary();
+    glossary.cacheElements();
+  });
+
+  it('should show a notice offering to load new terms', () => {
+    glossary.showUpdateNotice();
+
+    const notice = document.getElementById('update-notice');
+    expect(notice.classList.contains('hidden')).toBe(false);
+    expect(notice.textContent).toContain('New terms available');
+  });
+
+  it('should reload data when the notice button is clicked', async () => {
+    const loadData = vi.spyOn(glossary.core, 'loadData').mockImplementation(async () => {
+      glossary.core.setData(createTestData());
+    });
+    glossary.showUpdateNotice();
+
+    document.querySelector('[data-action="refresh-data"]').click();
+    await vi.waitFor(() => expect(glossary.filteredTerms).toHaveLength(4));
+
+    expect(loadData).toHaveBeenCalledTimes(1);
+    expect(document.getElementById('update-notice').classList.contains('hidden')).toBe(true);
+  });
+});
@@ -0,0 +1,107 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  getSchemaVersion,
+  migrateGlossary,
+  withSchemaVersion
+} from '../src/schema.js';
+import { createTestData } from './fixtures.js';
+
+const readJson = file => JSON.parse(readFileSync(resolve(dirname(fileURLToPath(import.meta.url)), '..', file), 'utf8'));
+
+describe('getSchemaVersion()', () => {
+  it('should treat files without a schemaVersion as version 1', () => {
+    expect(getSchemaVersion(createTestData())).toBe(1);
+    expect(getSchemaVersion({ schemaVersion: 2, terms: [] })).toBe(2);
+  });
+
+  it('should reject versions that are not positive integers', () => {
+    expect(() => getSchemaVersion({ schemaVersion: '2' })).toThrow('Invalid schemaVersion "2"');
+    expect(() => getSchemaVersion({ schemaVersion: 0 })).toThrow('Invalid schemaVersion 0');
+  });
+});
+
+describe('migrateGlossary()', () => {
+  it('should have a migration for every version below the current one', () => {
+    for (let version = 1; version < CURRENT_SCHEMA_VERSION; version++) {
+      expect(MIGRATIONS[version], `migration from ${version}`).toBeDefined();
+    }
+  });
+
+  it('should upgrade version 1 files', () => {
+    const legacy = {
+      terms: [
+        { id: 'tdd', term: 'TDD', fullForm: '', definition: 'Writing tests first', category: 'Process' },
+        ...createTestData().terms
+      ],
+      categories: ['Process']
+    };
+
+    const { data, fromVersion, toVersion, applied } = migrateGlossary(legacy);
+
+    expect(fromVersion).toBe(1);
+    expect(toVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(applied).toHaveLength(CURRENT_SCHEMA_VERSION - 1);
+    expect(Object.keys(data)[0]).toBe('schemaVersion');
+    expect(data.terms[0]).toMatchObject({ fullForm: null, relatedTerms: [], examples: [] });
+    expect(data.terms[1]).toEqual(createTestData().terms[0]);
+  });
+
+  it('should leave its input untouched', () => {
+    const legacy = createTestData();
+    delete legacy.terms[0].examples;
+
+    migrateGlossary(legacy);
+
+    expect(legacy.schemaVersion).toBeUndefined();
+    expect(legacy.terms[0].examples).toBeUndefined();
+  });
+
+  it('should not change data at the current version', () => {
+    const current = withSchemaVersion(createTestData());
+
+    const result = migrateGlossary(current);
+
+    expect(result.applied).toEqual([]);
+    expect(result.data).toEqual(current);
+    expect(result.data).not.toBe(current);
+  });
+
+  it('should run migrations in order up to the target', () => {
+    const migrations = {
+      1: { description: 'one', migrate: data => ({ ...data, steps: ['one'] }) },
+      2: { description: 'two', migrate: data => ({ ...data, steps: [...data.steps, 'two'] }) }
+    };
+
+    const result = migrateGlossary({ terms: [] }, { to: 3, migrations });
+
+    expect(result.data).toEqual({ schemaVersion: 3, terms: [], steps: ['one', 'two'] });
+    expect(result.applied).toEqual(['one', 'two']);
+    expect(() => migrateGlossary({ terms: [] }, { to: 4, migrations })).toThrow('No migration from schema version 3 to 4');
+  });
+
+  it('should refuse data from a newer version', () => {
+    expect(() => migrateGlossary({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, terms: [] }))
+      .toThrow(`only versions up to ${CURRENT_SCHEMA_VERSION} are supported`);
+  });
+
+  it('should leave malformed data for the validator', () => {
+    expect(migrateGlossary(null).data).toBeNull();
+    expect(migrateGlossary({ categories: [] }).data).toEqual({ schemaVersion: CURRENT_SCHEMA_VERSION, categories: [] });
+  });
+});
+
+describe('data files', () => {
+  it('should keep data/glossary.json at the current version', () => {
+    expect(getSchemaVersion(readJson('data/glossary.json'))).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  it('should describe the current version in the JSON Schema', () => {
+    expect(readJson('data/glossary.schema.json').properties.schemaVersion.const).toBe(CURRENT_SCHEMA_VERSION);
+  });
+});
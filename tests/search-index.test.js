@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { SearchIndex, tokenize, editDistance } from '../src/search-index.js';
+
+const terms = [
+  {
+    id: 'api',
+    term: 'API',
+    fullForm: 'Application Programming Interface',
+    definition: 'A set of protocols for building software applications',
+    relatedTerms: ['REST'],
+    examples: ['GraphQL API']
+  },
+  {
+    id: 'kubernetes',
+    term: 'Kubernetes',
+    fullForm: null,
+    definition: 'Container orchestration platform that exposes an API',
+    relatedTerms: ['Docker'],
+    examples: ['K8s cluster management']
+  },
+  {
+    id: 'docker',
+    term: 'Docker',
+    fullForm: null,
+    definition: 'A platform for running applications in containers',
+    relatedTerms: ['Kubernetes'],
+    examples: []
+  }
+];
+
+describe('tokenize()', () => {
+  it('should lowercase and split on punctuation', () => {
+    expect(tokenize('CI/CD pipelines, GraphQL!')).toEqual(['ci', 'cd', 'pipelines', 'graphql']);
+  });
+
+  it('should keep non-ASCII letters together', () => {
+    expect(tokenize('Schnittstelle für Anwendungen')).toEqual(['schnittstelle', 'für', 'anwendungen']);
+  });
+
+  it('should return an empty array for missing text', () => {
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('editDistance()', () => {
+  it('should count adjacent transpositions as one edit', () => {
+    expect(editDistance('kuberentes', 'kubernetes', 2)).toBe(1);
+  });
+
+  it('should stop early once the limit is exceeded', () => {
+    expect(editDistance('docker', 'graphql', 1)).toBe(2);
+  });
+});
+
+describe('SearchIndex', () => {
+  const index = new SearchIndex(terms);
+
+  it('should rank the term itself above terms that mention it', () => {
+    const ids = index.search('API').map(result => result.term.id);
+
+    expect(ids).toEqual(['api', 'kubernetes']);
+  });
+
+  it('should find terms despite typos', () => {
+    expect(index.search('kuberentes')[0].term.id).toBe('kubernetes');
+  });
+
+  it('should match word prefixes', () => {
+    expect(index.search('orchest').map(result => result.term.id)).toEqual(['kubernetes']);
+  });
+
+  it('should require every query word to match', () => {
+    expect(index.search('container platform').map(result => result.term.id))
+      .toEqual(['kubernetes', 'docker']);
+    expect(index.search('container protocols')).toEqual([]);
+  });
+
+  it('should search related terms', () => {
+    const ids = index.search('docker').map(result => result.term.id);
+
+    expect(ids).toEqual(['docker', 'kubernetes']);
+  });
+
+  it('should report matched tokens for highlighting', () => {
+    const [result] = index.search('contaner');
+
+    expect(result.matches).toContain('container');
+  });
+
+  it('should search aliases and ignore punctuation in names', () => {
+    const withAliases = new SearchIndex([...terms, {
+      id: 'ci-cd',
+      term: 'CI/CD',
+      fullForm: null,
+      aliases: ['Continuous Integration'],
+      definition: 'Automated building, testing and deployment',
+      relatedTerms: [],
+      examples: []
+    }]);
+
+    expect(withAliases.search('continuous integration')[0].term.id).toBe('ci-cd');
+    expect(withAliases.search('ci-cd')[0].term.id).toBe('ci-cd');
+  });
+
+  it('should return nothing for an empty query', () => {
+    expect(index.search('   ')).toEqual([]);
+  });
+});
@@ -0,0 +1,194 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import {
+  formatTermMarkdown,
+  wrapText,
+  drawShareCard,
+  renderShareCard,
+  shareTerm,
+  shareCardFilename,
+  ShareResult,
+  SHARE_CARD_WIDTH,
+  SHARE_CARD_HEIGHT
+} from '../src/share.js';
+
+const API = {
+  term: 'API',
+  fullForm: 'Application Programming Interface',
+  definition: 'A set of protocols for building software applications',
+  category: 'Architecture'
+};
+
+const LINK = 'https://glossary.example/#/term/api';
+
+/** Every character is 10px wide */
+const measure = text => text.length * 10;
+
+/**
+ * Canvas context that records what is drawn
+ * @returns {Object}
+ */
+function createContext() {
+  return {
+    texts: [],
+    fillRect: vi.fn(),
+    measureText: text => ({ width: measure(text) }),
+    fillText(text) {
+      this.texts.push(text);
+    }
+  };
+}
+
+/**
+ * Canvas whose context records what is drawn
+ * @returns {Object}
+ */
+function createCanvas() {
+  const context = createContext();
+  return {
+    context,
+    getContext: type => (type === '2d' ? context : null),
+    toBlob(callback, type) {
+      callback({ type, size: 1 });
+    }
+  };
+}
+
+describe('formatTermMarkdown', () => {
+  it('should give the term, full form, definition and link', () => {
+    expect(formatTermMarkdown(API, LINK)).toBe([
+      '**API** (Application Programming Interface)',
+      '',
+      'A set of protocols for building software applications',
+      '',
+      `[API in the Tech Glossary](${LINK})`
+    ].join('\n'));
+  });
+
+  it('should leave out a missing full form and link', () => {
+    const docker = { term: 'Docker', fullForm: null, definition: 'Runs *containers*', category: 'DevOps' };
+
+    expect(formatTermMarkdown(docker)).toBe('**Docker**\n\nRuns \\*containers\\*');
+  });
+
+  it('should use the given link text', () => {
+    expect(formatTermMarkdown(API, LINK, 'API im Tech Glossary')).toMatch(/\n\[API im Tech Glossary\]\(https:/);
+  });
+});
+
+describe('wrapText', () => {
+  it('should break lines at words', () => {
+    expect(wrapText('one two three four', 90, measure)).toEqual(['one two', 'three', 'four']);
+  });
+
+  it('should keep words longer than a line whole', () => {
+    expect(wrapText('a Supercalifragilistic b', 50, measure)).toEqual(['a', 'Supercalifragilistic', 'b']);
+  });
+
+  it('should cut text after the last line with an ellipsis', () => {
+    expect(wrapText('one two three four five', 90, measure, 2)).toEqual(['one two', 'three…']);
+  });
+});
+
+describe('drawShareCard', () => {
+  it('should draw the category, term, full form, definition and footer', () => {
+    const context = createContext();
+
+    drawShareCard(context, API, { color: '#16a34a' });
+
+    expect(context.texts).toEqual([
+      'ARCHITECTURE',
+      'API',
+      'Application Programming Interface',
+      'A set of protocols for building software applications',
+      'Tech Glossary'
+    ]);
+    expect(context.fillRect).toHaveBeenCalledWith(0, 0, SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT);
+  });
+
+  it('should fit long definitions on the card', () => {
+    const context = createContext();
+
+    drawShareCard(context, { ...API, definition: 'word '.repeat(2000) });
+
+    const definitionLines = context.texts.slice(3, -1);
+    expect(definitionLines.length).toBeLessThanOrEqual(7);
+    expect(definitionLines.at(-1)).toMatch(/…$/);
+  });
+});
+
+describe('renderShareCard', () => {
+  it('should render a PNG at the card size', async () => {
+    const canvas = createCanvas();
+
+    const image = await renderShareCard(API, { color: '#16a34a', createCanvas: () => canvas });
+
+    expect(image.type).toBe('image/png');
+    expect([canvas.width, canvas.height]).toEqual([SHARE_CARD_WIDTH, SHARE_CARD_HEIGHT]);
+    expect(canvas.context.texts).toContain('API');
+  });
+
+  it('should return null without a 2D context', async () => {
+    expect(await renderShareCard(API, { createCanvas: () => ({ getContext: () => null }) })).toBeNull();
+  });
+});
+
+describe('shareTerm', () => {
+  const file = new File(['png'], shareCardFilename('api'), { type: 'image/png' });
+
+  it('should hand the snippet, link and card to the share sheet', async () => {
+    const nav = { share: vi.fn().mockResolvedValue(), canShare: () => true };
+
+    expect(await shareTerm(API, { url: LINK, file }, { navigator: nav })).toBe(ShareResult.SHARED);
+    expect(nav.share).toHaveBeenCalledWith({
+      title: 'API',
+      text: formatTermMarkdown(API),
+      url: LINK,
+      files: [file]
+    });
+  });
+
+  it('should leave the card out where files cannot be shared', async () => {
+    const nav = { share: vi.fn().mockResolvedValue(), canShare: () => false };
+
+    await shareTerm(API, { url: LINK, file }, { navigator: nav });
+
+    expect(nav.share.mock.calls[0][0]).not.toHaveProperty('files');
+  });
+
+  it('should report a closed share sheet without copying', async () => {
+    const abort = Object.assign(new Error('Share canceled'), { name: 'AbortError' });
+    const clipboard = { writeText: vi.fn() };
+    const nav = { share: vi.fn().mockRejectedValue(abort) };
+
+    expect(await shareTerm(API, { url: LINK }, { navigator: nav, clipboard })).toBe(ShareResult.CANCELLED);
+    expect(clipboard.writeText).not.toHaveBeenCalled();
+  });
+
+  it('should copy the snippet with its link without the Web Share API', async () => {
+    const clipboard = { writeText: vi.fn().mockResolvedValue() };
+
+    expect(await shareTerm(API, { url: LINK }, { navigator: { clipboard } })).toBe(ShareResult.COPIED);
+    expect(clipboard.writeText).toHaveBeenCalledWith(formatTermMarkdown(API, LINK));
+  });
+
+  it('should copy the snippet with the given link text', async () => {
+    const clipboard = { writeText: vi.fn().mockResolvedValue() };
+
+    await shareTerm(API, { url: LINK, linkText: 'API i Tech Glossary' }, { navigator: { clipboard } });
+
+    expect(clipboard.writeText).toHaveBeenCalledWith(formatTermMarkdown(API, LINK, 'API i Tech Glossary'));
+  });
+
+  it('should copy when sharing is refused', async () => {
+    const clipboard = { writeText: vi.fn().mockResolvedValue() };
+    const refused = Object.assign(new Error('Not allowed'), { name: 'NotAllowedError' });
+    const nav = { share: vi.fn().mockRejectedValue(refused), clipboard };
+
+    expect(await shareTerm(API, { url: LINK }, { navigator: nav })).toBe(ShareResult.COPIED);
+  });
+
+  it('should fail when there is no way to share', async () => {
+    await expect(shareTerm(API, { url: LINK }, { navigator: {} })).rejects.toThrow('not available');
+  });
+});
@@ -0,0 +1,54 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { matchShortcut, isTypingTarget, renderShortcutHelp, SHORTCUTS } from '../src/shortcuts.js';
+import { createTranslator } from '../src/i18n.js';
+
+const body = { tagName: 'BODY' };
+const input = { tagName: 'INPUT' };
+
+describe('matchShortcut', () => {
+  it('should map single keys outside form fields', () => {
+    expect(matchShortcut({ key: '/', target: body })).toBe('focus-search');
+    expect(matchShortcut({ key: 'j', target: body })).toBe('next-card');
+    expect(matchShortcut({ key: 'k', target: body })).toBe('previous-card');
+    expect(matchShortcut({ key: '?', target: body, shiftKey: true })).toBe('help');
+    expect(matchShortcut({ key: 'x', target: body })).toBeNull();
+  });
+
+  it('should ignore single keys while typing', () => {
+    expect(matchShortcut({ key: 'j', target: input })).toBeNull();
+    expect(matchShortcut({ key: '/', target: { tagName: 'TEXTAREA' } })).toBeNull();
+    expect(matchShortcut({ key: '?', target: { tagName: 'DIV', isContentEditable: true } })).toBeNull();
+  });
+
+  it('should ignore single keys with modifiers', () => {
+    expect(matchShortcut({ key: 'j', ctrlKey: true, target: body })).toBeNull();
+    expect(matchShortcut({ key: 'k', altKey: true, target: body })).toBeNull();
+  });
+
+  it('should open the palette with Ctrl+K or Cmd+K, even in inputs', () => {
+    expect(matchShortcut({ key: 'k', ctrlKey: true, target: input })).toBe('palette');
+    expect(matchShortcut({ key: 'K', metaKey: true, target: body })).toBe('palette');
+    expect(matchShortcut({ key: 'Escape', target: input })).toBe('close');
+  });
+});
+
+describe('isTypingTarget', () => {
+  it('should recognize form fields', () => {
+    expect(isTypingTarget(input)).toBe(true);
+    expect(isTypingTarget({ tagName: 'SELECT' })).toBe(true);
+    expect(isTypingTarget({ tagName: 'BUTTON' })).toBe(false);
+    expect(isTypingTarget(null)).toBe(false);
+  });
+});
+
+describe('renderShortcutHelp', () => {
+  it('should list every shortcut in the active language', () => {
+    const html = renderShortcutHelp(createTranslator('de'));
+
+    expect(html.match(/class="shortcut-row"/g)).toHaveLength(SHORTCUTS.length);
+    expect(html).toContain('Tastenkürzel');
+    expect(html).toContain('<kbd>j</kbd>');
+    expect(html).toContain('role="dialog"');
+  });
+});
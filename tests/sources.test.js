@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSources, mergeGlossaries, CollisionStrategy } from '../src/sources.js';
+
+const core = {
+  source: { url: './data/glossary.json', namespace: 'core', priority: 0 },
+  data: {
+    terms: [
+      { id: 'api', term: 'API', category: 'Architecture' },
+      { id: 'docker', term: 'Docker', category: 'DevOps' }
+    ],
+    categories: ['Architecture', 'DevOps']
+  }
+};
+
+const team = {
+  source: { url: './data/team.json', namespace: 'team', priority: 10 },
+  data: {
+    terms: [
+      { id: 'api', term: 'API', category: 'Architecture', definition: 'Our internal gateway' },
+      { id: 'deploy-train', term: 'Deploy Train', category: 'Process' }
+    ],
+    categories: ['Process', 'DevOps']
+  }
+};
+
+describe('normalizeSources()', () => {
+  it('should turn URLs into sources named after the file', () => {
+    expect(normalizeSources('./data/glossary.json')).toEqual([
+      { url: './data/glossary.json', namespace: 'glossary', priority: 0 }
+    ]);
+  });
+
+  it('should keep explicit namespaces and priorities', () => {
+    const [, second] = normalizeSources(['./a.json', { url: './b.json', namespace: 'team', priority: 5 }]);
+
+    expect(second).toEqual({ url: './b.json', namespace: 'team', priority: 5 });
+  });
+
+  it('should reject duplicate namespaces and missing URLs', () => {
+    expect(() => normalizeSources(['./data/terms.json', './other/terms.json'])).toThrow('Duplicate source namespace "terms"');
+    expect(() => normalizeSources([{ namespace: 'x' }])).toThrow('needs a url');
+  });
+});
+
+describe('mergeGlossaries()', () => {
+  it('should tag terms with their source and merge categories', () => {
+    const merged = mergeGlossaries([core, team]);
+
+    expect(merged.categories).toEqual(['Architecture', 'DevOps', 'Process']);
+    expect(merged.terms.find(t => t.id === 'deploy-train').source).toBe('team');
+    expect(merged.terms.find(t => t.id === 'docker').source).toBe('core');
+  });
+
+  it('should let the higher-priority source override', () => {
+    const merged = mergeGlossaries([core, team], CollisionStrategy.OVERRIDE);
+    const apis = merged.terms.filter(t => t.term === 'API');
+
+    expect(apis).toHaveLength(1);
+    expect(apis[0]).toMatchObject({ id: 'api', source: 'team' });
+  });
+
+  it('should let the later source win a priority tie', () => {
+    const equalTeam = { ...team, source: { ...team.source, priority: 0 } };
+
+    expect(mergeGlossaries([equalTeam, core]).terms.find(t => t.id === 'api').source).toBe('core');
+  });
+
+  it('should keep both terms under namespaced ids', () => {
+    const merged = mergeGlossaries([core, team], CollisionStrategy.KEEP_BOTH);
+
+    expect(merged.terms.map(t => t.id)).toEqual(expect.arrayContaining(['api', 'core-api']));
+    expect(merged.terms.find(t => t.id === 'core-api').source).toBe('core');
+  });
+
+  it('should fail on collisions with the error strategy', () => {
+    expect(() => mergeGlossaries([core, team], CollisionStrategy.ERROR))
+      .toThrow('Term id "api" is defined in both "team" and "core"');
+  });
+
+  it('should keep duplicates inside one pack for validation to report', () => {
+    const pack = { ...core, data: { ...core.data, terms: [...core.data.terms, core.data.terms[0]] } };
+
+    expect(mergeGlossaries([pack]).terms.filter(t => t.id === 'api')).toHaveLength(2);
+  });
+
+  it('should reject unknown strategies', () => {
+    expect(() => mergeGlossaries([core], 'merge')).toThrow('Unknown collision strategy "merge"');
+  });
+});
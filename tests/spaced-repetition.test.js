@@ -0,0 +1,97 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  scheduleReview,
+  StudyProgress,
+  Grade,
+  INITIAL_EASE,
+  MIN_EASE,
+  LAPSE_DELAY_MS,
+  STUDY_STORAGE_KEY
+} from '../src/spaced-repetition.js';
+import { createMemoryStorage } from './fixtures.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1);
+
+describe('scheduleReview()', () => {
+  it('should space correct answers 1 day, 6 days, then by the ease factor', () => {
+    const first = scheduleReview(null, Grade.GOOD, NOW);
+    const second = scheduleReview(first, Grade.GOOD, NOW);
+    const third = scheduleReview(second, Grade.GOOD, NOW);
+
+    expect([first.interval, second.interval, third.interval]).toEqual([1, 6, 15]);
+    expect(first.due).toBe(NOW + DAY);
+    expect(third).toMatchObject({ repetitions: 3, reviews: 3, misses: 0, ease: INITIAL_EASE });
+  });
+
+  it('should raise the ease of easy cards and lower it for hard ones', () => {
+    expect(scheduleReview(null, Grade.EASY, NOW).ease).toBeCloseTo(INITIAL_EASE + 0.1);
+    expect(scheduleReview(null, Grade.HARD, NOW).ease).toBeCloseTo(INITIAL_EASE - 0.14);
+  });
+
+  it('should restart a missed card and bring it back soon', () => {
+    const learned = scheduleReview(scheduleReview(null, Grade.GOOD, NOW), Grade.GOOD, NOW);
+    const missed = scheduleReview(learned, Grade.AGAIN, NOW);
+
+    expect(missed).toMatchObject({ repetitions: 0, interval: 0, misses: 1, due: NOW + LAPSE_DELAY_MS });
+    expect(learned.misses).toBe(0);
+  });
+
+  it('should not let the ease drop below the minimum', () => {
+    let progress = null;
+    for (let i = 0; i < 10; i++) {
+      progress = scheduleReview(progress, Grade.AGAIN, NOW);
+    }
+
+    expect(progress.ease).toBe(MIN_EASE);
+  });
+});
+
+describe('StudyProgress', () => {
+  it('should persist answers to the configured storage', () => {
+    const storage = createMemoryStorage();
+    const progress = new StudyProgress({ storage });
+    progress.record('docker:definition', Grade.GOOD, NOW);
+
+    const reloaded = new StudyProgress({ storage });
+    expect(reloaded.get('docker:definition')).toMatchObject({ repetitions: 1, due: NOW + DAY });
+    expect(JSON.parse(storage.getItem(STUDY_STORAGE_KEY)).version).toBe(1);
+  });
+
+  it('should tell new, due and scheduled cards apart', () => {
+    const progress = new StudyProgress({ storage: null });
+    progress.record('docker:definition', Grade.GOOD, NOW);
+
+    expect(progress.get('rest:definition')).toBeNull();
+    expect(progress.isDue('rest:definition', NOW)).toBe(false);
+    expect(progress.isDue('docker:definition', NOW)).toBe(false);
+    expect(progress.isDue('docker:definition', NOW + DAY)).toBe(true);
+  });
+
+  it('should rank terms by misses across their cards', () => {
+    const progress = new StudyProgress({ storage: null });
+    progress.record('ci-cd:definition', Grade.AGAIN, NOW);
+    progress.record('ci-cd:full-form', Grade.AGAIN, NOW);
+    progress.record('docker:definition', Grade.AGAIN, NOW);
+    progress.record('rest:definition', Grade.GOOD, NOW);
+
+    expect(progress.getMissedTerms()).toEqual([
+      { termId: 'ci-cd', misses: 2, reviews: 2 },
+      { termId: 'docker', misses: 1, reviews: 1 }
+    ]);
+    expect(progress.getMissedTerms(1)).toHaveLength(1);
+  });
+
+  it('should ignore corrupt entries and reset', () => {
+    const storage = createMemoryStorage();
+    storage.setItem(STUDY_STORAGE_KEY, JSON.stringify({ cards: { 'api:definition': { due: 'soon' } } }));
+    const progress = new StudyProgress({ storage });
+
+    expect(progress.cards).toEqual({});
+
+    progress.record('api:definition', Grade.GOOD, NOW);
+    progress.reset();
+    expect(new StudyProgress({ storage }).cards).toEqual({});
+  });
+});
@@ -0,0 +1,184 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  buildStaticPages,
+  buildSitemap,
+  renderPage,
+  termPath,
+  categoryPath,
+  truncateDescription,
+  stampServiceWorker
+} from '../src/static-site.js';
+import { createTestData } from './fixtures.js';
+
+const template = readFileSync(resolve(dirname(fileURLToPath(import.meta.url)), '../index.html'), 'utf8');
+
+const renderCard = term => `<article class="term-card" id="term-${term.id}"><h2>${term.term}</h2></article>`;
+
+/**
+ * Parse the JSON-LD block of a page
+ * @param {string} html
+ * @returns {Object}
+ */
+function structuredData(html) {
+  const match = html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/);
+  return JSON.parse(match[1]);
+}
+
+describe('static site paths', () => {
+  it('should put terms and categories in their own directories', () => {
+    expect(termPath('ci-cd')).toBe('term/ci-cd/');
+    expect(categoryPath('DevOps')).toBe('category/dev-ops/');
+    expect(categoryPath('Architecture')).toBe('category/architecture/');
+  });
+
+  it('should shorten descriptions at a word boundary', () => {
+    expect(truncateDescription('Short  text\n')).toBe('Short text');
+
+    const description = truncateDescription('word '.repeat(50), 30);
+    expect(description.length).toBeLessThanOrEqual(30);
+    expect(description).toBe('word word word word word word…');
+  });
+});
+
+describe('buildStaticPages()', () => {
+  const pages = buildStaticPages(createTestData(), {
+    template,
+    siteUrl: 'https://glossary.example.com',
+    renderCard
+  });
+  const page = path => pages.find(p => p.path === path);
+
+  it('should build a home page, a page per used category and a page per term', () => {
+    expect(pages.map(p => p.path)).toEqual([
+      'index.html',
+      'category/architecture/index.html',
+      'category/dev-ops/index.html',
+      'term/api/index.html',
+      'term/ci-cd/index.html',
+      'term/docker/index.html',
+      'term/rest/index.html'
+    ]);
+    expect(page('term/rest/index.html').url).toBe('https://glossary.example.com/term/rest/');
+  });
+
+  it('should give each term page its own title and metadata', () => {
+    const { content } = page('term/rest/index.html');
+
+    expect(content).toContain('<title>REST (Representational State Transfer) | Tech Glossary</title>');
+    expect(content).toContain('<meta name="description" content="An architectural style');
+    expect(content).toContain('<link rel="canonical" href="https://glossary.example.com/term/rest/">');
+    expect(content).toContain('<meta property="og:type" content="article">');
+    expect(content.match(/property="og:title"/g)).toHaveLength(1);
+  });
+
+  it('should describe terms as schema.org DefinedTerms', () => {
+    const data = structuredData(page('term/docker/index.html').content);
+
+    expect(data).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'DefinedTerm',
+      name: 'Docker',
+      termCode: 'docker',
+      url: 'https://glossary.example.com/term/docker/',
+      inDefinedTermSet: { '@type': 'DefinedTermSet', url: 'https://glossary.example.com/' }
+    });
+    expect(structuredData(page('index.html').content).hasDefinedTerm).toHaveLength(4);
+  });
+
+  it('should prerender the cards and the state to hydrate', () => {
+    const { content } = page('category/dev-ops/index.html');
+
+    expect(content).toContain('id="term-docker"');
+    expect(content).toContain('id="term-ci-cd"');
+    expect(content).not.toContain('id="term-rest"');
+    expect(content).toMatch(/id="glossary-container"[^>]*data-prerendered data-prerendered-category="DevOps"/);
+    expect(page('term/api/index.html').content).toContain('data-prerendered-term="api"');
+    expect(content).toMatch(/id="loading" class="hidden /);
+    expect(content).toMatch(/id="term-count"[^>]*>2 terms</);
+  });
+
+  it('should resolve assets from the site root on nested pages', () => {
+    const { content } = page('term/api/index.html');
+
+    expect(content).toContain('<base href="../../">');
+    expect(content).not.toContain('href="#');
+    expect(page('index.html').content).not.toContain('<base');
+  });
+
+  it('should link used categories and skip empty ones', () => {
+    const { content } = page('index.html');
+
+    expect(content).toContain('href="category/dev-ops/"');
+    expect(content).not.toContain('Security</a>');
+  });
+
+  it('should list tagged terms on the pages of their tags', () => {
+    const data = createTestData();
+    data.terms.find(term => term.id === 'docker').tags = ['Security'];
+
+    const tagged = buildStaticPages(data, { template, siteUrl: 'https://glossary.example.com/', renderCard });
+    const security = tagged.find(p => p.path === 'category/security/index.html');
+
+    expect(security.content).toContain('id="term-docker"');
+    expect(security.content).not.toContain('id="term-ci-cd"');
+  });
+
+  it('should keep JSON-LD from closing its script tag', () => {
+    const data = createTestData();
+    data.terms[0].definition = 'Ends with </script><script>alert(1)</script>';
+
+    const [home] = buildStaticPages(data, { template, siteUrl: 'https://glossary.example.com/', renderCard });
+
+    expect(home.content).not.toContain('</script><script>alert(1)');
+  });
+});
+
+describe('renderPage()', () => {
+  it('should fail when the template lacks a part it fills', () => {
+    expect(() => renderPage('<html><head><title>x</title></head></html>', {
+      dir: '',
+      title: 'Test',
+      description: 'Test',
+      url: 'https://glossary.example.com/',
+      ogType: 'website',
+      structuredData: {},
+      cardsHtml: '',
+      state: {},
+      categoryLinks: '',
+      termCount: ''
+    })).toThrow('index.html template is missing a meta description');
+  });
+});
+
+describe('buildSitemap()', () => {
+  it('should list every page with its last modification date', () => {
+    const sitemap = buildSitemap([
+      { url: 'https://glossary.example.com/' },
+      { url: 'https://glossary.example.com/term/a&b/' }
+    ], '2024-05-01');
+
+    expect(sitemap).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+    expect(sitemap.match(/<url>/g)).toHaveLength(2);
+    expect(sitemap).toContain('<loc>https://glossary.example.com/term/a&amp;b/</loc>');
+    expect(sitemap).toContain('<lastmod>2024-05-01</lastmod>');
+  });
+});
+
+describe('stampServiceWorker', () => {
+  const worker = readFileSync(resolve(dirname(fileURLToPath(import.meta.url)), '../sw.js'), 'utf8');
+
+  it('should set the build hash the cache name is derived from', () => {
+    const stamped = stampServiceWorker(worker, 'abc123');
+
+    expect(stamped).toContain("const BUILD_HASH = 'abc123';");
+    expect(stamped.replace("'abc123'", "''")).toBe(worker);
+  });
+
+  it('should fail on a worker without a build hash', () => {
+    expect(() => stampServiceWorker('const CACHE_NAME = "v1";', 'abc123')).toThrow('BUILD_HASH');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StatsView } from '../src/stats-view.js';
+import { LocalUsageSink, UsageEventType } from '../src/usage-stats.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { CollectionStore } from '../src/collections.js';
+import TechGlossary from '../glossary.js';
+import { createTestData } from './fixtures.js';
+
+const DAY = '2026-03-01';
+
+describe('StatsView', () => {
+  let core;
+  let container;
+  let stats;
+  let onSelect;
+
+  beforeEach(() => {
+    core = new GlossaryCore({ storage: null, collections: new CollectionStore({ storage: null }) });
+    core.setData(createTestData());
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    stats = new LocalUsageSink({ storage: null });
+    onSelect = vi.fn();
+    new StatsView(core, container, { stats, onSelect, confirm: () => true }).setVisible(true);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  const list = title => [...container.querySelectorAll(`[aria-label="${title}"] li`)]
+    .map(item => item.textContent.replace(/\s+/g, ' ').trim());
+
+  it('should list top terms, dead-end searches and paths as they are recorded', () => {
+    expect(container.textContent).toContain('No terms opened yet.');
+    expect(container.querySelector('[data-stats-action="reset"]')).toBeNull();
+
+    stats.record({ type: UsageEventType.VIEW, termId: 'docker', date: DAY });
+    stats.record({ type: UsageEventType.VIEW, termId: 'docker', date: DAY });
+    stats.record({ type: UsageEventType.VIEW, termId: 'removed-term', date: DAY });
+    stats.record({ type: UsageEventType.ZERO_RESULTS, query: 'kubernetes', date: DAY });
+    stats.record({ type: UsageEventType.PATH, from: 'api', to: 'rest', date: DAY });
+
+    expect(list('Most viewed terms')).toEqual(['Docker 2×', 'removed-term 1×']);
+    expect(list('Searches with no results')).toEqual(['kubernetes 1×']);
+    expect(list('Common paths')).toEqual(['API → REST 1×']);
+
+    container.querySelector('[data-term-id="docker"]').click();
+    expect(onSelect).toHaveBeenCalledWith('docker');
+
+    container.querySelector('[data-stats-action="reset"]').click();
+    expect(stats.isEmpty()).toBe(true);
+    expect(container.textContent).toContain('No terms opened yet.');
+  });
+
+  it('should render in the translator\'s language and re-render when the locale changes', () => {
+    const other = document.createElement('div');
+    const messages = { 'stats.topTerms': 'Mest visade termer', 'stats.topTermsEmpty': 'Inga termer öppnade än.' };
+    let locale = 'en';
+    const translate = key => (locale === 'sv' && messages[key]) || key;
+    new StatsView(core, other, { stats, translate }).setVisible(true);
+
+    expect(other.textContent).toContain('stats.topTermsEmpty');
+
+    locale = 'sv';
+    core.setLocale('sv');
+
+    expect(other.querySelector('[aria-label="Mest visade termer"]')).not.toBeNull();
+    expect(other.textContent).toContain('Inga termer öppnade än.');
+  });
+});
+
+describe('TechGlossary stats view', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="view-toggle">
+        <button data-view="cards" aria-pressed="true">Cards</button>
+        <button data-view="stats" aria-pressed="false">Stats</button>
+      </div>
+      <section id="cards-section"><div id="glossary-container"></div></section>
+      <section id="stats-section" class="hidden"><div id="stats-container"></div></section>
+    `;
+  });
+
+  it('should record navigation and show it in the Stats view', () => {
+    const glossary = new TechGlossary(
+      { storage: null, collections: new CollectionStore({ storage: null }) },
+      { usageStats: new LocalUsageSink({ storage: null }) }
+    );
+    glossary.cacheElements();
+    glossary.core.setData(createTestData());
+
+    glossary.navigateToTerm('api');
+    glossary.navigateToTerm('rest');
+    glossary.setView('stats');
+
+    expect(document.getElementById('stats-section').classList.contains('hidden')).toBe(false);
+    expect(document.querySelectorAll('[aria-label="Most viewed terms"] li')).toHaveLength(2);
+
+    glossary.statsView.onSelect('api');
+    expect(glossary.view).toBe('cards');
+    expect(glossary.activeTermId).toBe('api');
+  });
+});
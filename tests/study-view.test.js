@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { StudyView } from '../src/study-view.js';
+import { StudyProgress, Grade } from '../src/spaced-repetition.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { CollectionStore } from '../src/collections.js';
+import { createTranslator } from '../src/i18n.js';
+import TechGlossary from '../glossary.js';
+import { createTestData } from './fixtures.js';
+
+const NOW = Date.UTC(2026, 0, 1);
+
+describe('StudyView', () => {
+  let core;
+  let container;
+  let progress;
+  let onSelect;
+  let view;
+
+  beforeEach(() => {
+    core = new GlossaryCore({ storage: null, collections: new CollectionStore({ storage: null }) });
+    core.setData(createTestData());
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    progress = new StudyProgress({ storage: null });
+    onSelect = vi.fn();
+    view = new StudyView(core, container, { progress, onSelect, now: () => NOW, random: () => 0, confirm: () => true });
+    view.setVisible(true);
+  });
+
+  afterEach(() => {
+    container.remove();
+  });
+
+  const deck = () => container.querySelector('.study-deck');
+  const click = selector => container.querySelector(selector).click();
+  const pickDeck = value => {
+    deck().value = value;
+    deck().dispatchEvent(new Event('change', { bubbles: true }));
+  };
+
+  it('should offer every term, each category and saved terms as decks', () => {
+    core.collections.createCollection('Onboarding');
+
+    expect([...deck().options].map(option => option.textContent.trim())).toEqual([
+      'All terms', 'Architecture', 'DevOps', 'Security', 'All saved terms', 'Saved: Starred', 'Saved: Onboarding'
+    ]);
+    expect(container.querySelector('.study-hint').textContent).toBe('0 due for review, 9 new');
+  });
+
+  it('should restrict a deck to a category or saved terms', () => {
+    pickDeck('category:DevOps');
+    expect(view.getDeckTerms().map(term => term.id)).toEqual(['ci-cd', 'docker']);
+
+    pickDeck('saved:');
+    expect(container.querySelector('[data-study-action="start"]').disabled).toBe(true);
+
+    core.collections.toggleStar('rest');
+    expect(view.getDeckTerms().map(term => term.id)).toEqual(['rest']);
+    expect(container.querySelector('[data-study-action="start"]').disabled).toBe(false);
+  });
+
+  it('should reveal answers and grade flashcards', () => {
+    pickDeck('category:DevOps');
+    click('[data-study-action="start"]');
+
+    expect(container.querySelector('.study-question').textContent).toBe('What does CI/CD mean?');
+    click('[data-study-action="reveal"]');
+    expect(container.querySelector('.study-answer').textContent).toBe('Automated software development practices');
+    expect(document.activeElement.dataset.grade).toBe(String(Grade.GOOD));
+
+    click(`[data-grade="${Grade.AGAIN}"]`);
+    expect(progress.get('ci-cd:definition').misses).toBe(1);
+    expect(container.querySelector('.study-question').textContent)
+      .toBe('Which term stands for Continuous Integration/Continuous Deployment?');
+  });
+
+  it('should give feedback on related-term questions', () => {
+    const session = view.start();
+    while (session.current.type !== 'related') {
+      session.answer(Grade.GOOD);
+    }
+    view.render();
+
+    click('[data-choice="rest"]');
+    expect(container.querySelector('.study-feedback').textContent).toBe('Correct!');
+    expect(container.querySelector('.study-choice-correct').textContent).toBe('REST');
+    click('[data-study-action="next"]');
+    expect(container.querySelector('.study-feedback')).toBeNull();
+  });
+
+  it('should summarize the session and link the terms missed most', () => {
+    pickDeck('category:DevOps');
+    click('[data-study-action="start"]');
+    click('[data-study-action="reveal"]');
+    click(`[data-grade="${Grade.AGAIN}"]`);
+    click('[data-study-action="finish"]');
+
+    expect(container.querySelector('.study-summary').textContent).toContain('0 of 1 card right the first time.');
+    const missed = container.querySelector('.study-missed [data-term-id="ci-cd"]');
+    expect(missed.textContent).toBe('CI/CD');
+
+    missed.click();
+    expect(onSelect).toHaveBeenCalledWith('ci-cd');
+
+    click('[data-study-action="restart"]');
+    expect(container.querySelector('.study-missed').textContent).toContain('Terms you keep missing');
+  });
+
+  it('should say when nothing is due and reset progress', () => {
+    pickDeck('category:DevOps');
+    const session = view.start();
+    while (!session.done) {
+      session.answer(Grade.EASY);
+    }
+    view.render();
+    click('[data-study-action="restart"]');
+
+    expect(container.querySelector('[data-study-action="start"]').disabled).toBe(true);
+    expect(view.start()).toBeNull();
+    expect(container.querySelector('.study-status').textContent).toContain('Nothing to review');
+
+    click('[data-study-action="reset"]');
+    expect(progress.cards).toEqual({});
+  });
+
+  it('should render through its translator and re-render when the locale changes', () => {
+    const other = document.createElement('div');
+    let translate = createTranslator('en');
+    const swedish = new StudyView(core, other, {
+      progress, now: () => NOW, random: () => 0, translate: (key, params) => translate(key, params)
+    });
+    swedish.setVisible(true);
+    expect(other.querySelector('.study-hint').textContent).toBe('0 due for review, 9 new');
+
+    translate = createTranslator('sv');
+    core.setLocale('sv');
+
+    expect(other.querySelector('.study-deck').options[0].textContent.trim()).toBe('Alla termer');
+    expect(other.querySelector('.study-hint').textContent).toBe('0 att repetera, 9 nya');
+
+    swedish.deck = 'category:DevOps';
+    other.querySelector('[data-study-action="start"]').click();
+    expect(other.querySelector('.study-hint').textContent).toBe('3 kvar');
+    expect(other.querySelector('.study-question').innerHTML).toMatch(/^Vad betyder <strong class="study-prompt">.+<\/strong>\?$/);
+  });
+});
+
+describe('TechGlossary study view', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="view-toggle">
+        <button data-view="cards" aria-pressed="true">Cards</button>
+        <button data-view="study" aria-pressed="false">Study</button>
+      </div>
+      <section id="cards-section"><div id="glossary-container"></div></section>
+      <section id="study-section" class="hidden"><div id="study-container"></div></section>
+    `;
+  });
+
+  it('should open study mode and go to a missed term\'s card', () => {
+    const glossary = new TechGlossary({ storage: null, collections: new CollectionStore({ storage: null }) });
+    glossary.cacheElements();
+    glossary.core.setData(createTestData());
+
+    glossary.setView('study');
+    expect(document.getElementById('study-section').classList.contains('hidden')).toBe(false);
+    expect(document.querySelector('.study-deck')).not.toBeNull();
+
+    glossary.studyView.onSelect('docker');
+    expect(glossary.view).toBe('cards');
+    expect(glossary.activeTermId).toBe('docker');
+  });
+});
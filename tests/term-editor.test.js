@@ -0,0 +1,202 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TermEditor } from '../src/term-editor.js';
+import { GlossaryDraft } from '../src/glossary-draft.js';
+import { createTranslator } from '../src/i18n.js';
+import TechGlossary from '../glossary.js';
+import { createTestData } from './fixtures.js';
+
+/**
+ * Type into a form field and fire the input event
+ * @param {HTMLElement} field
+ * @param {string} value
+ */
+function type(field, value) {
+  field.value = value;
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+describe('TermEditor', () => {
+  let draft;
+  let container;
+  let editor;
+  let form;
+
+  beforeEach(() => {
+    // Downloads click a temporary link, which would navigate happy-dom's window
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+    draft = new GlossaryDraft(createTestData());
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    editor = new TermEditor(draft, container, {
+      confirm: () => true,
+      prompt: () => 'Testing',
+      clipboard: { writeText: vi.fn().mockResolvedValue() }
+    });
+    form = container.querySelector('.editor-form');
+  });
+
+  afterEach(() => {
+    container.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('should list the terms and categories', () => {
+    const terms = [...container.querySelectorAll('[data-edit-id]')].map(button => button.dataset.editId);
+
+    expect(terms).toEqual(['api', 'ci-cd', 'docker', 'rest']);
+    expect(container.querySelectorAll('.editor-category')).toHaveLength(3);
+  });
+
+  it('should generate the id while typing a new term name', () => {
+    type(form.elements.term, 'Service Mesh');
+
+    expect(form.elements.id.value).toBe('service-mesh');
+    expect(form.elements.id.readOnly).toBe(false);
+  });
+
+  it('should block saving while the term has errors', () => {
+    type(form.elements.term, 'Service Mesh');
+
+    expect(form.querySelector('[data-action="save"]').disabled).toBe(true);
+    expect(form.querySelector('.editor-issue-error').textContent).toContain('Missing required field');
+    expect(editor.saveTerm()).toBe(false);
+    expect(draft.getTerm('service-mesh')).toBeNull();
+  });
+
+  it('should create a term from the form', () => {
+    type(form.elements.term, 'Service Mesh');
+    form.elements.category.value = 'DevOps';
+    type(form.elements.definition, 'An infrastructure layer that handles service-to-service communication');
+    editor.addRelatedTerm('Docker');
+
+    form.querySelector('[data-action="save"]').click();
+
+    expect(draft.getTerm('service-mesh').relatedTerms).toEqual(['Docker']);
+    expect(form.elements.id.readOnly).toBe(true);
+    expect(container.querySelector('.editor-term-selected').dataset.editId).toBe('service-mesh');
+    expect(container.querySelector('.editor-summary').textContent).toContain('1 added');
+  });
+
+  it('should translate its labels in place, keeping what is in the form', () => {
+    let translate = createTranslator('en');
+    const other = document.createElement('div');
+    const swedish = new TermEditor(draft, other, { translate: (key, params) => translate(key, params) });
+    other.querySelector('[data-edit-id="docker"]').click();
+    type(swedish.form.elements.definition, 'Containrar');
+
+    translate = createTranslator('sv');
+    swedish.relabel();
+
+    expect(swedish.form.querySelector('.editor-form-title').textContent).toBe('Redigera ”Docker”');
+    expect(swedish.form.querySelector('[data-action="save"]').textContent).toBe('Spara term');
+    expect(other.querySelector('.editor-summary').textContent).toBe('Inga ändringar än · 0 fel, 9 varningar');
+    expect(other.querySelector('.editor-output').getAttribute('aria-label')).toBe('Ändringar');
+    expect(swedish.form.elements.definition.value).toBe('Containrar');
+  });
+
+  it('should load and update an existing term', () => {
+    container.querySelector('[data-edit-id="docker"]').click();
+
+    expect(form.elements.term.value).toBe('Docker');
+    expect(container.querySelectorAll('.editor-chip')).toHaveLength(2);
+
+    container.querySelector('[data-remove-related="Container"]').click();
+    form.querySelector('[data-action="save"]').click();
+
+    expect(draft.getTerm('docker').relatedTerms).toEqual(['Kubernetes']);
+  });
+
+  it('should tag a term with further categories', () => {
+    container.querySelector('[data-edit-id="docker"]').click();
+    form.elements.tags.querySelector('option[value="Security"]').selected = true;
+    form.querySelector('[data-action="save"]').click();
+
+    expect(draft.getTerm('docker').tags).toEqual(['Security']);
+  });
+
+  it('should suggest existing terms for related terms', () => {
+    const input = form.querySelector('.editor-related-input');
+    type(input, 'do');
+
+    const options = [...form.querySelectorAll('#editor-related-options option')].map(option => option.value);
+    expect(options).toEqual(['Docker']);
+  });
+
+  it('should delete a term after confirmation', () => {
+    container.querySelector('[data-edit-id="rest"]').click();
+    form.querySelector('[data-action="delete-term"]').click();
+
+    expect(draft.getTerm('rest')).toBeNull();
+    expect(form.elements.term.value).toBe('');
+  });
+
+  it('should only allow deleting unused categories', () => {
+    const devOps = container.querySelector('[data-action="delete-category"][data-category="DevOps"]');
+    const security = container.querySelector('[data-action="delete-category"][data-category="Security"]');
+
+    expect(devOps.disabled).toBe(true);
+    security.click();
+
+    expect(draft.data.categories).not.toContain('Security');
+  });
+
+  it('should add categories', () => {
+    container.querySelector('[data-action="add-category"]').click();
+
+    expect(draft.data.categories).toContain('Testing');
+    expect([...form.elements.category.options].map(option => option.value)).toContain('Testing');
+  });
+
+  it('should show, copy and download the diff', async () => {
+    draft.deleteTerm('rest');
+
+    container.querySelector('[data-action="toggle-diff"]').click();
+    expect(container.querySelector('.editor-diff').textContent).toContain('- **REST** (`rest`)');
+
+    await editor.copyDiff();
+    expect(editor.clipboard.writeText).toHaveBeenCalledWith(expect.stringContaining('1 removed'));
+
+    const createObjectURL = vi.spyOn(URL, 'createObjectURL');
+    container.querySelector('[data-action="download-json"]').click();
+    expect(createObjectURL).toHaveBeenCalled();
+    expect(HTMLAnchorElement.prototype.click).toHaveBeenCalled();
+  });
+});
+
+describe('TechGlossary editor view', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="view-toggle">
+        <button data-view="cards" aria-pressed="true">Cards</button>
+        <button data-view="editor" aria-pressed="false">Edit</button>
+      </div>
+      <section id="cards-section"></section>
+      <section id="editor-section" class="hidden"><div id="editor-container"></div></section>
+    `;
+  });
+
+  it('should load the data file into the editor when opened', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => createTestData() });
+    const glossary = new TechGlossary({ fetch, storage: null });
+    glossary.cacheElements();
+
+    glossary.setView('editor');
+    const editor = await glossary.openEditor();
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith('./data/glossary.json');
+    expect(editor).toBeInstanceOf(TermEditor);
+    expect(document.getElementById('editor-section').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('cards-section').classList.contains('hidden')).toBe(true);
+    expect(document.querySelectorAll('#editor-container [data-edit-id]')).toHaveLength(4);
+  });
+
+  it('should show an error when the data file cannot be loaded', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+    const glossary = new TechGlossary({ fetch, storage: null });
+    glossary.cacheElements();
+
+    expect(await glossary.openEditor()).toBeNull();
+    expect(document.getElementById('editor-container').textContent).toContain('HTTP error! status: 404');
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { buildTermGraph, neighbourhood, layoutGraph, GHOST_PREFIX } from '../src/term-graph.js';
+import { createTestData } from './fixtures.js';
+
+const { terms } = createTestData();
+const resolve = name => {
+  const match = terms.find(t => t.term.toLowerCase() === name.toLowerCase());
+  return match ? match.id : null;
+};
+
+describe('buildTermGraph()', () => {
+  const graph = buildTermGraph(terms, resolve);
+
+  it('should create a node per term and a ghost node per missing reference', () => {
+    const ghosts = graph.nodes.filter(node => node.ghost);
+
+    expect(graph.nodes.filter(node => !node.ghost)).toHaveLength(4);
+    expect(ghosts.map(node => node.label)).toEqual(
+      expect.arrayContaining(['GraphQL', 'Jenkins', 'Kubernetes', 'HTTP'])
+    );
+    expect(ghosts.every(node => node.id.startsWith(GHOST_PREFIX))).toBe(true);
+  });
+
+  it('should collapse reciprocal references into one edge', () => {
+    const apiRest = graph.edges.filter(edge =>
+      [edge.source, edge.target].sort().join() === 'api,rest'
+    );
+
+    expect(apiRest).toHaveLength(1);
+  });
+});
+
+describe('neighbourhood()', () => {
+  const graph = buildTermGraph(terms, resolve);
+
+  it('should return nodes within the given number of hops', () => {
+    const oneHop = neighbourhood(graph, 'rest', 1);
+
+    expect(oneHop.nodes.map(node => node.id).sort()).toEqual(['api', `${GHOST_PREFIX}http`, 'rest']);
+
+    const twoHops = neighbourhood(graph, 'rest', 2);
+    expect(twoHops.nodes.map(node => node.id)).toContain(`${GHOST_PREFIX}graphql`);
+  });
+
+  it('should return an empty graph for unknown nodes', () => {
+    expect(neighbourhood(graph, 'nope', 2)).toEqual({ nodes: [], edges: [] });
+  });
+});
+
+describe('layoutGraph()', () => {
+  it('should place nodes inside the canvas and pin the center node', () => {
+    const graph = layoutGraph(buildTermGraph(terms, resolve), { width: 400, height: 300, centerId: 'api' });
+
+    graph.nodes.forEach(node => {
+      expect(node.x).toBeGreaterThanOrEqual(0);
+      expect(node.x).toBeLessThanOrEqual(400);
+      expect(node.y).toBeGreaterThanOrEqual(0);
+      expect(node.y).toBeLessThanOrEqual(300);
+    });
+    expect(graph.nodes.find(node => node.id === 'api')).toMatchObject({ x: 200, y: 150 });
+  });
+});
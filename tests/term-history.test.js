@@ -0,0 +1,50 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { parseTimestamp, getChangeStatus, getLastChanged, getChangelog, stampChanges, formatDate } from '../src/term-history.js';
+import { createTestData } from './fixtures.js';
+
+const NOW = Date.UTC(2026, 2, 1);
+
+describe('term history', () => {
+  it('should read dates and date-times and reject anything else', () => {
+    expect(parseTimestamp('2026-03-01')).toBe(NOW);
+    expect(parseTimestamp('2026-03-01T01:00:00+01:00')).toBe(NOW);
+    expect(parseTimestamp('2026-02-30x')).toBeNull();
+    expect(parseTimestamp('March 1, 2026')).toBeNull();
+    expect(parseTimestamp(NOW)).toBeNull();
+    expect(formatDate(NOW)).toBe('2026-03-01');
+  });
+
+  it('should report terms added or updated within the window', () => {
+    expect(getChangeStatus({ createdAt: '2026-02-01', updatedAt: '2026-02-27' }, { now: NOW })).toBe('new');
+    expect(getChangeStatus({ createdAt: '2025-01-01', updatedAt: '2026-02-27' }, { now: NOW })).toBe('updated');
+    expect(getChangeStatus({ updatedAt: '2026-02-27' }, { now: NOW, days: 1 })).toBeNull();
+    expect(getChangeStatus({}, { now: NOW })).toBeNull();
+    expect(getLastChanged({ createdAt: '2025-01-01', updatedAt: '2026-03-01' })).toBe(NOW);
+  });
+
+  it('should skip malformed changelog entries', () => {
+    expect(getChangelog({ changelog: [{ date: '2026-03-01', summary: 'Fixed typo' }, { date: 'soon', summary: 'x' }, null] }))
+      .toEqual([{ date: '2026-03-01', summary: 'Fixed typo' }]);
+    expect(getChangelog({})).toEqual([]);
+  });
+
+  it('should date added and changed terms that the edit left undated', () => {
+    const before = createTestData();
+    before.terms[3].updatedAt = '2025-06-01';
+    const after = createTestData();
+    after.terms[0].definition = 'A contract between pieces of software, describing the calls they can make';
+    after.terms[1].examples = ['GitHub Actions'];
+    after.terms[1].updatedAt = '2026-02-28';
+    after.terms[3].updatedAt = '2025-06-01';
+    after.terms.push({ ...after.terms[2], id: 'podman', term: 'Podman' });
+
+    const { data, stamped } = stampChanges(before, after, '2026-03-01');
+
+    expect(stamped).toEqual(['api', 'podman']);
+    expect(data.terms[0].updatedAt).toBe('2026-03-01');
+    expect(data.terms[1].updatedAt).toBe('2026-02-28');
+    expect(data.terms[4]).toMatchObject({ createdAt: '2026-03-01', updatedAt: '2026-03-01' });
+    expect(after.terms[0]).not.toHaveProperty('updatedAt');
+  });
+});
@@ -0,0 +1,38 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { normalizeTermName, getTermNames } from '../src/term-names.js';
+
+describe('normalizeTermName()', () => {
+  it('should ignore case, spaces and punctuation', () => {
+    expect(normalizeTermName('CI/CD')).toBe('cicd');
+    expect(normalizeTermName('ci-cd')).toBe('cicd');
+    expect(normalizeTermName(' CI CD ')).toBe('cicd');
+    expect(normalizeTermName('Socket.io')).toBe('socketio');
+  });
+
+  it('should ignore accents but keep other letters and digits', () => {
+    expect(normalizeTermName('Café')).toBe('cafe');
+    expect(normalizeTermName('K8s')).toBe('k8s');
+    expect(normalizeTermName('Säkerhet')).toBe('sakerhet');
+  });
+
+  it('should return an empty key for names without letters or digits', () => {
+    expect(normalizeTermName('--')).toBe('');
+    expect(normalizeTermName(null)).toBe('');
+  });
+});
+
+describe('getTermNames()', () => {
+  it('should list the name, full form and aliases without duplicates', () => {
+    expect(getTermNames({
+      term: 'CI/CD',
+      fullForm: 'Continuous Integration/Continuous Deployment',
+      aliases: ['CI', ' Continuous Integration ', 'ci', '']
+    })).toEqual(['CI/CD', 'Continuous Integration/Continuous Deployment', 'CI', 'Continuous Integration']);
+  });
+
+  it('should skip missing full forms and aliases', () => {
+    expect(getTermNames({ term: 'Docker', fullForm: null })).toEqual(['Docker']);
+    expect(getTermNames({ term: 'Docker', aliases: 'Moby' })).toEqual(['Docker']);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ThemeManager, SYSTEM_THEME, THEME_STORAGE_KEY } from '../src/themes.js';
+import TechGlossary from '../glossary.js';
+import { CollectionStore } from '../src/collections.js';
+import { createTestData, createMemoryStorage } from './fixtures.js';
+
+/**
+ * Media queries whose results can be changed by tests
+ * @param {Object<string, boolean>} initial - Matches by query
+ */
+function createMatchMedia(initial = {}) {
+  const lists = new Map();
+  const matchMedia = query => {
+    if (!lists.has(query)) {
+      const listeners = [];
+      lists.set(query, {
+        matches: Boolean(initial[query]),
+        addEventListener: (type, listener) => listeners.push(listener),
+        listeners
+      });
+    }
+    return lists.get(query);
+  };
+  matchMedia.set = (query, matches) => {
+    const list = matchMedia(query);
+    list.matches = matches;
+    list.listeners.forEach(listener => listener({ matches }));
+  };
+  return matchMedia;
+}
+
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+describe('ThemeManager', () => {
+  let root;
+  let matchMedia;
+
+  beforeEach(() => {
+    root = document.createElement('div');
+    matchMedia = createMatchMedia();
+  });
+
+  it('should follow the system theme until one is chosen', () => {
+    matchMedia.set(DARK_QUERY, true);
+    const themes = new ThemeManager({ storage: null, root, matchMedia });
+    themes.apply();
+
+    expect(themes.preference).toBe(SYSTEM_THEME);
+    expect(root.dataset.theme).toBe('dark');
+    expect(root.style.colorScheme).toBe('dark');
+
+    matchMedia.set(DARK_QUERY, false);
+    expect(root.dataset.theme).toBe('light');
+
+    matchMedia.set('(prefers-contrast: more)', true);
+    expect(root.dataset.theme).toBe('high-contrast');
+  });
+
+  it('should persist the chosen theme and ignore later system changes', () => {
+    const storage = createMemoryStorage();
+    const themes = new ThemeManager({ storage, root, matchMedia });
+    themes.apply();
+    themes.setPreference('high-contrast');
+
+    matchMedia.set(DARK_QUERY, true);
+    expect(root.dataset.theme).toBe('high-contrast');
+    expect(storage.getItem(THEME_STORAGE_KEY)).toBe('high-contrast');
+    expect(new ThemeManager({ storage, root, matchMedia }).getActiveTheme().name).toBe('high-contrast');
+
+    expect(() => themes.setPreference('sepia')).toThrow('Unknown theme "sepia"');
+  });
+
+  it('should apply a brand theme on top of its base and clear it again', () => {
+    const themes = new ThemeManager({ storage: null, root, matchMedia });
+    const brand = themes.registerTheme('acme', {
+      label: 'Acme',
+      base: 'dark',
+      variables: { 'primary-color': '#d6336c', '--accent-bg': '#3b0a1e' }
+    });
+
+    expect(brand).toMatchObject({ name: 'acme', label: 'Acme', colorScheme: 'dark', themeColor: '#d6336c' });
+    expect(themes.getThemes().map(theme => theme.name)).toEqual(['light', 'dark', 'high-contrast', 'acme']);
+
+    themes.setPreference('acme');
+    expect(root.dataset.theme).toBe('dark');
+    expect(root.style.getPropertyValue('--primary-color')).toBe('#d6336c');
+
+    themes.setPreference('light');
+    expect(root.dataset.theme).toBe('light');
+    expect(root.style.getPropertyValue('--primary-color')).toBe('');
+  });
+
+  it('should restore a saved brand theme once it is registered', () => {
+    const storage = createMemoryStorage();
+    storage.setItem(THEME_STORAGE_KEY, 'acme');
+    const themes = new ThemeManager({ storage, root, matchMedia });
+    themes.apply();
+
+    expect(root.dataset.theme).toBe('light');
+
+    themes.registerTheme('acme', { variables: { 'primary-color': '#d6336c' } });
+    expect(root.style.getPropertyValue('--primary-color')).toBe('#d6336c');
+  });
+
+  it('should reject invalid brand themes', () => {
+    const themes = new ThemeManager({ storage: null, root, matchMedia });
+
+    expect(() => themes.registerTheme('Acme Corp')).toThrow('Invalid theme name');
+    expect(() => themes.registerTheme(SYSTEM_THEME)).toThrow('Invalid theme name');
+    expect(() => themes.registerTheme('dark')).toThrow('built in');
+    expect(() => themes.registerTheme('acme', { base: 'sepia' })).toThrow('Unknown base theme "sepia"');
+    expect(() => themes.registerTheme('acme', { variables: { 'primary-colour': 'red' } }))
+      .toThrow('Unknown theme variable "--primary-colour"');
+  });
+});
+
+describe('TechGlossary themes', () => {
+  let glossary;
+  let themes;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <select id="theme-select"></select>
+      <div id="category-filter"></div>
+      <div id="glossary-container"></div>
+    `;
+    themes = new ThemeManager({ storage: null, root: document.createElement('div'), matchMedia: createMatchMedia() });
+    glossary = new TechGlossary({ storage: null, collections: new CollectionStore({ storage: null }) }, { themes });
+    glossary.cacheElements();
+    glossary.attachEventListeners();
+    glossary.core.setData(createTestData());
+    glossary.renderCategoryFilters();
+    glossary.filterAndRender();
+  });
+
+  it('should offer the system, built-in and brand themes and switch between them', () => {
+    themes.registerTheme('acme', { label: 'Acme' });
+    glossary.renderThemeSwitcher();
+    const select = document.getElementById('theme-select');
+
+    expect([...select.options].map(option => option.textContent)).toEqual(['System', 'Light', 'Dark', 'High contrast', 'Acme']);
+    expect(select.value).toBe(SYSTEM_THEME);
+
+    select.value = 'dark';
+    select.dispatchEvent(new Event('change'));
+    expect(themes.root.dataset.theme).toBe('dark');
+    expect(glossary.getPaletteCommands().map(command => command.label)).toContain('Theme: High contrast');
+  });
+
+  it('should color cards and filter buttons through the theme instead of Tailwind colors', () => {
+    const html = document.body.innerHTML;
+    expect(html).not.toMatch(/\b(bg|text|border)-(white|gray|blue)\b/);
+    expect(document.querySelector('[data-term-id="api"]').classList.contains('term-card')).toBe(true);
+
+    const all = document.querySelector('[data-category="all"]');
+    expect(all.getAttribute('aria-pressed')).toBe('true');
+    document.querySelector('[data-facet="DevOps"]').click();
+    expect(all.getAttribute('aria-pressed')).toBe('false');
+    expect(all.className).toBe('filter-button');
+  });
+});
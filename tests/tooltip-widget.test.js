@@ -0,0 +1,168 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TooltipWidget, createTermMatcher, linkTerms } from '../src/tooltip-widget.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { createTestData } from './fixtures.js';
+
+describe('createTermMatcher', () => {
+  const matcher = createTermMatcher(createTestData().terms);
+
+  /**
+   * @param {string} text
+   * @returns {string[]} Matched text
+   */
+  const matched = text => matcher.findMatches(text).map(({ index, length }) => text.slice(index, index + length));
+
+  it('should match names, full forms and acronyms with punctuation', () => {
+    expect(matched('Our CI/CD pipeline builds a Docker image.')).toEqual(['CI/CD', 'Docker']);
+    expect(matched('An Application Programming Interface, or API.')).toEqual(['Application Programming Interface', 'API']);
+  });
+
+  it('should match acronyms case-sensitively and other names case-insensitively', () => {
+    expect(matched('For the rest of the day, api calls were slow.')).toEqual([]);
+    expect(matched('Install docker first.')).toEqual(['docker']);
+  });
+
+  it('should only match whole words', () => {
+    expect(matched('RESTful APIs and Dockerfiles')).toEqual([]);
+  });
+
+  it('should match aliases', () => {
+    const data = createTestData();
+    data.terms.find(term => term.id === 'docker').aliases = ['Docker Engine'];
+
+    const text = 'Restart the Docker Engine.';
+    const [match] = createTermMatcher(data.terms).findMatches(text);
+
+    expect(text.slice(match.index, match.index + match.length)).toBe('Docker Engine');
+    expect(match.term.id).toBe('docker');
+  });
+
+  it('should match full forms across line breaks', () => {
+    expect(matched('Representational\n  State Transfer')).toEqual(['Representational\n  State Transfer']);
+  });
+});
+
+describe('linkTerms', () => {
+  it('should wrap only the first occurrence of each term', () => {
+    const root = document.createElement('div');
+    root.innerHTML = '<p>API and REST. Another API.</p><p>REST again, then Docker.</p>';
+    const createLink = (term, text) => {
+      const link = document.createElement('mark');
+      link.textContent = text;
+      return link;
+    };
+
+    const links = linkTerms([root], createTermMatcher(createTestData().terms), { createLink });
+
+    expect(links.map(link => link.textContent)).toEqual(['API', 'REST', 'Docker']);
+    expect(root.textContent).toBe('API and REST. Another API.REST again, then Docker.');
+  });
+});
+
+describe('TooltipWidget', () => {
+  let core;
+
+  beforeEach(() => {
+    core = new GlossaryCore({ storage: null });
+    core.setData(createTestData());
+    document.body.innerHTML = `
+      <article id="docs">
+        <h2>Deploying</h2>
+        <p>Every merge runs CI/CD, which pushes a Docker image behind our REST API.</p>
+        <pre><code>docker build -t api .</code></pre>
+        <p>Use <code>CI/CD</code> variables and the <a href="/rest">REST guide</a>.</p>
+      </article>
+      <aside id="sidebar"><p>Docker tips</p></aside>
+    `;
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    document.getElementById('glossary-tooltip-styles')?.remove();
+  });
+
+  /**
+   * @param {Object} [options]
+   * @returns {TooltipWidget}
+   */
+  function createWidget(options = {}) {
+    return new TooltipWidget({ core, selector: '#docs', appUrl: 'https://glossary.example.com/', ...options });
+  }
+
+  it('should link terms with an accessible popover', () => {
+    const widget = createWidget();
+
+    expect(widget.link()).toBe(4);
+
+    const link = document.querySelector('.glossary-term-link[data-term-id="ci-cd"]');
+    const tooltip = document.getElementById(link.getAttribute('aria-describedby'));
+    expect(link.textContent).toBe('CI/CD');
+    expect(link.href).toBe('https://glossary.example.com/#/term/ci-cd');
+    expect(tooltip.getAttribute('role')).toBe('tooltip');
+    expect(tooltip.hidden).toBe(true);
+    expect(tooltip.textContent).toContain('Continuous Integration/Continuous Deployment');
+    expect(tooltip.textContent).toContain('Automated software development practices');
+    expect(document.getElementById('glossary-tooltip-styles')).not.toBeNull();
+  });
+
+  it('should skip code blocks, inline code and existing links', () => {
+    createWidget().link();
+
+    expect(document.querySelector('pre .glossary-term')).toBeNull();
+    expect(document.querySelector('code .glossary-term')).toBeNull();
+    expect(document.querySelector('a .glossary-term')).toBeNull();
+    expect(document.querySelector('#sidebar .glossary-term')).toBeNull();
+  });
+
+  it('should only link terms in the chosen categories', () => {
+    createWidget({ categories: ['DevOps'] }).link();
+    expect([...document.querySelectorAll('.glossary-term-link')].map(link => link.dataset.termId)).toEqual(['ci-cd', 'docker']);
+  });
+
+  it('should stop at the link limit', () => {
+    createWidget({ maxLinks: 1 }).link();
+
+    expect(document.querySelectorAll('.glossary-term')).toHaveLength(1);
+  });
+
+  it('should show the popover on focus and hide it on Escape', () => {
+    createWidget().link();
+    const link = document.querySelector('.glossary-term-link');
+    const tooltip = document.getElementById(link.getAttribute('aria-describedby'));
+
+    link.focus();
+    expect(tooltip.hidden).toBe(false);
+
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(tooltip.hidden).toBe(true);
+  });
+
+  it('should show the popover on hover', () => {
+    createWidget().link();
+    const wrapper = document.querySelector('.glossary-term');
+
+    wrapper.querySelector('a').dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    expect(wrapper.querySelector('.glossary-tooltip').hidden).toBe(false);
+
+    wrapper.querySelector('a').dispatchEvent(new MouseEvent('mouseout', { bubbles: true, relatedTarget: document.body }));
+    expect(wrapper.querySelector('.glossary-tooltip').hidden).toBe(true);
+  });
+
+  it('should restore the original text when destroyed', () => {
+    const before = document.getElementById('docs').innerHTML;
+    const widget = createWidget();
+    widget.link();
+
+    widget.destroy();
+
+    expect(document.getElementById('docs').innerHTML).toBe(before);
+  });
+
+  it('should load the glossary through the core store', async () => {
+    const fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => createTestData() });
+    const widget = new TooltipWidget({ selector: '#docs', dataUrl: '/glossary.json', fetch });
+
+    expect(await widget.init()).toBe(4);
+    expect(fetch).toHaveBeenCalledWith('/glossary.json');
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { UsageTracker, LocalUsageSink, HttpUsageSink, UsageEventType, USAGE_STORAGE_KEY, MAX_USAGE_ENTRIES, normalizeQuery } from '../src/usage-stats.js';
+import { GlossaryCore } from '../src/glossary-core.js';
+import { CollectionStore } from '../src/collections.js';
+import { createTestData, createMemoryStorage } from './fixtures.js';
+
+const DAY = '2026-03-01';
+
+describe('LocalUsageSink', () => {
+  let storage;
+  let sink;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+    sink = new LocalUsageSink({ storage });
+  });
+
+  it('should count views, dead-end searches and paths and persist them', () => {
+    sink.record({ type: UsageEventType.VIEW, termId: 'api', date: '2026-02-01' });
+    sink.record({ type: UsageEventType.VIEW, termId: 'rest', date: DAY });
+    sink.record({ type: UsageEventType.VIEW, termId: 'rest', date: DAY });
+    sink.record({ type: UsageEventType.ZERO_RESULTS, query: 'kubernetes', date: DAY });
+    sink.record({ type: UsageEventType.PATH, from: 'api', to: 'rest', date: DAY });
+
+    const reloaded = new LocalUsageSink({ storage });
+    expect(reloaded.getTopTerms()).toEqual([
+      { key: 'rest', termId: 'rest', count: 2, lastSeen: DAY },
+      { key: 'api', termId: 'api', count: 1, lastSeen: '2026-02-01' }
+    ]);
+    expect(reloaded.getMissingQueries()).toMatchObject([{ query: 'kubernetes', count: 1 }]);
+    expect(reloaded.getTopPaths()).toMatchObject([{ from: 'api', to: 'rest', count: 1 }]);
+
+    reloaded.reset();
+    expect(reloaded.isEmpty()).toBe(true);
+    expect(new LocalUsageSink({ storage }).isEmpty()).toBe(true);
+  });
+
+  it('should drop the least used entries beyond the limit and ignore malformed storage', () => {
+    for (let i = 0; i <= MAX_USAGE_ENTRIES; i++) {
+      sink.record({ type: UsageEventType.VIEW, termId: `term-${i}`, date: i === 0 ? '2026-01-01' : DAY });
+    }
+
+    expect(Object.keys(sink.views)).toHaveLength(MAX_USAGE_ENTRIES);
+    expect(sink.views).not.toHaveProperty('term-0');
+
+    storage.setItem(USAGE_STORAGE_KEY, JSON.stringify({ views: { api: { count: 'many' } }, paths: [] }));
+    expect(new LocalUsageSink({ storage }).isEmpty()).toBe(true);
+  });
+});
+
+describe('HttpUsageSink', () => {
+  it('should post events in batches and drop batches that fail', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const fetch = vi.fn().mockResolvedValueOnce({ ok: true }).mockResolvedValueOnce({ ok: false, status: 500 });
+    const sink = new HttpUsageSink({ url: 'https://stats.example.com/events', batchSize: 2, fetch });
+    const event = { type: UsageEventType.VIEW, termId: 'api', date: DAY };
+
+    sink.record(event);
+    expect(fetch).not.toHaveBeenCalled();
+    sink.record(event);
+    expect(fetch).toHaveBeenCalledWith('https://stats.example.com/events', expect.objectContaining({ method: 'POST', keepalive: true }));
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ events: [event, event] });
+
+    sink.record(event);
+    await sink.flush();
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(sink.queue).toEqual([]);
+    expect(console.warn).toHaveBeenCalledWith('Failed to send usage statistics:', expect.any(Error));
+  });
+});
+
+describe('UsageTracker', () => {
+  let core;
+  let sink;
+
+  beforeEach(() => {
+    core = new GlossaryCore({ storage: null, collections: new CollectionStore({ storage: null }) });
+    core.setData(createTestData());
+    sink = { record: vi.fn() };
+    new UsageTracker(core, { sinks: [sink], now: () => new Date(`${DAY}T09:00:00Z`) });
+  });
+
+  const recorded = () => sink.record.mock.calls.map(([event]) => event);
+
+  it('should record views and the hops between terms, but not going back along the breadcrumb', () => {
+    core.navigateToTerm('api');
+    core.navigateToTerm('rest');
+    core.navigateToTerm('api', true);
+
+    expect(recorded()).toEqual([
+      { type: 'view', termId: 'api', date: DAY },
+      { type: 'view', termId: 'rest', date: DAY },
+      { type: 'path', from: 'api', to: 'rest', date: DAY },
+      { type: 'view', termId: 'api', date: DAY }
+    ]);
+  });
+
+  it('should record each search that finds nothing once', () => {
+    core.setSearchQuery('Quantum  Computing');
+    core.toggleFacet('DevOps');
+    core.setSearchQuery('docker');
+    core.setSearchQuery('x');
+
+    expect(recorded()).toEqual([{ type: 'zero-results', query: 'quantum computing', date: DAY }]);
+    expect(normalizeQuery(' X ')).toBe('');
+  });
+});
@@ -0,0 +1,214 @@
+import { describe, it, expect } from 'vitest';
+import { validateGlossary, formatMarkdown, formatJson, toKebabCase } from '../src/validator.js';
+import { CURRENT_SCHEMA_VERSION } from '../src/schema.js';
+
+/**
+ * Build a valid term, overriding selected fields
+ * @param {Object} overrides
+ * @returns {Object}
+ */
+function makeTerm(overrides = {}) {
+  return {
+    id: 'api',
+    term: 'API',
+    fullForm: 'Application Programming Interface',
+    definition: 'A set of rules and protocols that allows software applications to communicate.',
+    category: 'Architecture',
+    relatedTerms: [],
+    examples: ['RESTful APIs'],
+    ...overrides
+  };
+}
+
+const codes = report => report.issues.map(issue => issue.code);
+
+describe('validateGlossary()', () => {
+  it('should pass valid data', () => {
+    const report = validateGlossary({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      terms: [
+        makeTerm({ relatedTerms: ['REST'] }),
+        makeTerm({ id: 'rest', term: 'REST', relatedTerms: ['api'] })
+      ],
+      categories: ['Architecture']
+    });
+
+    expect(report.valid).toBe(true);
+    expect(report.issues).toEqual([]);
+    expect(report.stats).toMatchObject({ terms: 2, categories: 1, errors: 0 });
+  });
+
+  it('should report a missing terms array', () => {
+    const report = validateGlossary({ categories: [] });
+
+    expect(report.valid).toBe(false);
+    expect(codes(report)).toContain('missing-terms');
+  });
+
+  it('should report duplicate and non-kebab-case ids as errors', () => {
+    const report = validateGlossary({
+      terms: [makeTerm(), makeTerm({ term: 'Other' }), makeTerm({ id: 'Web_Socket', term: 'WebSocket' })],
+      categories: ['Architecture']
+    });
+
+    expect(report.valid).toBe(false);
+    expect(codes(report)).toEqual(expect.arrayContaining(['duplicate-id', 'id-not-kebab-case']));
+    expect(report.issues.find(issue => issue.code === 'id-not-kebab-case').suggestion).toContain('web-socket');
+  });
+
+  it('should report missing required fields and unknown categories', () => {
+    const report = validateGlossary({
+      terms: [makeTerm({ definition: '' }), makeTerm({ id: 'rest', term: 'REST', category: 'Cooking' })],
+      categories: ['Architecture']
+    });
+
+    const errors = report.issues.filter(issue => issue.severity === 'ERROR');
+    expect(errors.map(issue => [issue.code, issue.location])).toEqual([
+      ['missing-field', 'api'],
+      ['unknown-category', 'rest']
+    ]);
+  });
+
+  it('should warn about quality problems without failing', () => {
+    const report = validateGlossary({
+      terms: [makeTerm({ fullForm: '', definition: 'Too short', relatedTerms: ['Nowhere'] })],
+      categories: ['Architecture', 'Unused']
+    });
+
+    expect(report.valid).toBe(true);
+    expect(codes(report)).toEqual(expect.arrayContaining([
+      'empty-full-form', 'short-definition', 'missing-related-term', 'unused-category'
+    ]));
+  });
+
+  it('should order issues by severity', () => {
+    const report = validateGlossary({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      terms: [makeTerm({ examples: [], category: 'Cooking' })],
+      categories: ['Architecture']
+    });
+
+    expect(report.issues.map(issue => issue.severity)).toEqual(['ERROR', 'WARNING', 'INFO', 'INFO']);
+  });
+
+  it('should check term translations', () => {
+    const report = validateGlossary({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      terms: [
+        makeTerm({ relatedTerms: ['API'], translations: { sv: { definition: 'Regler och protokoll', examples: ['REST-API:er'] } } }),
+        makeTerm({ id: 'rest', term: 'REST', relatedTerms: ['API'], translations: { de: { definition: 42, category: 'Architektur' } } }),
+        makeTerm({ id: 'jwt', term: 'JWT', relatedTerms: ['API'], translations: ['sv'] })
+      ],
+      categories: ['Architecture']
+    });
+
+    expect(report.issues.map(issue => [issue.code, issue.location])).toEqual([
+      ['invalid-translation', 'rest'],
+      ['invalid-translation', 'jwt'],
+      ['unknown-translation-field', 'rest']
+    ]);
+  });
+
+  it('should resolve related terms by full form and alias', () => {
+    const report = validateGlossary({
+      terms: [
+        makeTerm({ relatedTerms: ['Kubernetes Engine', 'application-programming-interface'] }),
+        makeTerm({ id: 'kubernetes', term: 'Kubernetes', fullForm: null, aliases: ['K8s', 'Kubernetes Engine'], relatedTerms: ['k8s', 'API'] })
+      ],
+      categories: ['Architecture']
+    });
+
+    expect(codes(report)).not.toContain('missing-related-term');
+  });
+
+  it('should check aliases', () => {
+    const report = validateGlossary({
+      terms: [
+        makeTerm({ aliases: ['Web API', 'REST'], relatedTerms: ['REST'] }),
+        makeTerm({ id: 'rest', term: 'REST', aliases: 'RESTful', relatedTerms: ['API'] })
+      ],
+      categories: ['Architecture']
+    });
+
+    expect(report.issues.filter(issue => issue.code.includes('alias')).map(issue => [issue.code, issue.location])).toEqual([
+      ['invalid-aliases', 'rest'],
+      ['ambiguous-alias', 'api']
+    ]);
+  });
+
+  it('should check tags and count them as category usage', () => {
+    const report = validateGlossary({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      terms: [
+        makeTerm({ tags: ['Security', 'Cooking', 'Architecture'], relatedTerms: ['REST'] }),
+        makeTerm({ id: 'rest', term: 'REST', tags: 'Networking', relatedTerms: ['API'] })
+      ],
+      categories: ['Architecture', 'Security']
+    });
+
+    expect(report.issues.map(issue => [issue.code, issue.location])).toEqual([
+      ['unknown-category', 'api'],
+      ['invalid-tags', 'rest'],
+      ['redundant-tag', 'api']
+    ]);
+  });
+
+  it('should check history dates and changelog entries', () => {
+    const report = validateGlossary({
+      schemaVersion: CURRENT_SCHEMA_VERSION,
+      terms: [
+        makeTerm({ relatedTerms: ['REST'], createdAt: '2026-03-01', updatedAt: '2026-02-01', changelog: [{ date: '2026-03-01', summary: 'Added' }] }),
+        makeTerm({ id: 'rest', term: 'REST', relatedTerms: ['API'], createdAt: '1 March', changelog: [{ date: '2026-03-01' }] }),
+        makeTerm({ id: 'jwt', term: 'JWT', relatedTerms: ['API'], updatedAt: '2026-03-01T10:00:00Z', changelog: 'Added' })
+      ],
+      categories: ['Architecture']
+    });
+
+    expect(report.issues.map(issue => [issue.severity, issue.code, issue.location])).toEqual([
+      ['ERROR', 'invalid-date', 'rest'],
+      ['ERROR', 'invalid-changelog', 'rest'],
+      ['ERROR', 'invalid-changelog', 'jwt'],
+      ['WARNING', 'updated-before-created', 'api']
+    ]);
+  });
+
+  it('should check the schema version', () => {
+    const check = schemaVersion => validateGlossary({
+      schemaVersion,
+      terms: [makeTerm({ relatedTerms: ['API'] })],
+      categories: ['Architecture']
+    }).issues.filter(issue => issue.location === 'schemaVersion').map(issue => [issue.severity, issue.code]);
+
+    expect(check(CURRENT_SCHEMA_VERSION)).toEqual([]);
+    expect(check(undefined)).toEqual([['INFO', 'missing-schema-version']]);
+    expect(check(CURRENT_SCHEMA_VERSION + 1)).toEqual([['ERROR', 'unsupported-schema-version']]);
+    expect(check('2')).toEqual([['ERROR', 'invalid-schema-version']]);
+  });
+});
+
+describe('report formatting', () => {
+  const report = validateGlossary({
+    terms: [makeTerm({ relatedTerms: ['A|B'] })],
+    categories: ['Architecture']
+  });
+
+  it('should render a markdown table grouped by severity', () => {
+    const markdown = formatMarkdown(report);
+
+    expect(markdown).toContain('**Result:** PASS');
+    expect(markdown).toContain('## WARNING (1)');
+    expect(markdown).toContain('Related term "A\\|B" does not exist');
+  });
+
+  it('should render machine-readable JSON', () => {
+    expect(JSON.parse(formatJson(report))).toEqual(report);
+  });
+});
+
+describe('toKebabCase()', () => {
+  it('should convert names and acronyms to kebab-case', () => {
+    expect(toKebabCase('CI/CD')).toBe('ci-cd');
+    expect(toKebabCase('WebSocket')).toBe('web-socket');
+    expect(toKebabCase('  Cloud Native ')).toBe('cloud-native');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { VirtualGrid } from '../src/virtual-grid.js';
+
+describe('VirtualGrid', () => {
+  let container;
+  let grid;
+  const items = Array.from({ length: 1000 }, (_, i) => i);
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    grid = new VirtualGrid(container, {
+      renderItem: item => `<article data-index="${item}">Item ${item}</article>`,
+      estimatedRowHeight: 200,
+      overscan: 2
+    });
+  });
+
+  afterEach(() => {
+    grid.destroy();
+    container.remove();
+  });
+
+  it('should only render rows near the viewport', () => {
+    grid.setItems(items);
+
+    const rendered = container.querySelectorAll('article');
+    const visibleRows = Math.ceil(window.innerHeight / 200);
+
+    expect(rendered.length).toBe(visibleRows + 2);
+    expect(rendered[0].dataset.index).toBe('0');
+  });
+
+  it('should pad the container for the rows that are not rendered', () => {
+    grid.setItems(items);
+
+    const rendered = container.querySelectorAll('article').length;
+    expect(container.style.paddingTop).toBe('0px');
+    expect(container.style.paddingBottom).toBe(`${(items.length - rendered) * 200}px`);
+  });
+
+  it('should render the rows around an item it scrolls to', () => {
+    grid.setItems(items);
+
+    const element = grid.scrollToIndex(500);
+
+    expect(element.dataset.index).toBe('500');
+    expect(container.querySelector('[data-index="0"]')).toBeNull();
+    expect(container.style.paddingTop).toBe(`${498 * 200}px`);
+  });
+
+  it('should ignore indexes outside the items', () => {
+    grid.setItems(items);
+
+    expect(grid.scrollToIndex(-1)).toBeNull();
+    expect(grid.scrollToIndex(items.length)).toBeNull();
+  });
+
+  it('should give the container back when destroyed', () => {
+    grid.setItems(items);
+    grid.destroy();
+
+    expect(container.style.paddingTop).toBe('');
+    expect(container.style.paddingBottom).toBe('');
+  });
+});